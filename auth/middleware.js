@@ -0,0 +1,101 @@
+// auth/middleware.js
+import createError from "http-errors";
+import { User, roleOf } from "./models/user.js";
+import { ApiToken, findUsableToken } from "./models/apiToken.js";
+
+// lastUsedAt is only written when it is at least this stale, not on every call
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Pages: signed-in browser sessions only
+export function ensureAuthed(req, res, next) {
+  if (req.isAuthenticated()) return next();
+  res.redirect("/");
+}
+
+// The API equivalent: a JSON 401 instead of a redirect to the login page
+export function ensureSession(req, _res, next) {
+  if (req.isAuthenticated()) return next();
+  next(createError(401, "Sign in to use this API"));
+}
+
+/**
+ * Route guard for roles, after ensureAuthed, ensureSession or
+ * authenticateApi. A token acts with its owner's role, so a viewer's token
+ * stays read-only whatever scopes it has.
+ */
+export function authorize(...roles) {
+  return (req, _res, next) => {
+    if (roles.includes(roleOf(req.user))) return next();
+    next(createError(403, `Requires the ${roles.join(" or ")} role`));
+  };
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+function invalidToken(message) {
+  return createError(401, message, {
+    headers: { "WWW-Authenticate": 'Bearer error="invalid_token"' },
+  });
+}
+
+function touchToken(token) {
+  const now = new Date();
+  ApiToken.updateOne(
+    {
+      _id: token._id,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } },
+      ],
+    },
+    { $set: { lastUsedAt: now } }
+  ).catch((err) => console.error("⚠️ Token last-used update failed:", err.message || err));
+}
+
+/**
+ * Accept either a browser session or an `Authorization: Bearer` personal
+ * access token. Sets req.auth to { type: "session" } or { type: "token",
+ * tokenId, scopes } so requireScope() can check what the caller may do; a
+ * token request also gets req.user, like a session would.
+ */
+export async function authenticateApi(req, _res, next) {
+  try {
+    const presented = bearerToken(req);
+    if (!presented) {
+      if (!req.isAuthenticated()) throw createError(401, "Sign in or send an API token");
+      req.auth = { type: "session" };
+      return next();
+    }
+
+    const token = await findUsableToken(presented);
+    if (!token) throw invalidToken("Invalid or expired API token");
+
+    const user = await User.findOne({ _key: token.owner }).lean();
+    if (!user) throw invalidToken("Invalid or expired API token");
+
+    req.user = user;
+    req.auth = { type: "token", tokenId: token._id, scopes: token.scopes };
+    touchToken(token);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Route guard for a scope such as "weather:write". Sessions may do
+ * everything; tokens only what they were granted.
+ */
+export function requireScope(scope) {
+  return (req, _res, next) => {
+    if (req.auth?.type !== "token" || req.auth.scopes.includes(scope)) return next();
+    next(
+      createError(403, `This API token doesn't have the ${scope} scope`, {
+        headers: { "WWW-Authenticate": `Bearer error="insufficient_scope", scope="${scope}"` },
+      })
+    );
+  };
+}
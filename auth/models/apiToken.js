@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+export const API_SCOPES = ["weather:read", "weather:write"];
+
+// Tokens look like "wxp_<43 url-safe chars>"; the prefix makes leaked ones easy to spot
+const TOKEN_PREFIX = "wxp_";
+
+// A personal access token for scripts. Only a hash of the token is stored.
+const ApiTokenSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true, index: true }, // _key of the user it acts as
+    name: { type: String, required: true },
+    tokenHash: { type: String, required: true, unique: true }, // sha256 of the token
+    hint: { type: String, required: true }, // first characters, to tell tokens apart
+    scopes: { type: [{ type: String, enum: API_SCOPES }], required: true },
+    expiresAt: { type: Date, default: null }, // null = never
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Expired tokens are refused straight away; Mongo tidies them up shortly after
+ApiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+ApiTokenSchema.set("toJSON", {
+  transform: (_doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+export const ApiToken = mongoose.model("ApiToken", ApiTokenSchema);
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Create a token for owner. Resolves to { token, record }: the token itself
+ * is only ever available here, so it must be shown to the user right away.
+ */
+export async function issueToken(owner, { name, scopes, expiresInDays }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const record = await ApiToken.create({
+    owner,
+    name,
+    tokenHash: hashToken(token),
+    hint: token.slice(0, TOKEN_PREFIX.length + 4),
+    scopes,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  });
+  return { token, record };
+}
+
+/**
+ * The stored token matching a presented one, or null if it is unknown or
+ * expired.
+ */
+export async function findUsableToken(token) {
+  if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const record = await ApiToken.findOne({ tokenHash: hashToken(token) }).lean();
+  if (!record || (record.expiresAt && record.expiresAt <= new Date())) return null;
+  return record;
+}
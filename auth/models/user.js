@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { UNIT_SYSTEMS } from "../../weather/units.js";
+
+// admin: every user's records, user management and the API docs;
+// editor: their own records and the docs; viewer: read-only
+export const ROLES = ["admin", "editor", "viewer"];
+
+// A social-login user, keyed the same way the session stores them
+const UserSchema = new mongoose.Schema(
+  {
+    _key: { type: String, required: true, unique: true }, // e.g. "google|1234"
+    provider: { type: String, required: true }, // "google" or "linkedin"
+    providerId: { type: String, required: true }, // id from the provider
+    displayName: String,
+    emails: [String],
+    verifiedEmails: [String], // the ones the provider has verified; only these match ADMIN_USERS
+    photos: [String],
+    firstLoginAt: Date, // set once, on the very first login
+    lastLoginAt: Date,  // bumped on every login
+    role: { type: String, enum: ROLES, default: "editor" },
+    preferences: {
+      units: { type: String, enum: UNIT_SYSTEMS, default: "metric" }, // dashboard °C/°F
+    },
+  },
+  { timestamps: true }
+);
+
+export const User = mongoose.model("User", UserSchema);
+
+// Users saved before roles existed have none; they keep the powers they had
+export function roleOf(user) {
+  return user?.role ?? "editor";
+}
+
+// ADMIN_USERS: comma-separated user keys ("google|1234") and/or emails
+function adminAllowlist() {
+  return (process.env.ADMIN_USERS || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// An unverified email could be anyone's, so only verified ones count
+export function isAllowlistedAdmin({ _key, verifiedEmails = [] }) {
+  const allowlist = adminAllowlist();
+  return [_key, ...verifiedEmails].some((id) => id && allowlist.includes(id.toLowerCase()));
+}
+
+/**
+ * Create or refresh a user from an OAuth profile. Profile fields are
+ * overwritten on every login so name/photo changes are picked up. Users on
+ * the ADMIN_USERS allowlist are made admins on every login; everyone else
+ * starts as an editor and keeps whatever role an admin gives them.
+ */
+export async function upsertUser({ _key, ...profile }) {
+  const now = new Date();
+  const admin = isAllowlistedAdmin({ _key, verifiedEmails: profile.verifiedEmails });
+  return User.findOneAndUpdate(
+    { _key },
+    {
+      $set: { ...profile, lastLoginAt: now, ...(admin && { role: "admin" }) },
+      $setOnInsert: { firstLoginAt: now },
+    },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+}
@@ -0,0 +1,73 @@
+// auth/routes/accountRoutes.js
+import { Router } from "express";
+import createError from "http-errors";
+import { User, roleOf } from "../models/user.js";
+import { preferencesSchema } from "../validation.js";
+
+const router = Router();
+
+// Only what the browser needs to know about the signed-in user
+function publicProfile(user) {
+  return {
+    _key: user._key,
+    provider: user.provider,
+    role: roleOf(user),
+    displayName: user.displayName,
+    emails: user.emails ?? [],
+    photos: user.photos ?? [],
+    preferences: { units: "metric", ...user.preferences },
+  };
+}
+
+/**
+ * @openapi
+ * /api/me:
+ *   get:
+ *     summary: The signed-in user and their preferences.
+ *     responses:
+ *       200:
+ *         description: Current user.
+ */
+router.get("/", (req, res) => {
+  res.json(publicProfile(req.user));
+});
+
+/**
+ * @openapi
+ * /api/me/preferences:
+ *   patch:
+ *     summary: Update the signed-in user's preferences.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/Preferences"
+ *     responses:
+ *       200:
+ *         description: Updated user.
+ *       400:
+ *         description: Unknown preference or value.
+ */
+router.patch("/preferences", async (req, res, next) => {
+  try {
+    const parsed = preferencesSchema.parse(req.body);
+
+    const $set = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      $set[`preferences.${key}`] = value;
+    }
+
+    const user = await User.findOneAndUpdate({ _key: req.user._key }, { $set }, {
+      new: true,
+      runValidators: true,
+    }).lean();
+    if (!user) throw createError(404, "User not found");
+
+    res.json(publicProfile(user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+// auth/routes/tokenRoutes.js
+import { Router } from "express";
+import createError from "http-errors";
+import { ApiToken, issueToken } from "../models/apiToken.js";
+import { tokenSchema } from "../validation.js";
+
+const router = Router();
+
+// Tokens belong to the signed-in user; nobody can list or revoke anyone else's
+function ownedBy(req, filter = {}) {
+  return { ...filter, owner: req.user._key };
+}
+
+/**
+ * @openapi
+ * /api/tokens:
+ *   get:
+ *     summary: Your personal access tokens.
+ *     description: >
+ *       Lists tokens with their name, hint (first characters), scopes, expiry
+ *       and when they were last used. The tokens themselves are never shown
+ *       again after creation. Managing tokens needs a browser session.
+ *     responses:
+ *       200:
+ *         description: Tokens, newest first.
+ *   post:
+ *     summary: Create a personal access token for scripts.
+ *     description: >
+ *       Send it as "Authorization: Bearer <token>" to use the weather API.
+ *       weather:read allows the GET endpoints, weather:write everything that
+ *       changes records. The token is in this response only - store it now.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/TokenInput"
+ *     responses:
+ *       201:
+ *         description: The new token, including its one-time `token` value.
+ *       400:
+ *         description: Invalid name, scopes or expiry.
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.find(ownedBy(req)).sort({ createdAt: -1 });
+    res.json(tokens);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/", async (req, res, next) => {
+  try {
+    const parsed = tokenSchema.parse(req.body);
+    const { token, record } = await issueToken(req.user._key, parsed);
+    res.status(201).json({ ...record.toJSON(), token });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked; it stops working immediately.
+ *       404:
+ *         description: Token not found (or owned by another user).
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const removed = await ApiToken.findOneAndDelete(ownedBy(req, { _id: req.params.id }));
+    if (!removed) {
+      throw createError(404, "API token not found");
+    }
+    res.json({ revoked: true, id: removed._id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+// auth/routes/userRoutes.js
+import { Router } from "express";
+import createError from "http-errors";
+import { User, roleOf, isAllowlistedAdmin } from "../models/user.js";
+import { roleSchema } from "../validation.js";
+
+// Mounted behind authorize("admin"): user management is for admins only
+const router = Router();
+
+function summary(user) {
+  return {
+    _key: user._key,
+    provider: user.provider,
+    displayName: user.displayName,
+    emails: user.emails ?? [],
+    role: roleOf(user),
+    lastLoginAt: user.lastLoginAt,
+  };
+}
+
+/**
+ * @openapi
+ * /api/users:
+ *   get:
+ *     summary: Every user and their role (admins only).
+ *     responses:
+ *       200:
+ *         description: Users, most recently signed in first.
+ *       403:
+ *         description: Not an admin.
+ */
+router.get("/", async (_req, res, next) => {
+  try {
+    const users = await User.find().sort({ lastLoginAt: -1 }).lean();
+    res.json(users.map(summary));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{key}/role:
+ *   patch:
+ *     summary: Change a user's role (admins only).
+ *     description: >
+ *       admin manages every user's weather records and the users themselves,
+ *       editor manages their own records, viewer can only read them. Users
+ *       on the ADMIN_USERS allowlist are made admins again at their next
+ *       login, and you can't change your own role.
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user's key, e.g. google|1234 (URL-encoded).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/RoleChange"
+ *     responses:
+ *       200:
+ *         description: Updated user.
+ *       400:
+ *         description: Unknown role.
+ *       403:
+ *         description: Not an admin.
+ *       404:
+ *         description: User not found.
+ *       409:
+ *         description: That's your own role, or an allowlisted admin's.
+ */
+router.patch("/:key/role", async (req, res, next) => {
+  try {
+    const { role } = roleSchema.parse(req.body);
+    if (req.params.key === req.user._key) {
+      throw createError(409, "You can't change your own role");
+    }
+
+    const existing = await User.findOne({ _key: req.params.key }).lean();
+    if (!existing) throw createError(404, "User not found");
+    if (role !== "admin" && isAllowlistedAdmin(existing)) {
+      throw createError(409, "This user is on the ADMIN_USERS allowlist; remove them there first");
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _key: req.params.key },
+      { $set: { role } },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!user) throw createError(404, "User not found");
+
+    res.json(summary(user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import session from "express-session";
+import mongoose from "mongoose";
+
+// One document per session; Mongo's TTL monitor removes expired ones
+const SessionSchema = new mongoose.Schema(
+  {
+    _id: String,                              // session id
+    session: { type: String, required: true }, // JSON-serialized session data
+    expires: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+SessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", SessionSchema);
+
+const noop = () => {};
+
+/**
+ * express-session store backed by the app's existing mongoose connection.
+ *
+ * While Mongo is unreachable (e.g. still connecting at startup) the store
+ * behaves as if it were empty: requests come through logged out instead of
+ * hanging on mongoose's command buffer or failing with a 500.
+ */
+export class MongoSessionStore extends session.Store {
+  constructor({ ttlSeconds = 14 * 24 * 60 * 60 } = {}) {
+    super();
+    this.ttlSeconds = ttlSeconds;
+    this.warned = false;
+  }
+
+  isReady() {
+    if (mongoose.connection.readyState === 1) {
+      this.warned = false;
+      return true;
+    }
+    if (!this.warned) {
+      console.warn("⚠️  Session store unavailable (MongoDB not connected)");
+      this.warned = true;
+    }
+    return false;
+  }
+
+  // Prefer the cookie's own expiry so rolling sessions extend the document too
+  expiresFor(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires
+      ? new Date(expires)
+      : new Date(Date.now() + this.ttlSeconds * 1000);
+  }
+
+  get(sid, cb = noop) {
+    if (!this.isReady()) return cb(null, null);
+
+    Session.findById(sid)
+      .lean()
+      .then((doc) => {
+        if (!doc || doc.expires <= new Date()) return cb(null, null);
+        return cb(null, JSON.parse(doc.session));
+      })
+      .catch(cb);
+  }
+
+  set(sid, sess, cb = noop) {
+    if (!this.isReady()) return cb();
+
+    Session.updateOne(
+      { _id: sid },
+      { session: JSON.stringify(sess), expires: this.expiresFor(sess) },
+      { upsert: true }
+    )
+      .then(() => cb())
+      .catch(cb);
+  }
+
+  touch(sid, sess, cb = noop) {
+    if (!this.isReady()) return cb();
+
+    Session.updateOne({ _id: sid }, { expires: this.expiresFor(sess) })
+      .then(() => cb())
+      .catch(cb);
+  }
+
+  destroy(sid, cb = noop) {
+    if (!this.isReady()) return cb();
+
+    Session.deleteOne({ _id: sid })
+      .then(() => cb())
+      .catch(cb);
+  }
+}
@@ -0,0 +1,39 @@
+// auth/validation.js
+import { z } from "zod";
+import { UNIT_SYSTEMS } from "../weather/units.js";
+import { API_SCOPES } from "./models/apiToken.js";
+import { ROLES } from "./models/user.js";
+
+// PATCH /api/me/preferences
+export const preferencesSchema = z
+  .object({
+    units: z.enum(UNIT_SYSTEMS),
+  })
+  .partial()
+  .strict();
+
+// POST /api/tokens
+export const tokenSchema = z
+  .object({
+    name: z.string().trim().min(1).max(100),
+    scopes: z
+      .array(z.enum(API_SCOPES))
+      .min(1)
+      .transform((scopes) => [...new Set(scopes)]),
+    expiresInDays: z
+      .number()
+      .int()
+      .min(1)
+      .max(365)
+      .nullable()
+      .default(null)
+      .describe("Leave out (or null) for a token that never expires."),
+  })
+  .strict();
+
+// PATCH /api/users/:key/role (admins only)
+export const roleSchema = z
+  .object({
+    role: z.enum(ROLES),
+  })
+  .strict();
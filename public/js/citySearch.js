@@ -0,0 +1,143 @@
+// public/js/citySearch.js
+import { fetchJSON } from "./utils/fetchJSON.js";
+
+// Suggestions start after this many characters
+const MIN_QUERY_LENGTH = 2;
+
+// "Portland, OR, US": GeoNames region codes are only worth showing when they
+// read like an abbreviation (some countries use numbers)
+function placeLabel(place) {
+  const parts = [place.name];
+  if (place.admin && /^[A-Z]+$/i.test(place.admin)) parts.push(place.admin);
+  if (place.country) parts.push(place.country);
+  return parts.join(", ");
+}
+
+/**
+ * Turn a text input into an ARIA combobox that suggests cities from
+ * /api/cities/search as you type. Arrow keys move through the list, Enter
+ * picks, Escape closes; clicking a suggestion picks it too. onPick gets the
+ * chosen place (with its coordinates). Enter with nothing highlighted is left
+ * alone so the form can still submit the typed name.
+ */
+function attachCitySuggestions(input, list, { onPick, debounceMs = 150 } = {}) {
+  if (!input || !list) return null;
+
+  let places = [];
+  let active = -1;
+  let timer = null;
+  let latestQuery = "";
+
+  list.setAttribute("role", "listbox");
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", list.id);
+  input.setAttribute("aria-expanded", "false");
+  input.setAttribute("autocomplete", "off");
+
+  function optionId(index) {
+    return `${list.id}-option-${index}`;
+  }
+
+  function highlight(index) {
+    active = index;
+    [...list.children].forEach((li, i) => {
+      li.setAttribute("aria-selected", String(i === index));
+    });
+    if (index >= 0) {
+      input.setAttribute("aria-activedescendant", optionId(index));
+      list.children[index].scrollIntoView?.({ block: "nearest" });
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  // Also forgets the pending query, so a late response can't reopen the list
+  function close() {
+    clearTimeout(timer);
+    latestQuery = "";
+    places = [];
+    list.innerHTML = "";
+    list.hidden = true;
+    input.setAttribute("aria-expanded", "false");
+    highlight(-1);
+  }
+
+  function render(results) {
+    places = results;
+    list.innerHTML = "";
+    if (!places.length) return close();
+
+    places.forEach((place, index) => {
+      const li = document.createElement("li");
+      li.id = optionId(index);
+      li.className = "suggestion";
+      li.setAttribute("role", "option");
+      li.textContent = placeLabel(place);
+      // mousedown, not click, so the input doesn't blur (and close) first
+      li.addEventListener("mousedown", (event) => {
+        event.preventDefault();
+        pick(index);
+      });
+      list.appendChild(li);
+    });
+    list.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    highlight(-1);
+  }
+
+  function pick(index) {
+    const place = places[index];
+    if (!place) return;
+    input.value = placeLabel(place);
+    close();
+    if (onPick) onPick(place);
+  }
+
+  async function suggest(query) {
+    latestQuery = query;
+    try {
+      const { items } = await fetchJSON(`/api/cities/search?q=${encodeURIComponent(query)}`);
+      // Typing moved on while we waited - a newer request will render
+      if (query !== latestQuery) return;
+      render(items || []);
+    } catch (err) {
+      console.error(err);
+      close();
+    }
+  }
+
+  input.addEventListener("input", () => {
+    clearTimeout(timer);
+    const query = input.value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      close();
+      return;
+    }
+    timer = setTimeout(() => suggest(query), debounceMs);
+  });
+
+  input.addEventListener("keydown", (event) => {
+    if (list.hidden || !places.length) return;
+
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      highlight((active + 1) % places.length);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      highlight(active <= 0 ? places.length - 1 : active - 1);
+    } else if (event.key === "Enter" && active >= 0) {
+      event.preventDefault();
+      pick(active);
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      close();
+    }
+  });
+
+  input.addEventListener("blur", close);
+
+  return { close, suggest };
+}
+
+export { placeLabel, attachCitySuggestions };
@@ -0,0 +1,156 @@
+// public/js/notifications.js
+import { fetchJSON } from "./utils/fetchJSON.js";
+
+// ---- Grab DOM elements ----
+const toggleBtn = document.getElementById("notif-toggle");
+const badgeEl = document.getElementById("notif-badge");
+const panelEl = document.getElementById("notif-panel");
+const listEl = document.getElementById("notif-list");
+const ackAllBtn = document.getElementById("notif-ack-all");
+
+// How often to re-check the badge while the page is open
+const POLL_MS = 60 * 1000;
+
+// Show the unread count on the bell (hidden at zero)
+function updateBadge(count) {
+  if (!badgeEl) return;
+  badgeEl.textContent = count > 99 ? "99+" : String(count);
+  badgeEl.style.display = count > 0 ? "inline-block" : "none";
+  if (toggleBtn) {
+    toggleBtn.setAttribute("aria-label", `Notifications (${count} unread)`);
+  }
+}
+
+function renderNotifications(items) {
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+  if (!items || items.length === 0) {
+    const li = document.createElement("li");
+    li.className = "notif-item empty";
+    li.textContent = "No notifications.";
+    listEl.appendChild(li);
+    return;
+  }
+
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.className = "notif-item" + (item.acknowledgedAt ? "" : " unread");
+
+    const text = document.createElement("div");
+    const message = document.createElement("div");
+    message.textContent = item.message;
+    const when = document.createElement("div");
+    when.className = "notif-time";
+    when.textContent = new Date(item.createdAt).toLocaleString();
+    text.appendChild(message);
+    text.appendChild(when);
+
+    const actions = document.createElement("div");
+    actions.className = "actions-cell";
+
+    if (!item.acknowledgedAt) {
+      const ackBtn = document.createElement("button");
+      ackBtn.className = "btn btn-secondary";
+      ackBtn.type = "button";
+      ackBtn.textContent = "Mark read";
+      ackBtn.onclick = () => acknowledgeNotification(item._id);
+      actions.appendChild(ackBtn);
+    }
+
+    const dismissBtn = document.createElement("button");
+    dismissBtn.className = "btn btn-danger";
+    dismissBtn.type = "button";
+    dismissBtn.textContent = "Dismiss";
+    dismissBtn.onclick = () => dismissNotification(item._id);
+    actions.appendChild(dismissBtn);
+
+    li.appendChild(text);
+    li.appendChild(actions);
+    listEl.appendChild(li);
+  });
+}
+
+async function loadUnreadCount() {
+  try {
+    const { unreadCount } = await fetchJSON("/api/notifications/unread-count");
+    updateBadge(unreadCount);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function loadNotifications() {
+  try {
+    const { items, unreadCount } = await fetchJSON("/api/notifications?limit=20");
+    renderNotifications(items);
+    updateBadge(unreadCount);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function acknowledgeNotification(id) {
+  try {
+    await fetchJSON(`/api/notifications/${encodeURIComponent(id)}/ack`, { method: "POST" });
+    await loadNotifications();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function dismissNotification(id) {
+  try {
+    await fetchJSON(`/api/notifications/${encodeURIComponent(id)}/dismiss`, {
+      method: "POST",
+    });
+    await loadNotifications();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function acknowledgeAll() {
+  try {
+    await fetchJSON("/api/notifications/ack-all", { method: "POST" });
+    await loadNotifications();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Open/close the feed under the bell; opening it loads the latest items
+async function togglePanel() {
+  if (!panelEl || !toggleBtn) return;
+
+  const open = panelEl.hidden;
+  panelEl.hidden = !open;
+  toggleBtn.setAttribute("aria-expanded", String(open));
+  if (open) await loadNotifications();
+}
+
+// Wire up events on page load
+if (toggleBtn) {
+  toggleBtn.addEventListener("click", togglePanel);
+}
+if (ackAllBtn) {
+  ackAllBtn.addEventListener("click", acknowledgeAll);
+}
+// weather.js announces records it saved; they may have tripped a rule
+document.addEventListener("weather:saved", loadUnreadCount);
+document.addEventListener("DOMContentLoaded", () => {
+  loadUnreadCount();
+  setInterval(loadUnreadCount, POLL_MS);
+});
+
+// ---- Exports for Jest tests ----
+export {
+  updateBadge,
+  renderNotifications,
+  loadUnreadCount,
+  loadNotifications,
+  acknowledgeNotification,
+  dismissNotification,
+  acknowledgeAll,
+  togglePanel,
+};
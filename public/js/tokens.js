@@ -0,0 +1,131 @@
+// public/js/tokens.js
+import { fetchJSON } from "./utils/fetchJSON.js";
+
+// ---- Grab DOM elements ----
+const tokenForm = document.getElementById("token-form");
+const tokenNameInput = document.getElementById("token-name");
+const tokenExpirySelect = document.getElementById("token-expiry");
+const tokenList = document.getElementById("token-list");
+const tokenCreated = document.getElementById("token-created");
+const tokenValue = document.getElementById("token-value");
+const tokenStatus = document.getElementById("token-status");
+
+function setTokenStatus(message, type = "ok") {
+  if (!tokenStatus) return;
+  tokenStatus.textContent = message;
+  tokenStatus.className = "status " + type;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : null;
+}
+
+// One line of details under a token's name
+function describeToken(token) {
+  const parts = [token.scopes.join(", ")];
+  parts.push(token.expiresAt ? `expires ${formatDate(token.expiresAt)}` : "never expires");
+  parts.push(token.lastUsedAt ? `last used ${formatDate(token.lastUsedAt)}` : "never used");
+  return parts.join(" · ");
+}
+
+// Render the user's tokens with a Revoke button each
+function renderTokens(tokens) {
+  if (!tokenList) return;
+
+  tokenList.innerHTML = "";
+  if (!tokens || tokens.length === 0) {
+    const li = document.createElement("li");
+    li.className = "token-item empty";
+    li.textContent = "No API tokens yet.";
+    tokenList.appendChild(li);
+    return;
+  }
+
+  tokens.forEach((token) => {
+    const li = document.createElement("li");
+    li.className = "token-item";
+
+    const info = document.createElement("div");
+    const name = document.createElement("div");
+    name.className = "token-name";
+    name.textContent = `${token.name} (${token.hint}…)`;
+    const details = document.createElement("div");
+    details.className = "muted token-details";
+    details.textContent = describeToken(token);
+    info.appendChild(name);
+    info.appendChild(details);
+
+    const revokeBtn = document.createElement("button");
+    revokeBtn.type = "button";
+    revokeBtn.className = "token-revoke";
+    revokeBtn.textContent = "Revoke";
+    revokeBtn.onclick = () => revokeToken(token._id, token.name);
+
+    li.appendChild(info);
+    li.appendChild(revokeBtn);
+    tokenList.appendChild(li);
+  });
+}
+
+async function loadTokens() {
+  try {
+    renderTokens(await fetchJSON("/api/tokens"));
+  } catch (err) {
+    console.error(err);
+    setTokenStatus("Failed to load API tokens: " + err.message, "error");
+  }
+}
+
+// Handle the "Create token" form; the new token is shown once, right here
+async function createToken(event) {
+  event.preventDefault();
+  const name = tokenNameInput.value.trim();
+  const scopes = [...tokenForm.querySelectorAll('input[name="scope"]:checked')].map(
+    (input) => input.value
+  );
+  const expiry = tokenExpirySelect ? tokenExpirySelect.value : "";
+
+  if (!name) return;
+  if (scopes.length === 0) {
+    setTokenStatus("Pick at least one scope.", "error");
+    return;
+  }
+
+  try {
+    const created = await fetchJSON("/api/tokens", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, scopes, expiresInDays: expiry ? Number(expiry) : null }),
+    });
+    if (tokenValue) tokenValue.textContent = created.token;
+    if (tokenCreated) tokenCreated.hidden = false;
+    tokenNameInput.value = "";
+    await loadTokens();
+    setTokenStatus(`Created "${created.name}". Copy it now - it won't be shown again.`, "ok");
+  } catch (err) {
+    console.error(err);
+    setTokenStatus("Failed to create token: " + err.message, "error");
+  }
+}
+
+async function revokeToken(id, name) {
+  if (!confirm(`Revoke "${name}"? Scripts using it will stop working.`)) return;
+
+  try {
+    await fetchJSON(`/api/tokens/${encodeURIComponent(id)}`, { method: "DELETE" });
+    await loadTokens();
+    setTokenStatus(`Revoked "${name}".`, "ok");
+  } catch (err) {
+    console.error(err);
+    setTokenStatus("Failed to revoke token: " + err.message, "error");
+  }
+}
+
+// Wire up events on page load
+if (tokenForm) {
+  tokenForm.addEventListener("submit", createToken);
+}
+document.addEventListener("DOMContentLoaded", loadTokens);
+
+// ---- Exports for Jest tests ----
+export { describeToken, renderTokens, loadTokens, createToken, revokeToken };
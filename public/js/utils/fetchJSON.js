@@ -1,8 +1,27 @@
+// Pull a readable message out of the API's JSON error body:
+//   { "error": { "message": "Validation failed", "issues": [{ "path", "message" }] } }
+export function errorMessageFrom(text) {
+  try {
+    const { error } = JSON.parse(text);
+    if (error && error.message) {
+      const details = (error.issues || []).map((issue) =>
+        issue.path ? `${issue.path}: ${issue.message}` : issue.message
+      );
+      return details.length
+        ? `${error.message} (${details.join("; ")})`
+        : error.message;
+    }
+  } catch {
+    // Not JSON (e.g. a proxy error page) - fall back to the raw text
+  }
+  return text;
+}
+
 export async function fetchJSON(url, options) {
   const res = await fetch(url, options);
   if (!res.ok) {
     const text = await res.text();
-    throw new Error(text || res.statusText);
+    throw new Error(errorMessageFrom(text) || res.statusText);
   }
   return res.json();
 }
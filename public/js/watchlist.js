@@ -0,0 +1,147 @@
+// public/js/watchlist.js
+import { fetchJSON } from "./utils/fetchJSON.js";
+
+// ---- Grab DOM elements ----
+const watchlistForm = document.getElementById("watchlist-form");
+const watchlistInput = document.getElementById("watchlist-input");
+const watchlistItems = document.getElementById("watchlist-items");
+const watchlistStatus = document.getElementById("watchlist-status");
+
+function setWatchlistStatus(message, type = "ok") {
+  if (!watchlistStatus) return;
+  watchlistStatus.textContent = message;
+  watchlistStatus.className = "status " + type;
+}
+
+// One line about the last scheduled refresh of a watched city
+function describeLastRun(watch) {
+  if (watch.paused) return "Paused";
+  if (!watch.lastRunAt) return "Waiting for the first refresh";
+
+  const at = new Date(watch.lastRunAt).toLocaleString();
+  return watch.lastStatus === "error"
+    ? `Refresh failed at ${at}: ${watch.lastError || "unknown error"}`
+    : `Refreshed at ${at}`;
+}
+
+// Render the watched cities with pause/resume and remove buttons
+function renderWatchlist(watches) {
+  if (!watchlistItems) return;
+
+  watchlistItems.innerHTML = "";
+  if (!watches || watches.length === 0) {
+    const li = document.createElement("li");
+    li.className = "watch-item empty";
+    li.textContent = "No cities watched yet.";
+    watchlistItems.appendChild(li);
+    return;
+  }
+
+  watches.forEach((watch) => {
+    const li = document.createElement("li");
+    li.className = "watch-item";
+
+    const info = document.createElement("div");
+    const city = document.createElement("div");
+    city.className = "watch-city";
+    city.textContent = watch.city;
+    const lastRun = document.createElement("div");
+    lastRun.className = "watch-status" + (watch.lastStatus === "error" ? " error" : "");
+    lastRun.textContent = describeLastRun(watch);
+    info.appendChild(city);
+    info.appendChild(lastRun);
+
+    const actions = document.createElement("div");
+    actions.className = "actions-cell";
+
+    const pauseBtn = document.createElement("button");
+    pauseBtn.className = "btn btn-secondary";
+    pauseBtn.type = "button";
+    pauseBtn.textContent = watch.paused ? "Resume" : "Pause";
+    pauseBtn.onclick = () => setPaused(watch._id, !watch.paused);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "btn btn-danger";
+    removeBtn.type = "button";
+    removeBtn.textContent = "Remove";
+    removeBtn.onclick = () => removeWatchedCity(watch._id);
+
+    actions.appendChild(pauseBtn);
+    actions.appendChild(removeBtn);
+
+    li.appendChild(info);
+    li.appendChild(actions);
+    watchlistItems.appendChild(li);
+  });
+}
+
+async function loadWatchlist() {
+  try {
+    renderWatchlist(await fetchJSON("/api/watchlist"));
+  } catch (err) {
+    console.error(err);
+    setWatchlistStatus("Failed to load watchlist: " + err.message, "error");
+  }
+}
+
+// Handle the "Watch" form
+async function addWatchedCity(event) {
+  event.preventDefault();
+  const city = watchlistInput.value.trim();
+  if (!city) return;
+
+  try {
+    await fetchJSON("/api/watchlist", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ city }),
+    });
+    watchlistInput.value = "";
+    await loadWatchlist();
+    setWatchlistStatus("Now watching " + city, "ok");
+  } catch (err) {
+    console.error(err);
+    setWatchlistStatus("Failed to watch city: " + err.message, "error");
+  }
+}
+
+async function setPaused(id, paused) {
+  try {
+    await fetchJSON(`/api/watchlist/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ paused }),
+    });
+    await loadWatchlist();
+  } catch (err) {
+    console.error(err);
+    setWatchlistStatus("Failed to update city: " + err.message, "error");
+  }
+}
+
+async function removeWatchedCity(id) {
+  try {
+    await fetchJSON(`/api/watchlist/${encodeURIComponent(id)}`, { method: "DELETE" });
+    await loadWatchlist();
+    setWatchlistStatus("City removed from watchlist.", "ok");
+  } catch (err) {
+    console.error(err);
+    setWatchlistStatus("Failed to remove city: " + err.message, "error");
+  }
+}
+
+// Wire up events on page load
+if (watchlistForm) {
+  watchlistForm.addEventListener("submit", addWatchedCity);
+}
+document.addEventListener("DOMContentLoaded", loadWatchlist);
+
+// ---- Exports for Jest tests ----
+export {
+  describeLastRun,
+  renderWatchlist,
+  loadWatchlist,
+  addWatchedCity,
+  setPaused,
+  removeWatchedCity,
+};
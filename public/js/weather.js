@@ -1,14 +1,9 @@
 // public/js/weather.js
 
 // ---- Shared helper used by both app + tests ----
-export async function fetchJSON(url, options) {
-  const res = await fetch(url, options);
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(text || res.statusText);
-  }
-  return res.json();
-}
+import { fetchJSON } from "./utils/fetchJSON.js";
+import { attachCitySuggestions } from "./citySearch.js";
+export { fetchJSON };
 
 // ---- Grab DOM elements ----
 const statusEl = document.getElementById("status");
@@ -17,9 +12,51 @@ const latestCityEl = document.getElementById("latest-city");
 const latestTempEl = document.getElementById("latest-temp");
 const latestCondEl = document.getElementById("latest-conditions");
 const latestMetaEl = document.getElementById("latest-meta");
+const forecastStrip = document.getElementById("forecast-strip");
 const historyBody = document.getElementById("history-body");
+const loadMoreBtn = document.getElementById("load-more");
 const cityInput = document.getElementById("city-input");
 const searchForm = document.getElementById("search-form");
+const citySuggestions = document.getElementById("city-suggestions");
+const unitButtons = document.querySelectorAll(".unit-btn");
+
+// ---- Units ----
+// The API converts to whatever we ask for; the user's choice is saved server-side
+const UNIT_LABELS = {
+  metric: { temp: "°C", windSpeed: "m/s" },
+  imperial: { temp: "°F", windSpeed: "mph" },
+  standard: { temp: " K", windSpeed: "m/s" },
+};
+
+let units = (document.body && document.body.dataset.units) || "metric";
+let latestRecord = null;
+let latestForecastLocation = null;
+
+function labelsFor(recordUnits) {
+  return UNIT_LABELS[recordUnits || units] || UNIT_LABELS.metric;
+}
+
+function formatTemp(value, recordUnits) {
+  if (value === null || value === undefined) return "N/A";
+  return `${Math.round(value)}${labelsFor(recordUnits).temp}`;
+}
+
+function formatSpeed(value, recordUnits) {
+  if (value === null || value === undefined) return "N/A";
+  return `${Math.round(value * 10) / 10} ${labelsFor(recordUnits).windSpeed}`;
+}
+
+// Highlight the active °C/°F button
+function updateUnitButtons() {
+  unitButtons.forEach((btn) => {
+    btn.setAttribute("aria-pressed", String(btn.dataset.units === units));
+  });
+}
+
+// Let other dashboard modules (e.g. notifications) know a record was saved
+function announceSaved(record) {
+  document.dispatchEvent(new CustomEvent("weather:saved", { detail: record }));
+}
 
 // Helper to show messages
 function setStatus(message, type = "ok") {
@@ -54,102 +91,194 @@ function renderLatest(record) {
     record.date ||
     null;
 
+  const meta = [];
+  if (record.feelsLike !== undefined) {
+    meta.push(`Feels like: ${formatTemp(record.feelsLike, record.units)}`);
+  }
+  if (record.windSpeed !== undefined) {
+    meta.push(`Wind: ${formatSpeed(record.windSpeed, record.units)}`);
+  }
+  if (fetched) meta.push(`Fetched at: ${new Date(fetched).toLocaleString()}`);
+
+  latestRecord = record;
   latestCityEl.textContent = city;
-  latestTempEl.textContent =
-    temp !== null && temp !== undefined ? `${Math.round(temp)}°` : "N/A";
+  latestTempEl.textContent = formatTemp(temp, record.units);
   latestCondEl.textContent = condition || "";
-  latestMetaEl.textContent = fetched
-    ? `Fetched at: ${new Date(fetched).toLocaleString()}`
-    : "";
+  latestMetaEl.textContent = meta.join(" · ");
 
   latestCard.style.display = "block";
 }
 
-// Render the table rows
-function renderHistory(records) {
+// Collapse 3-hour forecast slots into one summary per day (in local time)
+function summarizeForecastByDay(entries) {
+  const days = new Map();
+
+  (entries || []).forEach((entry) => {
+    const at = new Date(entry.at);
+    const key = at.toDateString();
+    if (!days.has(key)) {
+      days.set(key, { date: at, min: entry.temp, max: entry.temp, conditions: {} });
+    }
+    const day = days.get(key);
+    day.min = Math.min(day.min, entry.temp);
+    day.max = Math.max(day.max, entry.temp);
+    day.conditions[entry.condition] = (day.conditions[entry.condition] || 0) + 1;
+  });
+
+  return [...days.values()].map((day) => ({
+    date: day.date,
+    min: day.min,
+    max: day.max,
+    // Most frequent condition across the day's slots
+    condition: Object.entries(day.conditions).sort((a, b) => b[1] - a[1])[0][0],
+  }));
+}
+
+// Render the forecast strip under the latest card
+function renderForecast(forecast) {
+  if (!forecastStrip) return;
+
+  forecastStrip.innerHTML = "";
+  const days = summarizeForecastByDay(forecast && forecast.entries);
+  if (days.length === 0) {
+    forecastStrip.style.display = "none";
+    return;
+  }
+
+  days.forEach((day) => {
+    const tile = document.createElement("div");
+    tile.className = "forecast-day";
+
+    const label = document.createElement("div");
+    label.className = "day";
+    label.textContent = day.date.toLocaleDateString(undefined, { weekday: "short" });
+
+    const condition = document.createElement("div");
+    condition.textContent = day.condition;
+
+    const range = document.createElement("div");
+    range.className = "range";
+    range.textContent = `${formatTemp(day.max, forecast.units)} / ${formatTemp(
+      day.min,
+      forecast.units
+    )}`;
+
+    tile.appendChild(label);
+    tile.appendChild(condition);
+    tile.appendChild(range);
+    forecastStrip.appendChild(tile);
+  });
+
+  forecastStrip.style.display = "flex";
+}
+
+// Cursor for the next page of history (null when there are no more)
+let nextCursor = null;
+
+function renderEmptyHistory() {
+  const tr = document.createElement("tr");
+  tr.className = "empty-row";
+  const td = document.createElement("td");
+  td.colSpan = 5;
+  td.textContent = "No weather data saved yet.";
+  tr.appendChild(td);
+  historyBody.appendChild(tr);
+}
+
+// Render the table rows (append=true adds a page below the existing rows)
+function renderHistory(records, append = false) {
   if (!historyBody) return;
 
-  historyBody.innerHTML = "";
-  if (!records || records.length === 0) {
-    const tr = document.createElement("tr");
-    const td = document.createElement("td");
-    td.colSpan = 5;
-    td.textContent = "No weather data saved yet.";
-    tr.appendChild(td);
-    historyBody.appendChild(tr);
+  if (!append) historyBody.innerHTML = "";
+  if (!append && (!records || records.length === 0)) {
+    renderEmptyHistory();
     return;
   }
 
-  records.forEach((record) => {
-    const tr = document.createElement("tr");
+  (records || []).forEach((record) => {
+    historyBody.appendChild(buildHistoryRow(record));
+  });
+}
 
-    const city = record.city || record.name || record.location || "Unknown";
+// One history table row, tagged with the record id so live updates can find it
+function buildHistoryRow(record) {
+  const tr = document.createElement("tr");
+  if (record._id) tr.dataset.id = record._id;
 
-    const temp =
-      record.temperature ??
-      record.tempC ??
-      record.temp ??
-      (record.main && record.main.temp) ??
-      null;
+  const city = record.city || record.name || record.location || "Unknown";
 
-    const condition =
-      record.conditions ||
-      record.description ||
-      (record.weather && record.weather[0] && record.weather[0].description) ||
-      "";
+  const temp =
+    record.temperature ??
+    record.tempC ??
+    record.temp ??
+    (record.main && record.main.temp) ??
+    null;
 
-    const fetched =
-      record.fetchedAt ||
-      record.createdAt ||
-      record.timestamp ||
-      record.date ||
-      null;
+  const condition =
+    record.conditions ||
+    record.description ||
+    (record.weather && record.weather[0] && record.weather[0].description) ||
+    "";
 
-    const cityTd = document.createElement("td");
-    cityTd.textContent = city;
+  const fetched =
+    record.fetchedAt ||
+    record.createdAt ||
+    record.timestamp ||
+    record.date ||
+    null;
 
-    const tempTd = document.createElement("td");
-    tempTd.textContent =
-      temp !== null && temp !== undefined ? `${Math.round(temp)}°` : "N/A";
+  const cityTd = document.createElement("td");
+  cityTd.textContent = city;
 
-    const condTd = document.createElement("td");
-    condTd.textContent = condition;
+  const tempTd = document.createElement("td");
+  tempTd.textContent = formatTemp(temp, record.units);
 
-    const fetchedTd = document.createElement("td");
-    fetchedTd.textContent = fetched ? new Date(fetched).toLocaleString() : "";
+  const condTd = document.createElement("td");
+  condTd.textContent = condition;
 
-    const actionsTd = document.createElement("td");
-    actionsTd.className = "actions-cell";
+  const fetchedTd = document.createElement("td");
+  fetchedTd.textContent = fetched ? new Date(fetched).toLocaleString() : "";
+  if (fetched) tr.dataset.fetchedAt = new Date(fetched).getTime();
 
-    const refreshBtn = document.createElement("button");
-    refreshBtn.className = "btn btn-secondary";
-    refreshBtn.textContent = "Refresh";
-    refreshBtn.onclick = () => refreshWeather(record._id, city);
+  const actionsTd = document.createElement("td");
+  actionsTd.className = "actions-cell";
 
-    const deleteBtn = document.createElement("button");
-    deleteBtn.className = "btn btn-danger";
-    deleteBtn.textContent = "Delete";
-    deleteBtn.onclick = () => deleteWeather(record._id);
+  const refreshBtn = document.createElement("button");
+  refreshBtn.className = "btn btn-secondary";
+  refreshBtn.textContent = "Refresh";
+  refreshBtn.onclick = () => refreshWeather(record._id, city);
 
-    actionsTd.appendChild(refreshBtn);
-    actionsTd.appendChild(deleteBtn);
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "btn btn-danger";
+  deleteBtn.textContent = "Delete";
+  deleteBtn.onclick = () => deleteWeather(record._id);
 
-    tr.appendChild(cityTd);
-    tr.appendChild(tempTd);
-    tr.appendChild(condTd);
-    tr.appendChild(fetchedTd);
-    tr.appendChild(actionsTd);
+  actionsTd.appendChild(refreshBtn);
+  actionsTd.appendChild(deleteBtn);
 
-    historyBody.appendChild(tr);
-  });
+  tr.appendChild(cityTd);
+  tr.appendChild(tempTd);
+  tr.appendChild(condTd);
+  tr.appendChild(fetchedTd);
+  tr.appendChild(actionsTd);
+
+  return tr;
 }
 
-// Load existing weather history from your API
+// Show the "Load more" button only while there is another page
+function updateLoadMore() {
+  if (!loadMoreBtn) return;
+  loadMoreBtn.style.display = nextCursor ? "inline-block" : "none";
+}
+
+// Load existing weather history from your API (first page)
 async function loadHistory() {
   try {
     setStatus("Loading history...");
-    const records = await fetchJSON("/api/weather?limit=50");
-    renderHistory(records);
+    const page = await fetchJSON(`/api/weather?limit=50&units=${units}`);
+    nextCursor = page.nextCursor || null;
+    renderHistory(page.items);
+    updateLoadMore();
     setStatus("History loaded.", "ok");
   } catch (err) {
     console.error(err);
@@ -157,22 +286,122 @@ async function loadHistory() {
   }
 }
 
-// Handle submitting the city search form
-async function handleSearch(event) {
-  event.preventDefault();
-  const city = cityInput.value.trim();
-  if (!city) return;
+// Append the next page of history below the current rows
+async function loadMoreHistory() {
+  if (!nextCursor) return;
 
   try {
-    setStatus("Fetching weather for " + city + "...");
-    const record = await fetchJSON(
-      `/api/weather/fetch?city=${encodeURIComponent(city)}`,
-      { method: "POST" }
+    setStatus("Loading more history...");
+    const page = await fetchJSON(
+      `/api/weather?limit=50&units=${units}&cursor=${encodeURIComponent(nextCursor)}`
     );
+    nextCursor = page.nextCursor || null;
+    renderHistory(page.items, true);
+    updateLoadMore();
+    setStatus("History loaded.", "ok");
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load more history: " + err.message, "error");
+  }
+}
+
+// ---- Live updates ----
+// Records created, changed or deleted elsewhere (another tab, a teammate's
+// script, the watchlist scheduler) arrive over SSE and patch the table in place
+let stream = null;
+
+function findHistoryRow(id) {
+  if (!historyBody || !id) return null;
+  return [...historyBody.querySelectorAll("tr[data-id]")].find((tr) => tr.dataset.id === id);
+}
+
+// Put a record where its date belongs (newest first), or replace its row.
+// One older than every loaded row is left for "Load more" while pages remain.
+function placeHistoryRow(record) {
+  if (!historyBody) return;
+  const row = buildHistoryRow(record);
+  const existing = findHistoryRow(record._id);
+  if (existing) {
+    existing.replaceWith(row);
+    return;
+  }
+
+  const fetchedAt = Number(row.dataset.fetchedAt);
+  const next = [...historyBody.querySelectorAll("tr[data-id]")].find(
+    (tr) => !(Number(tr.dataset.fetchedAt) > fetchedAt)
+  );
+  if (!next && nextCursor) return;
+
+  const placeholder = historyBody.querySelector("tr.empty-row");
+  if (placeholder) placeholder.remove();
+  if (next) next.before(row);
+  else historyBody.appendChild(row);
+}
+
+function removeHistoryRow(id) {
+  if (!historyBody) return;
+  const existing = findHistoryRow(id);
+  if (existing) existing.remove();
+  if (!historyBody.querySelector("tr")) renderEmptyHistory();
+}
+
+function applyStreamEvent({ type, id, record }) {
+  if (type === "weather.deleted") {
+    removeHistoryRow(id);
+  } else if (type === "weather.created" || type === "weather.restored") {
+    placeHistoryRow(record);
+  } else if (findHistoryRow(id)) {
+    // Updates only matter to rows already on screen
+    placeHistoryRow(record);
+  }
+}
+
+// (Re)open the stream; EventSource reconnects by itself and sends Last-Event-ID
+function connectStream() {
+  if (typeof EventSource === "undefined") return;
+  if (stream) stream.close();
+
+  stream = new EventSource(`/api/weather/stream?units=${units}`);
+  ["weather.created", "weather.updated", "weather.deleted", "weather.restored"].forEach(
+    (type) => {
+      stream.addEventListener(type, (event) => applyStreamEvent(JSON.parse(event.data)));
+    }
+  );
+  // The server couldn't replay what we missed - start over
+  stream.addEventListener("reset", loadHistory);
+}
+
+// Query string for a location: { city } or { lat, lon, name }
+function locationQuery(location) {
+  return new URLSearchParams({ ...location, units }).toString();
+}
+
+// Load the forecast for a location (a failure here shouldn't spoil the search)
+async function loadForecast(location) {
+  latestForecastLocation = location;
+  try {
+    const forecast = await fetchJSON(`/api/weather/forecast?${locationQuery(location)}`);
+    renderForecast(forecast);
+  } catch (err) {
+    console.error(err);
+    renderForecast(null);
+  }
+}
+
+// Fetch, save and show the weather for a location; label is what the user
+// sees in the status line
+async function fetchAndSave(location, label) {
+  try {
+    setStatus("Fetching weather for " + label + "...");
+    const record = await fetchJSON(`/api/weather/fetch?${locationQuery(location)}`, {
+      method: "POST",
+    });
 
     renderLatest(record);
-    await loadHistory(); // refresh table
-    setStatus("Weather fetched and saved for " + city, "ok");
+    announceSaved(record);
+    placeHistoryRow(record);
+    await loadForecast(location.city ? { city: record.city || location.city } : location);
+    setStatus("Weather fetched and saved for " + label, "ok");
     cityInput.value = "";
   } catch (err) {
     console.error(err);
@@ -180,7 +409,22 @@ async function handleSearch(event) {
   }
 }
 
-// Delete a record by ID
+// Handle submitting the city search form
+async function handleSearch(event) {
+  event.preventDefault();
+  const city = cityInput.value.trim();
+  if (!city) return;
+  await fetchAndSave({ city }, city);
+}
+
+// A picked suggestion is fetched by its coordinates, so there's no doubt
+// which Springfield was meant
+function handlePick(place) {
+  const { lat, lon } = place.coordinates;
+  return fetchAndSave({ lat, lon, name: place.name }, place.name);
+}
+
+// Delete a record by ID (it goes to the trash, so offer to take it back)
 async function deleteWeather(id) {
   if (!confirm("Delete this weather record?")) return;
 
@@ -188,14 +432,42 @@ async function deleteWeather(id) {
     await fetchJSON(`/api/weather/${encodeURIComponent(id)}`, {
       method: "DELETE",
     });
-    await loadHistory();
+    removeHistoryRow(id);
     setStatus("Record deleted.", "ok");
+    offerUndo(id);
   } catch (err) {
     console.error(err);
     setStatus("Failed to delete: " + err.message, "error");
   }
 }
 
+// Add an Undo button to the status line; the next status message replaces it
+function offerUndo(id) {
+  if (!statusEl) return;
+
+  const undoBtn = document.createElement("button");
+  undoBtn.type = "button";
+  undoBtn.className = "undo-btn";
+  undoBtn.textContent = "Undo";
+  undoBtn.addEventListener("click", () => restoreWeather(id));
+  statusEl.append(" ", undoBtn);
+}
+
+// Take a deleted record back out of the trash
+async function restoreWeather(id) {
+  try {
+    const record = await fetchJSON(
+      `/api/weather/${encodeURIComponent(id)}/restore?units=${units}`,
+      { method: "POST" }
+    );
+    placeHistoryRow(record);
+    setStatus("Record restored.", "ok");
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to restore: " + err.message, "error");
+  }
+}
+
 // Refresh an existing record (re-fetch by city and overwrite)
 async function refreshWeather(id, city) {
   try {
@@ -205,11 +477,13 @@ async function refreshWeather(id, city) {
       method: "DELETE",
     });
     const record = await fetchJSON(
-      `/api/weather/fetch?city=${encodeURIComponent(city)}`,
+      `/api/weather/fetch?city=${encodeURIComponent(city)}&units=${units}`,
       { method: "POST" }
     );
+    removeHistoryRow(id);
+    placeHistoryRow(record);
     renderLatest(record);
-    await loadHistory();
+    announceSaved(record);
     setStatus("Weather refreshed for " + city, "ok");
   } catch (err) {
     console.error(err);
@@ -217,11 +491,66 @@ async function refreshWeather(id, city) {
   }
 }
 
+// Switch °C/°F: remember the choice for this user, then re-render everything
+async function setUnits(next) {
+  if (next === units) return;
+
+  try {
+    await fetchJSON("/api/me/preferences", {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ units: next }),
+    });
+    units = next;
+    updateUnitButtons();
+
+    if (latestRecord && latestRecord._id) {
+      renderLatest(
+        await fetchJSON(
+          `/api/weather/${encodeURIComponent(latestRecord._id)}?units=${units}`
+        )
+      );
+    }
+    if (latestForecastLocation) await loadForecast(latestForecastLocation);
+    await loadHistory();
+    connectStream(); // so pushed records come in the new units
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to change units: " + err.message, "error");
+  }
+}
+
 // Wire up events on page load (real app behaviour)
 if (searchForm) {
   searchForm.addEventListener("submit", handleSearch);
 }
-document.addEventListener("DOMContentLoaded", loadHistory);
+attachCitySuggestions(cityInput, citySuggestions, { onPick: handlePick });
+if (loadMoreBtn) {
+  loadMoreBtn.addEventListener("click", loadMoreHistory);
+}
+unitButtons.forEach((btn) => {
+  btn.addEventListener("click", () => setUnits(btn.dataset.units));
+});
+updateUnitButtons();
+document.addEventListener("DOMContentLoaded", () => {
+  loadHistory();
+  connectStream();
+});
 
 // ---- Exports for Jest tests ----
-export { setStatus, renderLatest, renderHistory, handleSearch, deleteWeather };
+export {
+  setStatus,
+  renderLatest,
+  renderHistory,
+  applyStreamEvent,
+  connectStream,
+  loadHistory,
+  loadMoreHistory,
+  renderForecast,
+  summarizeForecastByDay,
+  handleSearch,
+  handlePick,
+  deleteWeather,
+  restoreWeather,
+  setUnits,
+};
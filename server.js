@@ -13,10 +13,29 @@ import { fileURLToPath } from "url";
 
 import mongoose from "mongoose";
 import cors from "cors";
+import createError from "http-errors";
 import morgan from "morgan";
 
+import { User, upsertUser } from "./auth/models/user.js";
+import { MongoSessionStore } from "./auth/sessionStore.js";
+import accountRouter from "./auth/routes/accountRoutes.js";
+import tokenRouter from "./auth/routes/tokenRoutes.js";
+import userRouter from "./auth/routes/userRoutes.js";
+import { ensureAuthed, ensureSession, authenticateApi, authorize } from "./auth/middleware.js";
 import weatherRouter from "./weather/routes/weatherRoutes.js";
-import { swaggerUi, swaggerSpec } from "./weather/swagger.js";
+import watchlistRouter from "./weather/routes/watchlistRoutes.js";
+import alertRouter from "./weather/routes/alertRoutes.js";
+import notificationRouter from "./weather/routes/notificationRoutes.js";
+import webhookRouter from "./weather/routes/webhookRoutes.js";
+import cityRouter from "./weather/routes/cityRoutes.js";
+import { startWebhookDispatcher } from "./weather/webhooks.js";
+import { startEventFeed } from "./weather/eventFeed.js";
+import { startTrashPurge } from "./weather/trash.js";
+import { startWatchlistScheduler } from "./weather/scheduler.js";
+import { Weather } from "./weather/models/weather.js";
+import { docsRouter } from "./weather/swagger.js";
+import { errorHandler } from "./weather/errorHandler.js";
+import { jsonExceptImport } from "./weather/bulk.js";
 
 dotenv.config();
 
@@ -34,9 +53,6 @@ const app = express();
 // ✅ Cloud Run / reverse proxy support
 app.set("trust proxy", 1);
 
-// Simple in-memory "DB" (demo only) for social-login users
-const users = new Map();
-
 // ======================
 // View engine & static files
 // ======================
@@ -48,22 +64,30 @@ app.set("views", path.join(__dirname, "views"));
 // ======================
 app.use(cors());
 app.use(morgan("dev"));
-app.use(express.json());
+app.use(jsonExceptImport()); // imports stream their own body
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, "public")));
 
 // ======================
 // Sessions
 // ======================
+// Stored in MongoDB so they survive restarts and are shared by every instance
+const SESSION_TTL_SECONDS =
+  (Number(process.env.SESSION_TTL_DAYS) || 14) * 24 * 60 * 60;
+
 app.use(
   session({
     secret: process.env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
+    store: new MongoSessionStore({ ttlSeconds: SESSION_TTL_SECONDS }),
+    // Push the expiry forward on every request (set SESSION_ROLLING=false to disable)
+    rolling: process.env.SESSION_ROLLING !== "false",
     cookie: {
       httpOnly: true,
       // Cloud Run is HTTPS in production
       secure: process.env.NODE_ENV === "production",
+      maxAge: SESSION_TTL_SECONDS * 1000,
     },
   })
 );
@@ -75,7 +99,14 @@ app.use(passport.session());
 // Session <-> user mapping
 // ======================
 passport.serializeUser((user, done) => done(null, user._key));
-passport.deserializeUser((key, done) => done(null, users.get(key) || null));
+passport.deserializeUser(async (key, done) => {
+  try {
+    const user = await User.findOne({ _key: key }).lean();
+    return done(null, user || null);
+  } catch (err) {
+    return done(err);
+  }
+});
 
 /* =================== GOOGLE (OAuth 2.0) =================== */
 passport.use(
@@ -87,16 +118,16 @@ passport.use(
     },
     async (_accessToken, _refreshToken, profile, done) => {
       try {
-        const key = `google|${profile.id}`;
-        const user = {
-          _key: key,
+        const verified = profile.emails?.filter((e) => String(e.verified) === "true") || [];
+        const user = await upsertUser({
+          _key: `google|${profile.id}`,
           provider: "google",
-          id: profile.id,
+          providerId: profile.id,
           displayName: profile.displayName,
           emails: profile.emails?.map((e) => e.value) || [],
+          verifiedEmails: verified.map((e) => e.value),
           photos: profile.photos?.map((p) => p.value) || [],
-        };
-        users.set(key, user);
+        });
         return done(null, user);
       } catch (err) {
         return done(err);
@@ -143,21 +174,20 @@ passport.use(
 
         const emails = [];
         if (data.email) emails.push(data.email);
+        const verifiedEmails = data.email_verified === true ? emails : [];
 
         const photos = [];
         if (data.picture) photos.push(data.picture);
 
-        const key = `linkedin|${id}`;
-        const user = {
-          _key: key,
+        const user = await upsertUser({
+          _key: `linkedin|${id}`,
           provider: "linkedin",
-          id,
+          providerId: id,
           displayName,
           emails,
+          verifiedEmails,
           photos,
-        };
-
-        users.set(key, user);
+        });
         return done(null, user);
       } catch (err) {
         return done(err);
@@ -166,14 +196,6 @@ passport.use(
   )
 );
 
-// ======================
-// Auth guard
-// ======================
-function ensureAuthed(req, res, next) {
-  if (req.isAuthenticated()) return next();
-  res.redirect("/");
-}
-
 // ======================
 // Health check (Monitoring)
 // ======================
@@ -243,11 +265,31 @@ app.get("/error", (_req, res) =>
 // ======================
 // Weather API + Swagger
 // ======================
-// All /api/weather endpoints require login
-app.use("/api/weather", ensureAuthed, weatherRouter);
+// All API endpoints require login; the weather API also takes personal
+// access tokens (roles and scopes are checked route by route)
+app.use("/api/weather", authenticateApi, weatherRouter);
+app.use("/api/watchlist", ensureSession, watchlistRouter);
+app.use("/api/alerts", ensureSession, alertRouter);
+app.use("/api/notifications", ensureSession, notificationRouter);
+app.use("/api/webhooks", ensureSession, webhookRouter);
+app.use("/api/cities", ensureSession, cityRouter);
+app.use("/api/tokens", ensureSession, tokenRouter);
+app.use("/api/me", ensureSession, accountRouter);
+app.use("/api/users", ensureSession, authorize("admin"), userRouter);
+
+// Swagger docs, for the people who build on the API (not viewers)
+app.use("/docs", ensureAuthed, authorize("admin", "editor"), docsRouter);
 
-// Swagger docs (public, for demo)
-app.use("/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+// ======================
+// Errors
+// ======================
+// Unknown API routes get a JSON 404 instead of Express's HTML page
+app.use("/api", (req, _res, next) =>
+  next(createError(404, `No route for ${req.method} ${req.originalUrl}`))
+);
+
+// Must be registered after every route
+app.use(errorHandler);
 
 // ======================
 // Start server + Mongo
@@ -273,6 +315,20 @@ if (process.env.NODE_ENV !== "test") {
       console.log("✅ Connected to MongoDB");
     } catch (err) {
       console.error("❌ MongoDB connection failed:", err.message || err);
+      return;
     }
+
+    // Records saved before coordinates were indexed have no GeoJSON location yet
+    try {
+      const { modifiedCount } = await Weather.backfillLocations();
+      if (modifiedCount) console.log(`📍 Backfilled location on ${modifiedCount} weather records`);
+    } catch (err) {
+      console.error("⚠️ Location backfill failed:", err.message || err);
+    }
+
+    startEventFeed();
+    startWatchlistScheduler();
+    startWebhookDispatcher();
+    startTrashPurge();
   })();
 }
@@ -0,0 +1,86 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import dotenv from "dotenv";
+import express from "express";
+import request from "supertest";
+import mongoose from "mongoose";
+import { User, upsertUser } from "../auth/models/user.js";
+import accountRouter from "../auth/routes/accountRoutes.js";
+import { errorHandler } from "../weather/errorHandler.js";
+
+dotenv.config();
+
+jest.setTimeout(30000);
+
+let app;
+let user;
+
+beforeAll(async () => {
+  const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI or MONGODB_URI in .env for tests");
+  }
+  await mongoose.connect(uri);
+
+  app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use("/api/me", accountRouter);
+  app.use(errorHandler);
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  user = await upsertUser({
+    _key: "google|123",
+    provider: "google",
+    providerId: "123",
+    displayName: "Test User",
+  });
+});
+
+afterAll(async () => {
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Account API", () => {
+  // 1) New users default to metric
+  test("GET /api/me returns the user with default preferences", async () => {
+    const res = await request(app).get("/api/me");
+
+    expect(res.status).toBe(200);
+    expect(res.body._key).toBe("google|123");
+    expect(res.body.preferences.units).toBe("metric");
+  });
+
+  // 2) Unit choice is remembered
+  test("PATCH /api/me/preferences stores the unit system", async () => {
+    const res = await request(app)
+      .patch("/api/me/preferences")
+      .send({ units: "imperial" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preferences.units).toBe("imperial");
+
+    const stored = await User.findOne({ _key: "google|123" }).lean();
+    expect(stored.preferences.units).toBe("imperial");
+  });
+
+  // 3) Validation
+  test("PATCH /api/me/preferences rejects unknown units and keys", async () => {
+    const badUnits = await request(app)
+      .patch("/api/me/preferences")
+      .send({ units: "furlongs" });
+    const badKey = await request(app)
+      .patch("/api/me/preferences")
+      .send({ theme: "dark" });
+
+    expect(badUnits.status).toBe(400);
+    expect(badKey.status).toBe(400);
+  });
+});
@@ -0,0 +1,273 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import dotenv from "dotenv";
+import express from "express";
+import request from "supertest";
+import mongoose from "mongoose";
+import { Weather } from "../weather/models/weather.js";
+import { AlertRule } from "../weather/models/alertRule.js";
+import { Notification } from "../weather/models/notification.js";
+import { createRecord } from "../weather/records.js";
+import alertRouter from "../weather/routes/alertRoutes.js";
+import notificationRouter from "../weather/routes/notificationRoutes.js";
+import { errorHandler } from "../weather/errorHandler.js";
+
+dotenv.config();
+jest.setTimeout(30000);
+
+let app;
+
+const OWNER = "google|test-owner";
+const OTHER_USER = "linkedin|someone-else";
+
+// A normalized (metric) payload as the providers return it
+function makeReading(overrides = {}) {
+  return {
+    city: "Phoenix",
+    country: "US",
+    coordinates: { lon: -112.07, lat: 33.45 },
+    temp: 41,
+    feelsLike: 40,
+    humidity: 10,
+    pressure: 1008,
+    windSpeed: 3,
+    condition: "Clear",
+    description: "clear sky",
+    fetchedAt: new Date(),
+    ...overrides,
+  };
+}
+
+beforeAll(async () => {
+  const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI or MONGODB_URI in .env for tests");
+  }
+
+  await mongoose.connect(uri);
+
+  app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { _key: req.get("x-test-user") || OWNER };
+    next();
+  });
+  app.use("/api/alerts", alertRouter);
+  app.use("/api/notifications", notificationRouter);
+  app.use(errorHandler);
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Weather.deleteMany({}),
+    AlertRule.deleteMany({}),
+    Notification.deleteMany({}),
+  ]);
+});
+
+afterAll(async () => {
+  await Promise.all([
+    Weather.deleteMany({}),
+    AlertRule.deleteMany({}),
+    Notification.deleteMany({}),
+  ]);
+  await mongoose.connection.close();
+});
+
+describe("Alert rules API", () => {
+  // 1) Create and list
+  test("POST and GET /api/alerts manage your rules", async () => {
+    const created = await request(app)
+      .post("/api/alerts")
+      .send({ name: "Heat", city: "Phoenix", field: "temp", op: ">", value: 40 });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual(
+      expect.objectContaining({ owner: OWNER, units: "metric", enabled: true })
+    );
+
+    const mine = await request(app).get("/api/alerts");
+    const theirs = await request(app).get("/api/alerts").set("x-test-user", OTHER_USER);
+    expect(mine.body.length).toBe(1);
+    expect(theirs.body).toEqual([]);
+  });
+
+  // 2) Invalid rules
+  test("rejects unknown fields, operators and mismatched values", async () => {
+    const badField = await request(app)
+      .post("/api/alerts")
+      .send({ city: "Phoenix", field: "uvIndex", op: ">", value: 5 });
+    const badCondition = await request(app)
+      .post("/api/alerts")
+      .send({ city: "Phoenix", field: "condition", op: ">=", value: "Rain" });
+
+    expect(badField.status).toBe(400);
+    expect(badCondition.status).toBe(400);
+    expect(badCondition.body.error.issues[0].path).toBe("op");
+  });
+
+  // 3) Updates are re-validated against the whole rule
+  test("PATCH /api/alerts/:id validates the merged rule", async () => {
+    const rule = await AlertRule.create({
+      owner: OWNER,
+      city: "Phoenix",
+      field: "temp",
+      op: ">",
+      value: 40,
+    });
+
+    const bad = await request(app)
+      .patch(`/api/alerts/${rule._id}`)
+      .send({ field: "condition" }); // value 40 is not a condition
+    const good = await request(app)
+      .patch(`/api/alerts/${rule._id}`)
+      .send({ field: "condition", op: "==", value: "Rain" });
+
+    expect(bad.status).toBe(400);
+    expect(good.status).toBe(200);
+    expect(good.body).toEqual(expect.objectContaining({ field: "condition", value: "Rain" }));
+  });
+
+  // 4) Deleting someone else's rule
+  test("DELETE /api/alerts/:id returns 404 for another user's rule", async () => {
+    const rule = await AlertRule.create({
+      owner: OWNER,
+      city: "Phoenix",
+      field: "temp",
+      op: ">",
+      value: 40,
+    });
+
+    const res = await request(app)
+      .delete(`/api/alerts/${rule._id}`)
+      .set("x-test-user", OTHER_USER);
+
+    expect(res.status).toBe(404);
+    expect(await AlertRule.countDocuments()).toBe(1);
+  });
+});
+
+describe("Rule evaluation", () => {
+  // 5) New records are checked against the owner's rules for that city
+  test("createRecord() notifies on a matching rule for the same city only", async () => {
+    await AlertRule.create([
+      { owner: OWNER, city: "phoenix", field: "temp", op: ">", value: 40, name: "Heat" },
+      { owner: OWNER, city: "Tucson", field: "temp", op: ">", value: 0 },
+      { owner: OTHER_USER, city: "Phoenix", field: "temp", op: ">", value: 0 },
+      { owner: OWNER, city: "Phoenix", field: "condition", op: "==", value: "Rain" },
+    ]);
+
+    const record = await createRecord(makeReading(), OWNER);
+
+    const notifications = await Notification.find({}).lean();
+    expect(notifications.length).toBe(1);
+    expect(notifications[0]).toEqual(
+      expect.objectContaining({ owner: OWNER, message: "Heat: Phoenix temp is 41°C (> 40°C)" })
+    );
+    expect(notifications[0].record.toString()).toBe(record._id.toString());
+  });
+
+  // 6) Repeat triggers inside the cooldown are suppressed
+  test("suppresses a rule that fired within its cooldown", async () => {
+    const rule = await AlertRule.create({
+      owner: OWNER,
+      city: "Phoenix",
+      field: "temp",
+      op: ">",
+      value: 40,
+      cooldownMinutes: 30,
+    });
+
+    await createRecord(makeReading(), OWNER);
+    await createRecord(makeReading({ temp: 42 }), OWNER);
+    expect(await Notification.countDocuments()).toBe(1);
+
+    // Once the cooldown has passed it fires again
+    await AlertRule.updateOne(
+      { _id: rule._id },
+      { lastTriggeredAt: new Date(Date.now() - 31 * 60 * 1000) }
+    );
+    await createRecord(makeReading({ temp: 43 }), OWNER);
+    expect(await Notification.countDocuments()).toBe(2);
+  });
+
+  // 7) Disabled rules are ignored
+  test("ignores disabled rules", async () => {
+    await AlertRule.create({
+      owner: OWNER,
+      city: "Phoenix",
+      field: "temp",
+      op: ">",
+      value: 40,
+      enabled: false,
+    });
+
+    await createRecord(makeReading(), OWNER);
+
+    expect(await Notification.countDocuments()).toBe(0);
+  });
+});
+
+describe("Notifications API", () => {
+  async function seedNotifications(count) {
+    const rule = new mongoose.Types.ObjectId();
+    const record = new mongoose.Types.ObjectId();
+    return Notification.create(
+      Array.from({ length: count }, (_, i) => ({
+        owner: OWNER,
+        rule,
+        record,
+        city: "Phoenix",
+        message: `Alert ${i}`,
+      }))
+    );
+  }
+
+  // 8) Feed and unread count
+  test("GET /api/notifications returns the feed and unread count", async () => {
+    await seedNotifications(3);
+
+    const feed = await request(app).get("/api/notifications");
+    const count = await request(app).get("/api/notifications/unread-count");
+    const theirs = await request(app)
+      .get("/api/notifications/unread-count")
+      .set("x-test-user", OTHER_USER);
+
+    expect(feed.body.items.length).toBe(3);
+    expect(feed.body.unreadCount).toBe(3);
+    expect(count.body).toEqual({ unreadCount: 3 });
+    expect(theirs.body).toEqual({ unreadCount: 0 });
+  });
+
+  // 9) Acknowledge and dismiss
+  test("ack marks one read, dismiss hides it, ack-all clears the rest", async () => {
+    const [first, second] = await seedNotifications(3);
+
+    const ack = await request(app).post(`/api/notifications/${first._id}/ack`);
+    expect(ack.status).toBe(200);
+    expect(ack.body.acknowledgedAt).toBeTruthy();
+
+    await request(app).post(`/api/notifications/${second._id}/dismiss`);
+    const feed = await request(app).get("/api/notifications");
+    expect(feed.body.items.map((n) => n.message).sort()).toEqual(["Alert 0", "Alert 2"]);
+    expect(feed.body.unreadCount).toBe(1);
+
+    const all = await request(app).post("/api/notifications/ack-all");
+    expect(all.body).toEqual({ acknowledged: 1 });
+
+    const unread = await request(app).get("/api/notifications").query({ unread: true });
+    expect(unread.body.items).toEqual([]);
+  });
+
+  // 10) Other users' notifications are off limits
+  test("returns 404 when acknowledging another user's notification", async () => {
+    const [mine] = await seedNotifications(1);
+
+    const res = await request(app)
+      .post(`/api/notifications/${mine._id}/ack`)
+      .set("x-test-user", OTHER_USER);
+
+    expect(res.status).toBe(404);
+  });
+});
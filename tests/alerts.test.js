@@ -0,0 +1,85 @@
+/** @jest-environment node */
+
+import { matchesRule, describeMatch } from "../weather/alerts.js";
+import { alertRuleSchema } from "../weather/validation.js";
+
+// A plain, metric record as checkAlerts() sees it
+const record = {
+  city: "Phoenix",
+  temp: 41,
+  feelsLike: 39.5,
+  humidity: 12,
+  pressure: 1008,
+  windSpeed: 15,
+  condition: "Clear",
+};
+
+describe("matchesRule()", () => {
+  // 1) Numeric comparisons
+  test("compares numeric fields with every operator", () => {
+    const rule = (op, value) => ({ field: "temp", op, value, units: "metric" });
+
+    expect(matchesRule(rule(">", 40), record)).toBe(true);
+    expect(matchesRule(rule(">", 41), record)).toBe(false);
+    expect(matchesRule(rule(">=", 41), record)).toBe(true);
+    expect(matchesRule(rule("<", 41), record)).toBe(false);
+    expect(matchesRule(rule("<=", 41), record)).toBe(true);
+    expect(matchesRule(rule("==", 41), record)).toBe(true);
+    expect(matchesRule(rule("!=", 41), record)).toBe(false);
+  });
+
+  // 2) Conditions compare case-insensitively
+  test("matches conditions regardless of case", () => {
+    expect(
+      matchesRule({ field: "condition", op: "==", value: "clear", units: "metric" }, record)
+    ).toBe(true);
+    expect(
+      matchesRule({ field: "condition", op: "!=", value: "Rain", units: "metric" }, record)
+    ).toBe(true);
+  });
+
+  // 3) Thresholds are in the rule's own units
+  test("converts the record into the rule's units before comparing", () => {
+    // 41°C = 105.8°F, 15 m/s = 33.55 mph
+    expect(
+      matchesRule({ field: "temp", op: ">", value: 100, units: "imperial" }, record)
+    ).toBe(true);
+    expect(
+      matchesRule({ field: "windSpeed", op: ">=", value: 34, units: "imperial" }, record)
+    ).toBe(false);
+  });
+
+  // 4) Missing values never match
+  test("does not match a record without the field", () => {
+    const { temp, ...noTemp } = record;
+    expect(matchesRule({ field: "temp", op: "<", value: 100, units: "metric" }, noTemp)).toBe(
+      false
+    );
+  });
+});
+
+describe("describeMatch()", () => {
+  // 5) Readable notification text
+  test("names the rule, city, value and threshold with units", () => {
+    const rule = { name: "Heat", field: "temp", op: ">", value: 40, units: "metric" };
+
+    expect(describeMatch(rule, record)).toBe("Heat: Phoenix temp is 41°C (> 40°C)");
+  });
+});
+
+describe("alertRuleSchema", () => {
+  // 6) Value type follows the field
+  test("requires a string value and ==/!= for condition rules", () => {
+    expect(
+      alertRuleSchema.safeParse({ city: "Phoenix", field: "condition", op: ">", value: 3 })
+        .success
+    ).toBe(false);
+    expect(
+      alertRuleSchema.safeParse({ city: "Phoenix", field: "temp", op: ">", value: "hot" })
+        .success
+    ).toBe(false);
+    expect(
+      alertRuleSchema.parse({ city: "Phoenix", field: "condition", op: "==", value: "Rain" })
+    ).toEqual(expect.objectContaining({ units: "metric", enabled: true }));
+  });
+});
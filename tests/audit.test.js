@@ -0,0 +1,75 @@
+/** @jest-environment node */
+
+import { snapshotOf, diffSnapshots } from "../weather/audit.js";
+
+// A stored record as the routes see it
+const record = {
+  _id: "65f0c0ffee0000000000abcd",
+  owner: "google|1",
+  city: "Oslo",
+  country: "NO",
+  coordinates: { lon: 10.75, lat: 59.91 },
+  location: { type: "Point", coordinates: [10.75, 59.91] },
+  temp: 20,
+  feelsLike: 19.5,
+  humidity: 55,
+  pressure: 1012,
+  windSpeed: 4,
+  condition: "Clouds",
+  description: "broken clouds",
+  fetchedAt: new Date("2025-01-01T00:00:00Z"),
+  deletedAt: null,
+  __v: 0,
+};
+
+describe("audit diffs", () => {
+  // 1) Snapshots keep only what a user can change
+  test("snapshotOf keeps the audited fields and drops storage details", () => {
+    const snapshot = snapshotOf(record);
+
+    expect(snapshot).not.toHaveProperty("owner");
+    expect(snapshot).not.toHaveProperty("location");
+    expect(snapshot).not.toHaveProperty("__v");
+    expect(snapshot).not.toHaveProperty("provider");
+    expect(snapshot).toMatchObject({ city: "Oslo", coordinates: { lon: 10.75, lat: 59.91 } });
+  });
+
+  // 2) Only changed fields, with nested paths and ISO dates
+  test("diffSnapshots lists changed fields by path", () => {
+    const after = {
+      ...record,
+      coordinates: { lon: 10.75, lat: 60 },
+      temp: 22,
+      fetchedAt: new Date("2025-01-02T00:00:00Z"),
+      provider: "manual",
+    };
+
+    expect(diffSnapshots(snapshotOf(record), snapshotOf(after))).toEqual([
+      { path: "coordinates.lat", from: 59.91, to: 60 },
+      { path: "temp", from: 20, to: 22 },
+      { path: "fetchedAt", from: "2025-01-01T00:00:00.000Z", to: "2025-01-02T00:00:00.000Z" },
+      { path: "provider", from: null, to: "manual" },
+    ]);
+    expect(diffSnapshots(snapshotOf(record), snapshotOf({ ...record }))).toEqual([]);
+  });
+
+  // 3) A new record diffs against nothing
+  test("diffSnapshots against {} lists every set field of a new record", () => {
+    const paths = diffSnapshots({}, snapshotOf(record)).map((change) => change.path);
+
+    expect(paths).toEqual([
+      "city",
+      "country",
+      "coordinates.lon",
+      "coordinates.lat",
+      "temp",
+      "feelsLike",
+      "humidity",
+      "pressure",
+      "windSpeed",
+      "condition",
+      "description",
+      "fetchedAt",
+    ]);
+  });
+});
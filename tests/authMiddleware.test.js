@@ -0,0 +1,117 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+
+// Stand-ins for the token and user lookups
+const findUsableToken = jest.fn();
+const updateOne = jest.fn(() => Promise.resolve());
+const findOne = jest.fn();
+jest.unstable_mockModule("../auth/models/apiToken.js", () => ({
+  findUsableToken,
+  ApiToken: { updateOne },
+}));
+jest.unstable_mockModule("../auth/models/user.js", () => ({
+  User: { findOne: (...args) => ({ lean: () => findOne(...args) }) },
+  roleOf: (user) => user?.role ?? "editor",
+}));
+
+const { authenticateApi, requireScope, authorize } = await import("../auth/middleware.js");
+
+// Just enough of an Express request
+function fakeReq({ authorization, session = false } = {}) {
+  return {
+    get: (name) => (name === "Authorization" ? authorization : undefined),
+    isAuthenticated: () => session,
+  };
+}
+
+async function run(middleware, req) {
+  let passed;
+  await middleware(req, {}, (err) => {
+    passed = err ?? null;
+  });
+  return passed;
+}
+
+const token = { _id: "t1", owner: "google|1", scopes: ["weather:read"] };
+
+describe("authenticateApi()", () => {
+  beforeEach(() => {
+    findUsableToken.mockReset();
+    findOne.mockReset();
+    updateOne.mockClear();
+  });
+
+  // 1) Sessions pass through with every scope
+  test("accepts a browser session", async () => {
+    const req = fakeReq({ session: true });
+
+    expect(await run(authenticateApi, req)).toBeNull();
+    expect(req.auth).toEqual({ type: "session" });
+    expect(findUsableToken).not.toHaveBeenCalled();
+  });
+
+  // 2) No session and no token
+  test("rejects an anonymous request with a 401", async () => {
+    const err = await run(authenticateApi, fakeReq());
+
+    expect(err.status).toBe(401);
+  });
+
+  // 3) A valid bearer token signs the request in as its owner
+  test("accepts a bearer token and records that it was used", async () => {
+    findUsableToken.mockResolvedValue(token);
+    findOne.mockResolvedValue({ _key: "google|1", displayName: "Ada" });
+    const req = fakeReq({ authorization: "Bearer wxp_abc" });
+
+    expect(await run(authenticateApi, req)).toBeNull();
+    expect(findUsableToken).toHaveBeenCalledWith("wxp_abc");
+    expect(req.user._key).toBe("google|1");
+    expect(req.auth).toEqual({ type: "token", tokenId: "t1", scopes: ["weather:read"] });
+    expect(updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  // 4) Unknown, expired or orphaned tokens
+  test("rejects an unusable token even alongside a session", async () => {
+    findUsableToken.mockResolvedValue(null);
+    const unknown = await run(authenticateApi, fakeReq({ authorization: "Bearer nope", session: true }));
+
+    findUsableToken.mockResolvedValue(token);
+    findOne.mockResolvedValue(null);
+    const orphaned = await run(authenticateApi, fakeReq({ authorization: "Bearer wxp_abc" }));
+
+    expect(unknown.status).toBe(401);
+    expect(unknown.headers["WWW-Authenticate"]).toContain("invalid_token");
+    expect(orphaned.status).toBe(401);
+  });
+});
+
+describe("requireScope()", () => {
+  // 5) Tokens only get what they were granted
+  test("lets sessions and tokens with the scope through, refuses the rest", async () => {
+    const write = requireScope("weather:write");
+
+    expect(await run(write, { auth: { type: "session" } })).toBeNull();
+    expect(
+      await run(write, { auth: { type: "token", scopes: ["weather:read", "weather:write"] } })
+    ).toBeNull();
+
+    const err = await run(write, { auth: { type: "token", scopes: ["weather:read"] } });
+    expect(err.status).toBe(403);
+    expect(err.message).toMatch(/weather:write/);
+  });
+});
+
+describe("authorize()", () => {
+  // 6) Roles, with users from before roles counting as editors
+  test("lets listed roles through and refuses the rest with a 403", async () => {
+    const editors = authorize("admin", "editor");
+
+    expect(await run(editors, { user: { role: "admin" } })).toBeNull();
+    expect(await run(editors, { user: { _key: "google|old" } })).toBeNull();
+
+    const err = await run(editors, { user: { role: "viewer" } });
+    expect(err.status).toBe(403);
+    expect(err.message).toBe("Requires the admin or editor role");
+  });
+});
@@ -0,0 +1,291 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import { Readable, Writable } from "stream";
+import {
+  CSV_COLUMNS,
+  csvField,
+  parseCsv,
+  importRows,
+  parseJsonArray,
+  parseImportRow,
+  importRecords,
+  writeExport,
+} from "../weather/bulk.js";
+
+// A lean record as the export cursor yields it
+const doc = {
+  _id: "65f0c0ffee0000000000abcd",
+  owner: "users/1",
+  city: "Oslo",
+  country: "NO",
+  coordinates: { lon: 10.75, lat: 59.91 },
+  location: { type: "Point", coordinates: [10.75, 59.91] },
+  temp: 20,
+  feelsLike: 19.5,
+  humidity: 55,
+  pressure: 1012,
+  windSpeed: 4,
+  condition: "Clouds",
+  description: 'broken, "grey" clouds',
+  fetchedAt: new Date("2024-05-01T12:00:00Z"),
+  provider: "openweather",
+};
+
+// A response stand-in that collects everything written to it
+function sink() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, _encoding, done) {
+      chunks.push(chunk.toString());
+      done();
+    },
+  });
+  res.text = () => chunks.join("");
+  return res;
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+describe("export", () => {
+  // 1) CSV quoting
+  test("csvField quotes commas, quotes and line breaks", () => {
+    expect(csvField("Oslo")).toBe("Oslo");
+    expect(csvField('a "b", c')).toBe('"a ""b"", c"');
+    expect(csvField("two\nlines")).toBe('"two\nlines"');
+    expect(csvField(undefined)).toBe("");
+    expect(csvField(new Date("2024-05-01T12:00:00Z"))).toBe("2024-05-01T12:00:00.000Z");
+  });
+
+  // 2) CSV export
+  test("writeExport writes a CSV header and one converted row per record", async () => {
+    const res = sink();
+    await writeExport(res, [doc], { format: "csv", units: "imperial" });
+
+    const [header, row, end] = res.text().split("\r\n");
+    expect(header).toBe(CSV_COLUMNS.join(","));
+    expect(row).toBe(
+      '65f0c0ffee0000000000abcd,Oslo,NO,10.75,59.91,68,67.1,55,1012,8.95,Clouds,' +
+        '"broken, ""grey"" clouds",2024-05-01T12:00:00.000Z,openweather,imperial'
+    );
+    expect(end).toBe("");
+    expect(res.writableEnded).toBe(true);
+  });
+
+  // 3) NDJSON and JSON export
+  test("writeExport writes NDJSON lines and a JSON array without storage fields", async () => {
+    const ndjson = sink();
+    await writeExport(ndjson, [doc, doc], { format: "ndjson", units: "metric" });
+    const lines = ndjson.text().trim().split("\n").map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ id: doc._id, city: "Oslo", temp: 20, units: "metric" });
+    expect(lines[0]).not.toHaveProperty("owner");
+    expect(lines[0]).not.toHaveProperty("location");
+
+    const json = sink();
+    await writeExport(json, [doc, doc], { format: "json", units: "metric" });
+    expect(JSON.parse(json.text())).toEqual(lines);
+
+    const empty = sink();
+    await writeExport(empty, [], { format: "json", units: "metric" });
+    expect(JSON.parse(empty.text())).toEqual([]);
+  });
+
+  // 4) Backpressure: waiting for "drain" leaves no listeners behind
+  test("writeExport waits for a slow client without piling up listeners", async () => {
+    const chunks = [];
+    const res = new Writable({
+      highWaterMark: 1,
+      write(chunk, _encoding, done) {
+        chunks.push(chunk.toString());
+        setImmediate(done);
+      },
+    });
+    const warnings = jest.spyOn(process, "emitWarning");
+    const closeListeners = res.listenerCount("close");
+
+    await writeExport(res, Array(20).fill(doc), { format: "ndjson", units: "metric" });
+
+    expect(chunks.join("").trim().split("\n")).toHaveLength(20);
+    expect(res.listenerCount("drain")).toBe(0);
+    expect(res.listenerCount("close")).toBe(closeListeners);
+    expect(warnings).not.toHaveBeenCalled();
+    warnings.mockRestore();
+  });
+});
+
+describe("import parsing", () => {
+  // 5) RFC 4180 CSV
+  test("parseCsv handles quoted commas, quotes, line breaks and blank lines", async () => {
+    const lines = ["a,b,c", '1,"x, ""y""","multi', 'line"', "", "2,,z"];
+    expect(await collect(parseCsv(lines))).toEqual([
+      ["a", "b", "c"],
+      ["1", 'x, "y"', "multi\nline"],
+      ["2", "", "z"],
+    ]);
+  });
+
+  // 6) Unterminated quotes
+  test("parseCsv rejects a file that ends inside quotes", async () => {
+    await expect(collect(parseCsv(['a,"b']))).rejects.toMatchObject({ status: 400 });
+  });
+
+  // 7) Rows from each format
+  test("importRows numbers data rows for CSV, NDJSON and JSON", async () => {
+    const csv = Readable.from(["city,temp\r\n", "Oslo,20\r\n", "Rome,25\r\n"]);
+    expect(await collect(importRows(csv, "csv"))).toEqual([
+      { row: 1, value: { city: "Oslo", temp: "20" } },
+      { row: 2, value: { city: "Rome", temp: "25" } },
+    ]);
+
+    const ndjson = Readable.from(['{"city":"Oslo"}\n', "\n", "not json\n"]);
+    expect(await collect(importRows(ndjson, "ndjson"))).toEqual([
+      { row: 1, value: { city: "Oslo" } },
+      { row: 2, issues: [{ path: "", message: "Invalid JSON", code: "invalid_json" }] },
+    ]);
+
+    const json = Readable.from([' [{"city":"Oslo"},', "not json", ']\n']);
+    expect(await collect(importRows(json, "json"))).toEqual([
+      { row: 1, value: { city: "Oslo" } },
+      { row: 2, issues: [{ path: "", message: "Invalid JSON", code: "invalid_json" }] },
+    ]);
+    await expect(collect(importRows(Readable.from(["{}"]), "json"))).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+
+  // 8) JSON arrays are split into elements as they stream in
+  test("parseJsonArray yields each element, however the text is chunked", async () => {
+    const text = '[{"city":"São Paulo","description":"a \\"],[{\\" b","tags":[1,[2]]}, 3 ,"x"]';
+    const bytes = Buffer.from(text);
+    // One byte at a time, so "ã" arrives split across two chunks
+    const chunks = Readable.from([...bytes].map((byte) => Buffer.from([byte])), {
+      objectMode: false,
+      encoding: "utf8",
+    });
+
+    expect(await collect(parseJsonArray(chunks))).toEqual([
+      {
+        row: 1,
+        value: { city: "São Paulo", description: 'a "],[{" b', tags: [1, [2]] },
+      },
+      { row: 2, value: 3 },
+      { row: 3, value: "x" },
+    ]);
+    expect(await collect(parseJsonArray([" [ ] "]))).toEqual([]);
+    await expect(collect(parseJsonArray(["[1, 2"]))).rejects.toMatchObject({ status: 400 });
+    await expect(collect(parseJsonArray(["[1] [2]"]))).rejects.toMatchObject({ status: 400 });
+  });
+
+  // 9) Bodies are capped by IMPORT_MAX_MB, not by express.json's 100kb
+  test("importRows takes bodies up to IMPORT_MAX_MB and rejects larger ones with 413", async () => {
+    const records = JSON.stringify(Array(2000).fill({ city: "Oslo" })); // ~34kb
+    process.env.IMPORT_MAX_MB = "0.05";
+    try {
+      expect(await collect(importRows(Readable.from([records]), "json"))).toHaveLength(2000);
+
+      const tooBig = Readable.from([records, records]);
+      await expect(collect(importRows(tooBig, "json"))).rejects.toMatchObject({ status: 413 });
+      const declared = Object.assign(Readable.from([records]), {
+        headers: { "content-length": "1000000" },
+      });
+      await expect(collect(importRows(declared, "csv"))).rejects.toMatchObject({ status: 413 });
+    } finally {
+      delete process.env.IMPORT_MAX_MB;
+    }
+  });
+
+  // 10) Exported rows import back to the same metric values
+  test("parseImportRow converts CSV strings and units back to a metric record", () => {
+    const row = {
+      id: doc._id,
+      city: "Oslo",
+      country: "NO",
+      lon: "10.75",
+      lat: "59.91",
+      temp: "68",
+      feelsLike: "67.1",
+      humidity: "55",
+      pressure: "1012",
+      windSpeed: "8.95",
+      condition: "Clouds",
+      description: "broken clouds",
+      fetchedAt: "2024-05-01T12:00:00.000Z",
+      provider: "",
+      units: "imperial",
+    };
+
+    const result = parseImportRow(row);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({
+      city: "Oslo",
+      country: "NO",
+      coordinates: { lon: 10.75, lat: 59.91 },
+      temp: 20,
+      feelsLike: 19.5,
+      humidity: 55,
+      pressure: 1012,
+      windSpeed: 4,
+      condition: "Clouds",
+      description: "broken clouds",
+      fetchedAt: new Date("2024-05-01T12:00:00Z"),
+    });
+  });
+
+  // 11) Invalid rows
+  test("parseImportRow reports zod issues for bad values and units", () => {
+    const bad = parseImportRow({ city: "Oslo", temp: "warm", units: "metric" });
+    expect(bad.success).toBe(false);
+    const paths = bad.error.issues.map((issue) => issue.path.join("."));
+    expect(paths).toEqual(expect.arrayContaining(["temp", "country", "coordinates", "fetchedAt"]));
+
+    const units = parseImportRow({ city: "Oslo", units: "kelvin" });
+    expect(units.success).toBe(false);
+    expect(units.error.issues[0].path).toEqual(["units"]);
+
+    // The 2dsphere index would reject these mid-import, so the row is rejected up front
+    const offMap = parseImportRow({ city: "Oslo", lat: "120", lon: "-200" });
+    const offMapPaths = offMap.error.issues.map((issue) => issue.path.join("."));
+    expect(offMapPaths).toEqual(expect.arrayContaining(["coordinates.lat", "coordinates.lon"]));
+  });
+});
+
+describe("importRecords()", () => {
+  // 12) Dry run report
+  test("reports accepted and rejected rows without saving on a dry run", async () => {
+    const valid = {
+      city: "Oslo",
+      country: "NO",
+      coordinates: { lon: 10.75, lat: 59.91 },
+      temp: 20,
+      feelsLike: 19.5,
+      humidity: 55,
+      pressure: 1012,
+      windSpeed: 4,
+      condition: "Clouds",
+      description: "broken clouds",
+      fetchedAt: "2024-05-01T12:00:00Z",
+    };
+    const rows = [
+      { row: 1, value: valid },
+      { row: 2, value: { ...valid, humidity: 55.5 } },
+      { row: 3, issues: [{ path: "", message: "Invalid JSON", code: "invalid_json" }] },
+    ];
+
+    const report = await importRecords(rows, { owner: "users/1", dryRun: true });
+
+    expect(report).toMatchObject({ dryRun: true, total: 3, accepted: 1, rejected: 2 });
+    expect(report.rows[0]).toEqual({ row: 1, status: "accepted" });
+    expect(report.rows[1]).toMatchObject({
+      row: 2,
+      status: "rejected",
+      issues: [{ path: "humidity", code: "invalid_type" }],
+    });
+    expect(report.rows[2].issues[0].code).toBe("invalid_json");
+  });
+});
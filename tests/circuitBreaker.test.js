@@ -0,0 +1,83 @@
+/** @jest-environment node */
+
+import { createCircuitBreaker } from "../weather/circuitBreaker.js";
+
+const outage = Object.assign(new Error("OpenWeather timed out"), { outage: true });
+const notFound = Object.assign(new Error("Location not found"), { status: 404 });
+
+// A breaker on a clock the test controls
+function breakerAt(start = 0) {
+  const clock = { now: start };
+  const breaker = createCircuitBreaker({
+    name: "openweather",
+    failureThreshold: 3,
+    resetMs: 30000,
+    now: () => clock.now,
+  });
+  return { breaker, clock };
+}
+
+describe("createCircuitBreaker()", () => {
+  // 1) Opens after consecutive outages only
+  test("opens after failureThreshold outages in a row", () => {
+    const { breaker } = breakerAt();
+
+    breaker.failed(outage);
+    breaker.failed(outage);
+    breaker.failed(notFound); // the provider answered, so the count starts over
+    breaker.failed(outage);
+    breaker.failed(outage);
+    expect(breaker.state).toBe("closed");
+
+    breaker.failed(outage);
+    expect(breaker.state).toBe("open");
+    expect(breaker.allowsRequest()).toBe(false);
+  });
+
+  // 2) Failing fast
+  test("openError is a 503 with the seconds left until the next trial", () => {
+    const { breaker, clock } = breakerAt();
+    for (let i = 0; i < 3; i++) breaker.failed(outage);
+    clock.now += 12000;
+
+    const err = breaker.openError();
+
+    expect(err.status).toBe(503);
+    expect(err.headers["Retry-After"]).toBe("18");
+  });
+
+  // 3) Half-open: one trial, then closed or open again
+  test("lets one trial through after resetMs and closes on success", () => {
+    const { breaker, clock } = breakerAt();
+    for (let i = 0; i < 3; i++) breaker.failed(outage);
+
+    clock.now += 30000;
+    expect(breaker.state).toBe("half-open");
+    expect(breaker.allowsRequest()).toBe(true);
+    expect(breaker.allowsRequest()).toBe(false); // everyone else waits for the trial
+
+    breaker.failed(outage);
+    expect(breaker.state).toBe("open");
+
+    clock.now += 30000;
+    expect(breaker.allowsRequest()).toBe(true);
+    breaker.succeeded();
+    expect(breaker.state).toBe("closed");
+    expect(breaker.allowsRequest()).toBe(true);
+  });
+
+  // 4) A trial that never went out doesn't keep the breaker open
+  test("released() hands the half-open trial to the next caller", () => {
+    const { breaker, clock } = breakerAt();
+    for (let i = 0; i < 3; i++) breaker.failed(outage);
+
+    clock.now += 30000;
+    expect(breaker.allowsRequest()).toBe(true);
+    breaker.released();
+
+    expect(breaker.state).toBe("half-open");
+    expect(breaker.allowsRequest()).toBe(true);
+    breaker.succeeded();
+    expect(breaker.state).toBe("closed");
+  });
+});
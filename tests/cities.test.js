@@ -0,0 +1,81 @@
+/** @jest-environment node */
+
+import express from "express";
+import request from "supertest";
+import { foldName, editDistance, searchCities } from "../weather/cities.js";
+import cityRouter from "../weather/routes/cityRoutes.js";
+import { errorHandler } from "../weather/errorHandler.js";
+
+describe("city search", () => {
+  // 1) Accents, case and punctuation don't matter
+  test("foldName folds accents, case, special letters and punctuation", () => {
+    expect(foldName("São Paulo")).toBe("sao paulo");
+    expect(foldName("Łódź")).toBe("lodz");
+    expect(foldName("St. Louis")).toBe("st louis");
+  });
+
+  // 2) Edit distance with an early exit
+  test("editDistance counts an adjacent swap as one edit and stops past max", () => {
+    expect(editDistance("bostn", "boston", 2)).toBe(1);
+    expect(editDistance("prais", "paris", 2)).toBe(1);
+    expect(editDistance("london", "paris", 2)).toBe(3);
+  });
+
+  // 3) Prefix matches, biggest first
+  test("searchCities ranks prefix matches by population", () => {
+    const results = searchCities("springfield", { limit: 3 });
+
+    expect(results.map((city) => city.admin)).toEqual(["MO", "MA", "IL"]);
+    expect(results[0]).toEqual({
+      name: "Springfield",
+      country: "US",
+      admin: "MO",
+      coordinates: { lat: expect.any(Number), lon: expect.any(Number) },
+      population: expect.any(Number),
+      match: "prefix",
+    });
+  });
+
+  // 4) Any word of the name can match
+  test("searchCities matches the start of any word and ignores accents", () => {
+    expect(searchCities("york", { limit: 1 })[0].name).toBe("New York City");
+    expect(searchCities("lodz", { limit: 1 })[0].name).toBe("Łódź");
+  });
+
+  // 5) Misspellings
+  test("searchCities falls back to close misspellings", () => {
+    const [city] = searchCities("philadelpia");
+
+    expect(city).toMatchObject({ name: "Philadelphia", country: "US", match: "fuzzy" });
+  });
+
+  // 6) Country filter and no matches
+  test("searchCities can be limited to a country and returns [] for nonsense", () => {
+    const results = searchCities("paris", { country: "US" });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every((city) => city.country === "US")).toBe(true);
+    expect(searchCities("zzzzqqq")).toEqual([]);
+  });
+
+  describe("GET /api/cities/search", () => {
+    const app = express();
+    app.use("/api/cities", cityRouter);
+    app.use(errorHandler);
+
+    // 7) Route returns { items }
+    test("returns suggestions for q, honouring limit and country", async () => {
+      const res = await request(app).get("/api/cities/search?q=portland&limit=2&country=us");
+
+      expect(res.status).toBe(200);
+      expect(res.body.items).toHaveLength(2);
+      expect(res.body.items.every((city) => city.country === "US")).toBe(true);
+    });
+
+    // 8) Validation
+    test("rejects a missing q or an out-of-range limit with 400", async () => {
+      expect((await request(app).get("/api/cities/search")).status).toBe(400);
+      expect((await request(app).get("/api/cities/search?q=x&limit=50")).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+// tests/citySearch.ui.test.js
+import { jest } from "@jest/globals";
+
+function setupDOM() {
+  document.body.innerHTML = `
+    <input id="city-input" type="text" />
+    <ul id="city-suggestions" hidden></ul>
+  `;
+}
+
+function okResponse(body) {
+  return { ok: true, json: async () => body, text: async () => "" };
+}
+
+const portland = {
+  name: "Portland",
+  country: "US",
+  admin: "OR",
+  coordinates: { lat: 45.52, lon: -122.68 },
+  population: 632309,
+  match: "prefix",
+};
+const portlandMaine = { ...portland, admin: "ME", coordinates: { lat: 43.66, lon: -70.26 } };
+const portoAlegre = { ...portland, name: "Porto Alegre", country: "BR", admin: "23" };
+
+function key(input, name) {
+  input.dispatchEvent(new KeyboardEvent("keydown", { key: name, bubbles: true }));
+}
+
+describe("City suggestions UI", () => {
+  let placeLabel;
+  let attachCitySuggestions;
+  let input;
+  let list;
+  let onPick;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    setupDOM();
+    const mod = await import("../public/js/citySearch.js");
+    placeLabel = mod.placeLabel;
+    attachCitySuggestions = mod.attachCitySuggestions;
+
+    input = document.getElementById("city-input");
+    list = document.getElementById("city-suggestions");
+    onPick = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  // 1. placeLabel – numeric region codes are left out
+  test("placeLabel shows letter region codes but skips numeric ones", () => {
+    expect(placeLabel(portland)).toBe("Portland, OR, US");
+    expect(placeLabel(portoAlegre)).toBe("Porto Alegre, BR");
+  });
+
+  // 2. attachCitySuggestions – combobox roles
+  test("attachCitySuggestions marks up the input and list as a combobox", () => {
+    attachCitySuggestions(input, list, { onPick });
+
+    expect(input.getAttribute("role")).toBe("combobox");
+    expect(input.getAttribute("aria-controls")).toBe("city-suggestions");
+    expect(input.getAttribute("aria-expanded")).toBe("false");
+    expect(list.getAttribute("role")).toBe("listbox");
+  });
+
+  // 3. typing – debounced request renders options
+  test("typing fetches suggestions once the user pauses and lists them", async () => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn().mockResolvedValue(okResponse({ items: [portland, portlandMaine] }));
+    attachCitySuggestions(input, list, { onPick });
+
+    input.value = "por";
+    input.dispatchEvent(new Event("input"));
+    input.value = "portl";
+    input.dispatchEvent(new Event("input"));
+    await jest.advanceTimersByTimeAsync(150);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toBe("/api/cities/search?q=portl");
+    expect(list.hidden).toBe(false);
+    expect(input.getAttribute("aria-expanded")).toBe("true");
+    const options = list.querySelectorAll("[role=option]");
+    expect([...options].map((li) => li.textContent)).toEqual([
+      "Portland, OR, US",
+      "Portland, ME, US",
+    ]);
+  });
+
+  // 4. keyboard – arrows move, Enter picks
+  test("ArrowDown/ArrowUp move the highlight and Enter picks the highlighted city", async () => {
+    global.fetch = jest.fn().mockResolvedValue(okResponse({ items: [portland, portlandMaine] }));
+    const widget = attachCitySuggestions(input, list, { onPick });
+    await widget.suggest("portl");
+
+    key(input, "ArrowDown");
+    key(input, "ArrowDown");
+    expect(input.getAttribute("aria-activedescendant")).toBe("city-suggestions-option-1");
+    key(input, "ArrowUp");
+    expect(list.children[0].getAttribute("aria-selected")).toBe("true");
+
+    key(input, "Enter");
+
+    expect(onPick).toHaveBeenCalledWith(portland);
+    expect(input.value).toBe("Portland, OR, US");
+    expect(list.hidden).toBe(true);
+  });
+
+  // 5. Escape and stale responses
+  test("Escape closes the list and a response for an older query is ignored", async () => {
+    let resolveOld;
+    global.fetch = jest
+      .fn()
+      .mockReturnValueOnce(new Promise((resolve) => (resolveOld = resolve)))
+      .mockResolvedValueOnce(okResponse({ items: [portoAlegre] }));
+    const widget = attachCitySuggestions(input, list, { onPick });
+
+    const old = widget.suggest("port");
+    await widget.suggest("porto");
+    resolveOld(okResponse({ items: [portland] }));
+    await old;
+
+    expect(list.querySelectorAll("[role=option]")).toHaveLength(1);
+    expect(list.textContent).toBe("Porto Alegre, BR");
+
+    key(input, "Escape");
+    expect(list.hidden).toBe(true);
+    expect(input.getAttribute("aria-expanded")).toBe("false");
+    expect(onPick).not.toHaveBeenCalled();
+  });
+
+  // 6. mouse – picking with a click
+  test("pressing a suggestion with the mouse picks it", async () => {
+    global.fetch = jest.fn().mockResolvedValue(okResponse({ items: [portland, portlandMaine] }));
+    const widget = attachCitySuggestions(input, list, { onPick });
+    await widget.suggest("portl");
+
+    list.children[1].dispatchEvent(new MouseEvent("mousedown", { bubbles: true }));
+
+    expect(onPick).toHaveBeenCalledWith(portlandMaine);
+  });
+
+  // 7. closing – a response still on its way doesn't reopen the list
+  test("a slow response arriving after the input loses focus leaves the list closed", async () => {
+    let resolveSlow;
+    global.fetch = jest
+      .fn()
+      .mockReturnValueOnce(new Promise((resolve) => (resolveSlow = resolve)))
+      .mockResolvedValueOnce(okResponse({ items: [portland] }));
+    const widget = attachCitySuggestions(input, list, { onPick });
+
+    const slow = widget.suggest("portl");
+    input.dispatchEvent(new Event("blur"));
+    resolveSlow(okResponse({ items: [portland] }));
+    await slow;
+
+    expect(list.hidden).toBe(true);
+    expect(list.children).toHaveLength(0);
+    expect(input.getAttribute("aria-expanded")).toBe("false");
+  });
+});
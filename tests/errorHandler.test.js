@@ -0,0 +1,116 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createError from "http-errors";
+import mongoose from "mongoose";
+import { z } from "zod";
+import { errorHandler } from "../weather/errorHandler.js";
+
+// Tiny app whose only route throws whatever the test hands it
+function appThrowing(makeError) {
+  const app = express();
+  app.use(express.json());
+  app.post("/api/boom", (_req, _res, next) => next(makeError()));
+  app.use(errorHandler);
+  return app;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("errorHandler", () => {
+  // 1) zod validation errors
+  test("returns 400 with per-field issues for a ZodError", async () => {
+    const schema = z.object({ temp: z.number(), city: z.string() });
+    const app = appThrowing(() => schema.safeParse({ temp: "hot" }).error);
+
+    const res = await request(app).post("/api/boom");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe("Validation failed");
+    expect(res.body.error.issues.map((i) => i.path).sort()).toEqual(["city", "temp"]);
+  });
+
+  // 2) bad ObjectIds
+  test("returns 400 for a mongoose CastError", async () => {
+    const app = appThrowing(
+      () => new mongoose.Error.CastError("ObjectId", "not-an-id", "_id")
+    );
+
+    const res = await request(app).post("/api/boom");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.issues[0]).toEqual(
+      expect.objectContaining({ path: "_id", message: 'Invalid ObjectId: "not-an-id"' })
+    );
+  });
+
+  // 3) http-errors keep their status and message
+  test("uses the status and message of http-errors", async () => {
+    const app = appThrowing(() => createError(404, "Weather record not found"));
+
+    const res = await request(app).post("/api/boom");
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({
+      error: { status: 404, message: "Weather record not found" },
+    });
+  });
+
+  // 4) malformed JSON bodies (body-parser errors are http-errors too)
+  test("returns 400 for a malformed JSON body", async () => {
+    const app = appThrowing(() => new Error("unreachable"));
+
+    const res = await request(app)
+      .post("/api/boom")
+      .set("Content-Type", "application/json")
+      .send("{not json");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.status).toBe(400);
+  });
+
+  // 5) untranslated upstream failures
+  test("maps axios errors to 502", async () => {
+    const app = appThrowing(() =>
+      Object.assign(new Error("Request failed with status code 500"), {
+        isAxiosError: true,
+      })
+    );
+
+    const res = await request(app).post("/api/boom");
+
+    expect(res.status).toBe(502);
+    expect(res.body.error.message).toBe("Upstream weather service error");
+  });
+
+  // 6) anything else is a generic 500 without leaking internals
+  test("hides the message of unexpected errors", async () => {
+    const app = appThrowing(() => new Error("secret connection string"));
+
+    const res = await request(app).post("/api/boom");
+
+    expect(res.status).toBe(500);
+    expect(res.body.error.message).toBe("Internal Server Error");
+  });
+
+  // 7) headers set on the error are passed through
+  test("forwards headers attached to the error", async () => {
+    const app = appThrowing(() =>
+      createError(503, "Try later", { expose: true, headers: { "Retry-After": "30" } })
+    );
+
+    const res = await request(app).post("/api/boom");
+
+    expect(res.status).toBe(503);
+    expect(res.headers["retry-after"]).toBe("30");
+    expect(res.body.error.message).toBe("Try later");
+  });
+});
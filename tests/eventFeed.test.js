@@ -0,0 +1,96 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+
+const create = jest.fn(async (doc) => doc);
+const find = jest.fn();
+let closeTail;
+
+// The first tail hands out `tailed` and then waits, like an idle capped collection
+const tailed = [];
+function tailCursor() {
+  const closed = new Promise((resolve) => (closeTail = resolve));
+  return {
+    async *[Symbol.asyncIterator]() {
+      yield* tailed;
+      await closed;
+    },
+    close: async () => closeTail(),
+  };
+}
+
+jest.unstable_mockModule("../weather/models/weatherEvent.js", () => ({
+  WeatherEvent: {
+    create,
+    find: (...args) => {
+      find(...args);
+      const query = { tailable: () => query, lean: () => query, cursor: tailCursor };
+      return query;
+    },
+  },
+}));
+
+const { feedEvents, startEventFeed } = await import("../weather/eventFeed.js");
+const { emitWeatherEvent } = await import("../weather/events.js");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const record = { _id: "rec-1", owner: "google|test-owner", city: "Boston", temp: 10 };
+
+describe("shared weather event feed", () => {
+  const received = [];
+  const onEvent = (event) => received.push(event);
+
+  beforeEach(() => {
+    received.length = 0;
+    feedEvents.on("event", onEvent);
+  });
+
+  afterEach(() => {
+    feedEvents.off("event", onEvent);
+  });
+
+  // 1) Without a database, only this instance's events
+  test("passes local events straight through before the feed starts", () => {
+    const event = emitWeatherEvent("weather.created", record);
+
+    expect(received).toEqual([event]);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  // 2) Once started, every event goes through the shared collection
+  test("publishes local events and follows everyone's from the collection", async () => {
+    tailed.push({
+      _id: "66aa00000000000000000001",
+      eventId: "evt-from-elsewhere",
+      type: "weather.updated",
+      occurredAt: new Date("2025-01-31T12:00:00Z"),
+      owner: "linkedin|someone-else",
+      data: { _id: "rec-2", city: "Lima" },
+    });
+    const stop = startEventFeed();
+
+    const event = emitWeatherEvent("weather.deleted", record);
+    await wait(20);
+    stop();
+
+    expect(create).toHaveBeenCalledWith({
+      eventId: event.id,
+      type: "weather.deleted",
+      occurredAt: event.occurredAt,
+      owner: "google|test-owner",
+      data: record,
+    });
+    expect(find.mock.calls[0][0]._id.$gt).toBeDefined();
+    // Only what was tailed arrives; the local event comes back the same way
+    expect(received).toEqual([
+      {
+        id: "evt-from-elsewhere",
+        type: "weather.updated",
+        occurredAt: "2025-01-31T12:00:00.000Z",
+        owner: "linkedin|someone-else",
+        data: { _id: "rec-2", city: "Lima" },
+        feedId: "66aa00000000000000000001",
+      },
+    ]);
+  });
+});
@@ -28,4 +28,22 @@ describe("fetchJSON()", () => {
 
     await expect(fetchJSON("/fake")).rejects.toThrow("Bad Request");
   });
+
+  test("throws a readable message from a JSON error body", async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      text: async () =>
+        JSON.stringify({
+          error: {
+            status: 400,
+            message: "Validation failed",
+            issues: [{ path: "temp", message: "Expected number, received string" }],
+          },
+        }),
+    });
+
+    await expect(fetchJSON("/fake")).rejects.toThrow(
+      "Validation failed (temp: Expected number, received string)"
+    );
+  });
 });
@@ -0,0 +1,162 @@
+/** @jest-environment node */
+
+import mongoose from "mongoose";
+import {
+  listQuerySchema,
+  locationQuerySchema,
+  nearQuerySchema,
+  weatherPatchSchema,
+} from "../weather/validation.js";
+import { buildListQuery, decodeCursor, encodeCursor } from "../weather/listQuery.js";
+
+describe("listQuerySchema", () => {
+  // 1) Defaults
+  test("defaults to newest first, 50 per page", () => {
+    expect(listQuerySchema.parse({})).toEqual(
+      expect.objectContaining({ sort: "-fetchedAt", limit: 50 })
+    );
+  });
+
+  // 2) Junk and oversized limits
+  test("falls back to 50 for a junk limit and caps large ones", () => {
+    expect(listQuerySchema.parse({ limit: "abc" }).limit).toBe(50);
+    expect(listQuerySchema.parse({ limit: "5000" }).limit).toBe(200);
+  });
+
+  // 3) Inverted ranges are rejected
+  test("rejects from after to", () => {
+    const result = listQuerySchema.safeParse({ from: "2025-02-01", to: "2025-01-01" });
+    expect(result.success).toBe(false);
+  });
+
+  // 4) Sort whitelist
+  test("only accepts whitelisted sort fields", () => {
+    expect(listQuerySchema.safeParse({ sort: "-temp" }).success).toBe(true);
+    expect(listQuerySchema.safeParse({ sort: "owner" }).success).toBe(false);
+  });
+
+  // 5) Blank numbers are missing, not 0
+  test("ignores a blank minTemp/maxTemp and rejects non-numbers", () => {
+    const params = listQuerySchema.parse({ minTemp: "", maxTemp: " " });
+
+    expect(params.minTemp).toBeUndefined();
+    expect(params.maxTemp).toBeUndefined();
+    expect(listQuerySchema.parse({ minTemp: "-3.5" }).minTemp).toBe(-3.5);
+    expect(listQuerySchema.safeParse({ minTemp: "warm" }).success).toBe(false);
+    expect(nearQuerySchema.safeParse({ lat: "", lon: "" }).success).toBe(false);
+    expect(nearQuerySchema.parse({ lat: "0", lon: "0" })).toMatchObject({ lat: 0, lon: 0 });
+  });
+});
+
+describe("cursors", () => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    fetchedAt: new Date("2025-01-01T00:00:00Z"),
+  };
+
+  // 6) Round trip, with dates restored
+  test("decodeCursor reverses encodeCursor", () => {
+    const cursor = encodeCursor("-fetchedAt", doc);
+
+    const { value, id } = decodeCursor(cursor, "-fetchedAt");
+    expect(value).toEqual(doc.fetchedAt);
+    expect(id.equals(doc._id)).toBe(true);
+  });
+
+  // 7) A cursor only works with the sort it came from
+  test("rejects a cursor made for a different sort", () => {
+    const cursor = encodeCursor("-fetchedAt", doc);
+
+    expect(() => decodeCursor(cursor, "temp")).toThrow(/Invalid cursor/);
+    expect(() => decodeCursor("garbage", "temp")).toThrow(/Invalid cursor/);
+  });
+});
+
+describe("buildListQuery()", () => {
+  // 8) Filters are combined with the ownership scope
+  test("combines the scope with each filter", () => {
+    const params = listQuerySchema.parse({ city: "new york", minTemp: "5" });
+
+    const { filter, sort } = buildListQuery(params, { owner: "google|1" });
+
+    expect(filter.$and).toEqual([
+      { owner: "google|1" },
+      { city: { $regex: "^new york$", $options: "i" } },
+      { temp: { $gte: 5 } },
+    ]);
+    expect(sort).toEqual({ fetchedAt: -1, _id: -1 });
+  });
+
+  // 9) User input can't inject regex syntax
+  test("escapes regex characters in city names", () => {
+    const params = listQuerySchema.parse({ city: "St. Louis (MO)" });
+
+    const { filter } = buildListQuery(params);
+
+    expect(filter.$and[1].city.$regex).toBe("^St\\. Louis \\(MO\\)$");
+  });
+
+  // 10) Keyset condition follows the sort direction
+  test("continues after the cursor in the sort direction", () => {
+    const _id = new mongoose.Types.ObjectId();
+    const cursor = encodeCursor("temp", { _id, temp: 12 });
+    const params = listQuerySchema.parse({ sort: "temp", cursor });
+
+    const { filter } = buildListQuery(params);
+
+    expect(filter.$and[1]).toEqual({
+      $or: [{ temp: { $gt: 12 } }, { temp: 12, _id: { $gt: _id } }],
+    });
+  });
+});
+
+describe("locationQuerySchema", () => {
+  // 11) Exactly one lookup form survives
+  test("normalizes city, lat/lon and zip lookups", () => {
+    expect(locationQuerySchema.parse({ lat: "45.52", lon: "-122.68", city: "x" })).toEqual({
+      lat: 45.52,
+      lon: -122.68,
+    });
+    expect(locationQuerySchema.parse({ zip: "97201", country: "us" })).toEqual({
+      zip: "97201",
+      country: "US",
+    });
+    expect(locationQuerySchema.parse({ city: " Springfield " })).toEqual({
+      city: "Springfield",
+    });
+  });
+
+  // 12) Half a coordinate pair or a zip without a country is rejected
+  test("rejects incomplete lookups", () => {
+    expect(() => locationQuerySchema.parse({ lat: "45.52" })).toThrow(/lat and lon/);
+    expect(() => locationQuerySchema.parse({ zip: "97201" })).toThrow(/country/);
+    expect(() => locationQuerySchema.parse({ lat: "91", lon: "0" })).toThrow();
+  });
+
+  // 13) Blank coordinates are missing, not 0,0
+  test("treats blank lat/lon as not given and rejects non-numbers", () => {
+    expect(locationQuerySchema.parse({ city: "Paris", lat: "", lon: "" })).toEqual({
+      city: "Paris",
+    });
+    expect(() => locationQuerySchema.parse({ lat: " ", lon: "2.35" })).toThrow(/lat and lon/);
+    expect(() => locationQuerySchema.parse({ lat: "north", lon: "2.35" })).toThrow();
+  });
+});
+
+describe("weatherPatchSchema", () => {
+  // 14) JSON dates are coerced; anything else must be a real date
+  test("coerces ISO fetchedAt strings and rejects bad dates", () => {
+    expect(weatherPatchSchema.parse({ fetchedAt: "2025-01-01T00:00:00Z" })).toEqual({
+      fetchedAt: new Date("2025-01-01T00:00:00Z"),
+    });
+    expect(() => weatherPatchSchema.parse({ fetchedAt: "yesterday" })).toThrow(/Invalid date/);
+  });
+
+  // 15) Partial, but not empty and no unknown fields
+  test("takes any subset of fields but not an empty or unknown one", () => {
+    expect(weatherPatchSchema.parse({ temp: 12.5 })).toEqual({ temp: 12.5 });
+    expect(() => weatherPatchSchema.parse({})).toThrow(/Nothing to update/);
+    expect(() => weatherPatchSchema.parse({ owner: "someone" })).toThrow(/Unrecognized key/);
+    expect(() => weatherPatchSchema.parse({ humidity: 50.5 })).toThrow();
+  });
+});
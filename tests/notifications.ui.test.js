@@ -0,0 +1,119 @@
+// tests/notifications.ui.test.js
+import { jest } from "@jest/globals";
+
+function setupDOM() {
+  document.body.innerHTML = `
+    <button id="notif-toggle" aria-expanded="false">
+      <span id="notif-badge"></span>
+    </button>
+    <div id="notif-panel" hidden>
+      <button id="notif-ack-all">Mark all read</button>
+      <ul id="notif-list"></ul>
+    </div>
+  `;
+}
+
+function okResponse(body) {
+  return { ok: true, json: async () => body, text: async () => "" };
+}
+
+describe("Notification feed UI", () => {
+  let updateBadge;
+  let renderNotifications;
+  let togglePanel;
+  let acknowledgeNotification;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    setupDOM();
+    const mod = await import("../public/js/notifications.js");
+    updateBadge = mod.updateBadge;
+    renderNotifications = mod.renderNotifications;
+    togglePanel = mod.togglePanel;
+    acknowledgeNotification = mod.acknowledgeNotification;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // 1. updateBadge – shows the count, hides at zero
+  test("updateBadge shows the unread count and hides when there is none", () => {
+    const badge = document.getElementById("notif-badge");
+
+    updateBadge(3);
+    expect(badge.textContent).toBe("3");
+    expect(badge.style.display).toBe("inline-block");
+    expect(document.getElementById("notif-toggle").getAttribute("aria-label")).toBe(
+      "Notifications (3 unread)"
+    );
+
+    updateBadge(0);
+    expect(badge.style.display).toBe("none");
+  });
+
+  // 2. renderNotifications – unread items get a "Mark read" button
+  test("renderNotifications lists items with read/dismiss actions", () => {
+    renderNotifications([
+      {
+        _id: "1",
+        message: "Heat: Phoenix temp is 41°C (> 40°C)",
+        createdAt: "2025-07-01T12:00:00Z",
+      },
+      {
+        _id: "2",
+        message: "Rain in Boston",
+        createdAt: "2025-07-01T11:00:00Z",
+        acknowledgedAt: "2025-07-01T11:05:00Z",
+      },
+    ]);
+
+    const items = document.querySelectorAll(".notif-item");
+    expect(items.length).toBe(2);
+    expect(items[0].className).toContain("unread");
+    expect(items[0].textContent).toContain("Mark read");
+    expect(items[1].className).not.toContain("unread");
+    expect(items[1].textContent).not.toContain("Mark read");
+    expect(items[1].textContent).toContain("Dismiss");
+  });
+
+  // 3. renderNotifications – empty feed
+  test("renderNotifications shows a placeholder for an empty feed", () => {
+    renderNotifications([]);
+
+    expect(document.getElementById("notif-list").textContent).toContain("No notifications.");
+  });
+
+  // 4. togglePanel – opening loads the feed
+  test("togglePanel opens the panel and loads notifications", async () => {
+    global.fetch = jest.fn().mockResolvedValueOnce(
+      okResponse({
+        items: [{ _id: "1", message: "Rain in Boston", createdAt: "2025-07-01T11:00:00Z" }],
+        unreadCount: 1,
+      })
+    );
+
+    await togglePanel();
+
+    expect(document.getElementById("notif-panel").hidden).toBe(false);
+    expect(document.getElementById("notif-toggle").getAttribute("aria-expanded")).toBe("true");
+    expect(global.fetch.mock.calls[0][0]).toBe("/api/notifications?limit=20");
+    expect(document.getElementById("notif-badge").textContent).toBe("1");
+  });
+
+  // 5. acknowledgeNotification – POSTs, then refreshes
+  test("acknowledgeNotification posts the ack and refreshes the feed", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(okResponse({ _id: "1" }))
+      .mockResolvedValueOnce(okResponse({ items: [], unreadCount: 0 }));
+
+    await acknowledgeNotification("1");
+
+    expect(global.fetch.mock.calls[0]).toEqual([
+      "/api/notifications/1/ack",
+      { method: "POST" },
+    ]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
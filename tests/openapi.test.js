@@ -0,0 +1,124 @@
+/** @jest-environment node */
+
+import express from "express";
+import request from "supertest";
+import SwaggerParser from "@apidevtools/swagger-parser";
+import { swaggerSpec, docsRouter } from "../weather/swagger.js";
+import { createSpecValidator } from "../weather/specValidator.js";
+import {
+  weatherSchema,
+  weatherPatchSchema,
+  alertRuleSchema,
+  webhookUpdateSchema,
+} from "../weather/validation.js";
+import cityRouter from "../weather/routes/cityRoutes.js";
+import { errorHandler } from "../weather/errorHandler.js";
+
+const weather = {
+  city: "Oslo",
+  country: "NO",
+  coordinates: { lon: 10.75, lat: 59.91 },
+  temp: 4,
+  feelsLike: 1,
+  humidity: 80,
+  pressure: 1008,
+  windSpeed: 5.5,
+  condition: "Rain",
+  description: "light rain",
+  fetchedAt: "2025-01-01T00:00:00.000Z",
+};
+const rule = { city: "Oslo", field: "temp", op: "<", value: 0 };
+
+describe("OpenAPI spec", () => {
+  const spec = createSpecValidator(swaggerSpec);
+
+  const app = express();
+  app.set("trust proxy", 1);
+  app.use("/docs", docsRouter);
+  app.use("/api/cities", cityRouter);
+  app.use(errorHandler);
+
+  // 1) Every $ref resolves and the document is valid OpenAPI
+  test("is a valid OpenAPI document", async () => {
+    await expect(SwaggerParser.validate(structuredClone(swaggerSpec))).resolves.toBeDefined();
+    expect(swaggerSpec.components.schemas).toHaveProperty("Weather");
+    expect(swaggerSpec.components.schemas).toHaveProperty("WeatherRecord");
+    expect(swaggerSpec.paths["/api/weather/fetch"].post.responses).toEqual(
+      expect.objectContaining({
+        201: expect.anything(),
+        404: expect.anything(),
+        429: expect.anything(),
+        502: expect.anything(),
+        503: expect.anything(),
+      })
+    );
+  });
+
+  // 2) Component schemas come from the zod schemas, so both accept the same bodies
+  test("request bodies the spec accepts are the ones the routes accept", () => {
+    const cases = [
+      ["PUT", "/api/weather/abc", weatherSchema, weather],
+      ["PUT", "/api/weather/abc", weatherSchema, { ...weather, humidity: 80.5 }],
+      ["PUT", "/api/weather/abc", weatherSchema, { ...weather, coordinates: undefined }],
+      ["PATCH", "/api/weather/abc", weatherPatchSchema, { temp: 5 }],
+      ["PATCH", "/api/weather/abc", weatherPatchSchema, {}],
+      ["POST", "/api/alerts", alertRuleSchema, rule],
+      ["POST", "/api/alerts", alertRuleSchema, { ...rule, op: "~" }],
+      ["POST", "/api/alerts", alertRuleSchema, { ...rule, unknown: 1 }],
+      ["PATCH", "/api/webhooks/abc", webhookUpdateSchema, { city: null }],
+      ["PATCH", "/api/webhooks/abc", webhookUpdateSchema, { url: "not a url" }],
+    ];
+
+    for (const [method, path, schema, body] of cases) {
+      const problems = spec.validateRequest({ method, path, body });
+      expect({ body, ok: problems.length === 0 }).toEqual({
+        body,
+        ok: schema.safeParse(body).success,
+      });
+    }
+  });
+
+  // 3) Responses are checked against the documented schema
+  test("GET /api/cities/search responses match the spec", async () => {
+    const res = await request(app).get("/api/cities/search?q=oslo");
+
+    expect(res.status).toBe(200);
+    expect(
+      spec.validateResponse({ method: "GET", path: res.req.path, status: 200, body: res.body })
+    ).toEqual([]);
+    expect(
+      spec.validateResponse({
+        method: "GET",
+        path: "/api/cities/search",
+        status: 200,
+        body: { items: [{ name: "Oslo" }] },
+      })
+    ).toContain("body/items/0 must have required property 'coordinates'");
+    expect(spec.validateResponse({ method: "GET", path: "/api/nope", status: 200 })).toEqual([
+      "GET /api/nope is not in the spec",
+    ]);
+  });
+
+  // 4) Downloadable spec, pointing at the instance that served it
+  test("GET /docs/openapi.json serves the spec with this host as its server", async () => {
+    const local = await request(app).get("/docs/openapi.json").set("Host", "localhost:3000");
+    const proxied = await request(app)
+      .get("/docs/openapi.json")
+      .set("Host", "weather.example.run.app")
+      .set("X-Forwarded-Proto", "https");
+
+    expect(local.status).toBe(200);
+    expect(local.headers["content-type"]).toMatch(/application\/json/);
+    expect(local.body.servers).toEqual([{ url: "http://localhost:3000" }]);
+    expect(local.body.paths).toHaveProperty(["/api/weather/{id}"]);
+    expect(proxied.body.servers).toEqual([{ url: "https://weather.example.run.app" }]);
+  });
+
+  // 5) The Swagger UI loads that same document
+  test("the Swagger UI loads /docs/openapi.json", async () => {
+    const res = await request(app).get("/docs/swagger-ui-init.js");
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('"swaggerUrl": "/docs/openapi.json"');
+  });
+});
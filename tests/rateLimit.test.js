@@ -0,0 +1,93 @@
+/** @jest-environment node */
+
+import { createTokenBuckets, rateLimitUpstream, resetRateLimits } from "../weather/rateLimit.js";
+
+// Just enough of an Express request/response
+function fakeReq({ user = "google|1", ip = "10.0.0.1" } = {}) {
+  return { user: { _key: user }, ip };
+}
+
+function fakeRes() {
+  const headers = {};
+  return { headers, set: (values) => Object.assign(headers, values) };
+}
+
+function run(middleware, req, res = fakeRes()) {
+  let passed;
+  middleware(req, res, (err) => {
+    passed = err ?? null;
+  });
+  return { err: passed, headers: res.headers };
+}
+
+describe("createTokenBuckets()", () => {
+  // 1) Bursts up to capacity, then a steady refill
+  test("allows a burst of capacity and refills at capacity per minute", () => {
+    const buckets = createTokenBuckets();
+    const t0 = 1_000_000;
+
+    expect(buckets.level("a", 6, t0)).toBe(6);
+    for (let i = 0; i < 6; i++) buckets.take("a", 6, t0);
+    expect(buckets.level("a", 6, t0)).toBe(0);
+
+    // 6 per minute is one every 10 seconds
+    expect(buckets.level("a", 6, t0 + 10_000)).toBeCloseTo(1);
+    expect(buckets.level("a", 6, t0 + 10 * 60_000)).toBe(6);
+    expect(buckets.level("b", 6, t0)).toBe(6);
+  });
+});
+
+describe("rateLimitUpstream()", () => {
+  const saved = { ...process.env };
+
+  beforeEach(() => {
+    resetRateLimits();
+    process.env.RATE_LIMIT_USER_PER_MINUTE = "3";
+    process.env.RATE_LIMIT_IP_PER_MINUTE = "5";
+  });
+
+  afterAll(() => {
+    process.env = saved;
+  });
+
+  // 2) Headers report the limit closest to running out
+  test("sets RateLimit-* headers from the tighter limit", () => {
+    const limit = rateLimitUpstream();
+
+    const { err, headers } = run(limit, fakeReq());
+
+    expect(err).toBeNull();
+    expect(headers).toEqual({
+      "RateLimit-Policy": "3;w=60",
+      "RateLimit-Limit": "3",
+      "RateLimit-Remaining": "2",
+      "RateLimit-Reset": "20",
+    });
+  });
+
+  // 3) Per user
+  test("answers 429 with Retry-After once a user's bucket is empty", () => {
+    const limit = rateLimitUpstream();
+    for (let i = 0; i < 3; i++) expect(run(limit, fakeReq()).err).toBeNull();
+
+    const { err } = run(limit, fakeReq());
+    const otherUser = run(limit, fakeReq({ user: "google|2" }));
+
+    expect(err.status).toBe(429);
+    expect(err.headers["Retry-After"]).toBe("20");
+    expect(err.headers["RateLimit-Remaining"]).toBe("0");
+    expect(otherUser.err).toBeNull();
+  });
+
+  // 4) Per IP, across users; limits of 0 are off
+  test("limits an IP across users, and can be turned off", () => {
+    const limit = rateLimitUpstream();
+    for (let i = 0; i < 5; i++) run(limit, fakeReq({ user: `google|${i}` }));
+
+    expect(run(limit, fakeReq({ user: "google|new" })).err.status).toBe(429);
+    expect(run(limit, fakeReq({ user: "google|new", ip: "10.0.0.2" })).err).toBeNull();
+
+    process.env.RATE_LIMIT_IP_PER_MINUTE = "0";
+    expect(run(limit, fakeReq({ user: "google|new" })).err).toBeNull();
+  });
+});
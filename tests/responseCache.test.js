@@ -0,0 +1,115 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import { createMemoryStore } from "../weather/cache/memoryStore.js";
+import { createMongoStore } from "../weather/cache/mongoStore.js";
+import { cacheKey, createResponseCache } from "../weather/cache/responseCache.js";
+
+describe("cacheKey()", () => {
+  // 1) Cities are normalized
+  test("normalizes case and whitespace in city names", () => {
+    expect(cacheKey("current", { city: "  New   York " })).toBe(
+      cacheKey("current", { city: "new york" })
+    );
+  });
+
+  // 2) Coordinates are rounded
+  test("rounds coordinates so nearby lookups share a key", () => {
+    expect(cacheKey("current", { lat: 39.9526, lon: -75.1652 })).toBe(
+      "current:coords:39.95,-75.17"
+    );
+  });
+
+  // 3) Zip codes are keyed per country
+  test("keys zip codes by country", () => {
+    expect(cacheKey("current", { zip: "sw1a 1aa", country: "gb" })).toBe(
+      "current:zip:GB:SW1A1AA"
+    );
+    expect(cacheKey("current", { zip: "19104", country: "US" })).not.toBe(
+      cacheKey("current", { zip: "19104", country: "DE" })
+    );
+  });
+});
+
+describe("memory store", () => {
+  // 4) Least recently used entries are evicted first
+  test("evicts the least recently used entry when full", async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set("a", 1, 60_000);
+    await store.set("b", 2, 60_000);
+    await store.get("a"); // "b" is now the oldest
+    await store.set("c", 3, 60_000);
+
+    expect(await store.get("a")).toBe(1);
+    expect(await store.get("b")).toBeUndefined();
+    expect(await store.get("c")).toBe(3);
+  });
+
+  // 5) Entries expire
+  test("expires entries after their TTL", async () => {
+    const store = createMemoryStore();
+    await store.set("a", 1, -1);
+
+    expect(await store.get("a")).toBeUndefined();
+    expect(store.size).toBe(0);
+  });
+
+  // 6) Cached values can't be mutated through a returned copy
+  test("returns copies of cached values", async () => {
+    const store = createMemoryStore();
+    await store.set("a", { temp: 1, fetchedAt: new Date(0) }, 60_000);
+
+    const copy = await store.get("a");
+    copy.temp = 99;
+
+    expect(await store.get("a")).toEqual({ temp: 1, fetchedAt: new Date(0) });
+  });
+});
+
+describe("mongo store without a connection", () => {
+  // 7) The shared cache never blocks a lookup
+  test("misses and skips writes while Mongo is not connected", async () => {
+    const store = createMongoStore();
+
+    await expect(store.set("a", 1, 60_000)).resolves.toBeUndefined();
+    await expect(store.get("a")).resolves.toBeUndefined();
+  });
+});
+
+describe("createResponseCache()", () => {
+  // 8) A store that fails only costs us the cache, not the request
+  test("falls through to the loader when the store errors", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const store = {
+      get: async () => {
+        throw new Error("boom");
+      },
+      set: async () => {
+        throw new Error("boom");
+      },
+      clear: async () => {},
+    };
+    const cache = createResponseCache({ store, ttlMs: 60_000 });
+
+    await expect(cache.wrap("k", async () => "fresh")).resolves.toEqual({
+      value: "fresh",
+      cache: "miss",
+    });
+    jest.restoreAllMocks();
+  });
+
+  // 9) A failed in-flight load is shared too, then forgotten
+  test("shares a failing load with concurrent callers and retries afterwards", async () => {
+    const cache = createResponseCache({ store: createMemoryStore(), ttlMs: 60_000 });
+    const load = jest.fn().mockRejectedValueOnce(new Error("down")).mockResolvedValue("ok");
+
+    const results = await Promise.allSettled([
+      cache.wrap("k", load),
+      cache.wrap("k", load),
+    ]);
+
+    expect(results.map((r) => r.status)).toEqual(["rejected", "rejected"]);
+    expect(load).toHaveBeenCalledTimes(1);
+    await expect(cache.wrap("k", load)).resolves.toEqual({ value: "ok", cache: "miss" });
+  });
+});
@@ -0,0 +1,110 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { MongoSessionStore, Session } from "../auth/sessionStore.js";
+
+dotenv.config();
+
+jest.setTimeout(30000);
+
+// Promisified wrappers around the callback-style store API
+const call = (store, method, ...args) =>
+  new Promise((resolve, reject) =>
+    store[method](...args, (err, value) => (err ? reject(err) : resolve(value)))
+  );
+
+function makeSession(expires = new Date(Date.now() + 60_000)) {
+  return {
+    cookie: { originalMaxAge: 60_000, expires, httpOnly: true, path: "/" },
+    passport: { user: "google|123" },
+  };
+}
+
+describe("MongoSessionStore without a MongoDB connection", () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MongoSessionStore();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // 1) Reads behave like an empty store instead of hanging
+  test("get() resolves to no session", async () => {
+    await expect(call(store, "get", "sid-1")).resolves.toBeNull();
+  });
+
+  // 2) Writes are skipped without an error
+  test("set(), touch() and destroy() succeed as no-ops", async () => {
+    await expect(call(store, "set", "sid-1", makeSession())).resolves.toBeUndefined();
+    await expect(call(store, "touch", "sid-1", makeSession())).resolves.toBeUndefined();
+    await expect(call(store, "destroy", "sid-1")).resolves.toBeUndefined();
+  });
+
+  // 3) The outage is only logged once
+  test("warns once while Mongo stays unavailable", async () => {
+    await call(store, "get", "sid-1");
+    await call(store, "get", "sid-2");
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("MongoSessionStore with MongoDB", () => {
+  const store = new MongoSessionStore();
+
+  beforeAll(async () => {
+    const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!uri) {
+      throw new Error("Missing MONGO_URI or MONGODB_URI in .env for tests");
+    }
+    await mongoose.connect(uri);
+  });
+
+  beforeEach(async () => {
+    await Session.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Session.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  // 4) Round trip
+  test("set() then get() returns the stored session", async () => {
+    await call(store, "set", "sid-1", makeSession());
+
+    const sess = await call(store, "get", "sid-1");
+    expect(sess.passport.user).toBe("google|123");
+  });
+
+  // 5) The document expiry follows the cookie
+  test("touch() moves the expiry forward", async () => {
+    const later = new Date(Date.now() + 120_000);
+    await call(store, "set", "sid-1", makeSession());
+    await call(store, "touch", "sid-1", makeSession(later));
+
+    const doc = await Session.findById("sid-1").lean();
+    expect(doc.expires.getTime()).toBe(later.getTime());
+  });
+
+  // 6) Expired sessions are ignored even before the TTL monitor runs
+  test("get() ignores expired sessions", async () => {
+    await call(store, "set", "sid-1", makeSession(new Date(Date.now() - 1000)));
+
+    await expect(call(store, "get", "sid-1")).resolves.toBeNull();
+  });
+
+  // 7) Logout removes the document
+  test("destroy() deletes the session", async () => {
+    await call(store, "set", "sid-1", makeSession());
+    await call(store, "destroy", "sid-1");
+
+    expect(await Session.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,170 @@
+/** @jest-environment node */
+
+import express from "express";
+import http from "http";
+import weatherRouter from "../weather/routes/weatherRoutes.js";
+import { errorHandler } from "../weather/errorHandler.js";
+import { emitWeatherEvent } from "../weather/events.js";
+import { feedEvents } from "../weather/eventFeed.js";
+
+const OWNER = "google|test-owner";
+const OTHER_USER = "linkedin|someone-else";
+
+let server;
+let baseUrl;
+const open = [];
+
+beforeAll(async () => {
+  const app = express();
+  app.use((req, _res, next) => {
+    req.user = { _key: req.get("x-test-user") || OWNER, role: req.get("x-test-role") };
+    next();
+  });
+  app.use("/api/weather", weatherRouter);
+  app.use(errorHandler);
+
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => {
+  open.splice(0).forEach((req) => req.destroy());
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// Open the stream and collect parsed SSE messages as they arrive
+function connect(path = "/api/weather/stream", headers = {}) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const message = {};
+          block.split("\n").forEach((line) => {
+            const [field, ...rest] = line.split(": ");
+            if (field === "id" || field === "event" || field === "data") {
+              message[field] = rest.join(": ");
+            }
+          });
+          if (message.event) messages.push(message);
+        }
+      });
+      resolve({ res, messages });
+    });
+    req.on("error", reject);
+    open.push(req);
+  });
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function record(overrides = {}) {
+  return { _id: "rec-1", owner: OWNER, city: "Boston", temp: 10, windSpeed: 5, ...overrides };
+}
+
+describe("GET /api/weather/stream", () => {
+  // 1) Headers
+  test("responds with an event stream", async () => {
+    const { res } = await connect();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toBe("text/event-stream");
+    expect(res.headers["cache-control"]).toContain("no-cache");
+  });
+
+  // 2) Only the owner's events, in the requested units
+  test("pushes the owner's events only, converted to ?units=", async () => {
+    const { messages } = await connect("/api/weather/stream?units=imperial");
+
+    emitWeatherEvent("weather.created", record());
+    emitWeatherEvent("weather.created", record({ _id: "rec-2", owner: OTHER_USER }));
+    emitWeatherEvent("weather.deleted", record());
+    await wait(50);
+
+    expect(messages.map((m) => m.event)).toEqual(["weather.created", "weather.deleted"]);
+    const data = JSON.parse(messages[0].data);
+    expect(data).toEqual(expect.objectContaining({ type: "weather.created", id: "rec-1" }));
+    expect(data.record).toEqual(expect.objectContaining({ temp: 50, units: "imperial" }));
+  });
+
+  // 3) Resume after a dropped connection
+  test("replays events missed since Last-Event-ID", async () => {
+    const first = await connect();
+    emitWeatherEvent("weather.created", record({ _id: "a" }));
+    await wait(50);
+    const lastId = first.messages[0].id;
+    first.res.destroy();
+
+    emitWeatherEvent("weather.updated", record({ _id: "a" }));
+    emitWeatherEvent("weather.created", record({ _id: "b", owner: OTHER_USER }));
+    emitWeatherEvent("weather.deleted", record({ _id: "a" }));
+
+    const second = await connect("/api/weather/stream", { "Last-Event-ID": lastId });
+    await wait(50);
+
+    expect(second.messages.map((m) => m.event)).toEqual(["weather.updated", "weather.deleted"]);
+  });
+
+  // 4) An id we can't resume from asks the client to reload
+  test("sends a reset event for an unknown Last-Event-ID", async () => {
+    const { messages } = await connect("/api/weather/stream", {
+      "Last-Event-ID": "oldepoch-42",
+    });
+    await wait(50);
+
+    expect(messages.map((m) => m.event)).toEqual(["reset"]);
+  });
+
+  // 5) Admins follow everyone's records
+  test("pushes every user's events to an admin", async () => {
+    const { messages } = await connect("/api/weather/stream", {
+      "x-test-user": "google|an-admin",
+      "x-test-role": "admin",
+    });
+
+    emitWeatherEvent("weather.created", record());
+    emitWeatherEvent("weather.created", record({ _id: "rec-2", owner: OTHER_USER }));
+    await wait(50);
+
+    expect(messages.map((m) => JSON.parse(m.data).id)).toEqual(["rec-1", "rec-2"]);
+  });
+
+  // 6) Bad units are rejected before the stream opens
+  test("rejects an unknown unit system with 400", async () => {
+    const { res } = await connect("/api/weather/stream?units=furlongs");
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  // 7) Ids from the shared feed are the same on every instance, so they resume anywhere
+  test("uses the shared feed's ids for events from any instance", async () => {
+    const shared = (feedId, type) => ({
+      id: `evt-${feedId}`,
+      type,
+      occurredAt: "2025-01-31T12:00:00.000Z",
+      owner: OWNER,
+      data: record(),
+      feedId,
+    });
+    feedEvents.emit("event", shared("66aa00000000000000000001", "weather.created"));
+    feedEvents.emit("event", shared("66aa00000000000000000002", "weather.updated"));
+
+    const { messages } = await connect("/api/weather/stream", {
+      "Last-Event-ID": "66aa00000000000000000001",
+    });
+    await wait(50);
+
+    expect(messages).toEqual([expect.objectContaining({ id: "66aa00000000000000000002" })]);
+    expect(messages[0].event).toBe("weather.updated");
+  });
+});
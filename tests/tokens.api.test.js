@@ -0,0 +1,203 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import dotenv from "dotenv";
+import express from "express";
+import request from "supertest";
+import mongoose from "mongoose";
+import { User, upsertUser } from "../auth/models/user.js";
+import { ApiToken, hashToken } from "../auth/models/apiToken.js";
+import { authenticateApi } from "../auth/middleware.js";
+import tokenRouter from "../auth/routes/tokenRoutes.js";
+import weatherRouter from "../weather/routes/weatherRoutes.js";
+import { Weather } from "../weather/models/weather.js";
+import { WeatherAudit } from "../weather/models/weatherAudit.js";
+import { errorHandler } from "../weather/errorHandler.js";
+
+dotenv.config();
+
+jest.setTimeout(30000);
+
+let app;
+let user;
+
+beforeAll(async () => {
+  const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI or MONGODB_URI in .env for tests");
+  }
+  await mongoose.connect(uri);
+
+  app = express();
+  app.use(express.json());
+  // A browser session unless the test says otherwise (normally set by passport)
+  app.use((req, _res, next) => {
+    const signedIn = req.get("x-test-session") !== "none";
+    if (signedIn) req.user = user;
+    req.isAuthenticated = () => signedIn;
+    next();
+  });
+  app.use("/api/tokens", tokenRouter);
+  app.use("/api/weather", authenticateApi, weatherRouter);
+  app.use(errorHandler);
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    ApiToken.deleteMany({}),
+    Weather.deleteMany({}),
+    WeatherAudit.deleteMany({}),
+  ]);
+  user = await upsertUser({
+    _key: "google|123",
+    provider: "google",
+    providerId: "123",
+    displayName: "Test User",
+  });
+});
+
+afterAll(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    ApiToken.deleteMany({}),
+    Weather.deleteMany({}),
+    WeatherAudit.deleteMany({}),
+  ]);
+  await mongoose.connection.close();
+});
+
+async function createToken(body = {}) {
+  const res = await request(app)
+    .post("/api/tokens")
+    .send({ name: "CI script", scopes: ["weather:read"], ...body });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+const weatherRecord = {
+  city: "Testville",
+  country: "US",
+  coordinates: { lon: -75.1, lat: 39.9 },
+  temp: 21,
+  feelsLike: 20,
+  humidity: 55,
+  pressure: 1013,
+  windSpeed: 4,
+  condition: "Clouds",
+  description: "overcast clouds",
+  fetchedAt: "2025-01-01T00:00:00Z",
+};
+
+describe("API tokens", () => {
+  // 1) The token is shown once and only its hash is stored
+  test("POST /api/tokens returns the token once and lists it without it", async () => {
+    const created = await createToken({ expiresInDays: 30 });
+
+    expect(created.token).toMatch(/^wxp_/);
+    expect(created.hint).toBe(created.token.slice(0, 8));
+    expect(created).not.toHaveProperty("tokenHash");
+    expect(new Date(created.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const stored = await ApiToken.findById(created._id).lean();
+    expect(stored.tokenHash).toBe(hashToken(created.token));
+
+    const list = await request(app).get("/api/tokens");
+    expect(list.status).toBe(200);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0]).not.toHaveProperty("token");
+    expect(list.body[0]).not.toHaveProperty("tokenHash");
+  });
+
+  // 2) Validation
+  test("POST /api/tokens rejects unknown scopes and missing names", async () => {
+    const badScope = await request(app)
+      .post("/api/tokens")
+      .send({ name: "x", scopes: ["weather:admin"] });
+    const noName = await request(app).post("/api/tokens").send({ scopes: ["weather:read"] });
+
+    expect(badScope.status).toBe(400);
+    expect(noName.status).toBe(400);
+  });
+
+  // 3) A token reads the owner's records and marks itself used
+  test("a bearer token reads the weather API as its owner", async () => {
+    const { token, _id } = await createToken();
+    await Weather.create({ ...weatherRecord, owner: "google|123" });
+    await Weather.create({ ...weatherRecord, owner: "google|someone-else" });
+
+    const res = await request(app)
+      .get("/api/weather")
+      .set("x-test-session", "none")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.items).toHaveLength(1);
+
+    // lastUsedAt is written in the background
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const stored = await ApiToken.findById(_id).lean();
+    expect(stored.lastUsedAt).toBeTruthy();
+  });
+
+  // 4) Scopes
+  test("a read-only token can't change records; a write token can", async () => {
+    const reader = await createToken();
+    const writer = await createToken({ scopes: ["weather:read", "weather:write"] });
+
+    const denied = await request(app)
+      .post("/api/weather")
+      .set("x-test-session", "none")
+      .set("Authorization", `Bearer ${reader.token}`)
+      .send(weatherRecord);
+    expect(denied.status).toBe(403);
+    expect(denied.headers["www-authenticate"]).toContain("insufficient_scope");
+
+    const allowed = await request(app)
+      .post("/api/weather")
+      .set("x-test-session", "none")
+      .set("Authorization", `Bearer ${writer.token}`)
+      .send(weatherRecord);
+    expect(allowed.status).toBe(201);
+    expect(allowed.body.owner).toBe("google|123");
+  });
+
+  // 5) Revoked, expired and made-up tokens
+  test("revoked, expired and unknown tokens are rejected with a 401", async () => {
+    const revoked = await createToken();
+    const expired = await createToken();
+    await ApiToken.updateOne({ _id: expired._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const del = await request(app).delete(`/api/tokens/${revoked._id}`);
+    expect(del.status).toBe(200);
+    expect(del.body).toEqual({ revoked: true, id: revoked._id });
+
+    for (const token of [revoked.token, expired.token, "wxp_made-up"]) {
+      const res = await request(app)
+        .get("/api/weather")
+        .set("x-test-session", "none")
+        .set("Authorization", `Bearer ${token}`);
+      expect(res.status).toBe(401);
+      expect(res.headers["www-authenticate"]).toContain("invalid_token");
+    }
+
+    const anonymous = await request(app).get("/api/weather").set("x-test-session", "none");
+    expect(anonymous.status).toBe(401);
+  });
+
+  // 6) Tokens are private to their owner
+  test("DELETE /api/tokens/:id doesn't revoke someone else's token", async () => {
+    const created = await createToken();
+    user = await upsertUser({
+      _key: "linkedin|456",
+      provider: "linkedin",
+      providerId: "456",
+      displayName: "Someone Else",
+    });
+
+    const res = await request(app).delete(`/api/tokens/${created._id}`);
+
+    expect(res.status).toBe(404);
+    expect(await ApiToken.countDocuments()).toBe(1);
+  });
+});
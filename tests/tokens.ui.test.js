@@ -0,0 +1,120 @@
+// tests/tokens.ui.test.js
+import { jest } from "@jest/globals";
+
+function setupDOM() {
+  document.body.innerHTML = `
+    <form id="token-form">
+      <input id="token-name" type="text" />
+      <input type="checkbox" name="scope" value="weather:read" checked />
+      <input type="checkbox" name="scope" value="weather:write" />
+      <select id="token-expiry">
+        <option value="90" selected>90 days</option>
+        <option value="">Never</option>
+      </select>
+      <button type="submit">Create token</button>
+    </form>
+    <div id="token-created" hidden><code id="token-value"></code></div>
+    <div id="token-status"></div>
+    <ul id="token-list"></ul>
+  `;
+}
+
+function okResponse(body) {
+  return { ok: true, json: async () => body, text: async () => "" };
+}
+
+const listed = {
+  _id: "t1",
+  name: "nightly export",
+  hint: "wxp_AbCd",
+  scopes: ["weather:read"],
+  expiresAt: null,
+  lastUsedAt: null,
+};
+
+describe("API tokens UI", () => {
+  let renderTokens;
+  let createToken;
+  let revokeToken;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    setupDOM();
+    const mod = await import("../public/js/tokens.js");
+    renderTokens = mod.renderTokens;
+    createToken = mod.createToken;
+    revokeToken = mod.revokeToken;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // 1. renderTokens – name, hint and details, never the token itself
+  test("renderTokens lists tokens by name, hint, scopes and expiry", () => {
+    renderTokens([listed]);
+
+    const items = document.querySelectorAll(".token-item");
+    expect(items.length).toBe(1);
+    expect(items[0].textContent).toContain("nightly export (wxp_AbCd…)");
+    expect(items[0].textContent).toContain("weather:read · never expires · never used");
+    expect(items[0].querySelector(".token-revoke").textContent).toBe("Revoke");
+  });
+
+  // 2. renderTokens – no tokens
+  test("renderTokens shows a placeholder when there are no tokens", () => {
+    renderTokens([]);
+
+    expect(document.getElementById("token-list").textContent).toContain("No API tokens yet.");
+  });
+
+  // 3. createToken – POSTs the form and shows the new token once
+  test("createToken posts name, scopes and expiry and reveals the token", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(okResponse({ ...listed, token: "wxp_AbCdsecret" }))
+      .mockResolvedValueOnce(okResponse([listed]));
+    document.getElementById("token-name").value = "nightly export";
+
+    await createToken({ preventDefault() {} });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe("/api/tokens");
+    expect(JSON.parse(options.body)).toEqual({
+      name: "nightly export",
+      scopes: ["weather:read"],
+      expiresInDays: 90,
+    });
+    expect(document.getElementById("token-created").hidden).toBe(false);
+    expect(document.getElementById("token-value").textContent).toBe("wxp_AbCdsecret");
+    expect(document.getElementById("token-name").value).toBe("");
+  });
+
+  // 4. createToken – at least one scope
+  test("createToken refuses to create a token without scopes", async () => {
+    global.fetch = jest.fn();
+    document.getElementById("token-name").value = "nothing";
+    document.querySelector('input[value="weather:read"]').checked = false;
+
+    await createToken({ preventDefault() {} });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(document.getElementById("token-status").textContent).toContain("Pick at least one scope");
+  });
+
+  // 5. revokeToken – asks first
+  test("revokeToken deletes only after confirmation", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(okResponse({ revoked: true, id: "t1" }))
+      .mockResolvedValueOnce(okResponse([]));
+    global.confirm = jest.fn().mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+    await revokeToken("t1", "nightly export");
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    await revokeToken("t1", "nightly export");
+    expect(global.fetch.mock.calls[0]).toEqual(["/api/tokens/t1", { method: "DELETE" }]);
+    expect(document.getElementById("token-status").textContent).toBe('Revoked "nightly export".');
+  });
+});
@@ -0,0 +1,80 @@
+/** @jest-environment node */
+
+import {
+  convertChanges,
+  convertRecord,
+  convertStatsBucket,
+  recordToMetric,
+  convertTemperature,
+  toCelsius,
+} from "../weather/units.js";
+
+describe("unit conversion", () => {
+  // 1) Temperatures
+  test("converts Celsius to Fahrenheit and Kelvin", () => {
+    expect(convertTemperature(100, "imperial")).toBe(212);
+    expect(convertTemperature(0, "standard")).toBe(273.15);
+    expect(convertTemperature(21.5, "metric")).toBe(21.5);
+  });
+
+  // 2) Filters go the other way
+  test("toCelsius reverses convertTemperature", () => {
+    expect(toCelsius(212, "imperial")).toBe(100);
+    expect(toCelsius(273.15, "standard")).toBeCloseTo(0);
+  });
+
+  // 3) Records
+  test("convertRecord converts temp, feelsLike and windSpeed and tags the units", () => {
+    const record = { city: "Denver", temp: 20, feelsLike: 18, windSpeed: 10, humidity: 40 };
+
+    expect(convertRecord(record, "imperial")).toEqual({
+      city: "Denver",
+      temp: 68,
+      feelsLike: 64.4,
+      windSpeed: 22.37,
+      humidity: 40,
+      units: "imperial",
+    });
+    // The original is left alone
+    expect(record.temp).toBe(20);
+  });
+
+  // 4) Stats buckets
+  test("convertStatsBucket converts each min/max/avg summary", () => {
+    const bucket = {
+      count: 2,
+      temp: { min: 0, max: 10, avg: 5 },
+      humidity: { min: 40, max: 60, avg: 50 },
+    };
+
+    const converted = convertStatsBucket(bucket, "imperial");
+
+    expect(converted.temp).toEqual({ min: 32, max: 50, avg: 41 });
+    expect(converted.humidity).toEqual({ min: 40, max: 60, avg: 50 });
+  });
+
+  // 5) Imported records go back to metric
+  test("recordToMetric undoes convertRecord", () => {
+    const record = { city: "Oslo", temp: 21.3, feelsLike: 20, windSpeed: 4.1, humidity: 50 };
+
+    for (const units of ["metric", "imperial", "standard"]) {
+      expect(recordToMetric(convertRecord(record, units), units)).toEqual(record);
+    }
+  });
+
+  // 6) Audit diffs
+  test("convertChanges converts unit fields in a diff and leaves the rest", () => {
+    const changes = [
+      { path: "temp", from: null, to: 20 },
+      { path: "windSpeed", from: 10, to: 0 },
+      { path: "humidity", from: 40, to: 50 },
+    ];
+
+    expect(convertChanges(changes, "imperial")).toEqual([
+      { path: "temp", from: null, to: 68 },
+      { path: "windSpeed", from: 22.37, to: 0 },
+      { path: "humidity", from: 40, to: 50 },
+    ]);
+    expect(changes[0].to).toBe(20);
+  });
+});
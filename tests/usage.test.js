@@ -0,0 +1,60 @@
+/** @jest-environment node */
+
+import { reserveUpstreamCall, upstreamUsage, resetLocalUsage } from "../weather/usage.js";
+
+// Without a MongoDB connection the budget is counted in-process
+describe("upstream budget", () => {
+  const saved = process.env.UPSTREAM_DAILY_BUDGET;
+  const noon = new Date("2025-01-31T12:00:00Z");
+
+  beforeEach(() => {
+    resetLocalUsage();
+    process.env.UPSTREAM_DAILY_BUDGET = "2";
+  });
+
+  afterAll(() => {
+    if (saved === undefined) delete process.env.UPSTREAM_DAILY_BUDGET;
+    else process.env.UPSTREAM_DAILY_BUDGET = saved;
+  });
+
+  // 1) Counting calls per provider
+  test("upstreamUsage reports today's calls against the budget", async () => {
+    await reserveUpstreamCall("openweather", noon);
+    await reserveUpstreamCall("openmeteo", noon);
+
+    expect(await upstreamUsage(noon)).toEqual({
+      day: "2025-01-31",
+      calls: 2,
+      budget: 2,
+      remaining: 0,
+      providers: { openweather: 1, openmeteo: 1 },
+      resetsAt: new Date("2025-02-01T00:00:00Z"),
+    });
+  });
+
+  // 2) A spent budget is a 503 until midnight UTC
+  test("reserveUpstreamCall rejects with 503 and Retry-After once the budget is spent", async () => {
+    await reserveUpstreamCall("openweather", noon);
+    await reserveUpstreamCall("openweather", noon);
+
+    await expect(reserveUpstreamCall("openweather", noon)).rejects.toMatchObject({
+      status: 503,
+      expose: true,
+      message: "Daily weather lookup budget used up; try again tomorrow",
+      headers: { "Retry-After": String(12 * 60 * 60) },
+    });
+
+    // A new day starts a new budget
+    await expect(
+      reserveUpstreamCall("openweather", new Date("2025-02-01T00:00:01Z"))
+    ).resolves.toBeUndefined();
+  });
+
+  // 3) UPSTREAM_DAILY_BUDGET=0 means no budget
+  test("a budget of 0 never runs out", async () => {
+    process.env.UPSTREAM_DAILY_BUDGET = "0";
+    for (let i = 0; i < 5; i++) await reserveUpstreamCall("openweather", noon);
+
+    expect(await upstreamUsage(noon)).toMatchObject({ calls: 5, budget: null, remaining: null });
+  });
+});
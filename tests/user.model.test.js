@@ -0,0 +1,98 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { User, upsertUser } from "../auth/models/user.js";
+
+dotenv.config();
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI or MONGODB_URI in .env for tests");
+  }
+  await mongoose.connect(uri);
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+});
+
+afterAll(async () => {
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+function makeProfile(overrides = {}) {
+  return {
+    _key: "google|123",
+    provider: "google",
+    providerId: "123",
+    displayName: "Test User",
+    emails: ["test@example.com"],
+    photos: [],
+    ...overrides,
+  };
+}
+
+describe("User model", () => {
+  // 1) First login creates the user with both timestamps set
+  test("upsertUser creates a user on first login", async () => {
+    const user = await upsertUser(makeProfile());
+
+    expect(user._key).toBe("google|123");
+    expect(user.firstLoginAt).toBeInstanceOf(Date);
+    expect(user.lastLoginAt).toEqual(user.firstLoginAt);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  // 2) Later logins refresh the profile but keep the first-login time
+  test("upsertUser updates the profile and lastLoginAt on later logins", async () => {
+    const first = await upsertUser(makeProfile());
+    await new Promise((r) => setTimeout(r, 10));
+
+    const second = await upsertUser(makeProfile({ displayName: "Renamed" }));
+
+    expect(second.displayName).toBe("Renamed");
+    expect(second.firstLoginAt).toEqual(first.firstLoginAt);
+    expect(second.lastLoginAt.getTime()).toBeGreaterThan(
+      first.lastLoginAt.getTime()
+    );
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  // 3) Users from different providers don't collide
+  test("upsertUser keeps providers separate", async () => {
+    await upsertUser(makeProfile());
+    await upsertUser(
+      makeProfile({ _key: "linkedin|123", provider: "linkedin" })
+    );
+
+    expect(await User.countDocuments()).toBe(2);
+  });
+
+  // 4) Roles: editors by default, admins from the allowlist
+  test("upsertUser makes allowlisted users admins and keeps assigned roles", async () => {
+    const saved = process.env.ADMIN_USERS;
+    process.env.ADMIN_USERS = "linkedin|9, Test@Example.com";
+    try {
+      const admin = await upsertUser(makeProfile({ verifiedEmails: ["test@example.com"] }));
+      const editor = await upsertUser(makeProfile({ _key: "google|456", emails: [] }));
+      // Claiming an allowlisted email isn't enough until the provider has verified it
+      const unverified = await upsertUser(makeProfile({ _key: "google|789" }));
+      await User.updateOne({ _key: "google|456" }, { role: "viewer" });
+      const viewer = await upsertUser(makeProfile({ _key: "google|456", emails: [] }));
+
+      expect(admin.role).toBe("admin");
+      expect(editor.role).toBe("editor");
+      expect(unverified.role).toBe("editor");
+      expect(viewer.role).toBe("viewer");
+    } finally {
+      if (saved === undefined) delete process.env.ADMIN_USERS;
+      else process.env.ADMIN_USERS = saved;
+    }
+  });
+});
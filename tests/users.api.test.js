@@ -0,0 +1,104 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import dotenv from "dotenv";
+import express from "express";
+import request from "supertest";
+import mongoose from "mongoose";
+import { User, upsertUser } from "../auth/models/user.js";
+import { authorize } from "../auth/middleware.js";
+import userRouter from "../auth/routes/userRoutes.js";
+import { errorHandler } from "../weather/errorHandler.js";
+
+dotenv.config();
+
+jest.setTimeout(30000);
+
+let app;
+let user;
+
+beforeAll(async () => {
+  const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI or MONGODB_URI in .env for tests");
+  }
+  await mongoose.connect(uri);
+
+  app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use("/api/users", authorize("admin"), userRouter);
+  app.use(errorHandler);
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await upsertUser({
+    _key: "google|456",
+    provider: "google",
+    providerId: "456",
+    displayName: "Stakeholder",
+  });
+  user = await upsertUser({
+    _key: "google|123",
+    provider: "google",
+    providerId: "123",
+    displayName: "Admin",
+  });
+  await User.updateOne({ _key: "google|123" }, { role: "admin" });
+  user = { ...user, role: "admin" };
+});
+
+afterAll(async () => {
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("User management API", () => {
+  // 1) Admins see everyone with their role
+  test("GET /api/users lists users and roles", async () => {
+    const res = await request(app).get("/api/users");
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((u) => [u._key, u.role])).toEqual([
+      ["google|123", "admin"],
+      ["google|456", "editor"],
+    ]);
+  });
+
+  // 2) Making a stakeholder read-only
+  test("PATCH /api/users/:key/role changes another user's role", async () => {
+    const res = await request(app)
+      .patch(`/api/users/${encodeURIComponent("google|456")}/role`)
+      .send({ role: "viewer" });
+    const unknown = await request(app)
+      .patch(`/api/users/${encodeURIComponent("google|456")}/role`)
+      .send({ role: "owner" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe("viewer");
+    expect((await User.findOne({ _key: "google|456" }).lean()).role).toBe("viewer");
+    expect(unknown.status).toBe(400);
+  });
+
+  // 3) No locking yourself out
+  test("PATCH /api/users/:key/role refuses to change your own role", async () => {
+    const res = await request(app)
+      .patch(`/api/users/${encodeURIComponent("google|123")}/role`)
+      .send({ role: "viewer" });
+
+    expect(res.status).toBe(409);
+  });
+
+  // 4) Only admins
+  test("non-admins get a 403", async () => {
+    user = { ...user, role: "editor" };
+
+    const res = await request(app).get("/api/users");
+
+    expect(res.status).toBe(403);
+  });
+});
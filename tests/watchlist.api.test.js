@@ -0,0 +1,242 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import dotenv from "dotenv";
+import express from "express";
+import request from "supertest";
+import mongoose from "mongoose";
+
+// The scheduler must not call real weather providers
+const fetchWeather = jest.fn();
+jest.unstable_mockModule("../weather/weatherService.js", () => ({ fetchWeather }));
+
+const { Weather } = await import("../weather/models/weather.js");
+const { WatchedCity } = await import("../weather/models/watchedCity.js");
+const { SchedulerLock, acquireLock } = await import("../weather/models/schedulerLock.js");
+const { runWatchlistTick } = await import("../weather/scheduler.js");
+const { default: watchlistRouter } = await import("../weather/routes/watchlistRoutes.js");
+const { errorHandler } = await import("../weather/errorHandler.js");
+
+dotenv.config();
+jest.setTimeout(30000);
+
+let app;
+
+const OWNER = "google|test-owner";
+const OTHER_USER = "linkedin|someone-else";
+
+// What fetchWeather() resolves to for a city
+function fakeLookup(city) {
+  return {
+    data: {
+      city,
+      country: "US",
+      coordinates: { lon: -71.06, lat: 42.36 },
+      temp: 5,
+      feelsLike: 3,
+      humidity: 70,
+      pressure: 1012,
+      windSpeed: 6,
+      condition: "Rain",
+      description: "light rain",
+      fetchedAt: new Date(),
+      provider: "openweather",
+    },
+    cache: "miss",
+  };
+}
+
+beforeAll(async () => {
+  const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI or MONGODB_URI in .env for tests");
+  }
+
+  await mongoose.connect(uri);
+  await WatchedCity.init();
+
+  app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { _key: req.get("x-test-user") || OWNER, role: req.get("x-test-role") };
+    next();
+  });
+  app.use("/api/watchlist", watchlistRouter);
+  app.use(errorHandler);
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    WatchedCity.deleteMany({}),
+    Weather.deleteMany({}),
+    SchedulerLock.deleteMany({}),
+  ]);
+  fetchWeather.mockReset();
+});
+
+afterAll(async () => {
+  await Promise.all([
+    WatchedCity.deleteMany({}),
+    Weather.deleteMany({}),
+    SchedulerLock.deleteMany({}),
+  ]);
+  await mongoose.connection.close();
+});
+
+describe("Watchlist API", () => {
+  // 1) Add, list and remove
+  test("POST, GET and DELETE /api/watchlist manage your cities", async () => {
+    const created = await request(app).post("/api/watchlist").send({ city: "Boston" });
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual(
+      expect.objectContaining({ city: "Boston", paused: false, owner: OWNER })
+    );
+    expect(created.body.cityKey).toBeUndefined();
+
+    const list = await request(app).get("/api/watchlist");
+    expect(list.body.map((w) => w.city)).toEqual(["Boston"]);
+
+    const removed = await request(app).delete(`/api/watchlist/${created.body._id}`);
+    expect(removed.status).toBe(200);
+    expect(await WatchedCity.countDocuments()).toBe(0);
+  });
+
+  // 2) The same city twice is a conflict, however it's spelled
+  test("rejects a city that is already watched with 409", async () => {
+    await request(app).post("/api/watchlist").send({ city: "New York" });
+    const res = await request(app).post("/api/watchlist").send({ city: "  new   york " });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.message).toContain("already on your watchlist");
+  });
+
+  // 3) Validation
+  test("rejects an empty city or unknown fields", async () => {
+    const empty = await request(app).post("/api/watchlist").send({ city: "  " });
+    const extra = await request(app)
+      .post("/api/watchlist")
+      .send({ city: "Boston", owner: OTHER_USER });
+
+    expect(empty.status).toBe(400);
+    expect(extra.status).toBe(400);
+  });
+
+  // 4) Watchlists are private
+  test("another user can't see, pause or remove your cities", async () => {
+    const watch = await WatchedCity.create({ owner: OWNER, city: "Boston" });
+
+    const list = await request(app).get("/api/watchlist").set("x-test-user", OTHER_USER);
+    const patch = await request(app)
+      .patch(`/api/watchlist/${watch._id}`)
+      .set("x-test-user", OTHER_USER)
+      .send({ paused: true });
+    const del = await request(app)
+      .delete(`/api/watchlist/${watch._id}`)
+      .set("x-test-user", OTHER_USER);
+
+    expect(list.body).toEqual([]);
+    expect(patch.status).toBe(404);
+    expect(del.status).toBe(404);
+  });
+
+  // 5) Pausing and renaming
+  test("PATCH /api/watchlist/:id pauses and renames a city", async () => {
+    const watch = await WatchedCity.create({ owner: OWNER, city: "Portland" });
+
+    const res = await request(app)
+      .patch(`/api/watchlist/${watch._id}`)
+      .send({ city: "Portland, ME", paused: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ city: "Portland, ME", paused: true }));
+    expect((await WatchedCity.findById(watch._id)).cityKey).toBe("portland, me");
+  });
+
+  // 6) Viewers are read-only: a watched city would write records for them
+  test("a viewer can list the watchlist but not change it", async () => {
+    const watch = await WatchedCity.create({ owner: OWNER, city: "Boston" });
+
+    const list = await request(app).get("/api/watchlist").set("x-test-role", "viewer");
+    const add = await request(app)
+      .post("/api/watchlist")
+      .set("x-test-role", "viewer")
+      .send({ city: "Denver" });
+    const pause = await request(app)
+      .patch(`/api/watchlist/${watch._id}`)
+      .set("x-test-role", "viewer")
+      .send({ paused: true });
+    const remove = await request(app)
+      .delete(`/api/watchlist/${watch._id}`)
+      .set("x-test-role", "viewer");
+
+    expect(list.status).toBe(200);
+    expect(add.status).toBe(403);
+    expect(pause.status).toBe(403);
+    expect(remove.status).toBe(403);
+    expect(await WatchedCity.countDocuments()).toBe(1);
+  });
+});
+
+describe("Watchlist scheduler", () => {
+  // 7) A tick snapshots every active city and records the outcome
+  test("runWatchlistTick saves snapshots and a last-run status per city", async () => {
+    const ok = await WatchedCity.create({ owner: OWNER, city: "Boston" });
+    const bad = await WatchedCity.create({ owner: OTHER_USER, city: "Atlantis" });
+    await WatchedCity.create({ owner: OWNER, city: "Denver", paused: true });
+
+    fetchWeather.mockImplementation(async ({ city }) => {
+      if (city === "Atlantis") throw new Error("City not found: Atlantis");
+      return fakeLookup(city);
+    });
+
+    const summary = await runWatchlistTick({ jitter: 0, lockTtlMs: 60000 });
+
+    expect(summary).toEqual({ skipped: false, refreshed: 1, failed: 1 });
+    expect(fetchWeather).toHaveBeenCalledTimes(2);
+
+    const saved = await Weather.find({}).lean();
+    expect(saved.map((r) => [r.city, r.owner])).toEqual([["Boston", OWNER]]);
+
+    const okAfter = await WatchedCity.findById(ok._id).lean();
+    const badAfter = await WatchedCity.findById(bad._id).lean();
+    expect(okAfter.lastStatus).toBe("ok");
+    expect(okAfter.lastRecordId.toString()).toBe(saved[0]._id.toString());
+    expect(badAfter.lastStatus).toBe("error");
+    expect(badAfter.lastError).toContain("City not found");
+  });
+
+  // 8) Snapshots go through the same validation as the routes
+  test("records an error instead of saving an invalid snapshot", async () => {
+    const watch = await WatchedCity.create({ owner: OWNER, city: "Boston" });
+    const lookup = fakeLookup("Boston");
+    delete lookup.data.temp;
+    fetchWeather.mockResolvedValue(lookup);
+
+    await runWatchlistTick({ jitter: 0, lockTtlMs: 60000 });
+
+    expect(await Weather.countDocuments()).toBe(0);
+    expect((await WatchedCity.findById(watch._id)).lastStatus).toBe("error");
+  });
+
+  // 9) Only one instance runs a given tick
+  test("skips the tick while another instance holds the lock", async () => {
+    await WatchedCity.create({ owner: OWNER, city: "Boston" });
+    fetchWeather.mockImplementation(async ({ city }) => fakeLookup(city));
+
+    expect(await acquireLock("watchlist-refresh", "other-instance", 60000)).toBe(true);
+    const summary = await runWatchlistTick({ jitter: 0, lockTtlMs: 60000 });
+
+    expect(summary.skipped).toBe(true);
+    expect(fetchWeather).not.toHaveBeenCalled();
+  });
+
+  // 10) An expired lease can be taken over
+  test("acquireLock takes over an expired lease", async () => {
+    expect(await acquireLock("job", "a", 60000)).toBe(true);
+    expect(await acquireLock("job", "b", 60000)).toBe(false);
+
+    await SchedulerLock.updateOne({ _id: "job" }, { lockedUntil: new Date(0) });
+    expect(await acquireLock("job", "b", 60000)).toBe(true);
+    expect((await SchedulerLock.findById("job")).holder).toBe("b");
+  });
+});
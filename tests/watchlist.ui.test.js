@@ -0,0 +1,133 @@
+// tests/watchlist.ui.test.js
+import { jest } from "@jest/globals";
+
+function setupDOM() {
+  document.body.innerHTML = `
+    <form id="watchlist-form">
+      <input id="watchlist-input" />
+      <button type="submit">Watch</button>
+    </form>
+    <ul id="watchlist-items"></ul>
+    <div id="watchlist-status"></div>
+  `;
+}
+
+// A fetch() response the way fetchJSON reads it
+function okResponse(body) {
+  return { ok: true, json: async () => body, text: async () => "" };
+}
+
+describe("Watchlist panel UI", () => {
+  let describeLastRun;
+  let renderWatchlist;
+  let addWatchedCity;
+  let setPaused;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    setupDOM();
+    const mod = await import("../public/js/watchlist.js");
+    describeLastRun = mod.describeLastRun;
+    renderWatchlist = mod.renderWatchlist;
+    addWatchedCity = mod.addWatchedCity;
+    setPaused = mod.setPaused;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // 1. renderWatchlist – empty list
+  test("renderWatchlist shows a placeholder when nothing is watched", () => {
+    renderWatchlist([]);
+
+    const items = document.getElementById("watchlist-items");
+    expect(items.children.length).toBe(1);
+    expect(items.textContent).toContain("No cities watched yet.");
+  });
+
+  // 2. renderWatchlist – one row per city with its last-run status
+  test("renderWatchlist lists cities with their last refresh outcome", () => {
+    renderWatchlist([
+      { _id: "1", city: "Boston", lastRunAt: "2025-11-18T21:00:00.000Z", lastStatus: "ok" },
+      {
+        _id: "2",
+        city: "Atlantis",
+        lastRunAt: "2025-11-18T21:00:00.000Z",
+        lastStatus: "error",
+        lastError: "City not found",
+      },
+      { _id: "3", city: "Denver", paused: true },
+    ]);
+
+    const rows = document.querySelectorAll(".watch-item");
+    expect(rows.length).toBe(3);
+    expect(rows[0].textContent).toContain("Refreshed at");
+    expect(rows[1].querySelector(".watch-status").className).toContain("error");
+    expect(rows[1].textContent).toContain("City not found");
+    expect(rows[2].querySelector("button").textContent).toBe("Resume");
+  });
+
+  // 3. describeLastRun – never run yet
+  test("describeLastRun explains a city that hasn't been refreshed yet", () => {
+    expect(describeLastRun({ city: "Boston" })).toBe("Waiting for the first refresh");
+  });
+
+  // 4. addWatchedCity – POSTs the city, then reloads the list
+  test("addWatchedCity posts the city and re-renders the list", async () => {
+    const input = document.getElementById("watchlist-input");
+    input.value = " Boston ";
+
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(okResponse({ _id: "1", city: "Boston" }))
+      .mockResolvedValueOnce(okResponse([{ _id: "1", city: "Boston" }]));
+
+    const fakeEvent = { preventDefault: jest.fn() };
+    await addWatchedCity(fakeEvent);
+
+    expect(global.fetch.mock.calls[0][0]).toBe("/api/watchlist");
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ city: "Boston" });
+    expect(document.getElementById("watchlist-items").textContent).toContain("Boston");
+    expect(document.getElementById("watchlist-status").textContent).toBe(
+      "Now watching Boston"
+    );
+    expect(input.value).toBe("");
+  });
+
+  // 5. addWatchedCity – duplicate city shows the API's message
+  test("addWatchedCity shows the API error for a duplicate city", async () => {
+    document.getElementById("watchlist-input").value = "Boston";
+
+    global.fetch = jest.fn().mockResolvedValueOnce({
+      ok: false,
+      statusText: "Conflict",
+      text: async () =>
+        JSON.stringify({
+          error: { status: 409, message: "Boston is already on your watchlist" },
+        }),
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await addWatchedCity({ preventDefault: jest.fn() });
+
+    const status = document.getElementById("watchlist-status");
+    expect(status.className).toBe("status error");
+    expect(status.textContent).toContain("Boston is already on your watchlist");
+  });
+
+  // 6. setPaused – PATCHes the watch
+  test("setPaused sends the new paused flag", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(okResponse({ _id: "1", city: "Boston", paused: true }))
+      .mockResolvedValueOnce(okResponse([]));
+
+    await setPaused("1", true);
+
+    expect(global.fetch.mock.calls[0][0]).toBe("/api/watchlist/1");
+    expect(global.fetch.mock.calls[0][1]).toEqual(
+      expect.objectContaining({ method: "PATCH", body: JSON.stringify({ paused: true }) })
+    );
+  });
+});
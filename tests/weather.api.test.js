@@ -1,13 +1,29 @@
 /** @jest-environment node */
 
 import { jest } from "@jest/globals";   
+import axios from "axios";
 import dotenv from "dotenv";
 import express from "express";
 import request from "supertest";
 import mongoose from "mongoose";
 import { Weather } from "../weather/models/weather.js";
-import weatherRouter from "../weather/routes/weatherRoutes.js";
-
+import { errorHandler } from "../weather/errorHandler.js";
+import { purgeTrash } from "../weather/trash.js";
+import { WeatherAudit } from "../weather/models/weatherAudit.js";
+import { resetRateLimits } from "../weather/rateLimit.js";
+import { swaggerSpec } from "../weather/swagger.js";
+import { createSpecValidator } from "../weather/specValidator.js";
+import { jsonExceptImport } from "../weather/bulk.js";
+import { weatherEvents } from "../weather/events.js";
+
+// Provider calls reach the real APIs unless a test stubs them on this mock
+const get = jest.fn((...args) => axios.get(...args));
+jest.unstable_mockModule("axios", () => ({
+  default: { get, post: (...args) => axios.post(...args) },
+}));
+
+const { default: weatherRouter } = await import("../weather/routes/weatherRoutes.js");
+const { clearWeatherCache, resetCircuitBreakers } = await import("../weather/weatherService.js");
 
 // Load .env (for MONGODB_URI)
 dotenv.config();
@@ -17,6 +33,10 @@ jest.setTimeout(30000);
 
 let app;
 
+// Stand-ins for the signed-in user (normally set by passport)
+const OWNER = "google|test-owner";
+const OTHER_USER = "linkedin|someone-else";
+
 // =========================
 // Global test setup/teardown
 // =========================
@@ -30,23 +50,31 @@ beforeAll(async () => {
 
   // Build a tiny Express app JUST for the weather API
   app = express();
-  app.use(express.json());
+  app.use(jsonExceptImport());
+  app.use((req, _res, next) => {
+    req.user = { _key: req.get("x-test-user") || OWNER, role: req.get("x-test-role") };
+    next();
+  });
   app.use("/api/weather", weatherRouter);
+  app.use(errorHandler);
 });
 
 beforeEach(async () => {
-  // Clean the Weather collection so each test starts fresh
+  // Clean the Weather collection (and its audit trail) so each test starts fresh
   await Weather.deleteMany({});
+  await WeatherAudit.deleteMany({});
 });
 
 afterAll(async () => {
   await Weather.deleteMany({});
+  await WeatherAudit.deleteMany({});
   await mongoose.connection.close();
 });
 
 // Helper factory for fake weather docs
 function makeFakeWeather(overrides = {}) {
   return {
+    owner: OWNER,
     city: "Testville",
     country: "US",
     coordinates: { lon: -75.1, lat: 39.9 },
@@ -64,12 +92,13 @@ function makeFakeWeather(overrides = {}) {
 
 describe("Weather API backend", () => {
   // 1) Happy path: GET /api/weather when DB is empty
-  test("GET /api/weather returns empty array when no records exist", async () => {
+  test("GET /api/weather returns an empty page when no records exist", async () => {
     const res = await request(app).get("/api/weather");
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
-    expect(res.body.length).toBe(0);
+    expect(Array.isArray(res.body.items)).toBe(true);
+    expect(res.body.items.length).toBe(0);
+    expect(res.body.nextCursor).toBeNull();
   });
 
   // 2) Happy path: create a record directly via Mongoose and read it back
@@ -80,9 +109,9 @@ describe("Weather API backend", () => {
     const res = await request(app).get("/api/weather");
 
     expect(res.status).toBe(200);
-    expect(res.body.length).toBe(2);
+    expect(res.body.items.length).toBe(2);
 
-    const cities = res.body.map((r) => r.city).sort();
+    const cities = res.body.items.map((r) => r.city).sort();
     expect(cities).toEqual(["CityA", "CityB"]);
   });
 
@@ -95,7 +124,7 @@ describe("Weather API backend", () => {
     const res = await request(app).get("/api/weather").query({ limit: 2 });
 
     expect(res.status).toBe(200);
-    expect(res.body.length).toBe(2);
+    expect(res.body.items.length).toBe(2);
   });
 
   // 4) Edge: non-numeric limit
@@ -107,7 +136,7 @@ describe("Weather API backend", () => {
 
     expect(res.status).toBe(200);
     // At least the two docs we inserted
-    expect(res.body.length).toBeGreaterThanOrEqual(2);
+    expect(res.body.items.length).toBeGreaterThanOrEqual(2);
   });
 
   // 5) Shape / schema test for GET /api/weather
@@ -117,7 +146,7 @@ describe("Weather API backend", () => {
     const res = await request(app).get("/api/weather");
 
     expect(res.status).toBe(200);
-    expect(res.body[0]).toEqual(
+    expect(res.body.items[0]).toEqual(
       expect.objectContaining({
         city: "ShapeCity",
         country: expect.any(String),
@@ -155,16 +184,16 @@ describe("Weather API backend", () => {
     expect(res.status).toBeGreaterThanOrEqual(400);
   });
 
-  // 9) Happy path: DELETE /api/weather/:id deletes a record
-  test("DELETE /api/weather/:id deletes an existing record", async () => {
+  // 9) Happy path: DELETE /api/weather/:id moves a record to the trash
+  test("DELETE /api/weather/:id soft-deletes an existing record", async () => {
     const doc = await Weather.create(makeFakeWeather({ city: "ToDelete" }));
 
     const res = await request(app).delete(`/api/weather/${doc._id}`);
 
     expect([200, 204]).toContain(res.status);
 
-    const exists = await Weather.exists({ _id: doc._id });
-    expect(exists).toBeNull();
+    const stored = await Weather.findById(doc._id).lean();
+    expect(stored.deletedAt).toBeInstanceOf(Date);
   });
 
   // 10) Edge: DELETE only removes targeted record
@@ -175,7 +204,7 @@ describe("Weather API backend", () => {
     const res = await request(app).delete(`/api/weather/${doc1._id}`);
     expect([200, 204]).toContain(res.status);
 
-    const remaining = await Weather.find({}).lean();
+    const remaining = await Weather.find({ deletedAt: null }).lean();
     expect(remaining.length).toBe(1);
     expect(remaining[0]._id.toString()).toBe(doc2._id.toString());
     expect(remaining[0].city).toBe("KeepMe");
@@ -220,9 +249,9 @@ describe("Weather API backend", () => {
     const res = await request(app).get("/api/weather");
 
     expect(res.status).toBe(200);
-    expect(res.body.length).toBe(2);
+    expect(res.body.items.length).toBe(2);
 
-    const names = res.body.map((r) => r.city);
+    const names = res.body.items.map((r) => r.city);
     // We don't know your exact sort, but at least both are present
     expect(names).toEqual(expect.arrayContaining(["OldCity", "NewCity"]));
   });
@@ -236,8 +265,8 @@ describe("Weather API backend", () => {
     const res = await request(app).get("/api/weather");
 
     expect(res.status).toBe(200);
-    expect(res.body[0].temp).toBe(0);
-    expect(res.body[0].humidity).toBe(0);
+    expect(res.body.items[0].temp).toBe(0);
+    expect(res.body.items[0].humidity).toBe(0);
   });
 
   // 16) Edge: coordinates are stored as nested object
@@ -252,7 +281,7 @@ describe("Weather API backend", () => {
     const res = await request(app).get("/api/weather");
 
     expect(res.status).toBe(200);
-    const item = res.body[0];
+    const item = res.body.items[0];
     expect(item.coordinates).toEqual({ lon: -10.5, lat: 45.2 });
   });
 
@@ -269,7 +298,7 @@ describe("Weather API backend", () => {
     const res = await request(app).get("/api/weather");
 
     expect(res.status).toBe(200);
-    const item = res.body[0];
+    const item = res.body.items[0];
     expect(typeof item.condition).toBe("string");
     expect(typeof item.description).toBe("string");
   });
@@ -285,7 +314,7 @@ describe("Weather API backend", () => {
     const res = await request(app).get("/api/weather");
 
     expect(res.status).toBe(200);
-    expect(res.body.length).toBeGreaterThanOrEqual(12);
+    expect(res.body.items.length).toBeGreaterThanOrEqual(12);
   });
 
   // 19) Happy-ish path: POST /api/weather/fetch with a real city
@@ -310,4 +339,899 @@ describe("Weather API backend", () => {
     expect(res.status).toBeGreaterThanOrEqual(200);
     expect(res.status).toBeLessThan(600);
   });
+
+  // 21) Ownership: other users' records are not listed
+  test("GET /api/weather only returns the signed-in user's records", async () => {
+    await Weather.create(makeFakeWeather({ city: "MyCity" }));
+    await Weather.create(
+      makeFakeWeather({ city: "TheirCity", owner: OTHER_USER })
+    );
+
+    const res = await request(app).get("/api/weather");
+
+    expect(res.status).toBe(200);
+    expect(res.body.items.map((r) => r.city)).toEqual(["MyCity"]);
+  });
+
+  // 22) Ownership: reading someone else's record is a 404
+  test("GET /api/weather/:id returns 404 for another user's record", async () => {
+    const doc = await Weather.create(
+      makeFakeWeather({ city: "TheirCity", owner: OTHER_USER })
+    );
+
+    const res = await request(app).get(`/api/weather/${doc._id}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  // 23) Ownership: updating or deleting someone else's record is a 404
+  test("PUT/DELETE /api/weather/:id cannot touch another user's record", async () => {
+    const doc = await Weather.create(
+      makeFakeWeather({ city: "TheirCity", owner: OTHER_USER })
+    );
+
+    const putRes = await request(app)
+      .put(`/api/weather/${doc._id}`)
+      .send(makeFakeWeather({ city: "Hijacked" }));
+    const delRes = await request(app).delete(`/api/weather/${doc._id}`);
+
+    expect(putRes.status).toBeGreaterThanOrEqual(400);
+    expect(delRes.status).toBe(404);
+
+    const stored = await Weather.findById(doc._id).lean();
+    expect(stored.city).toBe("TheirCity");
+  });
+
+  // 24) Forecast endpoint, with OpenWeather mocked like the service's retry tests
+  test("GET /api/weather/forecast returns a normalized forecast", async () => {
+    const env = { ...process.env };
+    process.env.OPENWEATHER_API_KEY = "test-key";
+    process.env.WEATHER_PROVIDERS = "openweather";
+    await clearWeatherCache();
+    resetCircuitBreakers();
+    get.mockImplementationOnce(async () => ({
+      data: {
+        city: { name: "London", country: "GB", coord: { lon: -0.13, lat: 51.51 } },
+        list: [
+          {
+            dt: 1735689600,
+            main: { temp: 4.2, feels_like: 1.5, humidity: 70, pressure: 1020 },
+            wind: { speed: 4.1 },
+            weather: [{ main: "Rain", description: "light rain" }],
+            pop: 0.4,
+          },
+        ],
+      },
+    }));
+
+    let res;
+    try {
+      res = await request(app).get("/api/weather/forecast").query({ city: "London" });
+    } finally {
+      process.env = env;
+    }
+
+    expect(res.status).toBe(200);
+    expect(get).toHaveBeenLastCalledWith(
+      expect.stringContaining("openweathermap.org/data/2.5/forecast"),
+      expect.objectContaining({ params: expect.objectContaining({ q: "London" }) })
+    );
+    expect(res.body).toMatchObject({ city: "London", country: "GB" });
+    expect(res.body.entries).toEqual([
+      expect.objectContaining({ at: "2025-01-01T00:00:00.000Z", temp: 4.2, condition: "Rain" }),
+    ]);
+  });
+
+  // 25) Errors come back as structured JSON
+  test("GET /api/weather/:id with invalid id returns a JSON 400 with issues", async () => {
+    const res = await request(app).get("/api/weather/not-a-valid-id");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe("Validation failed");
+    expect(res.body.error.issues[0].path).toBe("_id");
+  });
+
+  // 26) Validation failures list every bad field
+  test("POST /api/weather (manual) with a bad payload returns per-field issues", async () => {
+    const res = await request(app)
+      .post("/api/weather")
+      .send({ manual: true, city: "BadCity", temp: "warm" });
+
+    expect(res.status).toBe(400);
+    const paths = res.body.error.issues.map((i) => i.path);
+    expect(paths).toEqual(expect.arrayContaining(["temp", "country"]));
+  });
+
+  // 27) Missing records are a JSON 404
+  test("GET /api/weather/:id for a missing record returns a JSON 404", async () => {
+    const fakeId = new mongoose.Types.ObjectId().toString();
+
+    const res = await request(app).get(`/api/weather/${fakeId}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe("Weather record not found");
+  });
+
+  // 28) Pagination: walking nextCursor visits every record exactly once
+  test("GET /api/weather pages through records with nextCursor", async () => {
+    const docs = [];
+    for (let i = 0; i < 5; i++) {
+      // Two records share each timestamp to exercise the _id tie-breaker
+      docs.push(
+        makeFakeWeather({
+          city: `PageCity${i}`,
+          fetchedAt: new Date(Date.UTC(2025, 0, 1 + Math.floor(i / 2))),
+        })
+      );
+    }
+    await Weather.insertMany(docs);
+
+    const seen = [];
+    let cursor;
+    do {
+      const res = await request(app)
+        .get("/api/weather")
+        .query(cursor ? { limit: 2, cursor } : { limit: 2 });
+      expect(res.status).toBe(200);
+      expect(res.body.items.length).toBeLessThanOrEqual(2);
+      seen.push(...res.body.items.map((r) => r.city));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(seen.length).toBe(5);
+    expect(new Set(seen).size).toBe(5);
+  });
+
+  // 29) Filters: date range, country, condition and temperature
+  test("GET /api/weather filters by from/to, country, condition and temp range", async () => {
+    await Weather.insertMany([
+      makeFakeWeather({ city: "Match", country: "US", condition: "Rain", temp: 15, fetchedAt: new Date("2025-03-10") }),
+      makeFakeWeather({ city: "TooEarly", country: "US", condition: "Rain", temp: 15, fetchedAt: new Date("2025-01-10") }),
+      makeFakeWeather({ city: "WrongCountry", country: "GB", condition: "Rain", temp: 15, fetchedAt: new Date("2025-03-10") }),
+      makeFakeWeather({ city: "WrongCondition", country: "US", condition: "Clear", temp: 15, fetchedAt: new Date("2025-03-10") }),
+      makeFakeWeather({ city: "TooHot", country: "US", condition: "Rain", temp: 30, fetchedAt: new Date("2025-03-10") }),
+    ]);
+
+    const res = await request(app).get("/api/weather").query({
+      from: "2025-03-01",
+      to: "2025-03-31",
+      country: "us",
+      condition: "rain",
+      minTemp: 10,
+      maxTemp: 20,
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.items.map((r) => r.city)).toEqual(["Match"]);
+  });
+
+  // 30) City matching ignores case
+  test("GET /api/weather matches city case-insensitively", async () => {
+    await Weather.create(makeFakeWeather({ city: "Philadelphia" }));
+    await Weather.create(makeFakeWeather({ city: "Philadelphia Heights" }));
+
+    const res = await request(app).get("/api/weather").query({ city: "philadelphia" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.items.map((r) => r.city)).toEqual(["Philadelphia"]);
+  });
+
+  // 31) Sorting uses a whitelist
+  test("GET /api/weather sorts by a whitelisted field and rejects others", async () => {
+    await Weather.create(makeFakeWeather({ city: "Warm", temp: 25 }));
+    await Weather.create(makeFakeWeather({ city: "Cold", temp: -5 }));
+
+    const sorted = await request(app).get("/api/weather").query({ sort: "temp" });
+    const rejected = await request(app).get("/api/weather").query({ sort: "owner" });
+
+    expect(sorted.body.items.map((r) => r.city)).toEqual(["Cold", "Warm"]);
+    expect(rejected.status).toBe(400);
+  });
+
+  // 32) Bad cursors are rejected
+  test("GET /api/weather rejects a malformed cursor", async () => {
+    const res = await request(app).get("/api/weather").query({ cursor: "garbage" });
+
+    expect(res.status).toBe(400);
+  });
+
+  // 33) Stats: daily buckets with min/max/avg and the most frequent condition
+  test("GET /api/weather/stats summarizes records per day", async () => {
+    await Weather.insertMany([
+      makeFakeWeather({ city: "StatCity", temp: 10, humidity: 50, condition: "Rain", fetchedAt: new Date("2025-02-01T06:00:00Z") }),
+      makeFakeWeather({ city: "StatCity", temp: 20, humidity: 70, condition: "Rain", fetchedAt: new Date("2025-02-01T12:00:00Z") }),
+      makeFakeWeather({ city: "StatCity", temp: 15, humidity: 60, condition: "Clear", fetchedAt: new Date("2025-02-01T18:00:00Z") }),
+      makeFakeWeather({ city: "StatCity", temp: 5, humidity: 40, condition: "Snow", fetchedAt: new Date("2025-02-02T06:00:00Z") }),
+      makeFakeWeather({ city: "OtherCity", temp: 99, fetchedAt: new Date("2025-02-01T06:00:00Z") }),
+      makeFakeWeather({ city: "StatCity", temp: 99, owner: OTHER_USER, fetchedAt: new Date("2025-02-01T06:00:00Z") }),
+    ]);
+
+    const res = await request(app)
+      .get("/api/weather/stats")
+      .query({ city: "statcity", bucket: "day" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.buckets.length).toBe(2);
+
+    const [first, second] = res.body.buckets;
+    expect(first.start).toBe("2025-02-01T00:00:00.000Z");
+    expect(first.count).toBe(3);
+    expect(first.temp).toEqual({ min: 10, max: 20, avg: 15 });
+    expect(first.humidity).toEqual({ min: 50, max: 70, avg: 60 });
+    expect(first.condition).toBe("Rain");
+    expect(second.condition).toBe("Snow");
+  });
+
+  // 34) Stats: hourly buckets inside a date range
+  test("GET /api/weather/stats honours bucket=hour and from/to", async () => {
+    await Weather.insertMany([
+      makeFakeWeather({ city: "StatCity", fetchedAt: new Date("2025-02-01T06:10:00Z") }),
+      makeFakeWeather({ city: "StatCity", fetchedAt: new Date("2025-02-01T06:50:00Z") }),
+      makeFakeWeather({ city: "StatCity", fetchedAt: new Date("2025-02-01T07:10:00Z") }),
+      makeFakeWeather({ city: "StatCity", fetchedAt: new Date("2025-02-03T07:10:00Z") }),
+    ]);
+
+    const res = await request(app).get("/api/weather/stats").query({
+      city: "StatCity",
+      bucket: "hour",
+      from: "2025-02-01T00:00:00Z",
+      to: "2025-02-02T00:00:00Z",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.buckets.map((b) => b.count)).toEqual([2, 1]);
+  });
+
+  // 35) Stats: validation
+  test("GET /api/weather/stats requires a city and a known bucket", async () => {
+    const noCity = await request(app).get("/api/weather/stats");
+    const badBucket = await request(app)
+      .get("/api/weather/stats")
+      .query({ city: "StatCity", bucket: "month" });
+
+    expect(noCity.status).toBe(400);
+    expect(badBucket.status).toBe(400);
+  });
+
+  // 36) Units: records are converted on the way out
+  test("GET /api/weather?units=imperial converts temperatures and wind", async () => {
+    await Weather.create(makeFakeWeather({ temp: 20, feelsLike: 10, windSpeed: 10 }));
+
+    const res = await request(app).get("/api/weather").query({ units: "imperial" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.items[0]).toEqual(
+      expect.objectContaining({ temp: 68, feelsLike: 50, windSpeed: 22.37, units: "imperial" })
+    );
+
+    // Stored data stays metric
+    const stored = await Weather.findOne({}).lean();
+    expect(stored.temp).toBe(20);
+  });
+
+  // 37) Units: single reads and temperature filters use the requested units
+  test("units apply to GET /api/weather/:id and to minTemp/maxTemp", async () => {
+    const doc = await Weather.create(makeFakeWeather({ city: "Kelvin", temp: 0 }));
+    await Weather.create(makeFakeWeather({ city: "Hot", temp: 40 }));
+
+    const one = await request(app)
+      .get(`/api/weather/${doc._id}`)
+      .query({ units: "standard" });
+    const filtered = await request(app)
+      .get("/api/weather")
+      .query({ units: "imperial", maxTemp: 50 });
+
+    expect(one.body.temp).toBe(273.15);
+    expect(filtered.body.items.map((r) => r.city)).toEqual(["Kelvin"]);
+  });
+
+  // 38) Units: unknown systems are rejected
+  test("GET /api/weather rejects an unknown unit system", async () => {
+    const res = await request(app).get("/api/weather").query({ units: "furlongs" });
+
+    expect(res.status).toBe(400);
+  });
+
+  // 39) Geo: coordinates are stored as an indexed GeoJSON point, but not returned
+  test("stores location as a GeoJSON point and keeps it out of responses", async () => {
+    const doc = await Weather.create(
+      makeFakeWeather({ coordinates: { lon: -75.16, lat: 39.95 } })
+    );
+    await Weather.findByIdAndUpdate(doc._id, { coordinates: { lon: -74.01, lat: 40.71 } });
+
+    const stored = await Weather.findById(doc._id).lean();
+    const res = await request(app).get(`/api/weather/${doc._id}`);
+
+    expect(stored.location).toEqual({ type: "Point", coordinates: [-74.01, 40.71] });
+    expect(res.body.location).toBeUndefined();
+  });
+
+  // 40) Geo: nearby records, nearest first, within the radius, owner only
+  test("GET /api/weather/near returns your records within radiusKm by distance", async () => {
+    await Weather.init();
+    await Weather.create([
+      makeFakeWeather({ city: "Camden", coordinates: { lon: -75.12, lat: 39.93 } }),
+      makeFakeWeather({ city: "Philadelphia", coordinates: { lon: -75.16, lat: 39.95 } }),
+      makeFakeWeather({ city: "New York", coordinates: { lon: -74.01, lat: 40.71 } }),
+      makeFakeWeather({
+        owner: OTHER_USER,
+        city: "Not mine",
+        coordinates: { lon: -75.16, lat: 39.95 },
+      }),
+    ]);
+
+    const res = await request(app)
+      .get("/api/weather/near")
+      .query({ lat: 39.95, lon: -75.16, radiusKm: 20 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.items.map((r) => r.city)).toEqual(["Philadelphia", "Camden"]);
+    expect(res.body.items[0].distanceKm).toBe(0);
+    expect(res.body.items[1].distanceKm).toBeGreaterThan(3);
+    expect(res.body.items[1].location).toBeUndefined();
+  });
+
+  // 41) Geo: lat/lon are required and range-checked
+  test("GET /api/weather/near validates lat, lon and radiusKm", async () => {
+    const missing = await request(app).get("/api/weather/near").query({ lat: 39.95 });
+    const outOfRange = await request(app)
+      .get("/api/weather/near")
+      .query({ lat: 95, lon: -75.16 });
+    const badRadius = await request(app)
+      .get("/api/weather/near")
+      .query({ lat: 39.95, lon: -75.16, radiusKm: -1 });
+
+    expect(missing.status).toBe(400);
+    expect(outOfRange.status).toBe(400);
+    expect(badRadius.status).toBe(400);
+  });
+
+  // 42) Geo: fetch by zip needs a country
+  test("POST /api/weather/fetch rejects a zip without a country", async () => {
+    const res = await request(app).post("/api/weather/fetch").query({ zip: "19104" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.issues[0].path).toBe("country");
+  });
+
+  // 43) Export: CSV with the list filters, owner only
+  test("GET /api/weather/export streams matching records as CSV", async () => {
+    await Weather.create([
+      makeFakeWeather({ city: "Oslo", temp: 10, fetchedAt: new Date("2025-01-02T00:00:00Z") }),
+      makeFakeWeather({ city: "Oslo", temp: 20, fetchedAt: new Date("2025-01-03T00:00:00Z") }),
+      makeFakeWeather({ city: "Rome" }),
+      makeFakeWeather({ owner: OTHER_USER, city: "Oslo" }),
+    ]);
+
+    const res = await request(app)
+      .get("/api/weather/export")
+      .query({ city: "oslo", sort: "fetchedAt", units: "imperial" });
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(res.headers["content-disposition"]).toMatch(/weather-export-\d{4}-\d{2}-\d{2}\.csv/);
+    const lines = res.text.trim().split("\r\n");
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^id,city,country,lon,lat,temp,/);
+    expect(lines[1]).toContain(",Oslo,US,-75.1,39.9,50,");
+    expect(lines[2]).toContain(",Oslo,US,-75.1,39.9,68,");
+  });
+
+  // 44) Export: NDJSON and JSON
+  test("GET /api/weather/export supports ndjson and json", async () => {
+    await Weather.create([makeFakeWeather({ city: "Oslo" }), makeFakeWeather({ city: "Rome" })]);
+
+    const ndjson = await request(app).get("/api/weather/export").query({ format: "ndjson" });
+    const json = await request(app).get("/api/weather/export").query({ format: "json" });
+    const bad = await request(app).get("/api/weather/export").query({ format: "xml" });
+
+    expect(ndjson.headers["content-type"]).toMatch(/^application\/x-ndjson/);
+    const lines = ndjson.text.trim().split("\n").map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ city: "Oslo", units: "metric" });
+    expect(lines[0].owner).toBeUndefined();
+    expect(json.body).toEqual(lines);
+    expect(bad.status).toBe(400);
+  });
+
+  // 45) Import: dry run validates without saving
+  test("POST /api/weather/import?dryRun=true reports rows without saving", async () => {
+    const csv = [
+      "city,country,lon,lat,temp,feelsLike,humidity,pressure,windSpeed,condition,description,fetchedAt",
+      "Oslo,NO,10.75,59.91,20,19,55,1012,4,Clouds,broken clouds,2025-01-01T00:00:00Z",
+      "Rome,IT,12.5,41.9,hot,25,40,1015,2,Clear,clear sky,2025-01-01T00:00:00Z",
+    ].join("\n");
+
+    const res = await request(app)
+      .post("/api/weather/import")
+      .query({ dryRun: "true" })
+      .set("Content-Type", "text/csv")
+      .send(csv);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, total: 2, accepted: 1, rejected: 1 });
+    expect(res.body.rows[1]).toMatchObject({ row: 2, status: "rejected" });
+    expect(res.body.rows[1].issues[0].path).toBe("temp");
+    expect(await Weather.countDocuments()).toBe(0);
+  });
+
+  // 46) Import: export output round-trips, saved for the importer
+  test("POST /api/weather/import saves valid rows for the signed-in user", async () => {
+    await Weather.create([makeFakeWeather({ city: "Oslo" }), makeFakeWeather({ city: "Rome" })]);
+    const exported = await request(app)
+      .get("/api/weather/export")
+      .query({ format: "ndjson", units: "imperial" });
+
+    const res = await request(app)
+      .post("/api/weather/import")
+      .set("Content-Type", "application/x-ndjson")
+      .set("x-test-user", OTHER_USER)
+      .send(exported.text + "{not json}\n");
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ dryRun: false, total: 3, accepted: 2, rejected: 1 });
+    const imported = await Weather.find({ owner: OTHER_USER }).sort({ city: 1 }).lean();
+    expect(imported.map((r) => r.city)).toEqual(["Oslo", "Rome"]);
+    expect(imported[0].temp).toBe(21);
+    expect(imported[0].location.coordinates).toEqual([-75.1, 39.9]);
+    expect(res.body.rows.slice(0, 2).map((r) => r.id).sort()).toEqual(
+      imported.map((r) => String(r._id)).sort()
+    );
+
+    // Each imported record starts its history with a create entry
+    const audits = await WeatherAudit.find({ record: { $in: imported.map((r) => r._id) } }).lean();
+    expect(audits).toHaveLength(2);
+    expect(audits).toEqual(
+      expect.arrayContaining(
+        imported.map((r) =>
+          expect.objectContaining({ record: r._id, actor: OTHER_USER, action: "create", version: 0 })
+        )
+      )
+    );
+  });
+
+  // 47) Import: JSON arrays, and an unknown body type
+  test("POST /api/weather/import takes a JSON array and rejects unknown types", async () => {
+    const json = await request(app)
+      .post("/api/weather/import")
+      .send([makeFakeWeather({ owner: undefined, city: "Oslo" })]);
+    const unknown = await request(app)
+      .post("/api/weather/import")
+      .set("Content-Type", "text/plain")
+      .send("city\nOslo");
+
+    expect(json.status).toBe(201);
+    expect(json.body.accepted).toBe(1);
+    expect(unknown.status).toBe(415);
+  });
+
+  // 48) ETags: GET returns the version, PATCH with it succeeds and bumps it
+  test("PATCH /api/weather/:id with a current If-Match updates only the sent fields", async () => {
+    const doc = await Weather.create(makeFakeWeather({ city: "Oslo" }));
+
+    const got = await request(app).get(`/api/weather/${doc._id}`);
+    const res = await request(app)
+      .patch(`/api/weather/${doc._id}`)
+      .set("If-Match", got.headers.etag)
+      .send({ condition: "Rain", description: "light rain" });
+
+    expect(got.headers.etag).toBe('"v0"');
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"v1"');
+    expect(res.body).toMatchObject({ city: "Oslo", condition: "Rain", temp: 21 });
+  });
+
+  // 49) ETags: a stale If-Match is refused and nothing changes
+  test("PUT/PATCH /api/weather/:id with a stale If-Match returns 412", async () => {
+    const doc = await Weather.create(makeFakeWeather({ city: "Oslo" }));
+    const { headers } = await request(app).get(`/api/weather/${doc._id}`);
+    await request(app).patch(`/api/weather/${doc._id}`).send({ temp: 5 });
+
+    const patch = await request(app)
+      .patch(`/api/weather/${doc._id}`)
+      .set("If-Match", headers.etag)
+      .send({ temp: 30 });
+    const put = await request(app)
+      .put(`/api/weather/${doc._id}`)
+      .set("If-Match", headers.etag)
+      .send({ ...makeFakeWeather({ temp: 30 }), owner: undefined });
+    const weak = await request(app)
+      .patch(`/api/weather/${doc._id}`)
+      .set("If-Match", 'W/"v1"')
+      .send({ temp: 30 });
+
+    expect(patch.status).toBe(412);
+    expect(put.status).toBe(412);
+    expect(weak.status).toBe(412);
+    expect((await Weather.findById(doc._id).lean()).temp).toBe(5);
+  });
+
+  // 50) PATCH validates the partial body
+  test("PATCH /api/weather/:id rejects empty, unknown and invalid fields", async () => {
+    const doc = await Weather.create(makeFakeWeather());
+
+    const empty = await request(app).patch(`/api/weather/${doc._id}`).send({});
+    const unknown = await request(app).patch(`/api/weather/${doc._id}`).send({ owner: OTHER_USER });
+    const invalid = await request(app).patch(`/api/weather/${doc._id}`).send({ humidity: "damp" });
+    const missing = await request(app)
+      .patch("/api/weather/64b000000000000000000000")
+      .send({ temp: 1 });
+
+    expect(empty.status).toBe(400);
+    expect(unknown.status).toBe(400);
+    expect(invalid.body.error.issues[0].path).toBe("humidity");
+    expect(missing.status).toBe(404);
+    expect((await Weather.findById(doc._id).lean()).owner).toBe(OWNER);
+  });
+
+  // 51) JSON date strings work on both update paths
+  test("PUT and PATCH /api/weather/:id accept fetchedAt as an ISO string", async () => {
+    const doc = await Weather.create(makeFakeWeather());
+
+    const put = await request(app)
+      .put(`/api/weather/${doc._id}`)
+      .send({ ...makeFakeWeather({ fetchedAt: "2025-02-01T00:00:00Z" }), owner: undefined });
+    const patch = await request(app)
+      .patch(`/api/weather/${doc._id}`)
+      .send({ fetchedAt: "2025-03-01T00:00:00Z", coordinates: { lon: -74.01, lat: 40.71 } });
+
+    expect(put.status).toBe(200);
+    expect(put.body.fetchedAt).toBe("2025-02-01T00:00:00.000Z");
+    expect(patch.status).toBe(200);
+    expect(patch.headers.etag).toBe('"v2"');
+
+    const stored = await Weather.findById(doc._id).lean();
+    expect(stored.fetchedAt).toEqual(new Date("2025-03-01T00:00:00Z"));
+    expect(stored.location.coordinates).toEqual([-74.01, 40.71]);
+  });
+
+  // 52) Trash: deleted records are hidden everywhere but the trash
+  test("deleted records disappear from list, stats, near and export", async () => {
+    await Weather.init();
+    const [gone] = await Weather.create([
+      makeFakeWeather({ city: "Gone" }),
+      makeFakeWeather({ city: "Kept" }),
+    ]);
+    const del = await request(app).delete(`/api/weather/${gone._id}`);
+
+    const list = await request(app).get("/api/weather");
+    const stats = await request(app).get("/api/weather/stats").query({ city: "Gone" });
+    const near = await request(app).get("/api/weather/near").query({ lat: 39.9, lon: -75.1 });
+    const exported = await request(app).get("/api/weather/export").query({ format: "json" });
+    const patch = await request(app).patch(`/api/weather/${gone._id}`).send({ temp: 1 });
+    const again = await request(app).delete(`/api/weather/${gone._id}`);
+
+    expect(del.body).toMatchObject({ deleted: true, id: String(gone._id) });
+    expect(new Date(del.body.purgeAt) - new Date(del.body.deletedAt)).toBe(30 * 24 * 60 * 60 * 1000);
+    expect(list.body.items.map((r) => r.city)).toEqual(["Kept"]);
+    expect(stats.body.buckets).toEqual([]);
+    expect(near.body.items.map((r) => r.city)).toEqual(["Kept"]);
+    expect(exported.body.map((r) => r.city)).toEqual(["Kept"]);
+    expect(patch.status).toBe(404);
+    expect(again.status).toBe(404);
+  });
+
+  // 53) Trash: listing and restoring, owner only
+  test("GET /api/weather/trash and POST /api/weather/:id/restore", async () => {
+    const doc = await Weather.create(makeFakeWeather({ city: "Oops" }));
+    await request(app).delete(`/api/weather/${doc._id}`);
+
+    const trash = await request(app).get("/api/weather/trash");
+    const theirs = await request(app)
+      .post(`/api/weather/${doc._id}/restore`)
+      .set("x-test-user", OTHER_USER);
+    const restored = await request(app).post(`/api/weather/${doc._id}/restore`);
+    const twice = await request(app).post(`/api/weather/${doc._id}/restore`);
+    const list = await request(app).get("/api/weather");
+
+    expect(trash.body.items).toHaveLength(1);
+    expect(trash.body.items[0]).toMatchObject({ city: "Oops", purgeAt: expect.any(String) });
+    expect(theirs.status).toBe(404);
+    expect(restored.status).toBe(200);
+    expect(restored.body.deletedAt).toBeNull();
+    expect(twice.status).toBe(404);
+    expect(list.body.items.map((r) => r.city)).toEqual(["Oops"]);
+  });
+
+  // 54) Trash: the purge job only removes records past the retention period
+  test("purgeTrash removes records deleted longer ago than TRASH_RETENTION_DAYS", async () => {
+    const now = new Date("2025-06-01T00:00:00Z");
+    const daysAgo = (n) => new Date(now.getTime() - n * 24 * 60 * 60 * 1000);
+    await Weather.create([
+      makeFakeWeather({ city: "Expired", deletedAt: daysAgo(31) }),
+      makeFakeWeather({ city: "Recent", deletedAt: daysAgo(29) }),
+      makeFakeWeather({ city: "Live" }),
+    ]);
+
+    const purged = await purgeTrash(now);
+
+    const left = await Weather.find({}).sort({ city: 1 }).lean();
+    expect(purged).toBe(1);
+    expect(left.map((r) => r.city)).toEqual(["Live", "Recent"]);
+  });
+
+  // 55) Audit: every change through the API is recorded with a diff
+  test("GET /api/weather/:id/history lists who changed what, newest first", async () => {
+    const created = await request(app)
+      .post("/api/weather")
+      .send({ ...makeFakeWeather({ owner: undefined }), manual: true });
+    const id = created.body._id;
+    await request(app).patch(`/api/weather/${id}`).send({ temp: 25, condition: "Clear" });
+    await request(app).delete(`/api/weather/${id}`);
+    await request(app).post(`/api/weather/${id}/restore`);
+
+    const res = await request(app).get(`/api/weather/${id}/history`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.items.map((e) => [e.action, e.version])).toEqual([
+      ["restore", 3],
+      ["delete", 2],
+      ["update", 1],
+      ["create", 0],
+    ]);
+    expect(res.body.items.every((e) => e.actor === OWNER)).toBe(true);
+    expect(res.body.items[2].changes).toEqual([
+      { path: "temp", from: 21, to: 25 },
+      { path: "condition", from: "Clouds", to: "Clear" },
+    ]);
+    expect(res.body.items[1].changes.map((c) => c.path)).toEqual(["deletedAt"]);
+  });
+
+  // 56) Audit: only the owner sees the history
+  test("GET /api/weather/:id/history is a 404 for someone else's record", async () => {
+    const doc = await Weather.create(makeFakeWeather({ owner: OTHER_USER }));
+
+    const res = await request(app).get(`/api/weather/${doc._id}/history`);
+    const untracked = await request(app)
+      .get(`/api/weather/${doc._id}/history`)
+      .set("x-test-user", OTHER_USER);
+
+    expect(res.status).toBe(404);
+    expect(untracked.status).toBe(200);
+    expect(untracked.body.items).toEqual([]);
+  });
+
+  // 57) Audit: reverting to an earlier version is itself audited
+  test("POST /api/weather/:id/revert restores an earlier version", async () => {
+    const created = await request(app)
+      .post("/api/weather")
+      .send({ ...makeFakeWeather({ owner: undefined }), manual: true });
+    const id = created.body._id;
+    await request(app).patch(`/api/weather/${id}`).send({ temp: 30, provider: "manual" });
+
+    const res = await request(app).post(`/api/weather/${id}/revert`).send({ version: 0 });
+    const missing = await request(app).post(`/api/weather/${id}/revert`).send({ version: 9 });
+    const history = await request(app).get(`/api/weather/${id}/history`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"v2"');
+    expect(res.body.temp).toBe(21);
+    expect(res.body.provider).toBeUndefined();
+    expect(missing.status).toBe(404);
+    expect(history.body.items[0]).toMatchObject({
+      action: "revert",
+      version: 2,
+      revertedTo: 0,
+      changes: [
+        { path: "temp", from: 30, to: 21 },
+        { path: "provider", from: "manual", to: null },
+      ],
+    });
+  });
+
+  // 58) Roles: viewers can look but not change anything
+  test("viewers can read their records but get 403 on every change", async () => {
+    const doc = await Weather.create(makeFakeWeather());
+
+    const list = await request(app).get("/api/weather").set("x-test-role", "viewer");
+    const create = await request(app)
+      .post("/api/weather")
+      .set("x-test-role", "viewer")
+      .send({ ...makeFakeWeather({ owner: undefined }), manual: true });
+    const patch = await request(app)
+      .patch(`/api/weather/${doc._id}`)
+      .set("x-test-role", "viewer")
+      .send({ temp: 30 });
+    const del = await request(app).delete(`/api/weather/${doc._id}`).set("x-test-role", "viewer");
+
+    expect(list.status).toBe(200);
+    expect(list.body.items).toHaveLength(1);
+    expect([create.status, patch.status, del.status]).toEqual([403, 403, 403]);
+    expect(create.body.error.message).toBe("Requires the admin or editor role");
+    expect(await Weather.countDocuments({ deletedAt: null })).toBe(1);
+  });
+
+  // 59) Roles: admins see and manage every user's records
+  test("admins list, change and delete other users' records", async () => {
+    const mine = await Weather.create(makeFakeWeather());
+    const theirs = await Weather.create(makeFakeWeather({ owner: OTHER_USER, city: "Elsewhere" }));
+    const ADMIN = { "x-test-user": "google|an-admin", "x-test-role": "admin" };
+
+    const list = await request(app).get("/api/weather").set(ADMIN);
+    const patch = await request(app)
+      .patch(`/api/weather/${theirs._id}`)
+      .set(ADMIN)
+      .send({ temp: 5 });
+    const del = await request(app).delete(`/api/weather/${mine._id}`).set(ADMIN);
+    const history = await request(app).get(`/api/weather/${theirs._id}/history`).set(ADMIN);
+
+    expect(list.body.items).toHaveLength(2);
+    expect(patch.status).toBe(200);
+    expect(patch.body.owner).toBe(OTHER_USER);
+    expect(del.status).toBe(200);
+    expect(history.body.items[0]).toMatchObject({ action: "update", actor: "google|an-admin" });
+  });
+
+  // 60) Rate limits: lookups are throttled per user, manual records aren't
+  test("POST /api/weather/fetch answers 429 once the user's limit is used", async () => {
+    const saved = process.env.RATE_LIMIT_USER_PER_MINUTE;
+    process.env.RATE_LIMIT_USER_PER_MINUTE = "1";
+    resetRateLimits();
+    try {
+      // A zip without a country fails validation, so nothing goes upstream
+      const first = await request(app).post("/api/weather/fetch").query({ zip: "19104" });
+      const second = await request(app).post("/api/weather/fetch").query({ zip: "19104" });
+      const claimsManual = await request(app)
+        .post("/api/weather/fetch")
+        .query({ zip: "19104" })
+        .send({ manual: true });
+      const manual = await request(app)
+        .post("/api/weather")
+        .send({ ...makeFakeWeather({ owner: undefined }), manual: true });
+
+      expect(first.status).toBe(400);
+      expect(first.headers["ratelimit-limit"]).toBe("1");
+      expect(first.headers["ratelimit-remaining"]).toBe("0");
+      expect(second.status).toBe(429);
+      expect(Number(second.headers["retry-after"])).toBeGreaterThan(0);
+      expect(claimsManual.status).toBe(429);
+      expect(manual.status).toBe(201);
+    } finally {
+      if (saved === undefined) delete process.env.RATE_LIMIT_USER_PER_MINUTE;
+      else process.env.RATE_LIMIT_USER_PER_MINUTE = saved;
+      resetRateLimits();
+    }
+  });
+
+  // 61) Upstream usage is visible
+  test("GET /api/weather/usage reports today's upstream calls", async () => {
+    const res = await request(app).get("/api/weather/usage");
+
+    expect(res.status).toBe(200);
+    expect(res.body.day).toBe(new Date().toISOString().slice(0, 10));
+    expect(typeof res.body.calls).toBe("number");
+    expect(res.body).toHaveProperty("budget");
+    expect(res.body).toHaveProperty("resetsAt");
+  });
+
+  // 62) Requests and responses match the published OpenAPI spec
+  test("list, read and update requests and responses match the OpenAPI spec", async () => {
+    const spec = createSpecValidator(swaggerSpec);
+    const doc = await Weather.create(makeFakeWeather());
+    const replacement = {
+      ...makeFakeWeather({ fetchedAt: "2025-02-01T00:00:00.000Z" }),
+      owner: undefined,
+    };
+
+    const responses = [
+      await request(app).get("/api/weather?units=imperial"),
+      await request(app).get(`/api/weather/${doc._id}`),
+      await request(app).put(`/api/weather/${doc._id}`).send(replacement),
+      await request(app).patch(`/api/weather/${doc._id}`).send({ temp: 3 }),
+    ];
+
+    expect(
+      spec.validateRequest({ method: "PUT", path: `/api/weather/${doc._id}`, body: replacement })
+    ).toEqual([]);
+    for (const res of responses) {
+      expect(res.status).toBe(200);
+      expect(
+        spec.validateResponse({
+          method: res.req.method,
+          path: res.req.path,
+          status: res.status,
+          body: res.body,
+        })
+      ).toEqual([]);
+    }
+  });
+
+  // 63) Coordinates outside the globe are a 400, not a geo index failure
+  test("POST and PATCH /api/weather reject out-of-range coordinates", async () => {
+    const doc = await Weather.create(makeFakeWeather());
+    const offMap = makeFakeWeather({ owner: undefined, coordinates: { lon: 0, lat: 120 } });
+
+    const created = await request(app).post("/api/weather").send({ ...offMap, manual: true });
+    const patched = await request(app)
+      .patch(`/api/weather/${doc._id}`)
+      .send({ coordinates: { lon: -200, lat: 0 } });
+
+    expect(created.status).toBe(400);
+    expect(created.body.error.issues[0].path).toBe("coordinates.lat");
+    expect(patched.status).toBe(400);
+    expect(patched.body.error.issues[0].path).toBe("coordinates.lon");
+    expect(await Weather.countDocuments()).toBe(1);
+  });
+
+  // 64) PUT replaces the whole record: what the body leaves out doesn't survive
+  test("PUT /api/weather/:id removes optional fields the body leaves out", async () => {
+    const doc = await Weather.create(makeFakeWeather({ provider: "openweather" }));
+    const { owner: _owner, provider: _provider, ...replacement } = makeFakeWeather({
+      condition: "Rain",
+    });
+    const { description: _description, ...incomplete } = replacement;
+
+    const put = await request(app).put(`/api/weather/${doc._id}`).send(replacement);
+    const partial = await request(app).put(`/api/weather/${doc._id}`).send(incomplete);
+
+    expect(put.status).toBe(200);
+    expect(put.body).not.toHaveProperty("provider");
+    expect(partial.status).toBe(400);
+    expect(partial.body.error.issues[0].path).toBe("description");
+
+    const stored = await Weather.findById(doc._id).lean();
+    expect(stored).not.toHaveProperty("provider");
+    expect(stored).toMatchObject({ condition: "Rain", description: "overcast clouds" });
+
+    const [update] = await WeatherAudit.find({ record: doc._id, action: "update" }).lean();
+    expect(update.changes).toEqual(
+      expect.arrayContaining([{ path: "provider", from: "openweather", to: null }])
+    );
+  });
+
+  // 65) Import: JSON bodies stream past express.json's 100kb, and types must match ?format=
+  test("POST /api/weather/import streams large JSON and rejects a mismatched type", async () => {
+    const { owner: _owner, ...record } = makeFakeWeather();
+    const records = Array(1000).fill(record); // ~250kb
+
+    const large = await request(app).post("/api/weather/import?dryRun=true").send(records);
+    const mismatched = await request(app)
+      .post("/api/weather/import?format=ndjson")
+      .send([record]);
+
+    expect(large.status).toBe(200);
+    expect(large.body).toMatchObject({ total: 1000, accepted: 1000, rejected: 0 });
+    expect(mismatched.status).toBe(415);
+    expect(mismatched.body.error.message).toMatch(/application\/x-ndjson/);
+    expect(await Weather.countDocuments()).toBe(0);
+  });
+
+  // 66) Import: saved records are announced like any other new record
+  test("POST /api/weather/import emits weather.created for each saved record", async () => {
+    const { owner: _owner, ...record } = makeFakeWeather();
+    const events = [];
+    const onEvent = (event) => events.push(event);
+    weatherEvents.on("event", onEvent);
+
+    try {
+      await request(app).post("/api/weather/import?dryRun=true").send([record]);
+      const res = await request(app).post("/api/weather/import").send([record, record, {}]);
+
+      expect(res.status).toBe(201);
+      expect(events.map((e) => e.type)).toEqual(["weather.created", "weather.created"]);
+      expect(events.map((e) => String(e.data._id))).toEqual(
+        res.body.rows.filter((r) => r.id).map((r) => r.id)
+      );
+      expect(events[0].owner).toBe(OWNER);
+    } finally {
+      weatherEvents.off("event", onEvent);
+    }
+  });
+
+  // 67) Audit: the history reads in ?units= like the record does
+  test("GET /api/weather/:id/history converts changes and snapshots to ?units=", async () => {
+    const created = await request(app)
+      .post("/api/weather")
+      .send({ ...makeFakeWeather({ owner: undefined }), manual: true });
+    const id = created.body._id;
+    await request(app).patch(`/api/weather/${id}`).send({ temp: 25 });
+
+    const res = await request(app).get(`/api/weather/${id}/history?units=imperial`);
+    const bad = await request(app).get(`/api/weather/${id}/history?units=furlongs`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.items[0].changes).toEqual([{ path: "temp", from: 69.8, to: 77 }]);
+    expect(res.body.items[0].snapshot).toMatchObject({ temp: 77, units: "imperial" });
+    expect(bad.status).toBe(400);
+  });
 });
@@ -5,6 +5,9 @@ function setupDOM() {
   document.body.innerHTML = `
     <div id="status"></div>
 
+    <button class="unit-btn" data-units="metric">°C</button>
+    <button class="unit-btn" data-units="imperial">°F</button>
+
     <div id="latest-card" style="display:none">
       <div id="latest-city"></div>
       <div id="latest-temp"></div>
@@ -12,9 +15,12 @@ function setupDOM() {
       <div id="latest-meta"></div>
     </div>
 
+    <div id="forecast-strip" style="display:none"></div>
+
     <table>
       <tbody id="history-body"></tbody>
     </table>
+    <button id="load-more" style="display:none">Load more</button>
 
     <form id="search-form">
       <input id="city-input" />
@@ -28,7 +34,14 @@ describe("Weather dashboard UI", () => {
   let renderLatest;
   let renderHistory;
   let handleSearch;
+  let handlePick;
   let deleteWeather;
+  let loadHistory;
+  let loadMoreHistory;
+  let renderForecast;
+  let setUnits;
+  let summarizeForecastByDay;
+  let applyStreamEvent;
 
   // Helper to (re)load the module after we build the DOM
   async function loadModule() {
@@ -37,7 +50,14 @@ describe("Weather dashboard UI", () => {
     renderLatest = mod.renderLatest;
     renderHistory = mod.renderHistory;
     handleSearch = mod.handleSearch;
+    handlePick = mod.handlePick;
     deleteWeather = mod.deleteWeather;
+    loadHistory = mod.loadHistory;
+    loadMoreHistory = mod.loadMoreHistory;
+    renderForecast = mod.renderForecast;
+    setUnits = mod.setUnits;
+    summarizeForecastByDay = mod.summarizeForecastByDay;
+    applyStreamEvent = mod.applyStreamEvent;
   }
 
   beforeEach(async () => {
@@ -88,7 +108,7 @@ describe("Weather dashboard UI", () => {
 
     expect(latestCard.style.display).toBe("block");
     expect(cityEl.textContent).toBe("Philadelphia");
-    expect(tempEl.textContent).toBe("9°"); // rounded
+    expect(tempEl.textContent).toBe("9°C"); // rounded, labelled
     expect(condEl.textContent).toBe("broken clouds");
   });
 
@@ -177,12 +197,13 @@ describe("Weather dashboard UI", () => {
     cityInput.value = "Paris";
 
     // First call: POST /fetch
-    // Second call: GET /api/weather
+    // Second call: GET /api/weather/forecast
     global.fetch = jest
       .fn()
       .mockResolvedValueOnce({
         ok: true,
         json: async () => ({
+          _id: "p1",
           city: "Paris",
           temp: 10,
           description: "cloudy",
@@ -192,7 +213,7 @@ describe("Weather dashboard UI", () => {
       })
       .mockResolvedValueOnce({
         ok: true,
-        json: async () => [],
+        json: async () => ({ city: "Paris", entries: [] }),
         text: async () => "",
       });
 
@@ -202,6 +223,13 @@ describe("Weather dashboard UI", () => {
 
     expect(fakeEvent.preventDefault).toHaveBeenCalled();
     expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[0][0]).toBe("/api/weather/fetch?city=Paris&units=metric");
+    expect(global.fetch.mock.calls[1][0]).toBe(
+      "/api/weather/forecast?city=Paris&units=metric"
+    );
+    expect(document.querySelector('#history-body tr[data-id="p1"]').textContent).toContain(
+      "Paris"
+    );
     expect(statusEl.textContent).toContain("Weather fetched and saved for Paris");
     expect(cityInput.value).toBe(""); // cleared
   });
@@ -237,4 +265,258 @@ describe("Weather dashboard UI", () => {
     // fetchJSON should never be called because confirm returned false
     expect(global.fetch).not.toHaveBeenCalled();
   });
+
+  // 11. deleteWeather – Undo takes the record back out of the trash
+  test("deleteWeather offers an Undo that restores the record", async () => {
+    global.confirm = jest.fn(() => true);
+    const ok = (body) => ({ ok: true, json: async () => body, text: async () => "" });
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(ok({ deleted: true, id: "12345" }))
+      .mockResolvedValueOnce(ok({ _id: "12345", city: "Paris" }));
+    renderHistory([{ _id: "12345", city: "Paris" }]);
+
+    await deleteWeather("12345");
+    expect(document.querySelectorAll("#history-body tr[data-id]").length).toBe(0);
+
+    const statusEl = document.getElementById("status");
+    const undoBtn = statusEl.querySelector("button.undo-btn");
+    expect(statusEl.textContent).toContain("Record deleted.");
+    expect(undoBtn).not.toBeNull();
+
+    undoBtn.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][0]).toBe("/api/weather/12345/restore?units=metric");
+    expect(global.fetch.mock.calls[1][1].method).toBe("POST");
+    expect(statusEl.textContent).toBe("Record restored.");
+    expect(document.querySelectorAll("#history-body tr[data-id]").length).toBe(1);
+  });
+
+  // 12. summarizeForecastByDay – one summary per day
+  test("summarizeForecastByDay groups 3-hour slots into daily highs and lows", () => {
+    const days = summarizeForecastByDay([
+      { at: new Date(2025, 10, 18, 9), temp: 5, condition: "Rain" },
+      { at: new Date(2025, 10, 18, 12), temp: 9, condition: "Clouds" },
+      { at: new Date(2025, 10, 18, 15), temp: 8, condition: "Rain" },
+      { at: new Date(2025, 10, 19, 9), temp: 3, condition: "Clear" },
+    ]);
+
+    expect(days.length).toBe(2);
+    expect(days[0]).toEqual(
+      expect.objectContaining({ min: 5, max: 9, condition: "Rain" })
+    );
+    expect(days[1]).toEqual(
+      expect.objectContaining({ min: 3, max: 3, condition: "Clear" })
+    );
+  });
+
+  // 13. renderForecast – shows one tile per day
+  test("renderForecast shows the forecast strip with one tile per day", () => {
+    renderForecast({
+      city: "Paris",
+      entries: [
+        { at: new Date(2025, 10, 18, 9).toISOString(), temp: 5.4, condition: "Rain" },
+        { at: new Date(2025, 10, 19, 9).toISOString(), temp: 7.6, condition: "Clear" },
+      ],
+    });
+
+    const strip = document.getElementById("forecast-strip");
+    expect(strip.style.display).toBe("flex");
+    expect(strip.querySelectorAll(".forecast-day").length).toBe(2);
+    expect(strip.textContent).toContain("8°C / 8°C");
+  });
+
+  // 14. renderForecast – hides the strip without data
+  test("renderForecast hides the strip when there is no forecast", () => {
+    renderForecast(null);
+
+    const strip = document.getElementById("forecast-strip");
+    expect(strip.style.display).toBe("none");
+    expect(strip.children.length).toBe(0);
+  });
+
+  // 15. loadHistory/loadMoreHistory – cursor pagination
+  test("Load more appends the next page using nextCursor", async () => {
+    const page = (ids, nextCursor) => ({
+      ok: true,
+      json: async () => ({
+        items: ids.map((id) => ({ _id: id, city: `City ${id}`, temp: 1 })),
+        nextCursor,
+      }),
+      text: async () => "",
+    });
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(page(["1", "2"], "abc"))
+      .mockResolvedValueOnce(page(["3"], null));
+
+    const tbody = document.getElementById("history-body");
+    const loadMoreBtn = document.getElementById("load-more");
+
+    await loadHistory();
+    expect(loadMoreBtn.style.display).toBe("inline-block");
+
+    await loadMoreHistory();
+    expect(global.fetch.mock.calls[1][0]).toContain("cursor=abc");
+    expect(tbody.querySelectorAll("tr").length).toBe(3);
+    expect(loadMoreBtn.style.display).toBe("none");
+  });
+
+  // 16. renderLatest – every value carries the unit of the record
+  test("renderLatest labels temperature, feels-like and wind with the record's units", () => {
+    renderLatest({
+      _id: "1",
+      city: "Denver",
+      temp: 71.6,
+      feelsLike: 70.2,
+      windSpeed: 8.05,
+      units: "imperial",
+      description: "clear sky",
+    });
+
+    expect(document.getElementById("latest-temp").textContent).toBe("72°F");
+    const meta = document.getElementById("latest-meta").textContent;
+    expect(meta).toContain("Feels like: 70°F");
+    expect(meta).toContain("Wind: 8.1 mph");
+  });
+
+  // 17. setUnits – saves the preference and reloads in the new units
+  test("setUnits saves the preference and reloads history in °F", async () => {
+    const ok = (body) => ({ ok: true, json: async () => body, text: async () => "" });
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(ok({ preferences: { units: "imperial" } }))
+      .mockResolvedValueOnce(ok({ items: [{ _id: "1", city: "Denver", temp: 50, units: "imperial" }], nextCursor: null }));
+
+    await setUnits("imperial");
+
+    const [prefUrl, prefOptions] = global.fetch.mock.calls[0];
+    expect(prefUrl).toBe("/api/me/preferences");
+    expect(prefOptions.method).toBe("PATCH");
+    expect(JSON.parse(prefOptions.body)).toEqual({ units: "imperial" });
+    expect(global.fetch.mock.calls[1][0]).toContain("units=imperial");
+    expect(document.getElementById("history-body").textContent).toContain("50°F");
+    expect(
+      document.querySelector('.unit-btn[data-units="imperial"]').getAttribute("aria-pressed")
+    ).toBe("true");
+  });
+
+  // 18. applyStreamEvent – a record created elsewhere appears on top
+  test("applyStreamEvent prepends a created record and drops the empty placeholder", () => {
+    renderHistory([]);
+
+    applyStreamEvent({
+      type: "weather.created",
+      id: "9",
+      record: { _id: "9", city: "Oslo", temp: -3, units: "metric" },
+    });
+    applyStreamEvent({
+      type: "weather.created",
+      id: "10",
+      record: { _id: "10", city: "Lima", temp: 19, units: "metric" },
+    });
+
+    const rows = document.querySelectorAll("#history-body tr");
+    expect(rows.length).toBe(2);
+    expect(rows[0].dataset.id).toBe("10");
+    expect(rows[1].textContent).toContain("Oslo");
+  });
+
+  // 19. applyStreamEvent – updates replace the row in place, repeats don't duplicate
+  test("applyStreamEvent replaces an updated row without duplicating it", () => {
+    renderHistory([
+      { _id: "1", city: "New York", temp: 7 },
+      { _id: "2", city: "Boston", temp: 5 },
+    ]);
+
+    applyStreamEvent({
+      type: "weather.updated",
+      id: "2",
+      record: { _id: "2", city: "Boston", temp: 12, units: "metric" },
+    });
+    applyStreamEvent({
+      type: "weather.created",
+      id: "1",
+      record: { _id: "1", city: "New York", temp: 7, units: "metric" },
+    });
+
+    const rows = document.querySelectorAll("#history-body tr");
+    expect(rows.length).toBe(2);
+    expect(rows[1].textContent).toContain("12°C");
+  });
+
+  // 20. applyStreamEvent – deletes remove the row
+  test("applyStreamEvent removes a deleted row and shows the placeholder when empty", () => {
+    renderHistory([{ _id: "1", city: "New York", temp: 7 }]);
+
+    applyStreamEvent({ type: "weather.deleted", id: "1", record: { _id: "1" } });
+
+    const tbody = document.getElementById("history-body");
+    expect(tbody.querySelectorAll("tr[data-id]").length).toBe(0);
+    expect(tbody.textContent).toContain("No weather data saved yet.");
+  });
+
+  // 21. handlePick – a picked suggestion is fetched by coordinates
+  test("handlePick fetches and forecasts the picked city by its coordinates", async () => {
+    const statusEl = document.getElementById("status");
+
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ city: "Portland", temp: 12, fetchedAt: "2025-11-18T22:00:00.000Z" }),
+        text: async () => "",
+      })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ city: "Portland", entries: [] }),
+        text: async () => "",
+      });
+
+    await handlePick({ name: "Portland", country: "US", coordinates: { lat: 43.66, lon: -70.26 } });
+
+    expect(global.fetch.mock.calls[0][0]).toBe(
+      "/api/weather/fetch?lat=43.66&lon=-70.26&name=Portland&units=metric"
+    );
+    expect(global.fetch.mock.calls[0][1]).toMatchObject({ method: "POST" });
+    expect(global.fetch.mock.calls[1][0]).toBe(
+      "/api/weather/forecast?lat=43.66&lon=-70.26&name=Portland&units=metric"
+    );
+    expect(statusEl.textContent).toContain("Weather fetched and saved for Portland");
+  });
+
+  // 22. applyStreamEvent – a restored record slots in by date, keeping loaded pages
+  test("applyStreamEvent places a restored record by date without reloading", async () => {
+    const at = (hour) => `2025-11-18T${hour}:00:00.000Z`;
+    const page = (hours, nextCursor) => ({
+      ok: true,
+      json: async () => ({
+        items: hours.map((h) => ({ _id: h, city: `City ${h}`, fetchedAt: at(h) })),
+        nextCursor,
+      }),
+      text: async () => "",
+    });
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(page(["20", "18"], "abc"))
+      .mockResolvedValueOnce(page(["16", "14"], "def"));
+
+    await loadHistory();
+    await loadMoreHistory();
+
+    const restored = (hour) => ({
+      type: "weather.restored",
+      id: hour,
+      record: { _id: hour, city: `City ${hour}`, fetchedAt: at(hour) },
+    });
+    applyStreamEvent(restored("17"));
+    // Older than every loaded row: it comes with the next page instead
+    applyStreamEvent(restored("09"));
+
+    const ids = [...document.querySelectorAll("#history-body tr")].map((tr) => tr.dataset.id);
+    expect(ids).toEqual(["20", "18", "17", "16", "14"]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
 });
@@ -0,0 +1,536 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+
+// Mock axios before the service (and its providers) import it
+const get = jest.fn();
+jest.unstable_mockModule("axios", () => ({ default: { get } }));
+
+const { fetchWeather, fetchForecast, clearWeatherCache, resetCircuitBreakers } = await import(
+  "../weather/weatherService.js"
+);
+const { weatherSchema, forecastSchema } = await import("../weather/validation.js");
+const { upstreamUsage, resetLocalUsage } = await import("../weather/usage.js");
+
+// Canned upstream payloads
+const openWeatherBody = {
+  name: "Philadelphia",
+  sys: { country: "US" },
+  coord: { lon: -75.16, lat: 39.95 },
+  main: { temp: 12.3, feels_like: 11.1, humidity: 60, pressure: 1015 },
+  wind: { speed: 3.6 },
+  weather: [{ main: "Clouds", description: "broken clouds" }],
+};
+
+const geocodingBody = {
+  results: [
+    { name: "Philadelphia", country_code: "US", latitude: 39.95, longitude: -75.16 },
+  ],
+};
+
+const openMeteoBody = {
+  current: {
+    temperature_2m: 12.1,
+    apparent_temperature: 10.9,
+    relative_humidity_2m: 61.4,
+    pressure_msl: 1014.6,
+    wind_speed_10m: 3.2,
+    weather_code: 61,
+  },
+};
+
+const openWeatherForecastBody = {
+  city: { name: "Philadelphia", country: "US", coord: { lon: -75.16, lat: 39.95 } },
+  list: [
+    {
+      dt: 1735689600,
+      main: { temp: 4.2, feels_like: 1.5, humidity: 70, pressure: 1020 },
+      wind: { speed: 4.1 },
+      weather: [{ main: "Snow", description: "light snow" }],
+      pop: 0.4,
+    },
+  ],
+};
+
+const openMeteoForecastBody = {
+  hourly: {
+    time: ["2025-01-01T00:00", "2025-01-01T01:00", "2025-01-01T02:00", "2025-01-01T03:00"],
+    temperature_2m: [4, 4.5, 5, 5.5],
+    apparent_temperature: [1, 1.5, 2, 2.5],
+    relative_humidity_2m: [70, 71, 72, 73],
+    pressure_msl: [1020.2, 1020, 1019.8, 1019.6],
+    wind_speed_10m: [4, 4, 4, 4],
+    weather_code: [3, 3, 61, 61],
+    precipitation_probability: [10, 20, 30, 40],
+  },
+};
+
+// An error shaped like the ones axios rejects with
+function axiosError(status, headers = {}) {
+  const err = new Error(
+    status ? `Request failed with status code ${status}` : "timeout of 5000ms exceeded"
+  );
+  err.isAxiosError = true;
+  if (status) err.response = { status, headers };
+  else err.code = "ECONNABORTED";
+  return err;
+}
+
+// Route each axios.get call to a canned response by URL
+function respondWith(handlers) {
+  get.mockImplementation(async (url) => {
+    const handler = Object.entries(handlers).find(([part]) => url.includes(part));
+    if (!handler) throw new Error(`Unexpected URL ${url}`);
+    return handler[1]();
+  });
+}
+
+const originalEnv = { ...process.env };
+
+beforeEach(async () => {
+  await clearWeatherCache();
+  resetCircuitBreakers();
+  resetLocalUsage();
+  get.mockReset();
+  process.env = { ...originalEnv, OPENWEATHER_API_KEY: "test-key" };
+  delete process.env.WEATHER_PROVIDERS;
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = originalEnv;
+  jest.restoreAllMocks();
+});
+
+describe("fetchWeather()", () => {
+  // 1) Happy path through the first provider
+  test("normalizes OpenWeather data into the weatherSchema shape", async () => {
+    respondWith({ openweathermap: async () => ({ data: openWeatherBody }) });
+
+    const { data: result } = await fetchWeather({ city: "Philadelphia" });
+
+    expect(() => weatherSchema.parse(result)).not.toThrow();
+    expect(result).toEqual(
+      expect.objectContaining({ city: "Philadelphia", temp: 12.3, provider: "openweather" })
+    );
+  });
+
+  // 2) Failover when the first provider errors
+  test("fails over to Open-Meteo when OpenWeather errors", async () => {
+    respondWith({
+      openweathermap: async () => {
+        throw new Error("Request failed with status code 401");
+      },
+      "geocoding-api": async () => ({ data: geocodingBody }),
+      "api.open-meteo.com": async () => ({ data: openMeteoBody }),
+    });
+
+    const { data: result } = await fetchWeather({ city: "Philadelphia" });
+
+    expect(() => weatherSchema.parse(result)).not.toThrow();
+    expect(result).toEqual(
+      expect.objectContaining({
+        provider: "openmeteo",
+        humidity: 61,
+        pressure: 1015,
+        condition: "Rain",
+        description: "slight rain",
+      })
+    );
+  });
+
+  // 3) Unconfigured providers are skipped without a request
+  test("skips OpenWeather when no API key is set", async () => {
+    delete process.env.OPENWEATHER_API_KEY;
+    respondWith({
+      "geocoding-api": async () => ({ data: geocodingBody }),
+      "api.open-meteo.com": async () => ({ data: openMeteoBody }),
+    });
+
+    const { data: result } = await fetchWeather({ city: "Philadelphia" });
+
+    expect(result.provider).toBe("openmeteo");
+    expect(get.mock.calls.some(([url]) => url.includes("openweathermap"))).toBe(false);
+  });
+
+  // 4) Priority list comes from configuration
+  test("respects the WEATHER_PROVIDERS priority list", async () => {
+    process.env.WEATHER_PROVIDERS = "openmeteo, openweather";
+    respondWith({
+      "geocoding-api": async () => ({ data: geocodingBody }),
+      "api.open-meteo.com": async () => ({ data: openMeteoBody }),
+    });
+
+    const { data: result } = await fetchWeather({ city: "Philadelphia" });
+
+    expect(result.provider).toBe("openmeteo");
+  });
+
+  // 5) Every provider request is bounded by a timeout
+  test("passes a timeout to every upstream request", async () => {
+    process.env.WEATHER_PROVIDER_TIMEOUT_MS = "1234";
+    respondWith({ openweathermap: async () => ({ data: openWeatherBody }) });
+
+    await fetchWeather({ city: "Philadelphia" });
+
+    expect(get.mock.calls[0][1].timeout).toBe(1234);
+  });
+
+  // 6) Nothing left to try
+  test("throws a 502 when every provider fails", async () => {
+    respondWith({
+      openweathermap: async () => {
+        throw new Error("timeout of 5000ms exceeded");
+      },
+      "geocoding-api": async () => {
+        throw new Error("socket hang up");
+      },
+    });
+
+    await expect(fetchWeather({ city: "Nowhere" })).rejects.toMatchObject({
+      status: 502,
+    });
+  });
+});
+
+describe("location queries", () => {
+  // 7) Coordinates go straight to the providers
+  test("looks up by lat/lon without geocoding", async () => {
+    delete process.env.OPENWEATHER_API_KEY;
+    respondWith({ "api.open-meteo.com": async () => ({ data: openMeteoBody }) });
+
+    const { data: result } = await fetchWeather({ lat: 45.52, lon: -122.68, name: "Portland" });
+
+    expect(result).toEqual(
+      expect.objectContaining({ city: "Portland", coordinates: { lon: -122.68, lat: 45.52 } })
+    );
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(get.mock.calls[0][1].params).toEqual(
+      expect.objectContaining({ latitude: 45.52, longitude: -122.68 })
+    );
+  });
+
+  // 8) Zip codes are passed through with their country
+  test("looks up by zip and country", async () => {
+    respondWith({ openweathermap: async () => ({ data: openWeatherBody }) });
+
+    await fetchWeather({ zip: "19104", country: "US" });
+
+    expect(get.mock.calls[0][1].params).toEqual(
+      expect.objectContaining({ zip: "19104,US" })
+    );
+    expect(get.mock.calls[0][1].params.q).toBeUndefined();
+  });
+
+  // 9) Open-Meteo geocodes the zip within the country
+  test("restricts Open-Meteo zip geocoding to the country", async () => {
+    delete process.env.OPENWEATHER_API_KEY;
+    respondWith({
+      "geocoding-api": async () => ({ data: geocodingBody }),
+      "api.open-meteo.com": async () => ({ data: openMeteoBody }),
+    });
+
+    await fetchForecast({ zip: "19104", country: "US" });
+
+    expect(get.mock.calls[0][1].params).toEqual(
+      expect.objectContaining({ name: "19104", countryCode: "US" })
+    );
+  });
+});
+
+describe("fetchForecast()", () => {
+  // 10) OpenWeather forecast normalization
+  test("normalizes the OpenWeather 5-day forecast", async () => {
+    respondWith({ openweathermap: async () => ({ data: openWeatherForecastBody }) });
+
+    const { data: result } = await fetchForecast({ city: "Philadelphia" });
+
+    expect(() => forecastSchema.parse(result)).not.toThrow();
+    expect(result.provider).toBe("openweather");
+    expect(result.entries[0]).toEqual(
+      expect.objectContaining({
+        at: new Date("2025-01-01T00:00:00Z"),
+        temp: 4.2,
+        condition: "Snow",
+        pop: 0.4,
+      })
+    );
+  });
+
+  // 11) Open-Meteo hourly data is sampled every 3 hours
+  test("samples Open-Meteo hourly data into 3-hour slots", async () => {
+    delete process.env.OPENWEATHER_API_KEY;
+    respondWith({
+      "geocoding-api": async () => ({ data: geocodingBody }),
+      "api.open-meteo.com": async () => ({ data: openMeteoForecastBody }),
+    });
+
+    const { data: result } = await fetchForecast({ city: "Philadelphia" });
+
+    expect(() => forecastSchema.parse(result)).not.toThrow();
+    expect(result.provider).toBe("openmeteo");
+    expect(result.entries.map((e) => e.at.toISOString())).toEqual([
+      "2025-01-01T00:00:00.000Z",
+      "2025-01-01T03:00:00.000Z",
+    ]);
+    expect(result.entries[1]).toEqual(
+      expect.objectContaining({ condition: "Rain", pop: 0.4, pressure: 1020 })
+    );
+  });
+});
+
+describe("upstream response cache", () => {
+  // 12) Repeat lookups are served from the cache
+  test("reports a miss, then a hit without another upstream call", async () => {
+    respondWith({ openweathermap: async () => ({ data: openWeatherBody }) });
+
+    const first = await fetchWeather({ city: "Philadelphia" });
+    const second = await fetchWeather({ city: "  philadelphia " });
+
+    expect(first.cache).toBe("miss");
+    expect(second.cache).toBe("hit");
+    expect(second.data).toEqual(first.data);
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  // 13) Concurrent identical requests share one upstream call
+  test("coalesces concurrent requests for the same city", async () => {
+    respondWith({ openweathermap: async () => ({ data: openWeatherBody }) });
+
+    const results = await Promise.all([
+      fetchWeather({ city: "Philadelphia" }),
+      fetchWeather({ city: "Philadelphia" }),
+      fetchWeather({ city: "Philadelphia" }),
+    ]);
+
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(results.map((r) => r.cache).sort()).toEqual(["hit", "hit", "miss"]);
+  });
+
+  // 14) Current conditions and forecasts are cached separately
+  test("keeps forecasts and current conditions apart", async () => {
+    respondWith({
+      "openweathermap.org/data/2.5/weather": async () => ({ data: openWeatherBody }),
+      "openweathermap.org/data/2.5/forecast": async () => ({
+        data: openWeatherForecastBody,
+      }),
+    });
+
+    await fetchWeather({ city: "Philadelphia" });
+    const forecast = await fetchForecast({ city: "Philadelphia" });
+
+    expect(forecast.cache).toBe("miss");
+    expect(forecast.data.entries.length).toBe(1);
+  });
+
+  // 15) A TTL of 0 turns caching off
+  test("WEATHER_CACHE_TTL_SECONDS=0 disables caching", async () => {
+    process.env.WEATHER_CACHE_TTL_SECONDS = "0";
+    respondWith({ openweathermap: async () => ({ data: openWeatherBody }) });
+
+    await fetchWeather({ city: "Philadelphia" });
+    const second = await fetchWeather({ city: "Philadelphia" });
+
+    expect(second.cache).toBe("miss");
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  // 16) Failures are not cached
+  test("does not cache failed lookups", async () => {
+    delete process.env.OPENWEATHER_API_KEY;
+    get.mockRejectedValueOnce(new Error("socket hang up"));
+
+    await expect(fetchWeather({ city: "Philadelphia" })).rejects.toMatchObject({
+      status: 502,
+    });
+
+    respondWith({
+      "geocoding-api": async () => ({ data: geocodingBody }),
+      "api.open-meteo.com": async () => ({ data: openMeteoBody }),
+    });
+    const retry = await fetchWeather({ city: "Philadelphia" });
+    expect(retry.cache).toBe("miss");
+  });
+
+  // 17) A cached result carries each caller's own name
+  test("shares the entry for nearby coordinates but not the display name", async () => {
+    respondWith({
+      "openweathermap.org/data/2.5/weather": async () => ({ data: openWeatherBody }),
+      "openweathermap.org/data/2.5/forecast": async () => ({
+        data: openWeatherForecastBody,
+      }),
+    });
+
+    const first = await fetchWeather({ lat: 39.951, lon: -75.161, name: "Center City" });
+    const second = await fetchWeather({ lat: 39.952, lon: -75.162, name: "Old City" });
+    const unnamed = await fetchWeather({ lat: 39.952, lon: -75.162 });
+    await fetchForecast({ lat: 39.95, lon: -75.16, name: "Center City" });
+    const forecast = await fetchForecast({ lat: 39.95, lon: -75.16, name: "Old City" });
+
+    expect(first.data.city).toBe("Center City");
+    expect(second).toMatchObject({ cache: "hit", data: { city: "Old City" } });
+    expect(unnamed.data.city).toBe("Philadelphia");
+    expect(forecast).toMatchObject({ cache: "hit", data: { city: "Old City" } });
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("daily upstream budget", () => {
+  // 18) Calls are counted per provider, cache hits are free
+  test("counts each provider call, geocoding included, but not cache hits", async () => {
+    respondWith({
+      openweathermap: async () => {
+        throw new Error("Request failed with status code 401");
+      },
+      "geocoding-api": async () => ({ data: geocodingBody }),
+      "api.open-meteo.com": async () => ({ data: openMeteoBody }),
+    });
+
+    await fetchWeather({ city: "Philadelphia" });
+    await fetchWeather({ city: "Philadelphia" });
+
+    const usage = await upstreamUsage();
+    expect(get).toHaveBeenCalledTimes(3);
+    expect(usage.calls).toBe(3);
+    expect(usage.providers).toEqual({ openweather: 1, openmeteo: 2 });
+  });
+
+  // 19) A spent budget stops lookups before they go upstream
+  test("rejects with 503 without calling out once the budget is used up", async () => {
+    process.env.UPSTREAM_DAILY_BUDGET = "1";
+    respondWith({ openweathermap: async () => ({ data: openWeatherBody }) });
+
+    await fetchWeather({ city: "Philadelphia" });
+    await expect(fetchWeather({ city: "Boston" })).rejects.toMatchObject({ status: 503 });
+
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  // 20) Retries are calls too, so they can't overspend the budget
+  test("counts every retry and stops retrying once the budget is used up", async () => {
+    process.env.UPSTREAM_DAILY_BUDGET = "2";
+    process.env.UPSTREAM_RETRIES = "2";
+    process.env.WEATHER_PROVIDERS = "openweather";
+    jest.spyOn(Math, "random").mockReturnValue(0);
+    get.mockRejectedValue(axiosError(503));
+
+    await expect(fetchWeather({ city: "Philadelphia" })).rejects.toMatchObject({
+      status: 503,
+      message: "Daily weather lookup budget used up; try again tomorrow",
+    });
+
+    expect(get).toHaveBeenCalledTimes(2);
+    expect((await upstreamUsage()).calls).toBe(2);
+  });
+});
+
+describe("upstream errors", () => {
+  beforeEach(() => {
+    // No backoff delay between retries
+    jest.spyOn(Math, "random").mockReturnValue(0);
+  });
+
+  // 21) A location no provider knows
+  test("answers 404 for an unknown city", async () => {
+    respondWith({
+      openweathermap: async () => {
+        throw axiosError(404);
+      },
+      "geocoding-api": async () => ({ data: { results: [] } }),
+    });
+
+    await expect(fetchWeather({ city: "Nowhereville" })).rejects.toMatchObject({
+      status: 404,
+      message: "Location not found: Nowhereville",
+    });
+  });
+
+  // 22) A bad key is our problem, not the user's
+  test("answers 502 when the only provider rejects our API key", async () => {
+    process.env.WEATHER_PROVIDERS = "openweather";
+    respondWith({
+      openweathermap: async () => {
+        throw axiosError(401);
+      },
+    });
+
+    const err = await fetchWeather({ city: "Philadelphia" }).catch((e) => e);
+
+    expect(err.status).toBe(502);
+    expect(err.message).toContain("OpenWeather rejected our API key");
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  // 23) Upstream rate limiting
+  test("answers 503 with the provider's Retry-After when it rate limits us", async () => {
+    process.env.WEATHER_PROVIDERS = "openweather";
+    respondWith({
+      openweathermap: async () => {
+        throw axiosError(429, { "retry-after": "120" });
+      },
+    });
+
+    await expect(fetchWeather({ city: "Philadelphia" })).rejects.toMatchObject({
+      status: 503,
+      headers: { "Retry-After": "120" },
+    });
+  });
+
+  // 24) Transient failures are retried, others aren't
+  test("retries timeouts and 5xx answers but not 4xx", async () => {
+    process.env.WEATHER_PROVIDERS = "openweather";
+    process.env.UPSTREAM_RETRIES = "2";
+    get
+      .mockRejectedValueOnce(axiosError())
+      .mockRejectedValueOnce(axiosError(503))
+      .mockResolvedValueOnce({ data: openWeatherBody });
+
+    const { data } = await fetchWeather({ city: "Philadelphia" });
+    expect(data.city).toBe("Philadelphia");
+    expect(get).toHaveBeenCalledTimes(3);
+    expect((await upstreamUsage()).calls).toBe(3);
+
+    get.mockReset();
+    get.mockRejectedValue(axiosError(404));
+    await expect(fetchWeather({ city: "Nowhereville" })).rejects.toMatchObject({ status: 404 });
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  // 25) A provider that keeps failing is skipped until it recovers
+  test("opens the circuit after repeated outages and fails fast", async () => {
+    process.env.WEATHER_PROVIDERS = "openweather";
+    process.env.UPSTREAM_RETRIES = "0";
+    process.env.CIRCUIT_FAILURE_THRESHOLD = "2";
+    get.mockRejectedValue(axiosError(500));
+
+    await expect(fetchWeather({ city: "Boston" })).rejects.toMatchObject({ status: 502 });
+    await expect(fetchWeather({ city: "Denver" })).rejects.toMatchObject({ status: 502 });
+    const err = await fetchWeather({ city: "Miami" }).catch((e) => e);
+
+    expect(get).toHaveBeenCalledTimes(2);
+    expect(err.status).toBe(503);
+    expect(Number(err.headers["Retry-After"])).toBeGreaterThan(0);
+  });
+
+  // 26) A trial request stopped by the budget doesn't keep the circuit open
+  test("gives the half-open trial back when the budget stops it", async () => {
+    let now = Date.now();
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    process.env.WEATHER_PROVIDERS = "openweather";
+    process.env.UPSTREAM_RETRIES = "0";
+    process.env.CIRCUIT_FAILURE_THRESHOLD = "1";
+    process.env.UPSTREAM_DAILY_BUDGET = "1";
+    get.mockRejectedValueOnce(axiosError(500)).mockResolvedValue({ data: openWeatherBody });
+
+    await expect(fetchWeather({ city: "Boston" })).rejects.toMatchObject({ status: 502 });
+    now += 31000;
+    await expect(fetchWeather({ city: "Boston" })).rejects.toMatchObject({
+      message: "Daily weather lookup budget used up; try again tomorrow",
+    });
+
+    process.env.UPSTREAM_DAILY_BUDGET = "0";
+    const { data } = await fetchWeather({ city: "Boston" });
+    expect(data.provider).toBe("openweather");
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+});
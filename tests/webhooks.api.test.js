@@ -0,0 +1,311 @@
+/** @jest-environment node */
+
+import { jest } from "@jest/globals";
+import dotenv from "dotenv";
+import express from "express";
+import http from "http";
+import request from "supertest";
+import mongoose from "mongoose";
+import { Weather } from "../weather/models/weather.js";
+import { Webhook } from "../weather/models/webhook.js";
+import { WebhookDelivery } from "../weather/models/webhookDelivery.js";
+import weatherRouter from "../weather/routes/weatherRoutes.js";
+import webhookRouter from "../weather/routes/webhookRoutes.js";
+import { errorHandler } from "../weather/errorHandler.js";
+import { createRecord } from "../weather/records.js";
+import { signPayload, startWebhookDispatcher, retryDueDeliveries } from "../weather/webhooks.js";
+
+dotenv.config();
+jest.setTimeout(30000);
+
+let app;
+let stopDispatcher;
+let receiver;
+
+const OWNER = "google|test-owner";
+const OTHER_USER = "linkedin|someone-else";
+
+// Local receiver that answers with queued statuses (200 once the queue is empty)
+function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body: JSON.parse(body), raw: body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        statuses,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+// Deliveries run after the response is sent, so poll for them
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeoutMs) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
+
+function makeFakeWeather(overrides = {}) {
+  return {
+    owner: OWNER,
+    city: "Testville",
+    country: "US",
+    coordinates: { lon: -75.1, lat: 39.9 },
+    temp: 21,
+    feelsLike: 20,
+    humidity: 55,
+    pressure: 1013,
+    windSpeed: 4,
+    condition: "Clouds",
+    description: "overcast clouds",
+    fetchedAt: new Date("2025-01-01T00:00:00Z"),
+    ...overrides,
+  };
+}
+
+beforeAll(async () => {
+  const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI or MONGODB_URI in .env for tests");
+  }
+
+  await mongoose.connect(uri);
+  stopDispatcher = startWebhookDispatcher();
+
+  app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { _key: req.get("x-test-user") || OWNER };
+    next();
+  });
+  app.use("/api/weather", weatherRouter);
+  app.use("/api/webhooks", webhookRouter);
+  app.use(errorHandler);
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Weather.deleteMany({}),
+    Webhook.deleteMany({}),
+    WebhookDelivery.deleteMany({}),
+  ]);
+  receiver = await startReceiver();
+});
+
+afterEach(async () => {
+  await receiver?.close();
+});
+
+afterAll(async () => {
+  stopDispatcher?.();
+  await Promise.all([
+    Weather.deleteMany({}),
+    Webhook.deleteMany({}),
+    WebhookDelivery.deleteMany({}),
+  ]);
+  await mongoose.connection.close();
+});
+
+describe("Webhook subscriptions API", () => {
+  // 1) The secret is shown once
+  test("POST /api/webhooks returns the secret only on creation", async () => {
+    const created = await request(app).post("/api/webhooks").send({ url: receiver.url });
+
+    expect(created.status).toBe(201);
+    expect(created.body.secret).toMatch(/^whsec_/);
+    expect(created.body.events).toEqual([
+      "weather.created",
+      "weather.updated",
+      "weather.deleted",
+      "weather.restored",
+    ]);
+
+    const list = await request(app).get("/api/webhooks");
+    expect(list.body.length).toBe(1);
+    expect(list.body[0].secret).toBeUndefined();
+  });
+
+  // 2) Validation
+  test("rejects non-http URLs and unknown event types", async () => {
+    const badUrl = await request(app).post("/api/webhooks").send({ url: "ftp://example.com" });
+    const badEvent = await request(app)
+      .post("/api/webhooks")
+      .send({ url: receiver.url, events: ["weather.exploded"] });
+
+    expect(badUrl.status).toBe(400);
+    expect(badEvent.status).toBe(400);
+
+    // Cloud metadata is never a target, on create or on update
+    const metadata = await request(app)
+      .post("/api/webhooks")
+      .send({ url: "http://169.254.169.254/latest/meta-data" });
+    const created = await request(app).post("/api/webhooks").send({ url: receiver.url });
+    const moved = await request(app)
+      .patch(`/api/webhooks/${created.body._id}`)
+      .send({ url: "http://[fe80::1]/hook" });
+
+    expect(metadata.status).toBe(400);
+    expect(metadata.body.error.message).toMatch(/metadata/);
+    expect(moved.status).toBe(400);
+    expect((await Webhook.findById(created.body._id)).url).toBe(receiver.url);
+  });
+
+  // 3) Webhooks are private
+  test("another user can't read, change or delete your webhook", async () => {
+    const hook = await Webhook.create({
+      owner: OWNER,
+      url: receiver.url,
+      events: ["weather.created"],
+      secret: "s",
+    });
+
+    const get = await request(app)
+      .get(`/api/webhooks/${hook._id}`)
+      .set("x-test-user", OTHER_USER);
+    const patch = await request(app)
+      .patch(`/api/webhooks/${hook._id}`)
+      .set("x-test-user", OTHER_USER)
+      .send({ active: false });
+    const del = await request(app)
+      .delete(`/api/webhooks/${hook._id}`)
+      .set("x-test-user", OTHER_USER);
+
+    expect([get.status, patch.status, del.status]).toEqual([404, 404, 404]);
+  });
+});
+
+describe("Webhook delivery", () => {
+  // 4) New and deleted records each emit a signed event
+  test("delivers weather.created and weather.deleted events", async () => {
+    const { body: hook } = await request(app).post("/api/webhooks").send({ url: receiver.url });
+
+    const { owner, ...reading } = makeFakeWeather();
+    const doc = await createRecord(reading, owner);
+    await request(app).delete(`/api/weather/${doc._id}`);
+
+    await waitFor(() => receiver.received.length === 2);
+    expect(receiver.received.map((r) => r.body.type).sort()).toEqual([
+      "weather.created",
+      "weather.deleted",
+    ]);
+
+    const { headers, body, raw } = receiver.received[1];
+    expect(body.data._id).toBe(doc._id.toString());
+    expect(headers["x-weather-signature"]).toBe(
+      signPayload(hook.secret, headers["x-weather-timestamp"], raw)
+    );
+
+    await waitFor(
+      async () => (await WebhookDelivery.countDocuments({ status: "succeeded" })) === 2
+    );
+  });
+
+  // 5) Only matching subscriptions receive an event
+  test("respects event types, the city filter, active flag and owner", async () => {
+    await Webhook.create([
+      { owner: OWNER, url: receiver.url, events: ["weather.deleted"], secret: "a" },
+      {
+        owner: OWNER,
+        url: receiver.url,
+        events: ["weather.deleted"],
+        city: "Elsewhere",
+        secret: "b",
+      },
+      {
+        owner: OWNER,
+        url: receiver.url,
+        events: ["weather.deleted"],
+        active: false,
+        secret: "c",
+      },
+      { owner: OTHER_USER, url: receiver.url, events: ["weather.deleted"], secret: "d" },
+      { owner: OWNER, url: receiver.url, events: ["weather.created"], secret: "e" },
+    ]);
+    const doc = await Weather.create(makeFakeWeather());
+
+    await request(app).delete(`/api/weather/${doc._id}`);
+    await waitFor(async () => (await WebhookDelivery.countDocuments()) >= 1);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(await WebhookDelivery.countDocuments()).toBe(1);
+    expect(receiver.received.length).toBe(1);
+  });
+
+  // 6) Failed deliveries are retried with backoff, then logged as failed
+  test("schedules retries with backoff and gives up after WEBHOOK_MAX_ATTEMPTS", async () => {
+    process.env.WEBHOOK_MAX_ATTEMPTS = "2";
+    receiver.statuses.push(500, 500);
+    const hook = await Webhook.create({
+      owner: OWNER,
+      url: receiver.url,
+      events: ["weather.deleted"],
+      secret: "s",
+    });
+    const doc = await Weather.create(makeFakeWeather());
+
+    await request(app).delete(`/api/weather/${doc._id}`);
+    await waitFor(async () => {
+      const delivery = await WebhookDelivery.findOne({ webhook: hook._id });
+      return delivery?.attempts.length === 1;
+    });
+
+    const pending = await WebhookDelivery.findOne({ webhook: hook._id });
+    expect(pending.status).toBe("pending");
+    expect(pending.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Make the retry due now and let the worker pick it up
+    await WebhookDelivery.updateOne({ _id: pending._id }, { nextAttemptAt: new Date() });
+    expect(await retryDueDeliveries()).toBe(1);
+
+    const failed = await WebhookDelivery.findById(pending._id);
+    expect(failed.status).toBe("failed");
+    expect(failed.attempts.map((a) => a.statusCode)).toEqual([500, 500]);
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+  });
+
+  // 7) Manual redelivery
+  test("POST .../redeliver sends the same event again as a new delivery", async () => {
+    const hook = await Webhook.create({
+      owner: OWNER,
+      url: receiver.url,
+      events: ["weather.deleted"],
+      secret: "s",
+    });
+    const original = await WebhookDelivery.create({
+      webhook: hook._id,
+      owner: OWNER,
+      eventId: "evt-1",
+      eventType: "weather.deleted",
+      payload: { id: "evt-1", type: "weather.deleted", data: { city: "Testville" } },
+      status: "failed",
+    });
+
+    const res = await request(app).post(
+      `/api/webhooks/${hook._id}/deliveries/${original._id}/redeliver`
+    );
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual(
+      expect.objectContaining({ eventId: "evt-1", status: "succeeded" })
+    );
+    expect(res.body.redeliveryOf).toBe(original._id.toString());
+    expect(receiver.received[0].headers["x-weather-delivery"]).toBe("evt-1");
+
+    const log = await request(app).get(`/api/webhooks/${hook._id}/deliveries`);
+    expect(log.body.length).toBe(2);
+  });
+});
@@ -0,0 +1,170 @@
+/** @jest-environment node */
+
+import http from "http";
+import { createHmac } from "crypto";
+import { backoffMs, deliver, signPayload } from "../weather/webhooks.js";
+import { blockedAddress, checkWebhookUrl } from "../weather/webhookTargets.js";
+
+// Local receiver: records each request and answers with the next queued status
+function startReceiver() {
+  const received = [];
+  const statuses = [];
+  let delayMs = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      setTimeout(() => {
+        res.statusCode = statuses.shift() ?? 200;
+        res.end("ok");
+      }, delayMs);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        statuses,
+        setDelay: (ms) => (delayMs = ms),
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+const delivery = {
+  eventId: "evt-1",
+  eventType: "weather.created",
+  payload: { id: "evt-1", type: "weather.created", data: { city: "Boston", temp: 5 } },
+};
+
+let receiver;
+const originalEnv = { ...process.env };
+
+beforeEach(async () => {
+  receiver = await startReceiver();
+});
+
+afterEach(async () => {
+  await receiver.close();
+  process.env = { ...originalEnv };
+});
+
+describe("signPayload()", () => {
+  // 1) Signature format receivers can reproduce
+  test("is sha256= plus the hex HMAC of '<timestamp>.<body>'", () => {
+    const expected = createHmac("sha256", "s3cret").update("1700000000.{}").digest("hex");
+
+    expect(signPayload("s3cret", "1700000000", "{}")).toBe(`sha256=${expected}`);
+  });
+});
+
+describe("backoffMs()", () => {
+  // 2) Exponential, capped
+  test("doubles per attempt from WEBHOOK_RETRY_BASE_SECONDS and caps at an hour", () => {
+    process.env.WEBHOOK_RETRY_BASE_SECONDS = "10";
+
+    expect([1, 2, 3, 4].map(backoffMs)).toEqual([10000, 20000, 40000, 80000]);
+    expect(backoffMs(20)).toBe(60 * 60 * 1000);
+  });
+});
+
+describe("deliver()", () => {
+  // 3) Signed POST to a local receiver
+  test("POSTs the payload with event headers and a verifiable signature", async () => {
+    const result = await deliver({ url: receiver.url, secret: "s3cret" }, delivery);
+
+    expect(result).toEqual(expect.objectContaining({ ok: true, statusCode: 200 }));
+    const [{ headers, body }] = receiver.received;
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+    expect(headers["x-weather-event"]).toBe("weather.created");
+    expect(headers["x-weather-delivery"]).toBe("evt-1");
+    expect(headers["x-weather-signature"]).toBe(
+      signPayload("s3cret", headers["x-weather-timestamp"], body)
+    );
+  });
+
+  // 4) Non-2xx is a failure, not an exception
+  test("reports a non-2xx response as a failed attempt", async () => {
+    receiver.statuses.push(503);
+
+    const result = await deliver({ url: receiver.url, secret: "s3cret" }, delivery);
+
+    expect(result).toEqual(
+      expect.objectContaining({ ok: false, statusCode: 503, error: "HTTP 503" })
+    );
+  });
+
+  // 5) Slow receivers time out
+  test("gives up after WEBHOOK_TIMEOUT_MS", async () => {
+    process.env.WEBHOOK_TIMEOUT_MS = "50";
+    receiver.setDelay(500);
+
+    const result = await deliver({ url: receiver.url, secret: "s3cret" }, delivery);
+
+    expect(result.ok).toBe(false);
+    expect(result.statusCode).toBeUndefined();
+    expect(result.error).toMatch(/timeout/i);
+  });
+
+  // 6) Unreachable receivers
+  test("reports a connection error without throwing", async () => {
+    const { url } = receiver;
+    await receiver.close();
+    receiver = await startReceiver(); // afterEach closes this one
+
+    const result = await deliver({ url, secret: "s3cret" }, delivery);
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toBeTruthy();
+  });
+});
+
+describe("webhook targets", () => {
+  // 7) Metadata and link-local addresses are always refused
+  test("refuses link-local and metadata hosts even in development", async () => {
+    expect(blockedAddress("169.254.169.254")).toMatch(/metadata/);
+    expect(blockedAddress("::ffff:169.254.169.254")).toMatch(/metadata/);
+    expect(blockedAddress("fe80::1")).toMatch(/link-local/);
+    expect(blockedAddress("127.0.0.1")).toBeNull();
+
+    await expect(
+      checkWebhookUrl("http://169.254.169.254/latest/meta-data")
+    ).rejects.toMatchObject({ status: 400 });
+    const result = await deliver(
+      { url: "http://[::ffff:a9fe:a9fe]/hook", secret: "s3cret" },
+      delivery
+    );
+    expect(result).toEqual(
+      expect.objectContaining({ ok: false, error: expect.stringMatching(/^Refused/) })
+    );
+  });
+
+  // 8) Outside development, our own network is off limits too
+  test("refuses private and loopback hosts in production, by IP and by name", async () => {
+    process.env.NODE_ENV = "production";
+    const port = new URL(receiver.url).port;
+
+    expect(blockedAddress("10.1.2.3")).toMatch(/private/);
+    expect(blockedAddress("::1")).toMatch(/loopback/);
+    expect(blockedAddress("93.184.216.34")).toBeNull();
+    await expect(checkWebhookUrl(`http://localhost:${port}/hook`)).rejects.toMatchObject({
+      status: 400,
+    });
+
+    const literal = await deliver({ url: receiver.url, secret: "s3cret" }, delivery);
+    const resolved = await deliver(
+      { url: `http://localhost:${port}/hook`, secret: "s3cret" },
+      delivery
+    );
+
+    const refused = { ok: false, error: expect.stringMatching(/loopback/) };
+    expect(literal).toMatchObject(refused);
+    expect(resolved).toMatchObject(refused);
+    expect(receiver.received).toEqual([]);
+  });
+});
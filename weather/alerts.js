@@ -0,0 +1,105 @@
+// src/alerts.js
+import { AlertRule } from "./models/alertRule.js";
+import { Notification } from "./models/notification.js";
+import { normalizeCity } from "./cityKey.js";
+import { convertRecord, UNIT_LABELS } from "./units.js";
+
+const COMPARE = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+// The record's value for the rule's field, in the units the rule was written in
+function actualValue(rule, record) {
+  return convertRecord(record, rule.units)[rule.field];
+}
+
+function unitSuffix(field, units) {
+  const labels = UNIT_LABELS[units] || UNIT_LABELS.metric;
+  if (field === "temp" || field === "feelsLike") return labels.temp;
+  if (field === "windSpeed") return ` ${labels.windSpeed}`;
+  if (field === "humidity") return "%";
+  if (field === "pressure") return " hPa";
+  return "";
+}
+
+/**
+ * Does a (plain, metric) weather record satisfy the rule? Conditions compare
+ * case-insensitively and only support == and !=.
+ */
+export function matchesRule(rule, record) {
+  const actual = actualValue(rule, record);
+
+  if (rule.field === "condition") {
+    if (typeof actual !== "string") return false;
+    const same = actual.toLowerCase() === String(rule.value).toLowerCase();
+    if (rule.op === "==") return same;
+    if (rule.op === "!=") return !same;
+    return false;
+  }
+
+  if (typeof actual !== "number" || typeof rule.value !== "number") return false;
+  return COMPARE[rule.op](actual, rule.value);
+}
+
+// e.g. "Heat: Phoenix temp is 41°C (> 40°C)"
+export function describeMatch(rule, record) {
+  const unit = unitSuffix(rule.field, rule.units);
+  const label = rule.name ? `${rule.name}: ` : "";
+  return `${label}${record.city} ${rule.field} is ${actualValue(rule, record)}${unit} (${rule.op} ${rule.value}${unit})`;
+}
+
+function cooldownMs(rule) {
+  const minutes = rule.cooldownMinutes ?? Number(process.env.ALERT_COOLDOWN_MINUTES ?? 60);
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Check a newly saved record against its owner's enabled rules for that city
+ * and create a notification for each match. A rule that already fired within
+ * its cooldown window is skipped, so a run of hot readings notifies once.
+ *
+ * Resolves to the notifications created.
+ */
+export async function checkAlerts(record) {
+  const plain = record.toJSON ? record.toJSON() : record;
+  const rules = await AlertRule.find({
+    owner: plain.owner,
+    cityKey: normalizeCity(plain.city),
+    enabled: true,
+  }).lean();
+
+  const created = [];
+  for (const rule of rules) {
+    if (!matchesRule(rule, plain)) continue;
+
+    // Claim the trigger atomically so two records saved together can't both notify
+    const now = new Date();
+    const claimed = await AlertRule.findOneAndUpdate(
+      {
+        _id: rule._id,
+        $or: [
+          { lastTriggeredAt: null },
+          { lastTriggeredAt: { $lte: new Date(now.getTime() - cooldownMs(rule)) } },
+        ],
+      },
+      { lastTriggeredAt: now }
+    );
+    if (!claimed) continue;
+
+    created.push(
+      await Notification.create({
+        owner: plain.owner,
+        rule: rule._id,
+        record: plain._id,
+        city: plain.city,
+        message: describeMatch(rule, plain),
+      })
+    );
+  }
+  return created;
+}
@@ -0,0 +1,113 @@
+// src/audit.js
+import { WeatherAudit } from "./models/weatherAudit.js";
+
+// Everything about a record a user can change, in the order diffs list it
+export const AUDITED_FIELDS = [
+  "city",
+  "country",
+  "coordinates",
+  "temp",
+  "feelsLike",
+  "humidity",
+  "pressure",
+  "windSpeed",
+  "condition",
+  "description",
+  "fetchedAt",
+  "provider",
+  "deletedAt",
+];
+
+/**
+ * The audited fields of a record (document or plain object), as stored in
+ * an audit entry and used to revert to it.
+ */
+export function snapshotOf(record) {
+  const plain = record.toObject ? record.toObject() : record;
+  const snapshot = {};
+  for (const field of AUDITED_FIELDS) {
+    if (plain[field] === undefined) continue;
+    snapshot[field] =
+      field === "coordinates"
+        ? { lon: plain.coordinates.lon, lat: plain.coordinates.lat }
+        : plain[field];
+  }
+  return snapshot;
+}
+
+// { "coordinates.lon": -75.1, ... } with dates as ISO strings and unset as null
+function flatten(snapshot) {
+  const flat = {};
+  for (const field of AUDITED_FIELDS) {
+    const value = snapshot[field];
+    if (field === "coordinates") {
+      flat["coordinates.lon"] = value?.lon ?? null;
+      flat["coordinates.lat"] = value?.lat ?? null;
+    } else {
+      flat[field] = value instanceof Date ? value.toISOString() : value ?? null;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Field-level differences between two snapshots, as
+ * [{ path: "temp", from: 21, to: 23 }]. Pass {} as before for a new record.
+ */
+export function diffSnapshots(before, after) {
+  const from = flatten(before);
+  const to = flatten(after);
+  return Object.keys(to)
+    .filter((path) => from[path] !== to[path])
+    .map((path) => ({ path, from: from[path], to: to[path] }));
+}
+
+/**
+ * Write the audit entry for a change actor made to a record. before is the
+ * record beforehand (omit it for a create). An audit failure is logged, not
+ * thrown: the change itself has already been saved.
+ */
+export async function recordAudit({ action, actor, before, after, revertedTo }) {
+  try {
+    const snapshot = snapshotOf(after);
+    return await WeatherAudit.create({
+      record: after._id,
+      owner: after.owner,
+      actor,
+      action,
+      version: after.__v,
+      changes: diffSnapshots(before ? snapshotOf(before) : {}, snapshot),
+      snapshot,
+      revertedTo,
+    });
+  } catch (err) {
+    console.error("⚠️ Audit entry failed:", err.message || err);
+    return null;
+  }
+}
+
+/**
+ * Write the "create" entries for records actor added in bulk (an import),
+ * in one insert. Like recordAudit, a failure is logged, not thrown.
+ */
+export async function recordCreates({ actor, records }) {
+  try {
+    return await WeatherAudit.insertMany(
+      records.map((record) => {
+        const snapshot = snapshotOf(record);
+        return {
+          record: record._id,
+          owner: record.owner,
+          actor,
+          action: "create",
+          version: record.__v,
+          changes: diffSnapshots({}, snapshot),
+          snapshot,
+        };
+      })
+    );
+  } catch (err) {
+    console.error("⚠️ Audit entries failed:", err.message || err);
+    return [];
+  }
+}
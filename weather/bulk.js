@@ -0,0 +1,407 @@
+// src/bulk.js
+import readline from "readline";
+import { Readable } from "stream";
+import express from "express";
+import createError from "http-errors";
+import { z } from "zod";
+import { Weather } from "./models/weather.js";
+import { weatherSchema } from "./validation.js";
+import { UNIT_SYSTEMS, convertRecord, recordToMetric } from "./units.js";
+
+// Column order for CSV export (and the header CSV import expects)
+export const CSV_COLUMNS = [
+  "id",
+  "city",
+  "country",
+  "lon",
+  "lat",
+  "temp",
+  "feelsLike",
+  "humidity",
+  "pressure",
+  "windSpeed",
+  "condition",
+  "description",
+  "fetchedAt",
+  "provider",
+  "units",
+];
+
+export const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+const NUMERIC_COLUMNS = ["temp", "feelsLike", "humidity", "pressure", "windSpeed"];
+
+function importBatchSize() {
+  const size = Number(process.env.IMPORT_BATCH_SIZE);
+  return Number.isInteger(size) && size > 0 ? size : 500;
+}
+
+// Largest import body accepted, in bytes (IMPORT_MAX_MB, default 50)
+function importMaxBytes() {
+  const mb = Number(process.env.IMPORT_MAX_MB);
+  return (Number.isFinite(mb) && mb > 0 ? mb : 50) * 1024 * 1024;
+}
+
+// POST /api/weather/import reads its own body as a stream (see importRows)
+const IMPORT_PATH = "/api/weather/import";
+
+/**
+ * express.json() for every request but imports, which have to reach
+ * importRows() unread. Use it in place of express.json() in front of the
+ * weather routes.
+ */
+export function jsonExceptImport(options) {
+  const parseJson = express.json(options);
+  return (req, res, next) => {
+    const path = req.path.replace(/\/+$/, "").toLowerCase();
+    if (req.method === "POST" && path === IMPORT_PATH) return next();
+    parseJson(req, res, next);
+  };
+}
+
+// ----- Export -----
+
+// The fields a record is exported with, converted to units
+function exportRecord(doc, units) {
+  const { _id, city, country, coordinates, temp, feelsLike, humidity, pressure } = doc;
+  const { windSpeed, condition, description, fetchedAt, provider } = doc;
+  return convertRecord(
+    {
+      id: String(_id),
+      city,
+      country,
+      coordinates,
+      temp,
+      feelsLike,
+      humidity,
+      pressure,
+      windSpeed,
+      condition,
+      description,
+      fetchedAt,
+      provider,
+    },
+    units
+  );
+}
+
+export function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsvRow(record) {
+  const flat = { ...record, lon: record.coordinates?.lon, lat: record.coordinates?.lat };
+  return CSV_COLUMNS.map((column) => csvField(flat[column])).join(",") + "\r\n";
+}
+
+// Resolves on "drain" or "close", whichever comes first, and drops the other listener
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+/**
+ * Write records (an async iterable of lean weather documents) to res as
+ * format, converted to units. Waits for "drain" whenever the socket is
+ * backed up, so memory use stays flat however many records there are, and
+ * stops early if the client goes away.
+ */
+export async function writeExport(res, records, { format, units }) {
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await drained(res);
+  };
+
+  if (format === "csv") await write(CSV_COLUMNS.join(",") + "\r\n");
+  if (format === "json") await write("[");
+
+  let first = true;
+  for await (const doc of records) {
+    if (res.destroyed) return;
+    const record = exportRecord(doc, units);
+
+    if (format === "csv") await write(toCsvRow(record));
+    else if (format === "ndjson") await write(JSON.stringify(record) + "\n");
+    else await write((first ? "" : ",") + JSON.stringify(record));
+    first = false;
+  }
+
+  if (format === "json") await write("]");
+  res.end();
+}
+
+// ----- Import -----
+
+/**
+ * Split CSV text (an async iterable of lines) into arrays of fields, per
+ * RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+ * Blank lines are skipped.
+ */
+export async function* parseCsv(lines) {
+  let fields = [];
+  let field = "";
+  let quoted = false;
+
+  for await (const line of lines) {
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch !== '"') field += ch;
+        else if (line[i + 1] === '"') field += line[++i];
+        else quoted = false;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ",") {
+        fields.push(field);
+        field = "";
+      } else field += ch;
+    }
+
+    // A line break inside quotes belongs to the field
+    if (quoted) {
+      field += "\n";
+      continue;
+    }
+
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== "") yield fields;
+    fields = [];
+    field = "";
+  }
+
+  if (quoted) throw createError(400, "CSV ends inside a quoted field");
+}
+
+/**
+ * Elements of a JSON array read from text chunks (an async iterable) as
+ * { row, value } or { row, issues }, like NDJSON lines: each element is
+ * parsed on its own, so the array never has to fit in memory whole.
+ */
+export async function* parseJsonArray(chunks) {
+  let started = false; // seen the opening [
+  let finished = false; // seen the closing ]
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let item = "";
+  let row = 0;
+
+  const element = (text) => {
+    row++;
+    try {
+      return { row, value: JSON.parse(text) };
+    } catch {
+      return { row, issues: [{ path: "", message: "Invalid JSON", code: "invalid_json" }] };
+    }
+  };
+
+  for await (const chunk of chunks) {
+    let from = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (!started || finished) {
+        if (/\s/.test(ch)) continue;
+        if (started || ch !== "[") throw createError(400, "Expected a JSON array of records");
+        started = true;
+        depth = 1;
+        from = i + 1;
+      } else if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') inString = true;
+      else if (ch === "{" || ch === "[") depth++;
+      else if ((ch === "," || ch === "]") && depth === 1) {
+        const text = (item + chunk.slice(from, i)).trim();
+        item = "";
+        from = i + 1;
+        if (ch === "]") finished = true;
+        // [] has no elements; anything else blank ([1,,2] or [1,]) is a bad one
+        if (text || ch === "," || row > 0) yield element(text);
+      } else if (ch === "}" || ch === "]") depth--;
+    }
+    if (started && !finished) item += chunk.slice(from);
+  }
+
+  if (!finished) throw createError(400, "Expected a JSON array of records");
+}
+
+// The request body as text chunks, stopping with a 413 past IMPORT_MAX_MB
+async function* limitedBody(req) {
+  const maxBytes = importMaxBytes();
+  if (Number(req.headers?.["content-length"]) > maxBytes) {
+    throw createError(413, `Import bodies are limited to ${maxBytes} bytes (IMPORT_MAX_MB)`);
+  }
+
+  let bytes = 0;
+  for await (const chunk of req) {
+    bytes += Buffer.byteLength(chunk);
+    if (bytes > maxBytes) {
+      throw createError(413, `Import bodies are limited to ${maxBytes} bytes (IMPORT_MAX_MB)`);
+    }
+    yield chunk;
+  }
+}
+
+/**
+ * Rows of an import body as { row, value } (1-based data row numbers), or
+ * { row, issues } for a row that can't even be parsed. Every format is read
+ * from the request stream as it arrives, up to IMPORT_MAX_MB; CSV and
+ * NDJSON a line at a time, JSON an array element at a time.
+ */
+export async function* importRows(req, format) {
+  if (req._body) {
+    // A body parser in front of the route has already read it (see jsonExceptImport)
+    throw createError(500, "The import body was consumed before the import could read it");
+  }
+
+  const body = Readable.from(limitedBody(req), { objectMode: false, encoding: "utf8" });
+
+  if (format === "json") {
+    yield* parseJsonArray(body);
+    return;
+  }
+
+  const lines = readline.createInterface({ input: body, crlfDelay: Infinity });
+
+  if (format === "ndjson") {
+    let row = 0;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      row++;
+      try {
+        yield { row, value: JSON.parse(line) };
+      } catch {
+        yield { row, issues: [{ path: "", message: "Invalid JSON", code: "invalid_json" }] };
+      }
+    }
+    return;
+  }
+
+  let header;
+  let row = 0;
+  for await (const fields of parseCsv(lines)) {
+    if (!header) {
+      header = fields.map((name) => name.trim());
+      continue;
+    }
+    row++;
+    yield { row, value: Object.fromEntries(header.map((name, i) => [name, fields[i]])) };
+  }
+}
+
+const unitsColumn = z.object({ units: z.enum(UNIT_SYSTEMS) });
+
+/**
+ * Turn one imported row (a CSV row of strings, or an object as exported)
+ * into a stored, metric weather payload. Values are in the row's own units
+ * column, or defaultUnits when it has none. Returns weatherSchema's
+ * safeParse result.
+ */
+export function parseImportRow(value, defaultUnits = "metric") {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return weatherSchema.safeParse(value);
+  }
+
+  const { id: _id, lon, lat, ...row } = value;
+
+  // Blank CSV cells are missing values, not empty strings
+  for (const key of Object.keys(row)) {
+    if (row[key] === "") delete row[key];
+  }
+
+  const units = row.units ?? defaultUnits;
+  const checkedUnits = unitsColumn.safeParse({ units });
+  if (!checkedUnits.success) return checkedUnits;
+
+  if (!row.coordinates && (lon !== undefined || lat !== undefined)) {
+    row.coordinates = { lon, lat };
+  }
+  if (row.coordinates) {
+    row.coordinates = {
+      lon: toNumber(row.coordinates.lon),
+      lat: toNumber(row.coordinates.lat),
+    };
+  }
+  for (const key of NUMERIC_COLUMNS) {
+    if (key in row) row[key] = toNumber(row[key]);
+  }
+  if (typeof row.fetchedAt === "string" || typeof row.fetchedAt === "number") {
+    row.fetchedAt = new Date(row.fetchedAt);
+  }
+
+  return weatherSchema.safeParse(recordToMetric(row, units));
+}
+
+// "" stays missing; anything else that isn't a number becomes NaN and fails validation
+function toNumber(value) {
+  if (typeof value !== "string") return value;
+  return value.trim() === "" ? undefined : Number(value);
+}
+
+function issuesOf(error) {
+  return error.issues.map((issue) => ({
+    path: issue.path.join("."),
+    message: issue.message,
+    code: issue.code,
+  }));
+}
+
+/**
+ * Validate every row and, unless dryRun, insert the valid ones for owner in
+ * batches of IMPORT_BATCH_SIZE, passing each batch's saved documents to
+ * onInsert. Returns a per-row report. Imported records are historical data:
+ * they aren't checked against alert rules.
+ */
+export async function importRecords(
+  rows,
+  { owner, units = "metric", dryRun = false, onInsert = async () => {} }
+) {
+  const report = { dryRun, total: 0, accepted: 0, rejected: 0, rows: [] };
+  const batchSize = importBatchSize();
+  let batch = [];
+
+  const flush = async () => {
+    if (!batch.length || dryRun) {
+      batch = [];
+      return;
+    }
+    const docs = await Weather.insertMany(batch.map(({ data }) => ({ ...data, owner })));
+    docs.forEach((doc, i) => {
+      batch[i].entry.id = doc._id;
+    });
+    batch = [];
+    await onInsert(docs);
+  };
+
+  for await (const { row, value, issues } of rows) {
+    report.total++;
+
+    const result = issues ? null : parseImportRow(value, units);
+    if (!result?.success) {
+      report.rejected++;
+      report.rows.push({ row, status: "rejected", issues: issues ?? issuesOf(result.error) });
+      continue;
+    }
+
+    const entry = { row, status: "accepted" };
+    report.accepted++;
+    report.rows.push(entry);
+    batch.push({ entry, data: result.data });
+    if (batch.length >= batchSize) await flush();
+  }
+
+  await flush();
+  return report;
+}
@@ -0,0 +1,44 @@
+// src/cache/memoryStore.js
+
+/**
+ * In-process LRU cache store. A Map keeps insertion order, so re-inserting an
+ * entry on every read moves it to the back and the first key is always the
+ * least recently used one.
+ */
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      // Hand out copies so callers can't mutate what's cached
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
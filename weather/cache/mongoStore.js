@@ -0,0 +1,50 @@
+// src/cache/mongoStore.js
+import mongoose from "mongoose";
+
+// Cached upstream responses, shared by every instance; the TTL index drops expired ones
+const CacheEntrySchema = new mongoose.Schema(
+  {
+    _id: String,                                   // cache key
+    value: { type: mongoose.Schema.Types.Mixed, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+CacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const CacheEntry = mongoose.model("CacheEntry", CacheEntrySchema);
+
+/**
+ * MongoDB-backed cache store. While Mongo is not connected every lookup is a
+ * miss and writes are skipped, so the cache never blocks an upstream call.
+ */
+export function createMongoStore() {
+  const ready = () => mongoose.connection.readyState === 1;
+
+  return {
+    async get(key) {
+      if (!ready()) return undefined;
+
+      const entry = await CacheEntry.findById(key).lean();
+      // The TTL monitor only runs once a minute, so check expiry ourselves too
+      if (!entry || entry.expiresAt <= new Date()) return undefined;
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      if (!ready()) return;
+
+      await CacheEntry.updateOne(
+        { _id: key },
+        { value, expiresAt: new Date(Date.now() + ttlMs) },
+        { upsert: true }
+      );
+    },
+
+    async clear() {
+      if (!ready()) return;
+      await CacheEntry.deleteMany({});
+    },
+  };
+}
@@ -0,0 +1,84 @@
+// src/cache/responseCache.js
+import { createMemoryStore } from "./memoryStore.js";
+import { createMongoStore } from "./mongoStore.js";
+import { normalizeCity } from "../cityKey.js";
+
+/**
+ * Pick a cache store from configuration: WEATHER_CACHE_BACKEND=memory|mongo.
+ */
+export function createStore(backend = "memory") {
+  switch (backend) {
+    case "memory":
+      return createMemoryStore({
+        maxEntries: Number(process.env.WEATHER_CACHE_MAX_ENTRIES) || 500,
+      });
+    case "mongo":
+      return createMongoStore();
+    default:
+      throw new Error(`Unknown WEATHER_CACHE_BACKEND "${backend}"`);
+  }
+}
+
+/**
+ * Normalize a lookup into a cache key, so "  new   york" and "New York" share
+ * an entry and nearby coordinates (~1 km) do too.
+ */
+export function cacheKey(kind, { city, lat, lon, zip, country }) {
+  if (lat !== undefined && lon !== undefined) {
+    return `${kind}:coords:${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+  }
+  if (zip) {
+    return `${kind}:zip:${String(country).toUpperCase()}:${String(zip).replace(/\s+/g, "").toUpperCase()}`;
+  }
+  return `${kind}:city:${normalizeCity(city)}`;
+}
+
+/**
+ * TTL cache in front of an async loader. Concurrent calls for the same key
+ * share a single in-flight load instead of each going upstream.
+ *
+ * wrap() resolves to { value, cache } where cache is "hit" when no upstream
+ * call was made for this caller and "miss" when it was.
+ */
+export function createResponseCache({ store, ttlMs }) {
+  const inflight = new Map();
+
+  return {
+    async wrap(key, load) {
+      const ttl = typeof ttlMs === "function" ? ttlMs() : ttlMs;
+
+      if (ttl > 0) {
+        const cached = await store.get(key).catch((err) => {
+          console.warn(`⚠️  Weather cache read failed: ${err.message}`);
+          return undefined;
+        });
+        if (cached !== undefined) return { value: cached, cache: "hit" };
+      }
+
+      if (inflight.has(key)) {
+        return { value: await inflight.get(key), cache: "hit" };
+      }
+
+      const pending = (async () => {
+        const value = await load();
+        if (ttl > 0) {
+          await store.set(key, value, ttl).catch((err) => {
+            console.warn(`⚠️  Weather cache write failed: ${err.message}`);
+          });
+        }
+        return value;
+      })();
+
+      const forget = () => inflight.delete(key);
+      inflight.set(key, pending);
+      pending.then(forget, forget);
+
+      return { value: await pending, cache: "miss" };
+    },
+
+    clear() {
+      inflight.clear();
+      return store.clear();
+    },
+  };
+}
@@ -0,0 +1,69 @@
+// src/circuitBreaker.js
+import createError from "http-errors";
+
+/**
+ * A circuit breaker for one upstream provider. After failureThreshold
+ * outages in a row it opens and callers fail fast instead of waiting on
+ * timeouts. Once resetMs has passed a single trial request is let through
+ * (half-open): if it succeeds the breaker closes, if it is another outage
+ * the breaker stays open for another resetMs.
+ *
+ * Only errors marked `outage` (see upstreamError) count; any other answer,
+ * even a 404, shows the provider is up.
+ */
+export function createCircuitBreaker({
+  name,
+  failureThreshold = 5,
+  resetMs = 30000,
+  now = Date.now,
+}) {
+  let failures = 0;
+  let openedAt = null;
+  // While a half-open trial is out, when the breaker had opened before it
+  let trialOf = null;
+
+  return {
+    get state() {
+      if (openedAt === null) return "closed";
+      return now() - openedAt >= resetMs ? "half-open" : "open";
+    },
+
+    // False while open; the first caller after resetMs gets the trial request
+    allowsRequest() {
+      if (openedAt === null) return true;
+      if (now() - openedAt < resetMs) return false;
+      trialOf = openedAt;
+      openedAt = now();
+      return true;
+    },
+
+    // The allowed request was never made (e.g. the budget ran out): hand the trial back
+    released() {
+      if (trialOf === null) return;
+      openedAt = trialOf;
+      trialOf = null;
+    },
+
+    succeeded() {
+      failures = 0;
+      openedAt = null;
+      trialOf = null;
+    },
+
+    failed(err) {
+      if (!err?.outage) return this.succeeded();
+      trialOf = null;
+      failures++;
+      if (openedAt !== null || failures >= failureThreshold) openedAt = now();
+    },
+
+    // What callers get while the breaker is open
+    openError() {
+      const retryAfter = Math.max(1, Math.ceil((openedAt + resetMs - now()) / 1000));
+      return createError(503, `${name} is down; not calling it for ${retryAfter}s`, {
+        expose: true,
+        headers: { "Retry-After": String(retryAfter) },
+      });
+    },
+  };
+}
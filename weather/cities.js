@@ -0,0 +1,123 @@
+// src/cities.js
+import { readFileSync } from "fs";
+
+const CITIES_FILE = new URL("./data/cities.json", import.meta.url);
+
+// Letters that aren't an accent away from plain Latin ones
+const LETTERS = { ł: "l", ø: "o", đ: "d", ß: "ss", æ: "ae", œ: "oe", ı: "i", þ: "th" };
+
+// Fold a name for matching: no accents, no case, punctuation as spaces, so
+// "sao paulo" finds "São Paulo", "lodz" finds "Łódź" and "st-louis" finds
+// "St. Louis"
+export function foldName(name) {
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[łøđßæœıþ]/g, (letter) => LETTERS[letter])
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Loaded on first search; see data/buildCities.js for the row format
+let gazetteer;
+function cities() {
+  if (!gazetteer) {
+    gazetteer = JSON.parse(readFileSync(CITIES_FILE, "utf8")).map(
+      ([name, country, admin, lat, lon, population]) => ({
+        name,
+        country,
+        admin,
+        coordinates: { lat, lon },
+        population,
+        key: foldName(name),
+      })
+    );
+  }
+  return gazetteer;
+}
+
+// Typos allowed for a query of this length: none for very short ones, where
+// almost everything would be "close"
+function maxTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+// Three reused DP rows; names are far shorter than this
+const ROW_SIZE = 256;
+const rows = [new Uint8Array(ROW_SIZE), new Uint8Array(ROW_SIZE), new Uint8Array(ROW_SIZE)];
+
+/**
+ * Optimal string alignment distance between a and b (an adjacent swap counts
+ * as one edit), or max + 1 as soon as it is certain to exceed max.
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (b.length >= ROW_SIZE) b = b.slice(0, ROW_SIZE - 1);
+
+  let [prevPrev, prev, row] = rows;
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    row[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let best = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        best = Math.min(best, prevPrev[j - 2] + 1);
+      }
+      row[j] = best;
+      if (best < rowMin) rowMin = best;
+    }
+    if (rowMin > max) return max + 1;
+    [prevPrev, prev, row] = [prev, row, prevPrev];
+  }
+  return prev[b.length];
+}
+
+function present({ name, country, admin, coordinates, population }, match) {
+  return { name, country, admin, coordinates, population, match };
+}
+
+/**
+ * Cities for a search box: names that start with q (or have a word that
+ * does) first, biggest first; then, if that leaves room, names within a typo
+ * or two of q, closest first. Optionally limited to one country.
+ */
+export function searchCities(q, { limit = 8, country } = {}) {
+  const query = foldName(q);
+  if (!query) return [];
+
+  const candidates = cities().filter((city) => !country || city.country === country);
+
+  // The gazetteer is sorted by population, so matches come out in that order
+  const prefixed = [];
+  for (const city of candidates) {
+    if (city.key.startsWith(query) || city.key.includes(` ${query}`)) {
+      prefixed.push(city);
+      if (prefixed.length === limit) break;
+    }
+  }
+  const results = prefixed.map((city) => present(city, "prefix"));
+
+  const typos = maxTypos(query.length);
+  if (results.length === limit || !typos) return results;
+
+  // Compare with the start of each name too, so half-typed names still match
+  const fuzzy = [];
+  for (const city of candidates) {
+    if (prefixed.includes(city)) continue;
+    const distance = Math.min(
+      editDistance(query, city.key, typos),
+      editDistance(query, city.key.slice(0, query.length), typos)
+    );
+    if (distance <= typos) fuzzy.push({ city, distance });
+  }
+  fuzzy.sort((a, b) => a.distance - b.distance || b.city.population - a.city.population);
+
+  return results.concat(
+    fuzzy.slice(0, limit - results.length).map(({ city }) => present(city, "fuzzy"))
+  );
+}
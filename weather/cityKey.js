@@ -0,0 +1,6 @@
+// src/cityKey.js
+
+// Normalize a city name for matching, so "  New   York" and "new york" agree
+export function normalizeCity(city) {
+  return String(city).trim().replace(/\s+/g, " ").toLowerCase();
+}
@@ -0,0 +1,26 @@
+// src/data/buildCities.js
+//
+// Regenerates cities.json, the gazetteer behind GET /api/cities/search, from
+// the GeoNames extract in the all-the-cities dev dependency:
+//
+//   npm run build:cities [-- minPopulation]
+//
+// Each row is [name, country, admin1 code, lat, lon, population], biggest
+// first; arrays rather than objects keep the bundled file small.
+import { writeFileSync } from "fs";
+import cities from "all-the-cities";
+
+const DEFAULT_MIN_POPULATION = 15000;
+
+const minPopulation = Number(process.argv[2]) || DEFAULT_MIN_POPULATION;
+const rows = cities
+  .filter((city) => city.population >= minPopulation)
+  .sort((a, b) => b.population - a.population)
+  .map((city) => {
+    const [lon, lat] = city.loc.coordinates;
+    return [city.name, city.country, city.adminCode ?? "", lat, lon, city.population];
+  });
+
+const out = new URL("./cities.json", import.meta.url);
+writeFileSync(out, "[\n" + rows.map((row) => JSON.stringify(row)).join(",\n") + "\n]\n");
+console.log(`✅ Wrote ${rows.length} cities with population >= ${minPopulation}`);
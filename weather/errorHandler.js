@@ -0,0 +1,82 @@
+// src/errorHandler.js
+import { STATUS_CODES } from "http";
+import mongoose from "mongoose";
+import { ZodError } from "zod";
+
+// Turn zod issues into [{ path: "coordinates.lat", message, code }]
+function zodIssues(err) {
+  return err.issues.map((issue) => ({
+    path: issue.path.join("."),
+    message: issue.message,
+    code: issue.code,
+  }));
+}
+
+function castIssue(err) {
+  return {
+    path: err.path,
+    message: `Invalid ${err.kind}: ${JSON.stringify(err.value)}`,
+    code: "invalid_type",
+  };
+}
+
+/**
+ * Work out the HTTP status, client-facing message and per-field issues for
+ * anything a route passed to next(err).
+ */
+export function describeError(err) {
+  if (err instanceof ZodError) {
+    return { status: 400, message: "Validation failed", issues: zodIssues(err) };
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return { status: 400, message: "Validation failed", issues: [castIssue(err)] };
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const issues = Object.values(err.errors).map((e) =>
+      e instanceof mongoose.Error.CastError
+        ? castIssue(e)
+        : { path: e.path, message: e.message, code: e.kind }
+    );
+    return { status: 400, message: "Validation failed", issues };
+  }
+
+  // http-errors (and body-parser) set status/expose; expose is false for 5xx
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 600) {
+    return {
+      status,
+      message: err.expose ? err.message : STATUS_CODES[status],
+      headers: err.headers,
+    };
+  }
+
+  // An upstream call that nobody translated
+  if (err.isAxiosError) {
+    return { status: 502, message: "Upstream weather service error" };
+  }
+
+  return { status: 500, message: STATUS_CODES[500] };
+}
+
+/**
+ * Final error middleware: JSON for /api requests, the error page otherwise.
+ *
+ *   { "error": { "status": 400, "message": "Validation failed", "issues": [...] } }
+ */
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  const { status, message, issues, headers } = describeError(err);
+  if (status >= 500) console.error(err);
+  if (headers) res.set(headers);
+
+  if (!req.originalUrl.startsWith("/api")) {
+    return res.status(status).render("error", { message });
+  }
+
+  const body = { status, message };
+  if (issues) body.issues = issues;
+  res.status(status).json({ error: body });
+}
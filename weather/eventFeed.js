@@ -0,0 +1,78 @@
+// src/eventFeed.js
+import { EventEmitter } from "events";
+import mongoose from "mongoose";
+import { weatherEvents } from "./events.js";
+import { WeatherEvent } from "./models/weatherEvent.js";
+
+// Wait before reopening the tail after it ends or fails
+const RETRY_MS = 1000;
+
+/**
+ * Weather events from every instance, emitted as "event" with the event plus
+ * the feedId it was given in the shared collection. Until startEventFeed runs
+ * (tests, or no database yet) it carries this instance's events only.
+ *
+ * Webhooks stay on weatherEvents: each event is delivered once, by the
+ * instance where it happened.
+ */
+export const feedEvents = new EventEmitter();
+
+let following = false;
+let tail = null;
+
+weatherEvents.on("event", (event) => {
+  if (!following) {
+    feedEvents.emit("event", event);
+    return;
+  }
+  const { id, type, occurredAt, owner, data } = event;
+  WeatherEvent.create({ eventId: id, type, occurredAt, owner, data }).catch((err) => {
+    console.error("⚠️ Publishing weather event failed:", err.message || err);
+  });
+});
+
+function fromDoc(doc) {
+  return {
+    id: doc.eventId,
+    type: doc.type,
+    occurredAt: doc.occurredAt.toISOString(),
+    owner: doc.owner,
+    data: doc.data,
+    feedId: String(doc._id),
+  };
+}
+
+// Tail the capped collection from after lastId until stopped
+async function follow(lastId) {
+  while (following) {
+    try {
+      tail = WeatherEvent.find({ _id: { $gt: lastId } })
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+      for await (const doc of tail) {
+        if (!following) break;
+        lastId = doc._id;
+        feedEvents.emit("event", fromDoc(doc));
+      }
+    } catch (err) {
+      console.error("⚠️ Weather event feed failed:", err.message || err);
+    }
+    // A tail on an empty collection ends at once; try again shortly
+    await new Promise((resolve) => setTimeout(resolve, RETRY_MS).unref());
+  }
+}
+
+/**
+ * Publish this instance's events to the shared collection and follow
+ * everyone's from now on. Call once connected to MongoDB; returns a stop
+ * function.
+ */
+export function startEventFeed() {
+  following = true;
+  follow(new mongoose.Types.ObjectId());
+  return () => {
+    following = false;
+    if (tail) tail.close().catch(() => {});
+  };
+}
@@ -0,0 +1,32 @@
+// src/events.js
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+
+export const WEATHER_EVENT_TYPES = [
+  "weather.created",
+  "weather.updated",
+  "weather.deleted", // moved to the trash
+  "weather.restored", // taken back out of the trash
+];
+
+/**
+ * In-process bus for weather record lifecycle events. Every event is emitted
+ * as "event" with { id, type, occurredAt, owner, data }, where data is the
+ * record (metric) as it was after the change.
+ *
+ * Listeners must handle their own errors; the routes don't wait for them.
+ */
+export const weatherEvents = new EventEmitter();
+
+export function emitWeatherEvent(type, record) {
+  const data = record.toJSON ? record.toJSON() : record;
+  const event = {
+    id: randomUUID(),
+    type,
+    occurredAt: new Date().toISOString(),
+    owner: data.owner,
+    data,
+  };
+  weatherEvents.emit("event", event);
+  return event;
+}
@@ -0,0 +1,99 @@
+// src/listQuery.js
+import createError from "http-errors";
+import mongoose from "mongoose";
+import { toCelsius } from "./units.js";
+
+const DATE_FIELDS = new Set(["fetchedAt", "createdAt"]);
+
+// Escape user input before putting it in a RegExp
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-string, case-insensitive match ("philadelphia" finds "Philadelphia")
+export function caseInsensitive(value) {
+  return { $regex: `^${escapeRegex(value)}$`, $options: "i" };
+}
+
+// "-fetchedAt" -> { field: "fetchedAt", direction: -1 }
+export function parseSort(sort) {
+  return sort.startsWith("-")
+    ? { field: sort.slice(1), direction: -1 }
+    : { field: sort, direction: 1 };
+}
+
+/**
+ * Cursors are opaque to clients: base64url JSON holding the sort they were
+ * made for plus the sort value and _id of the last item on the page.
+ */
+export function encodeCursor(sort, doc) {
+  const { field } = parseSort(sort);
+  const payload = { s: sort, v: doc[field] ?? null, id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+export function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw createError(400, "Invalid cursor");
+  }
+
+  if (
+    !payload ||
+    payload.s !== sort ||
+    !mongoose.Types.ObjectId.isValid(payload.id)
+  ) {
+    throw createError(400, "Invalid cursor (it does not match this sort)");
+  }
+
+  const { field } = parseSort(sort);
+  const value =
+    DATE_FIELDS.has(field) && payload.v !== null ? new Date(payload.v) : payload.v;
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+}
+
+/**
+ * Build the Mongo filter and sort for a parsed `listQuerySchema` query.
+ * `scope` is the ownership filter the route already applies.
+ */
+export function buildListQuery(params, scope = {}) {
+  const clauses = [scope];
+
+  if (params.city) clauses.push({ city: caseInsensitive(params.city) });
+  if (params.country) clauses.push({ country: params.country });
+  if (params.condition) clauses.push({ condition: caseInsensitive(params.condition) });
+
+  if (params.from || params.to) {
+    const range = {};
+    if (params.from) range.$gte = params.from;
+    if (params.to) range.$lte = params.to;
+    clauses.push({ fetchedAt: range });
+  }
+
+  // minTemp/maxTemp are in the requested units; records are stored in metric
+  if (params.minTemp !== undefined || params.maxTemp !== undefined) {
+    const range = {};
+    if (params.minTemp !== undefined) range.$gte = toCelsius(params.minTemp, params.units);
+    if (params.maxTemp !== undefined) range.$lte = toCelsius(params.maxTemp, params.units);
+    clauses.push({ temp: range });
+  }
+
+  const { field, direction } = parseSort(params.sort);
+
+  // Keyset pagination: continue strictly after the cursor's (value, _id)
+  if (params.cursor) {
+    const { value, id } = decodeCursor(params.cursor, params.sort);
+    const op = direction === -1 ? "$lt" : "$gt";
+    clauses.push({
+      $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+    });
+  }
+
+  return {
+    filter: clauses.length === 1 ? clauses[0] : { $and: clauses },
+    // _id breaks ties so pages never overlap or skip records
+    sort: { [field]: direction, _id: direction },
+  };
+}
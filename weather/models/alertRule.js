@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { normalizeCity } from "../cityKey.js";
+import { UNIT_SYSTEMS } from "../units.js";
+
+export const ALERT_FIELDS = ["temp", "feelsLike", "humidity", "pressure", "windSpeed", "condition"];
+export const ALERT_OPERATORS = [">", ">=", "<", "<=", "==", "!="];
+
+// "Tell me when <field> <op> <value> in <city>", e.g. temp > 30 in Phoenix
+const AlertRuleSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true },
+    name: { type: String, trim: true },
+    city: { type: String, required: true, trim: true },
+    cityKey: { type: String, required: true }, // normalized city, for matching records
+    field: { type: String, enum: ALERT_FIELDS, required: true },
+    op: { type: String, enum: ALERT_OPERATORS, required: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true }, // number, or string for condition
+    units: { type: String, enum: UNIT_SYSTEMS, default: "metric" }, // units value is written in
+    cooldownMinutes: { type: Number, min: 0 }, // unset: ALERT_COOLDOWN_MINUTES
+    enabled: { type: Boolean, default: true },
+    lastTriggeredAt: Date,
+  },
+  { timestamps: true }
+);
+
+AlertRuleSchema.index({ owner: 1, cityKey: 1 });
+
+AlertRuleSchema.pre("validate", function () {
+  if (this.city) this.cityKey = normalizeCity(this.city);
+});
+
+AlertRuleSchema.set("toJSON", {
+  transform(_doc, ret) {
+    delete ret.cityKey;
+    return ret;
+  },
+});
+
+export const AlertRule = mongoose.model("AlertRule", AlertRuleSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// One 3-hour slot of a forecast
+const ForecastEntrySchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true }, // start of the slot
+    temp: Number,
+    feelsLike: Number,
+    humidity: Number,
+    pressure: Number,
+    windSpeed: Number,
+    condition: String,
+    description: String,
+    pop: Number,        // probability of precipitation (0..1)
+  },
+  { _id: false }
+);
+
+// A saved 5-day / 3-hour forecast for a city
+const ForecastSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true, index: true }, // _key of the user who saved it
+    city: { type: String, required: true, index: true },
+    country: { type: String, required: true },
+    coordinates: {
+      lon: { type: Number, required: true },
+      lat: { type: Number, required: true },
+    },
+    entries: [ForecastEntrySchema],
+    fetchedAt: { type: Date, default: Date.now },
+    provider: String,
+  },
+  { timestamps: true }
+);
+
+export const Forecast = mongoose.model("Forecast", ForecastSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// One alert rule match, shown in the owner's notification feed
+const NotificationSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true },
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: "AlertRule", required: true },
+    record: { type: mongoose.Schema.Types.ObjectId, ref: "Weather", required: true },
+    city: String,
+    message: { type: String, required: true },
+    acknowledgedAt: Date, // read
+    dismissedAt: Date,    // hidden from the feed
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ owner: 1, dismissedAt: 1, createdAt: -1 });
+
+export const Notification = mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// A named lease shared by every instance; whoever holds it runs the job
+const SchedulerLockSchema = new mongoose.Schema(
+  {
+    _id: String,                                 // lock name
+    holder: { type: String, required: true },    // instance that took it
+    lockedUntil: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+export const SchedulerLock = mongoose.model("SchedulerLock", SchedulerLockSchema);
+
+/**
+ * Try to take the named lock for ttlMs. Resolves to true if this holder got
+ * it, false if another holder's lease hasn't expired yet.
+ */
+export async function acquireLock(name, holder, ttlMs) {
+  const now = new Date();
+  try {
+    // Matches only an expired lease; if the lock is held the upsert collides
+    // with the existing _id instead of taking it over
+    await SchedulerLock.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      { holder, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// Calls made to the weather providers on one UTC day, shared by every instance
+const UpstreamUsageSchema = new mongoose.Schema(
+  {
+    _id: String,                                        // day, e.g. "2025-01-31"
+    calls: { type: Number, required: true },
+    providers: { type: Map, of: Number }, // calls per provider name
+  },
+  { versionKey: false }
+);
+
+export const UpstreamUsage = mongoose.model("UpstreamUsage", UpstreamUsageSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { normalizeCity } from "../cityKey.js";
+
+// A city on a user's watchlist; the scheduler snapshots it on every tick
+const WatchedCitySchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true }, // User._key, e.g. "google|123"
+    city: { type: String, required: true, trim: true },
+    cityKey: { type: String, required: true }, // normalized city, for uniqueness
+    paused: { type: Boolean, default: false },
+
+    // Outcome of the most recent scheduled refresh
+    lastRunAt: Date,
+    lastStatus: { type: String, enum: ["ok", "error"] },
+    lastError: String,
+    lastRecordId: { type: mongoose.Schema.Types.ObjectId, ref: "Weather" },
+  },
+  { timestamps: true }
+);
+
+WatchedCitySchema.index({ owner: 1, cityKey: 1 }, { unique: true });
+
+WatchedCitySchema.pre("validate", function () {
+  if (this.city) this.cityKey = normalizeCity(this.city);
+});
+
+WatchedCitySchema.set("toJSON", {
+  transform(_doc, ret) {
+    delete ret.cityKey;
+    return ret;
+  },
+});
+
+export const WatchedCity = mongoose.model("WatchedCity", WatchedCitySchema);
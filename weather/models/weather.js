@@ -3,12 +3,18 @@ import mongoose from "mongoose";
 // Define the structure of our weather document
 const WeatherSchema = new mongoose.Schema(
   {
+    owner: { type: String, required: true, index: true }, // _key of the user who saved it
     city: { type: String, required: true, index: true }, // name of the city
     country: { type: String, required: true }, // country code (e.g., US)
     coordinates: {
       lon: { type: Number, required: true }, // longitude
       lat: { type: Number, required: true },  // latitude
     },
+    // GeoJSON copy of `coordinates` for geo queries; kept in sync by the hooks below
+    location: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: [Number], // [lon, lat] - GeoJSON order
+    },
     temp: Number,         // temperature
     feelsLike: Number,    // feels-like temperature
     humidity: Number,     // %
@@ -17,9 +23,67 @@ const WeatherSchema = new mongoose.Schema(
     condition: String,    // e.g., "Clouds"
     description: String,  // e.g., "broken clouds"
     fetchedAt: { type: Date, default: Date.now }, // when data was fetched
+    provider: String,     // which upstream produced it (e.g., "openmeteo")
+    deletedAt: { type: Date, default: null }, // set when moved to the trash
   },
   { timestamps: true } // adds createdAt and updatedAt automatically
 );
 
+// Most lookups are "this user's records, newest first"
+WeatherSchema.index({ owner: 1, fetchedAt: -1 });
+WeatherSchema.index({ location: "2dsphere" });
+// The trash view, and the purge job's scan for expired tombstones
+WeatherSchema.index({ owner: 1, deletedAt: -1 });
+WeatherSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } });
+
+function toPoint(coordinates) {
+  return { type: "Point", coordinates: [coordinates.lon, coordinates.lat] };
+}
+
+// Keep `location` in sync with `coordinates` however a record is written
+WeatherSchema.pre("validate", function () {
+  if (this.coordinates?.lon != null && this.coordinates?.lat != null) {
+    this.location = toPoint(this.coordinates);
+  }
+});
+
+WeatherSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+
+  const coordinates = update.coordinates ?? update.$set?.coordinates;
+  if (coordinates?.lon != null && coordinates?.lat != null) {
+    update.$set = { ...update.$set, location: toPoint(coordinates) };
+  }
+});
+
+// `location` is a storage detail; API clients keep using `coordinates`
+WeatherSchema.set("toJSON", {
+  transform: (_doc, ret) => {
+    delete ret.location;
+    return ret;
+  },
+});
+
+/**
+ * One-off backfill for records saved before `location` existed. Safe to run
+ * on every start: it only touches documents that are missing it.
+ */
+WeatherSchema.statics.backfillLocations = function () {
+  return this.updateMany(
+    { location: { $exists: false }, "coordinates.lon": { $type: "number" } },
+    [
+      {
+        $set: {
+          location: {
+            type: "Point",
+            coordinates: ["$coordinates.lon", "$coordinates.lat"],
+          },
+        },
+      },
+    ]
+  );
+};
+
 // Create a Mongoose model called "Weather" using the schema above
 export const Weather = mongoose.model("Weather", WeatherSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "revert"];
+
+// One changed field: path is dotted for nested fields (e.g. "coordinates.lat")
+const FieldChangeSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed, // null when the field wasn't set
+    to: mongoose.Schema.Types.Mixed,   // null when the field was removed
+  },
+  { _id: false }
+);
+
+// One change to a weather record: who made it, when, and what it changed
+const WeatherAuditSchema = new mongoose.Schema(
+  {
+    record: { type: mongoose.Schema.Types.ObjectId, ref: "Weather", required: true },
+    owner: { type: String, required: true }, // the record's owner
+    actor: { type: String, required: true }, // _key of the user who made the change
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    version: { type: Number, required: true }, // the record's __v after the change
+    changes: { type: [FieldChangeSchema], default: [] },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true }, // audited fields after the change
+    revertedTo: Number, // for reverts, the version that was restored
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+WeatherAuditSchema.index({ record: 1, version: -1 });
+
+export const WeatherAudit = mongoose.model("WeatherAudit", WeatherAuditSchema);
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Weather events from every instance, so each one can push them to its own
+// dashboards. Capped: old events fall off by themselves and can be tailed.
+const WeatherEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true },   // the event's own id
+    type: { type: String, required: true },
+    occurredAt: { type: Date, required: true },
+    owner: String,
+    data: mongoose.Schema.Types.Mixed,           // the record after the change
+  },
+  { versionKey: false, capped: { size: 16 * 1024 * 1024, max: 5000 } }
+);
+
+export const WeatherEvent = mongoose.model("WeatherEvent", WeatherEventSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { normalizeCity } from "../cityKey.js";
+import { WEATHER_EVENT_TYPES } from "../events.js";
+
+// A user's subscription: POST these events (optionally for one city) to url
+const WebhookSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true, index: true },
+    url: { type: String, required: true },
+    events: { type: [{ type: String, enum: WEATHER_EVENT_TYPES }], required: true },
+    city: { type: String, trim: true },  // unset: every city
+    cityKey: String,                     // normalized city, for matching
+    description: { type: String, trim: true },
+    secret: { type: String, required: true }, // HMAC key; only shown when created
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+WebhookSchema.pre("validate", function () {
+  this.cityKey = this.city ? normalizeCity(this.city) : undefined;
+});
+
+WebhookSchema.set("toJSON", {
+  transform(_doc, ret) {
+    delete ret.cityKey;
+    delete ret.secret;
+    return ret;
+  },
+});
+
+export const Webhook = mongoose.model("Webhook", WebhookSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// One HTTP attempt at delivering an event
+const AttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    statusCode: Number, // unset when the request never got a response
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false }
+);
+
+// One event on its way to one webhook, with every attempt made so far
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true },
+    owner: { type: String, required: true },
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // body that is signed and sent
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: { type: [AttemptSchema], default: [] },
+    nextAttemptAt: Date, // set while pending; the retry worker picks it up
+    redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookDelivery" },
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Keep the delivery log for 30 days
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export const WebhookDelivery = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
@@ -0,0 +1,180 @@
+// src/providers/openMeteo.js
+import createError from "http-errors";
+import { getJSON } from "../upstream.js";
+
+const GEOCODING_URL = "https://geocoding-api.open-meteo.com/v1/search";
+const FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+
+export const name = "openmeteo";
+
+// Open-Meteo is free and keyless, so it is always available as a fallback
+export function isConfigured() {
+  return true;
+}
+
+// WMO weather codes -> OpenWeather-style main condition + description
+const WMO_CODES = {
+  0: ["Clear", "clear sky"],
+  1: ["Clear", "mainly clear"],
+  2: ["Clouds", "partly cloudy"],
+  3: ["Clouds", "overcast clouds"],
+  45: ["Fog", "fog"],
+  48: ["Fog", "depositing rime fog"],
+  51: ["Drizzle", "light drizzle"],
+  53: ["Drizzle", "moderate drizzle"],
+  55: ["Drizzle", "dense drizzle"],
+  56: ["Drizzle", "light freezing drizzle"],
+  57: ["Drizzle", "dense freezing drizzle"],
+  61: ["Rain", "slight rain"],
+  63: ["Rain", "moderate rain"],
+  65: ["Rain", "heavy rain"],
+  66: ["Rain", "light freezing rain"],
+  67: ["Rain", "heavy freezing rain"],
+  71: ["Snow", "slight snow fall"],
+  73: ["Snow", "moderate snow fall"],
+  75: ["Snow", "heavy snow fall"],
+  77: ["Snow", "snow grains"],
+  80: ["Rain", "slight rain showers"],
+  81: ["Rain", "moderate rain showers"],
+  82: ["Rain", "violent rain showers"],
+  85: ["Snow", "slight snow showers"],
+  86: ["Snow", "heavy snow showers"],
+  95: ["Thunderstorm", "thunderstorm"],
+  96: ["Thunderstorm", "thunderstorm with slight hail"],
+  99: ["Thunderstorm", "thunderstorm with heavy hail"],
+};
+
+export function describeWeatherCode(code) {
+  const [condition, description] = WMO_CODES[code] ?? ["Unknown", "Unknown"];
+  return { condition, description };
+}
+
+// Open-Meteo's geocoder searches place names and postal codes alike
+async function geocode(search, timeout, countryCode) {
+  const data = await getJSON(GEOCODING_URL, {
+    params: { name: search, count: 1, language: "en", format: "json", countryCode },
+    timeout,
+    provider: "Open-Meteo geocoding",
+    usage: name,
+    notFound: `Location not found: ${search}`,
+  });
+
+  const place = data.results?.[0];
+  if (!place) throw createError(404, `Location not found: ${search}`);
+  return place;
+}
+
+// The forecast API only takes coordinates, so resolve names and zips first
+async function resolvePlace(query, timeout) {
+  if (query.lat !== undefined) {
+    return {
+      name: query.name ?? `${query.lat.toFixed(2)}, ${query.lon.toFixed(2)}`,
+      latitude: query.lat,
+      longitude: query.lon,
+    };
+  }
+  if (query.zip) return geocode(query.zip, timeout, query.country);
+  return geocode(query.city, timeout);
+}
+
+/**
+ * Current conditions from Open-Meteo, normalized to the shape
+ * `weatherSchema` validates (metric units, wind in m/s like OpenWeather).
+ */
+export async function fetchCurrent(query, { timeout } = {}) {
+  const place = await resolvePlace(query, timeout);
+
+  const data = await getJSON(FORECAST_URL, {
+    params: {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      current: [
+        "temperature_2m",
+        "apparent_temperature",
+        "relative_humidity_2m",
+        "pressure_msl",
+        "wind_speed_10m",
+        "weather_code",
+      ].join(","),
+      wind_speed_unit: "ms",
+    },
+    timeout,
+    provider: "Open-Meteo",
+    usage: name,
+  });
+
+  const current = data.current ?? {};
+
+  return {
+    city: place.name,
+    country: place.country_code ?? "NA",
+    coordinates: {
+      lon: place.longitude,
+      lat: place.latitude,
+    },
+    temp: current.temperature_2m ?? 0,
+    feelsLike: current.apparent_temperature ?? 0,
+    humidity: Math.round(current.relative_humidity_2m ?? 0),
+    pressure: Math.round(current.pressure_msl ?? 0),
+    windSpeed: current.wind_speed_10m ?? 0,
+    ...describeWeatherCode(current.weather_code),
+    fetchedAt: new Date(),
+  };
+}
+
+/**
+ * 5-day forecast from Open-Meteo's hourly data, sampled every 3 hours so it
+ * lines up with OpenWeather's forecast, normalized to `forecastSchema`.
+ */
+export async function fetchForecast(query, { timeout } = {}) {
+  const place = await resolvePlace(query, timeout);
+
+  const data = await getJSON(FORECAST_URL, {
+    params: {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      hourly: [
+        "temperature_2m",
+        "apparent_temperature",
+        "relative_humidity_2m",
+        "pressure_msl",
+        "wind_speed_10m",
+        "weather_code",
+        "precipitation_probability",
+      ].join(","),
+      forecast_days: 5,
+      wind_speed_unit: "ms",
+      timezone: "GMT",
+    },
+    timeout,
+    provider: "Open-Meteo",
+    usage: name,
+  });
+
+  const hourly = data.hourly ?? {};
+  const entries = [];
+  (hourly.time ?? []).forEach((time, i) => {
+    if (i % 3 !== 0) return;
+    entries.push({
+      at: new Date(`${time}Z`),
+      temp: hourly.temperature_2m?.[i] ?? 0,
+      feelsLike: hourly.apparent_temperature?.[i] ?? 0,
+      humidity: Math.round(hourly.relative_humidity_2m?.[i] ?? 0),
+      pressure: Math.round(hourly.pressure_msl?.[i] ?? 0),
+      windSpeed: hourly.wind_speed_10m?.[i] ?? 0,
+      ...describeWeatherCode(hourly.weather_code?.[i]),
+      pop: (hourly.precipitation_probability?.[i] ?? 0) / 100,
+    });
+  });
+
+  return {
+    city: place.name,
+    country: place.country_code ?? "NA",
+    coordinates: {
+      lon: place.longitude,
+      lat: place.latitude,
+    },
+    entries,
+    fetchedAt: new Date(),
+  };
+}
@@ -0,0 +1,99 @@
+// src/providers/openWeather.js
+import { getJSON } from "../upstream.js";
+
+const BASE_URL = "https://api.openweathermap.org/data/2.5";
+
+export const name = "openweather";
+
+// OpenWeather needs an API key; without one we skip straight to the next provider
+export function isConfigured() {
+  return Boolean(process.env.OPENWEATHER_API_KEY);
+}
+
+// OpenWeather takes a city name, coordinates or "zip,country"
+function locationParams(query) {
+  if (query.lat !== undefined) return { lat: query.lat, lon: query.lon };
+  if (query.zip) return { zip: `${query.zip},${query.country}` };
+  return { q: query.city };
+}
+
+function notFound(query) {
+  if (query.lat !== undefined) return `Location not found: ${query.lat}, ${query.lon}`;
+  return `Location not found: ${query.zip ? `${query.zip}, ${query.country}` : query.city}`;
+}
+
+/**
+ * Current conditions from OpenWeather's /weather endpoint, normalized to the
+ * shape `weatherSchema` validates.
+ */
+export async function fetchCurrent(query, { timeout } = {}) {
+  const params = {
+    ...locationParams(query),
+    appid: process.env.OPENWEATHER_API_KEY,
+    units: "metric",
+  };
+  const data = await getJSON(`${BASE_URL}/weather`, {
+    params,
+    timeout,
+    provider: "OpenWeather",
+    usage: name,
+    notFound: notFound(query),
+  });
+
+  return {
+    city: query.name ?? data.name,
+    country: data.sys?.country ?? "NA",
+    coordinates: {
+      lon: data.coord?.lon ?? 0,
+      lat: data.coord?.lat ?? 0,
+    },
+    temp: data.main?.temp ?? 0,
+    feelsLike: data.main?.feels_like ?? 0,
+    humidity: data.main?.humidity ?? 0,
+    pressure: data.main?.pressure ?? 0,
+    windSpeed: data.wind?.speed ?? 0,
+    condition: data.weather?.[0]?.main ?? "Unknown",
+    description: data.weather?.[0]?.description ?? "Unknown",
+    fetchedAt: new Date(),
+  };
+}
+
+/**
+ * 5-day / 3-hour forecast from OpenWeather's /forecast endpoint, normalized
+ * to the shape `forecastSchema` validates.
+ */
+export async function fetchForecast(query, { timeout } = {}) {
+  const params = {
+    ...locationParams(query),
+    appid: process.env.OPENWEATHER_API_KEY,
+    units: "metric",
+  };
+  const data = await getJSON(`${BASE_URL}/forecast`, {
+    params,
+    timeout,
+    provider: "OpenWeather",
+    usage: name,
+    notFound: notFound(query),
+  });
+
+  return {
+    city: query.name ?? data.city?.name ?? query.city ?? query.zip,
+    country: data.city?.country ?? "NA",
+    coordinates: {
+      lon: data.city?.coord?.lon ?? 0,
+      lat: data.city?.coord?.lat ?? 0,
+    },
+    entries: (data.list ?? []).map((item) => ({
+      at: new Date(item.dt * 1000),
+      temp: item.main?.temp ?? 0,
+      feelsLike: item.main?.feels_like ?? 0,
+      humidity: item.main?.humidity ?? 0,
+      pressure: item.main?.pressure ?? 0,
+      windSpeed: item.wind?.speed ?? 0,
+      condition: item.weather?.[0]?.main ?? "Unknown",
+      description: item.weather?.[0]?.description ?? "Unknown",
+      pop: item.pop ?? 0, // probability of precipitation, 0..1
+    })),
+    fetchedAt: new Date(),
+  };
+}
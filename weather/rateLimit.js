@@ -0,0 +1,113 @@
+// src/rateLimit.js
+import createError from "http-errors";
+
+const WINDOW_MS = 60 * 1000;
+// Idle buckets are full again and can be forgotten; only swept past this size
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Token buckets keyed by caller. A bucket holds up to capacity tokens and
+ * refills continuously at capacity per minute, so short bursts are fine but
+ * the average rate is capped. Callers that were never seen have a full one.
+ */
+export function createTokenBuckets() {
+  const buckets = new Map();
+
+  function level(key, capacity, now) {
+    const bucket = buckets.get(key);
+    if (!bucket) return capacity;
+    const refilled = bucket.tokens + ((now - bucket.updatedAt) * capacity) / WINDOW_MS;
+    return Math.min(capacity, refilled);
+  }
+
+  function sweep(now) {
+    for (const [key, bucket] of buckets) {
+      if (level(key, bucket.capacity, now) >= bucket.capacity) buckets.delete(key);
+    }
+  }
+
+  return {
+    // Tokens key has right now, refill included
+    level(key, capacity, now = Date.now()) {
+      return level(key, capacity, now);
+    },
+
+    take(key, capacity, now = Date.now()) {
+      buckets.set(key, { tokens: level(key, capacity, now) - 1, capacity, updatedAt: now });
+      if (buckets.size > MAX_TRACKED_KEYS) sweep(now);
+    },
+
+    clear() {
+      buckets.clear();
+    },
+
+    get size() {
+      return buckets.size;
+    },
+  };
+}
+
+const buckets = createTokenBuckets();
+
+/**
+ * Forget every caller's usage, so each test starts with full buckets.
+ */
+export function resetRateLimits() {
+  buckets.clear();
+}
+
+function perMinute(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+// The limits that apply to req; a limit of 0 turns that one off
+function limitsFor(req) {
+  return [
+    { key: `user:${req.user?._key}`, capacity: perMinute("RATE_LIMIT_USER_PER_MINUTE", 10) },
+    { key: `ip:${req.ip}`, capacity: perMinute("RATE_LIMIT_IP_PER_MINUTE", 30) },
+  ].filter(({ capacity }) => capacity > 0);
+}
+
+// RateLimit-* headers (IETF draft) for one bucket at the given level
+function headersFor({ capacity }, level) {
+  return {
+    "RateLimit-Policy": `${capacity};w=${WINDOW_MS / 1000}`,
+    "RateLimit-Limit": String(capacity),
+    "RateLimit-Remaining": String(Math.max(0, Math.floor(level))),
+    "RateLimit-Reset": String(Math.ceil(((capacity - level) * WINDOW_MS) / capacity / 1000)),
+  };
+}
+
+/**
+ * Throttle routes that call the weather providers, per signed-in user
+ * (RATE_LIMIT_USER_PER_MINUTE) and per client IP (RATE_LIMIT_IP_PER_MINUTE).
+ * A request takes a token from both buckets or from neither; when either is
+ * empty it gets a 429 with Retry-After. Responses carry the RateLimit-*
+ * headers of whichever limit is closest to running out.
+ */
+export function rateLimitUpstream() {
+  return (req, res, next) => {
+    const now = Date.now();
+    const limits = limitsFor(req).map((limit) => ({
+      ...limit,
+      level: buckets.level(limit.key, limit.capacity, now),
+    }));
+    if (!limits.length) return next();
+
+    const empty = limits.find(({ level }) => level < 1);
+    if (empty) {
+      const retryAfter = Math.ceil(((1 - empty.level) * WINDOW_MS) / empty.capacity / 1000);
+      return next(
+        createError(429, "Too many weather lookups; try again shortly", {
+          headers: { ...headersFor(empty, empty.level), "Retry-After": String(retryAfter) },
+        })
+      );
+    }
+
+    limits.forEach(({ key, capacity }) => buckets.take(key, capacity, now));
+    const tightest = limits.reduce((a, b) => (b.level / b.capacity < a.level / a.capacity ? b : a));
+    res.set(headersFor(tightest, tightest.level - 1));
+    next();
+  };
+}
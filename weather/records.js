@@ -0,0 +1,26 @@
+// src/records.js
+import { Weather } from "./models/weather.js";
+import { weatherSchema } from "./validation.js";
+import { checkAlerts } from "./alerts.js";
+import { emitWeatherEvent } from "./events.js";
+
+/**
+ * Validate a normalized weather payload (metric) and save it for owner.
+ * Every path that creates records - the routes and the watchlist scheduler -
+ * goes through here so they all apply the same rules, announce the new
+ * record as a weather.created event and check it against alert rules.
+ */
+export async function createRecord(data, owner) {
+  const parsed = weatherSchema.parse(data);
+  const record = await Weather.create({ ...parsed, owner });
+  emitWeatherEvent("weather.created", record);
+
+  // A broken rule must not cost the user their record
+  try {
+    await checkAlerts(record);
+  } catch (err) {
+    console.error("⚠️ Alert check failed:", err.message || err);
+  }
+
+  return record;
+}
@@ -0,0 +1,128 @@
+// src/routes/alertRoutes.js
+import { Router } from "express";
+import createError from "http-errors";
+import { AlertRule } from "../models/alertRule.js";
+import { alertRuleSchema, alertRuleUpdateSchema } from "../validation.js";
+
+const router = Router();
+
+function ownedBy(req, filter = {}) {
+  return { ...filter, owner: req.user._key };
+}
+
+// The user-editable part of a saved rule, for re-validating a PATCH
+function editableFields(rule) {
+  const { name, city, field, op, value, units, cooldownMinutes, enabled } = rule.toObject();
+  return { name, city, field, op, value, units, cooldownMinutes, enabled };
+}
+
+/**
+ * @openapi
+ * /api/alerts:
+ *   get:
+ *     summary: Your alert rules.
+ *     responses:
+ *       200:
+ *         description: Alert rules, newest first.
+ *   post:
+ *     summary: Create an alert rule.
+ *     description: >
+ *       Every new record for the rule's city - from the search form, the API or
+ *       the watchlist scheduler - is checked against it, and a match adds a
+ *       notification to your feed.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/AlertRuleInput"
+ *     responses:
+ *       201:
+ *         description: Rule created.
+ *       400:
+ *         description: Invalid rule.
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const rules = await AlertRule.find(ownedBy(req)).sort({ createdAt: -1 });
+    res.json(rules);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/", async (req, res, next) => {
+  try {
+    const parsed = alertRuleSchema.parse(req.body);
+    const created = await AlertRule.create({ ...parsed, owner: req.user._key });
+    res.status(201).json(created);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/alerts/{id}:
+ *   patch:
+ *     summary: Update an alert rule.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/AlertRuleUpdate"
+ *     responses:
+ *       200:
+ *         description: Updated rule.
+ *       400:
+ *         description: The updated rule is invalid.
+ *       404:
+ *         description: Rule not found.
+ *   delete:
+ *     summary: Delete an alert rule.
+ *     description: Notifications it already created are kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted.
+ *       404:
+ *         description: Rule not found.
+ */
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const changes = alertRuleUpdateSchema.parse(req.body);
+    const rule = await AlertRule.findOne(ownedBy(req, { _id: req.params.id }));
+    if (!rule) throw createError(404, "Alert rule not found");
+
+    // e.g. switching field to "condition" must come with a string value
+    rule.set(alertRuleSchema.parse({ ...editableFields(rule), ...changes }));
+    await rule.save();
+    res.json(rule);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const removed = await AlertRule.findOneAndDelete(ownedBy(req, { _id: req.params.id }));
+    if (!removed) throw createError(404, "Alert rule not found");
+    res.json({ deleted: true, id: removed._id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,62 @@
+// src/routes/cityRoutes.js
+import { Router } from "express";
+import { searchCities } from "../cities.js";
+import { citySearchSchema } from "../validation.js";
+
+const router = Router();
+
+/**
+ * @openapi
+ * /api/cities/search:
+ *   get:
+ *     summary: Suggest cities for a search box.
+ *     description: >
+ *       Searches the bundled GeoNames gazetteer (cities of 15,000 people or
+ *       more), so it never calls a weather provider. Names that start with q,
+ *       or have a word that does, come first, biggest city first; close
+ *       misspellings fill any remaining slots. Accents and case are ignored.
+ *       Pass a suggestion's coordinates to POST /api/weather/fetch as lat/lon.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 20
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: ISO 3166 country code, e.g. US
+ *     responses:
+ *       200:
+ *         description: Suggestions, best match first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [items]
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: "#/components/schemas/City"
+ *       400:
+ *         description: Missing or invalid query parameters.
+ */
+router.get("/search", (req, res, next) => {
+  try {
+    const { q, limit, country } = citySearchSchema.parse(req.query);
+    res.json({ items: searchCities(q, { limit, country }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+// src/routes/notificationRoutes.js
+import { Router } from "express";
+import createError from "http-errors";
+import { Notification } from "../models/notification.js";
+import { notificationQuerySchema } from "../validation.js";
+
+const router = Router();
+
+// Dismissed notifications never come back into the feed
+function feedOf(req, filter = {}) {
+  return { ...filter, owner: req.user._key, dismissedAt: null };
+}
+
+function unreadCount(req) {
+  return Notification.countDocuments(feedOf(req, { acknowledgedAt: null }));
+}
+
+/**
+ * @openapi
+ * /api/notifications:
+ *   get:
+ *     summary: Your alert notifications, newest first.
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only notifications that haven't been acknowledged.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: "{ items, unreadCount }"
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { unread, limit } = notificationQuerySchema.parse(req.query);
+    const filter = unread ? feedOf(req, { acknowledgedAt: null }) : feedOf(req);
+
+    const [items, count] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      unreadCount(req),
+    ]);
+    res.json({ items, unreadCount: count });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: How many notifications you haven't acknowledged (for the dashboard badge).
+ *     responses:
+ *       200:
+ *         description: "{ unreadCount }"
+ */
+router.get("/unread-count", async (req, res, next) => {
+  try {
+    res.json({ unreadCount: await unreadCount(req) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/ack-all:
+ *   post:
+ *     summary: Acknowledge every unread notification.
+ *     responses:
+ *       200:
+ *         description: "{ acknowledged } - how many were marked read."
+ */
+router.post("/ack-all", async (req, res, next) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      feedOf(req, { acknowledgedAt: null }),
+      { acknowledgedAt: new Date() }
+    );
+    res.json({ acknowledged: modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/{id}/ack:
+ *   post:
+ *     summary: Mark a notification as read.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The acknowledged notification.
+ *       404:
+ *         description: Notification not found.
+ */
+router.post("/:id/ack", async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne(feedOf(req, { _id: req.params.id }));
+    if (!notification) throw createError(404, "Notification not found");
+
+    // Keep the original time if it was already acknowledged
+    notification.acknowledgedAt ??= new Date();
+    await notification.save();
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/{id}/dismiss:
+ *   post:
+ *     summary: Remove a notification from your feed.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The dismissed notification.
+ *       404:
+ *         description: Notification not found.
+ */
+router.post("/:id/dismiss", async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne(feedOf(req, { _id: req.params.id }));
+    if (!notification) throw createError(404, "Notification not found");
+
+    // A dismissed notification no longer counts as unread either
+    notification.dismissedAt = new Date();
+    notification.acknowledgedAt ??= notification.dismissedAt;
+    await notification.save();
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
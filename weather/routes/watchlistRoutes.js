@@ -0,0 +1,150 @@
+// src/routes/watchlistRoutes.js
+import { Router } from "express";
+import createError from "http-errors";
+import { WatchedCity } from "../models/watchedCity.js";
+import { watchlistSchema, watchlistUpdateSchema } from "../validation.js";
+import { authorize } from "../../auth/middleware.js";
+
+const router = Router();
+
+// Watched cities turn into new weather records, so viewers may only look
+const canWrite = authorize("admin", "editor");
+
+function ownedBy(req, filter = {}) {
+  return { ...filter, owner: req.user._key };
+}
+
+function maxCities() {
+  return Number(process.env.WATCHLIST_MAX_CITIES) || 20;
+}
+
+// The unique { owner, cityKey } index rejects a city that's already watched
+function duplicateCity(err, city) {
+  return err.code === 11000
+    ? createError(409, `${city} is already on your watchlist`)
+    : err;
+}
+
+/**
+ * @openapi
+ * /api/watchlist:
+ *   get:
+ *     summary: Your watched cities.
+ *     description: >
+ *       Each entry reports the outcome of its last scheduled refresh
+ *       (lastRunAt, lastStatus, lastError, lastRecordId).
+ *     responses:
+ *       200:
+ *         description: Watched cities, alphabetically.
+ *   post:
+ *     summary: Add a city to your watchlist.
+ *     description: The scheduler saves a snapshot for every watched city every WATCHLIST_REFRESH_MINUTES.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/WatchlistInput"
+ *     responses:
+ *       201:
+ *         description: City added.
+ *       400:
+ *         description: Invalid body, or the watchlist is full (WATCHLIST_MAX_CITIES).
+ *       409:
+ *         description: City is already on the watchlist.
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const watches = await WatchedCity.find(ownedBy(req)).sort({ cityKey: 1 });
+    res.json(watches);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/", canWrite, async (req, res, next) => {
+  try {
+    const parsed = watchlistSchema.parse(req.body);
+
+    if ((await WatchedCity.countDocuments(ownedBy(req))) >= maxCities()) {
+      throw createError(400, `Your watchlist is full (max ${maxCities()} cities)`);
+    }
+
+    const created = await WatchedCity.create({ ...parsed, owner: req.user._key }).catch(
+      (err) => {
+        throw duplicateCity(err, parsed.city);
+      }
+    );
+    res.status(201).json(created);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/watchlist/{id}:
+ *   patch:
+ *     summary: Rename or pause/resume a watched city.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/WatchlistUpdate"
+ *     responses:
+ *       200:
+ *         description: Updated watch.
+ *       404:
+ *         description: Not on your watchlist.
+ *       409:
+ *         description: The new city is already on the watchlist.
+ *   delete:
+ *     summary: Remove a city from your watchlist.
+ *     description: Snapshots already saved to your history are kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: City removed.
+ *       404:
+ *         description: Not on your watchlist.
+ */
+router.patch("/:id", canWrite, async (req, res, next) => {
+  try {
+    const parsed = watchlistUpdateSchema.parse(req.body);
+    const watch = await WatchedCity.findOne(ownedBy(req, { _id: req.params.id }));
+    if (!watch) throw createError(404, "Watched city not found");
+
+    // save() (not findOneAndUpdate) so a rename re-derives cityKey
+    watch.set(parsed);
+    await watch.save().catch((err) => {
+      throw duplicateCity(err, parsed.city);
+    });
+    res.json(watch);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id", canWrite, async (req, res, next) => {
+  try {
+    const removed = await WatchedCity.findOneAndDelete(ownedBy(req, { _id: req.params.id }));
+    if (!removed) throw createError(404, "Watched city not found");
+    res.json({ deleted: true, id: removed._id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -2,35 +2,297 @@
 import { Router } from "express";
 import createError from "http-errors";
 import { Weather } from "../models/weather.js";
-import { weatherSchema } from "../validation.js";
-import { fetchWeather } from "../weatherService.js";
+import { Forecast } from "../models/forecast.js";
+import {
+  weatherSchema,
+  weatherPatchSchema,
+  forecastSchema,
+  listQuerySchema,
+  statsQuerySchema,
+  locationQuerySchema,
+  nearQuerySchema,
+  trashQuerySchema,
+  historyQuerySchema,
+  revertSchema,
+  exportQuerySchema,
+  importQuerySchema,
+  unitsSchema,
+} from "../validation.js";
+import { buildListQuery, caseInsensitive, encodeCursor } from "../listQuery.js";
+import { statsPipeline } from "../stats.js";
+import { convertChanges, convertRecord, convertStatsBucket } from "../units.js";
+import { fetchWeather, fetchForecast } from "../weatherService.js";
+import { createRecord } from "../records.js";
+import { emitWeatherEvent } from "../events.js";
+import { openWeatherStream } from "../stream.js";
+import { purgeDate } from "../trash.js";
+import { AUDITED_FIELDS, recordAudit, recordCreates } from "../audit.js";
+import { WeatherAudit } from "../models/weatherAudit.js";
+import { authorize, requireScope } from "../../auth/middleware.js";
+import { roleOf } from "../../auth/models/user.js";
+import { CONTENT_TYPES, writeExport, importRows, importRecords } from "../bulk.js";
+import { rateLimitUpstream } from "../rateLimit.js";
+import { upstreamUsage } from "../usage.js";
 
 const router = Router();
 
+// Viewers may only look; admins and editors may change records. On top of
+// that, API tokens need weather:read to look and weather:write to change
+// anything. Every route is guarded by canRead or canWrite.
+const writeRole = authorize("admin", "editor");
+const canRead = requireScope("weather:read");
+const canWrite = [writeRole, requireScope("weather:write")];
+
+// Routes that call the weather providers are throttled per user and per IP
+const limitLookups = rateLimitUpstream();
+
+// POST / only goes upstream for a lookup; manual records are never throttled
+function limitCreate(req, res, next) {
+  if (req.body?.manual) return next();
+  limitLookups(req, res, next);
+}
+
+// Records belong to the user who created them; every query is scoped to the
+// signed-in user so nobody can see or touch someone else's history, except
+// admins, who manage everyone's. Records in the trash are hidden everywhere
+// except the trash routes (trashedBy).
+function ownerScope(req) {
+  return roleOf(req.user) === "admin" ? {} : { owner: req.user._key };
+}
+
+function ownedBy(req, filter = {}) {
+  return { ...filter, ...ownerScope(req), deletedAt: null };
+}
+
+function trashedBy(req, filter = {}) {
+  return { ...filter, ...ownerScope(req), deletedAt: { $ne: null } };
+}
+
+// Records are stored in metric; convert on the way out to the ?units= asked for
+function present(doc, units) {
+  return convertRecord(doc.toJSON(), units);
+}
+
+function presentForecast(forecast, units) {
+  const plain = forecast.toJSON ? forecast.toJSON() : forecast;
+  return {
+    ...plain,
+    units,
+    entries: plain.entries.map((entry) => convertRecord(entry, units)),
+  };
+}
+
+// Every change made here bumps a record's __v, so it doubles as the ETag version
+function etagOf(doc) {
+  return `"v${doc.__v}"`;
+}
+
+// Versions an If-Match header accepts, or null when any version will do.
+// Weak or unrecognized tags match nothing, so they fail the precondition.
+function ifMatchVersions(req) {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return null;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().match(/^"v(\d+)"$/))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+}
+
+// $set the given fields; ones given as undefined are removed
+function updateFrom(changes) {
+  const update = { $set: {}, $inc: { __v: 1 } };
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === undefined) (update.$unset ??= {})[field] = "";
+    else update.$set[field] = value;
+  }
+  return update;
+}
+
+/**
+ * Apply validated changes to record :id, found with filter (ownedBy or
+ * trashedBy), honouring If-Match: a stale version is a 412 so concurrent
+ * edits can't silently overwrite each other. Resolves to { before, after }
+ * for the audit trail.
+ */
+async function changeRecord(req, filter, changes) {
+  const versions = ifMatchVersions(req);
+
+  // Write against the exact version just read, so `before` is what was
+  // really replaced; if someone else gets in between, read again
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const before = await Weather.findOne(filter);
+    if (!before) {
+      throw createError(404, "Weather record not found");
+    }
+    if (versions && !versions.includes(before.__v)) {
+      throw createError(412, "Weather record has changed since you loaded it; reload and try again");
+    }
+
+    const after = await Weather.findOneAndUpdate(
+      { ...filter, __v: before.__v },
+      updateFrom(changes),
+      { new: true, runValidators: true }
+    );
+    if (after) return { before, after };
+  }
+
+  throw createError(409, "Weather record is being changed by someone else; try again");
+}
+
+// What POST /import reads when no ?format= is given
+const IMPORT_TYPES = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+  json: "application/json",
+};
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     Units:
+ *       in: query
+ *       name: units
+ *       schema:
+ *         $ref: "#/components/schemas/Units"
+ *       description: >
+ *         Unit system for temp, feelsLike and windSpeed in the response
+ *         (°C + m/s, °F + mph, or K + m/s). Records are stored in metric.
+ */
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     LocationCity:
+ *       in: query
+ *       name: city
+ *       schema:
+ *         type: string
+ *       description: City name (defaults to DEFAULT_CITY when no location is given).
+ *     LocationLat:
+ *       in: query
+ *       name: lat
+ *       schema:
+ *         type: number
+ *       description: Latitude; use with lon instead of city.
+ *     LocationLon:
+ *       in: query
+ *       name: lon
+ *       schema:
+ *         type: number
+ *       description: Longitude; use with lat instead of city.
+ *     LocationZip:
+ *       in: query
+ *       name: zip
+ *       schema:
+ *         type: string
+ *       description: Zip/postcode; requires country.
+ *     LocationCountry:
+ *       in: query
+ *       name: country
+ *       schema:
+ *         type: string
+ *       description: Two-letter country code for zip, e.g. US.
+ */
+
+/**
+ * @openapi
+ * components:
+ *   responses:
+ *     RateLimited:
+ *       description: >
+ *         Too many lookups from this user or IP (RATE_LIMIT_USER_PER_MINUTE,
+ *         RATE_LIMIT_IP_PER_MINUTE). Wait for Retry-After seconds; the
+ *         RateLimit-* headers on every lookup show what's left.
+ *     UpstreamUnavailable:
+ *       description: >
+ *         The weather providers can't be asked right now: today's
+ *         UPSTREAM_DAILY_BUDGET is used up, a provider is rate limiting us, or
+ *         its circuit breaker is open after repeated outages. Retry-After says
+ *         when to try again.
+ */
+
 /**
  * @openapi
  * /api/weather:
  *   get:
- *     summary: Retrieve all weather records.
- *     description: Returns a list of weather entries from MongoDB, optionally filtered by city.
+ *     summary: Retrieve your weather records.
+ *     description: >
+ *       Returns the signed-in user's weather entries from MongoDB, newest first by
+ *       default. Results are paginated with an opaque cursor: pass the previous
+ *       response's nextCursor (with the same filters and sort) to get the next page.
  *     parameters:
  *       - in: query
  *         name: city
  *         schema:
  *           type: string
- *         description: Filter results by city name.
+ *         description: Filter by city name (case-insensitive, whole name).
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Filter by country code, e.g. US.
+ *       - in: query
+ *         name: condition
+ *         schema:
+ *           type: string
+ *         description: Filter by main condition, e.g. Rain (case-insensitive).
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only records fetched at or after this time.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only records fetched at or before this time.
+ *       - in: query
+ *         name: minTemp
+ *         schema:
+ *           type: number
+ *         description: Minimum temperature (in the requested units).
+ *       - in: query
+ *         name: maxTemp
+ *         schema:
+ *           type: number
+ *         description: Maximum temperature (in the requested units).
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [fetchedAt, -fetchedAt, createdAt, -createdAt, city, -city, temp, -temp, humidity, -humidity, windSpeed, -windSpeed]
+ *           default: -fetchedAt
+ *         description: Sort field; prefix with "-" for descending.
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 50
- *         description: Limit number of results.
+ *           maximum: 200
+ *         description: Page size (invalid values fall back to 50).
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page.
+ *       - $ref: "#/components/parameters/Units"
  *     responses:
  *       200:
- *         description: List of weather records retrieved successfully.
+ *         description: One page of weather records.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/WeatherPage"
+ *       400:
+ *         description: Invalid filter, sort or cursor.
  *   post:
  *     summary: Add new weather data.
- *     description: Create a weather record either manually or by fetching from OpenWeather using a city name.
+ *     description: Create a weather record either manually or by fetching a city from the configured weather providers (OpenWeather, Open-Meteo).
  *     requestBody:
  *       required: true
  *       content:
@@ -40,50 +302,539 @@ const router = Router();
  *             properties:
  *               city:
  *                 type: string
- *                 description: City name to fetch from OpenWeather.
+ *                 description: City name to fetch from the weather providers.
+ *               lat:
+ *                 type: number
+ *                 description: Latitude to fetch (with lon) instead of a city.
+ *               lon:
+ *                 type: number
+ *               zip:
+ *                 type: string
+ *                 description: Zip/postcode to fetch (with country) instead of a city.
+ *               country:
+ *                 type: string
  *               manual:
  *                 type: boolean
- *                 description: If true, expects full weather payload instead of fetching.
+ *                 description: If true, expects full weather payload (in metric) instead of fetching.
+ *     parameters:
+ *       - $ref: "#/components/parameters/Units"
  *     responses:
  *       201:
- *         description: Weather record created successfully.
+ *         description: Weather record created successfully. When fetched, the X-Cache header reports HIT or MISS.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/WeatherRecord"
+ *       404:
+ *         description: No weather provider knows the location.
+ *       429:
+ *         $ref: "#/components/responses/RateLimited"
+ *       502:
+ *         description: No weather provider could answer (outage or rejected API key).
+ *       503:
+ *         $ref: "#/components/responses/UpstreamUnavailable"
  */
-router.get("/", async (req, res, next) => {
+router.get("/", canRead, async (req, res, next) => {
   try {
-    const { city, limit = 50 } = req.query;
-    const query = city ? { city } : {};
-    const docs = await Weather.find(query)
-      .sort({ fetchedAt: -1 })
-      .limit(Number(limit));
-    res.json(docs);
+    const params = listQuerySchema.parse(req.query);
+    const { filter, sort } = buildListQuery(params, ownedBy(req));
+
+    // Fetch one extra to know whether there is another page
+    const docs = await Weather.find(filter).sort(sort).limit(params.limit + 1);
+    const hasMore = docs.length > params.limit;
+    const items = hasMore ? docs.slice(0, params.limit) : docs;
+
+    res.json({
+      items: items.map((doc) => present(doc, params.units)),
+      nextCursor: hasMore ? encodeCursor(params.sort, items[items.length - 1]) : null,
+    });
   } catch (err) {
     next(err);
   }
 });
 
-router.post("/", async (req, res, next) => {
+router.post("/", canWrite, limitCreate, async (req, res, next) => {
   try {
     const { manual, ...rest } = req.body;
+    const units = unitsSchema.parse(req.query.units);
 
     let candidate;
     if (manual) {
       // Client is sending full weather payload to validate and insert
       candidate = rest;
     } else {
-      // Client only sent a city name - fetch from OpenWeather
-      const city = rest.city || process.env.DEFAULT_CITY || "Philadelphia";
-      const { OPENWEATHER_API_KEY } = process.env;
+      // Client only sent a location - fetch from the weather providers
+      const { data, cache } = await fetchWeather(locationQuerySchema.parse(rest));
+      res.set("X-Cache", cache.toUpperCase());
+      candidate = data;
+    }
+
+    const created = await createRecord(candidate, req.user._key);
+    await recordAudit({ action: "create", actor: req.user._key, after: created });
+    res.status(201).json(present(created, units));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Looking at a forecast is a read; save=true also stores it
+function forecastScope(req, res, next) {
+  if (req.query.save !== "true") return canRead(req, res, next);
+  writeRole(req, res, (err) => (err ? next(err) : requireScope("weather:write")(req, res, next)));
+}
+
+/**
+ * @openapi
+ * /api/weather/forecast:
+ *   get:
+ *     summary: Get the 5-day / 3-hour forecast for a location.
+ *     description: Fetches the forecast from the configured weather providers and normalizes it. Pass save=true to also store it. The X-Cache header reports HIT or MISS.
+ *     parameters:
+ *       - $ref: "#/components/parameters/LocationCity"
+ *       - $ref: "#/components/parameters/LocationLat"
+ *       - $ref: "#/components/parameters/LocationLon"
+ *       - $ref: "#/components/parameters/LocationZip"
+ *       - $ref: "#/components/parameters/LocationCountry"
+ *       - in: query
+ *         name: save
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also save the forecast to MongoDB.
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       200:
+ *         description: Normalized forecast.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/Forecast"
+ *       201:
+ *         description: Forecast fetched and saved (save=true).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/Forecast"
+ *       404:
+ *         description: No weather provider knows the location.
+ *       429:
+ *         $ref: "#/components/responses/RateLimited"
+ *       502:
+ *         description: No weather provider could answer (outage or rejected API key).
+ *       503:
+ *         $ref: "#/components/responses/UpstreamUnavailable"
+ */
+router.get("/forecast", forecastScope, limitLookups, async (req, res, next) => {
+  try {
+    const units = unitsSchema.parse(req.query.units);
+    const { data, cache } = await fetchForecast(locationQuerySchema.parse(req.query));
+    res.set("X-Cache", cache.toUpperCase());
+    const parsed = forecastSchema.parse(data);
+
+    if (req.query.save === "true") {
+      const saved = await Forecast.create({ ...parsed, owner: req.user._key });
+      return res.status(201).json(presentForecast(saved, units));
+    }
+
+    res.json(presentForecast(parsed, units));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/weather/usage:
+ *   get:
+ *     summary: Today's calls to the weather providers.
+ *     description: >
+ *       Counts every upstream call made today (UTC) by all users and
+ *       instances, against the UPSTREAM_DAILY_BUDGET. Cached lookups don't
+ *       count. Once the budget is used up, lookups fail with 503 until
+ *       resetsAt.
+ *     responses:
+ *       200:
+ *         description: >
+ *           { day, calls, budget, remaining, providers, resetsAt }; budget
+ *           and remaining are null when there is no budget.
+ */
+router.get("/usage", canRead, async (_req, res, next) => {
+  try {
+    res.json(await upstreamUsage());
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/weather/stats:
+ *   get:
+ *     summary: Aggregated statistics for a city.
+ *     description: >
+ *       Groups your records for a city into hour, day or week buckets (UTC) and
+ *       returns min, max and average temp, feels-like, humidity and wind speed,
+ *       plus the most frequent condition, for each bucket.
+ *     parameters:
+ *       - in: query
+ *         name: city
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: City name (case-insensitive).
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week]
+ *           default: day
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       200:
+ *         description: One entry per bucket, oldest first.
+ *       400:
+ *         description: Missing city or invalid bucket/range.
+ */
+router.get("/stats", canRead, async (req, res, next) => {
+  try {
+    const { city, bucket, from, to, units } = statsQuerySchema.parse(req.query);
+
+    const filter = ownedBy(req, { city: caseInsensitive(city) });
+    if (from || to) {
+      filter.fetchedAt = {};
+      if (from) filter.fetchedAt.$gte = from;
+      if (to) filter.fetchedAt.$lte = to;
+    }
+
+    const buckets = await Weather.aggregate(statsPipeline(filter, bucket));
+    res.json({
+      city,
+      bucket,
+      units,
+      from: from ?? null,
+      to: to ?? null,
+      buckets: buckets.map((b) => convertStatsBucket(b, units)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/weather/export:
+ *   get:
+ *     summary: Download your weather records as CSV, NDJSON or JSON.
+ *     description: >
+ *       Streams every record matching the same filters as GET /api/weather
+ *       (cursor and limit are ignored), in the requested sort order and units.
+ *       CSV has a header row with id, city, country, lon, lat, temp, feelsLike,
+ *       humidity, pressure, windSpeed, condition, description, fetchedAt,
+ *       provider and units columns.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, json]
+ *           default: csv
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: condition
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minTemp
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxTemp
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -fetchedAt
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       200:
+ *         description: The matching records, as an attachment.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid format or filter.
+ */
+router.get("/export", canRead, async (req, res, next) => {
+  let cursor;
+  try {
+    const { format, ...params } = exportQuerySchema.parse(req.query);
+    const { filter, sort } = buildListQuery({ ...params, cursor: undefined }, ownedBy(req));
+
+    const day = new Date().toISOString().slice(0, 10);
+    res.set({
+      "Content-Type": CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="weather-export-${day}.${format}"`,
+    });
 
-      if (!OPENWEATHER_API_KEY) {
-        throw createError(500, "Missing OPENWEATHER_API_KEY");
-      }
+    // A cursor rather than find(): records are read as the client consumes them
+    cursor = Weather.find(filter).sort(sort).lean().cursor();
+    await writeExport(res, cursor, { format, units: params.units });
+  } catch (err) {
+    next(err);
+  } finally {
+    await cursor?.close();
+  }
+});
 
-      candidate = await fetchWeather({ city, apiKey: OPENWEATHER_API_KEY });
+/**
+ * @openapi
+ * /api/weather/import:
+ *   post:
+ *     summary: Import weather records from CSV, NDJSON or JSON.
+ *     description: >
+ *       Validates every row like a manual POST /api/weather and saves the valid
+ *       ones in batches, returning a per-row report with the validation issues
+ *       for rejected rows. Accepts files in the export format (extra columns
+ *       such as id are ignored); values are read in each row's units column,
+ *       or ?units= when it has none. Every format is streamed, up to
+ *       IMPORT_MAX_MB (default 50) per request. Each saved record raises a
+ *       weather.created event (webhooks, live updates) and starts its history
+ *       with a create entry, but imports don't trigger alerts.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, json]
+ *         description: Defaults from the Content-Type (text/csv, application/x-ndjson, application/json).
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report without saving anything.
+ *       - $ref: "#/components/parameters/Units"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: Dry run report; nothing was saved.
+ *       201:
+ *         description: >
+ *           Import report { dryRun, total, accepted, rejected, rows }, where each
+ *           row is { row, status, id } when saved or { row, status, issues } when rejected.
+ *       400:
+ *         description: Invalid query or unreadable body.
+ *       413:
+ *         description: The body is larger than IMPORT_MAX_MB.
+ *       415:
+ *         description: >
+ *           No format given and the Content-Type isn't one of the supported
+ *           ones, or a Content-Type that doesn't match ?format=.
+ */
+router.post("/import", canWrite, async (req, res, next) => {
+  try {
+    const { dryRun, units, ...query } = importQuerySchema.parse(req.query);
+    const format =
+      query.format ?? Object.keys(IMPORT_TYPES).find((f) => req.is(IMPORT_TYPES[f]));
+    if (!format) {
+      throw createError(415, "Send text/csv, application/x-ndjson or application/json, or pass ?format=");
+    }
+    // Any other parser would have read the body already, leaving nothing to import
+    if (req.get("Content-Type") && !req.is(IMPORT_TYPES[format])) {
+      throw createError(415, `?format=${format} expects Content-Type ${IMPORT_TYPES[format]}`);
     }
 
-    const parsed = weatherSchema.parse(candidate);
-    const created = await Weather.create(parsed);
-    res.status(201).json(created);
+    const report = await importRecords(importRows(req, format), {
+      owner: req.user._key,
+      units,
+      dryRun,
+      onInsert: async (records) => {
+        await recordCreates({ actor: req.user._key, records });
+        records.forEach((record) => emitWeatherEvent("weather.created", record));
+      },
+    });
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/weather/stream:
+ *   get:
+ *     summary: Live feed of changes to your weather records (Server-Sent Events).
+ *     description: >
+ *       Streams weather.created, weather.updated, weather.deleted and
+ *       weather.restored events as
+ *       they happen, each with data { type, id, occurredAt, record }. Reconnect
+ *       with the Last-Event-ID header to receive events you missed; a "reset"
+ *       event means they can no longer be replayed and you should reload.
+ *     parameters:
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       200:
+ *         description: An event stream.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get("/stream", canRead, (req, res, next) => {
+  try {
+    const units = unitsSchema.parse(req.query.units);
+    openWeatherStream(req, res, { owner: ownerScope(req).owner ?? null, units });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/weather/near:
+ *   get:
+ *     summary: Your weather records near a point.
+ *     description: Returns saved records within radiusKm of lat/lon, nearest first, each with its distanceKm.
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lon
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 50
+ *           maximum: 20000
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       200:
+ *         description: Matching records, nearest first.
+ *       400:
+ *         description: Missing or out-of-range lat/lon/radiusKm.
+ */
+router.get("/near", canRead, async (req, res, next) => {
+  try {
+    const { lat, lon, radiusKm, limit, units } = nearQuerySchema.parse(req.query);
+
+    const docs = await Weather.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: [lon, lat] },
+          key: "location",
+          distanceField: "distanceMeters",
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: ownedBy(req),
+        },
+      },
+      { $limit: limit },
+      { $project: { location: 0 } },
+    ]);
+
+    res.json({
+      items: docs.map(({ distanceMeters, ...doc }) => ({
+        ...convertRecord(doc, units),
+        distanceKm: Math.round(distanceMeters) / 1000,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/weather/trash:
+ *   get:
+ *     summary: Your deleted weather records.
+ *     description: >
+ *       Deleted records stay here, most recently deleted first, until they are
+ *       restored or purged TRASH_RETENTION_DAYS (default 30) after deletion.
+ *       Each has its deletedAt and purgeAt (null when the trash is kept forever).
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       200:
+ *         description: Deleted records.
+ */
+router.get("/trash", canRead, async (req, res, next) => {
+  try {
+    const { limit, units } = trashQuerySchema.parse(req.query);
+    const docs = await Weather.find(trashedBy(req)).sort({ deletedAt: -1, _id: -1 }).limit(limit);
+
+    res.json({
+      items: docs.map((doc) => ({ ...present(doc, units), purgeAt: purgeDate(doc.deletedAt) })),
+    });
   } catch (err) {
     next(err);
   }
@@ -93,7 +844,7 @@ router.post("/", async (req, res, next) => {
  * @openapi
  * /api/weather/{id}:
  *   get:
- *     summary: Get a single weather record by ID.
+ *     summary: Get one of your weather records by ID.
  *     parameters:
  *       - in: path
  *         name: id
@@ -101,35 +852,198 @@ router.post("/", async (req, res, next) => {
  *         schema:
  *           type: string
  *         description: MongoDB document ID.
+ *       - $ref: "#/components/parameters/Units"
  *     responses:
  *       200:
- *         description: Weather record retrieved successfully.
+ *         description: Weather record retrieved successfully. The ETag header holds its version.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/WeatherRecord"
  *       404:
- *         description: Weather record not found.
+ *         description: Weather record not found (or owned by another user).
  */
-router.get("/:id", async (req, res, next) => {
+router.get("/:id", canRead, async (req, res, next) => {
   try {
-    const doc = await Weather.findById(req.params.id);
+    const units = unitsSchema.parse(req.query.units);
+    const doc = await Weather.findOne(ownedBy(req, { _id: req.params.id }));
     if (!doc) {
       throw createError(404, "Weather record not found");
     }
-    res.json(doc);
+    res.set("ETag", etagOf(doc));
+    res.json(present(doc, units));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/weather/{id}/history:
+ *   get:
+ *     summary: Who changed one of your weather records, when, and what changed.
+ *     description: >
+ *       The record's audit trail, newest first: one entry per create, update,
+ *       delete, restore and revert made through this API, with the actor's
+ *       user key, the record version it produced, a field-level diff
+ *       ({ path, from, to }) and a snapshot of the record, both in ?units=.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       200:
+ *         description: The timeline.
+ *       404:
+ *         description: Weather record not found (or owned by another user).
+ */
+router.get("/:id/history", canRead, async (req, res, next) => {
+  try {
+    const { limit, units } = historyQuerySchema.parse(req.query);
+    const entries = await WeatherAudit.find({ record: req.params.id, ...ownerScope(req) })
+      .sort({ version: -1, createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    // No history yet is fine for a record saved before auditing began
+    if (!entries.length && !(await Weather.exists({ _id: req.params.id, ...ownerScope(req) }))) {
+      throw createError(404, "Weather record not found");
+    }
+
+    res.json({
+      items: entries.map((entry) => ({
+        id: entry._id,
+        version: entry.version,
+        action: entry.action,
+        actor: entry.actor,
+        at: entry.createdAt,
+        changes: convertChanges(entry.changes, units),
+        snapshot: convertRecord(entry.snapshot, units),
+        ...(entry.revertedTo !== undefined && { revertedTo: entry.revertedTo }),
+      })),
+    });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * @openapi
+ * /api/weather/{id}/revert:
+ *   post:
+ *     summary: Put a weather record back the way it was at an earlier version.
+ *     description: >
+ *       Restores every field from the snapshot of that version in the record's
+ *       history. The revert is itself a new version, so it can be undone.
+ *       Deleted records must be restored first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: "#/components/parameters/IfMatch"
+ *       - $ref: "#/components/parameters/Units"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/Revert"
+ *     responses:
+ *       200:
+ *         description: The reverted record. The ETag header holds its new version.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/WeatherRecord"
+ *       400:
+ *         description: Missing or invalid version.
+ *       404:
+ *         description: Weather record, or that version of it, not found.
+ *       412:
+ *         description: If-Match doesn't match the record's current version.
+ */
+router.post("/:id/revert", canWrite, async (req, res, next) => {
+  try {
+    const units = unitsSchema.parse(req.query.units);
+    const { version } = revertSchema.parse(req.body);
+
+    const entry = await WeatherAudit.findOne({
+      record: req.params.id,
+      ...ownerScope(req),
+      version,
+    });
+    if (!entry) {
+      throw createError(404, `Version ${version} not found in this record's history`);
+    }
+
+    // Every field comes from the snapshot; ones it doesn't have are removed
+    const changes = {};
+    for (const field of AUDITED_FIELDS) {
+      if (field !== "deletedAt") changes[field] = entry.snapshot[field];
+    }
+
+    const { before, after: reverted } = await changeRecord(
+      req,
+      ownedBy(req, { _id: req.params.id }),
+      changes
+    );
+    await recordAudit({
+      action: "revert",
+      actor: req.user._key,
+      before,
+      after: reverted,
+      revertedTo: version,
+    });
+    emitWeatherEvent("weather.updated", reverted);
+    res.set("ETag", etagOf(reverted));
+    res.json(present(reverted, units));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       schema:
+ *         type: string
+ *       description: >
+ *         ETag from an earlier GET, PUT or PATCH of the record. The update is
+ *         refused with 412 if the record has changed since.
+ */
+
 /**
  * @openapi
  * /api/weather/{id}:
  *   put:
- *     summary: Update a weather record by ID.
+ *     summary: Replace a weather record by ID.
+ *     description: >
+ *       Takes every field of a manual POST (values in metric; fetchedAt as an
+ *       ISO date string). Optional fields left out, such as provider, are
+ *       removed from the record; use PATCH to change only some fields.
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: "#/components/parameters/IfMatch"
+ *       - $ref: "#/components/parameters/Units"
  *     requestBody:
  *       required: true
  *       content:
@@ -138,23 +1052,90 @@ router.get("/:id", async (req, res, next) => {
  *             $ref: "#/components/schemas/Weather"
  *     responses:
  *       200:
- *         description: Weather record updated successfully.
+ *         description: Weather record updated successfully. The ETag header holds its new version.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/WeatherRecord"
+ *       400:
+ *         description: Invalid or incomplete record.
+ *       404:
+ *         description: Weather record not found (or owned by another user).
+ *       412:
+ *         description: If-Match doesn't match the record's current version.
+ *   patch:
+ *     summary: Update some fields of a weather record by ID.
+ *     description: Send only the fields to change (values in metric; fetchedAt as an ISO date string).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: "#/components/parameters/IfMatch"
+ *       - $ref: "#/components/parameters/Units"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/WeatherPatch"
+ *           example:
+ *             description: light rain
+ *             condition: Rain
+ *     responses:
+ *       200:
+ *         description: Weather record updated successfully. The ETag header holds its new version.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/WeatherRecord"
+ *       400:
+ *         description: Invalid or unknown fields, or nothing to update.
  *       404:
- *         description: Weather record not found.
+ *         description: Weather record not found (or owned by another user).
+ *       412:
+ *         description: If-Match doesn't match the record's current version.
  */
-router.put("/:id", async (req, res, next) => {
+router.put("/:id", canWrite, async (req, res, next) => {
   try {
-    const parsed = weatherSchema.parse(req.body);
-    const updated = await Weather.findByIdAndUpdate(req.params.id, parsed, {
-      new: true,
-      runValidators: true,
-    });
+    const units = unitsSchema.parse(req.query.units);
+    const replacement = weatherSchema.parse(req.body);
 
-    if (!updated) {
-      throw createError(404, "Weather record not found");
+    // A replacement, not a merge: optional fields the body leaves out are removed
+    const changes = {};
+    for (const field of AUDITED_FIELDS) {
+      if (field !== "deletedAt") changes[field] = replacement[field];
     }
 
-    res.json(updated);
+    const { before, after: updated } = await changeRecord(
+      req,
+      ownedBy(req, { _id: req.params.id }),
+      changes
+    );
+
+    await recordAudit({ action: "update", actor: req.user._key, before, after: updated });
+    emitWeatherEvent("weather.updated", updated);
+    res.set("ETag", etagOf(updated));
+    res.json(present(updated, units));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.patch("/:id", canWrite, async (req, res, next) => {
+  try {
+    const units = unitsSchema.parse(req.query.units);
+    const { before, after: updated } = await changeRecord(
+      req,
+      ownedBy(req, { _id: req.params.id }),
+      weatherPatchSchema.parse(req.body)
+    );
+
+    await recordAudit({ action: "update", actor: req.user._key, before, after: updated });
+    emitWeatherEvent("weather.updated", updated);
+    res.set("ETag", etagOf(updated));
+    res.json(present(updated, units));
   } catch (err) {
     next(err);
   }
@@ -164,7 +1145,10 @@ router.put("/:id", async (req, res, next) => {
  * @openapi
  * /api/weather/{id}:
  *   delete:
- *     summary: Delete a weather record by ID.
+ *     summary: Move a weather record to the trash.
+ *     description: >
+ *       The record disappears from every other endpoint but can be restored
+ *       with POST /api/weather/{id}/restore until it is purged (see purgeAt).
  *     parameters:
  *       - in: path
  *         name: id
@@ -173,36 +1157,112 @@ router.put("/:id", async (req, res, next) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Weather record deleted successfully.
+ *         description: Weather record moved to the trash ({ deleted, id, deletedAt, purgeAt }).
  *       404:
- *         description: Weather record not found.
+ *         description: Weather record not found (or owned by another user).
  */
-router.delete("/:id", async (req, res, next) => {
+router.delete("/:id", canWrite, async (req, res, next) => {
   try {
-    const removed = await Weather.findByIdAndDelete(req.params.id);
-    if (!removed) {
-      throw createError(404, "Weather record not found");
-    }
-    res.json({ deleted: true, id: removed._id });
+    const { before, after: removed } = await changeRecord(
+      req,
+      ownedBy(req, { _id: req.params.id }),
+      { deletedAt: new Date() }
+    );
+    await recordAudit({ action: "delete", actor: req.user._key, before, after: removed });
+    emitWeatherEvent("weather.deleted", removed);
+    res.json({
+      deleted: true,
+      id: removed._id,
+      deletedAt: removed.deletedAt,
+      purgeAt: purgeDate(removed.deletedAt),
+    });
   } catch (err) {
     next(err);
   }
 });
 
 /**
- * POST /api/weather/fetch?city=Philadelphia
- * Convenience endpoint: fetch from OpenWeather by query param and save.
+ * @openapi
+ * /api/weather/{id}/restore:
+ *   post:
+ *     summary: Take a weather record back out of the trash.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       200:
+ *         description: The restored record.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/WeatherRecord"
+ *       404:
+ *         description: No such record in your trash (never deleted, purged, or owned by another user).
  */
-router.post("/fetch", async (req, res, next) => {
+router.post("/:id/restore", canWrite, async (req, res, next) => {
   try {
-    const city = req.query.city || process.env.DEFAULT_CITY || "Philadelphia";
-    const { OPENWEATHER_API_KEY } = process.env;
-    if (!OPENWEATHER_API_KEY) throw createError(500, "Missing OPENWEATHER_API_KEY");
+    const units = unitsSchema.parse(req.query.units);
+    const { before, after: restored } = await changeRecord(
+      req,
+      trashedBy(req, { _id: req.params.id }),
+      { deletedAt: null }
+    );
+    await recordAudit({ action: "restore", actor: req.user._key, before, after: restored });
+    emitWeatherEvent("weather.restored", restored);
+    res.set("ETag", etagOf(restored));
+    res.json(present(restored, units));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const normalized = await fetchWeather({ city, apiKey: OPENWEATHER_API_KEY });
-    const parsed = weatherSchema.parse(normalized);
-    const saved = await Weather.create(parsed);
-    res.status(201).json(saved);
+/**
+ * @openapi
+ * /api/weather/fetch:
+ *   post:
+ *     summary: Fetch the current weather for a location and save it.
+ *     description: >
+ *       Convenience endpoint, e.g. ?city=Philadelphia, ?lat=39.95&lon=-75.16 or
+ *       ?zip=19104&country=US; no request body is needed. Upstream responses
+ *       are cached and the X-Cache header reports HIT or MISS. Rate limited
+ *       and budgeted like a lookup through POST /api/weather.
+ *     parameters:
+ *       - $ref: "#/components/parameters/LocationCity"
+ *       - $ref: "#/components/parameters/LocationLat"
+ *       - $ref: "#/components/parameters/LocationLon"
+ *       - $ref: "#/components/parameters/LocationZip"
+ *       - $ref: "#/components/parameters/LocationCountry"
+ *       - $ref: "#/components/parameters/Units"
+ *     responses:
+ *       201:
+ *         description: Weather fetched and saved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/WeatherRecord"
+ *       400:
+ *         description: Invalid query parameters.
+ *       404:
+ *         description: No weather provider knows the location.
+ *       429:
+ *         $ref: "#/components/responses/RateLimited"
+ *       502:
+ *         description: No weather provider could answer (outage or rejected API key).
+ *       503:
+ *         $ref: "#/components/responses/UpstreamUnavailable"
+ */
+router.post("/fetch", canWrite, limitLookups, async (req, res, next) => {
+  try {
+    const units = unitsSchema.parse(req.query.units);
+    const { data, cache } = await fetchWeather(locationQuerySchema.parse(req.query));
+    res.set("X-Cache", cache.toUpperCase());
+    const saved = await createRecord(data, req.user._key);
+    await recordAudit({ action: "create", actor: req.user._key, after: saved });
+    res.status(201).json(present(saved, units));
   } catch (err) {
     next(err);
   }
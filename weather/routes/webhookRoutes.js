@@ -0,0 +1,226 @@
+// src/routes/webhookRoutes.js
+import { Router } from "express";
+import createError from "http-errors";
+import { Webhook } from "../models/webhook.js";
+import { WebhookDelivery } from "../models/webhookDelivery.js";
+import { webhookSchema, webhookUpdateSchema } from "../validation.js";
+import { newWebhookSecret, redeliver } from "../webhooks.js";
+import { checkWebhookUrl } from "../webhookTargets.js";
+
+const router = Router();
+
+function ownedBy(req, filter = {}) {
+  return { ...filter, owner: req.user._key };
+}
+
+async function findWebhook(req) {
+  const hook = await Webhook.findOne(ownedBy(req, { _id: req.params.id }));
+  if (!hook) throw createError(404, "Webhook not found");
+  return hook;
+}
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   get:
+ *     summary: Your webhook subscriptions.
+ *     responses:
+ *       200:
+ *         description: Webhooks (without their secrets).
+ *   post:
+ *     summary: Subscribe a URL to weather record events.
+ *     description: >
+ *       Each delivery is a JSON POST of { id, type, occurredAt, data } with
+ *       X-Weather-Event, X-Weather-Delivery, X-Weather-Timestamp and
+ *       X-Weather-Signature headers. The signature is "sha256=" + the hex
+ *       HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the webhook secret.
+ *       Non-2xx responses and timeouts are retried with exponential backoff.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/WebhookInput"
+ *     responses:
+ *       201:
+ *         description: Webhook created. The response is the only time its secret is shown.
+ *       400:
+ *         description: >
+ *           Invalid URL or event type, or a URL whose host is a link-local,
+ *           cloud metadata, private or loopback address.
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const hooks = await Webhook.find(ownedBy(req)).sort({ createdAt: -1 });
+    res.json(hooks);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/", async (req, res, next) => {
+  try {
+    const parsed = webhookSchema.parse(req.body);
+    await checkWebhookUrl(parsed.url);
+    const created = await Webhook.create({
+      ...parsed,
+      owner: req.user._key,
+      secret: newWebhookSecret(),
+    });
+    res.status(201).json({ ...created.toJSON(), secret: created.secret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: One of your webhooks.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The webhook.
+ *       404:
+ *         description: Webhook not found.
+ *   patch:
+ *     summary: Change a webhook's URL, events, city filter or active flag.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/WebhookUpdate"
+ *     responses:
+ *       200:
+ *         description: Updated webhook.
+ *       400:
+ *         description: Invalid changes, or a URL that creating the webhook would refuse.
+ *       404:
+ *         description: Webhook not found.
+ *   delete:
+ *     summary: Delete a webhook and its delivery log.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted.
+ *       404:
+ *         description: Webhook not found.
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    res.json(await findWebhook(req));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const changes = webhookUpdateSchema.parse(req.body);
+    if (changes.url) await checkWebhookUrl(changes.url);
+    const hook = await findWebhook(req);
+    hook.set(changes);
+    await hook.save();
+    res.json(hook);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const removed = await Webhook.findOneAndDelete(ownedBy(req, { _id: req.params.id }));
+    if (!removed) throw createError(404, "Webhook not found");
+    await WebhookDelivery.deleteMany({ webhook: removed._id });
+    res.json({ deleted: true, id: removed._id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log for a webhook, newest first (kept for 30 days).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deliveries with every attempt's status code, error and duration.
+ *       404:
+ *         description: Webhook not found.
+ */
+router.get("/:id/deliveries", async (req, res, next) => {
+  try {
+    const hook = await findWebhook(req);
+    const deliveries = await WebhookDelivery.find({ webhook: hook._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.json(deliveries);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a past delivery's payload again.
+ *     description: Creates a new delivery with the same event id and attempts it immediately.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new delivery, after its first attempt.
+ *       404:
+ *         description: Webhook or delivery not found.
+ */
+router.post("/:id/deliveries/:deliveryId/redeliver", async (req, res, next) => {
+  try {
+    const hook = await findWebhook(req);
+    const original = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: hook._id,
+    });
+    if (!original) throw createError(404, "Delivery not found");
+
+    res.status(201).json(await redeliver(original, hook));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,96 @@
+// src/scheduler.js
+import os from "os";
+import { WatchedCity } from "./models/watchedCity.js";
+import { acquireLock } from "./models/schedulerLock.js";
+import { createRecord } from "./records.js";
+import { fetchWeather } from "./weatherService.js";
+
+const LOCK_NAME = "watchlist-refresh";
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// WATCHLIST_REFRESH_MINUTES=0 turns the scheduler off
+export function refreshIntervalMs() {
+  const minutes = Number(process.env.WATCHLIST_REFRESH_MINUTES ?? 30);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+function jitterMs() {
+  const seconds = Number(process.env.WATCHLIST_JITTER_SECONDS ?? 30);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Fetch and save one snapshot for a watched city, recording the outcome on
+ * the watch. Never throws; resolves to the saved record or null.
+ */
+export async function refreshWatchedCity(watch) {
+  const lastRunAt = new Date();
+  try {
+    const { data } = await fetchWeather({ city: watch.city });
+    const record = await createRecord(data, watch.owner);
+    await WatchedCity.updateOne(
+      { _id: watch._id },
+      { lastRunAt, lastStatus: "ok", lastError: null, lastRecordId: record._id }
+    );
+    return record;
+  } catch (err) {
+    await WatchedCity.updateOne(
+      { _id: watch._id },
+      { lastRunAt, lastStatus: "error", lastError: err.message }
+    ).catch(() => {});
+    return null;
+  }
+}
+
+/**
+ * One scheduler tick: if this instance wins the lock, refresh every
+ * un-paused watched city, each after a random delay of up to jitter ms so
+ * upstream calls are spread out instead of arriving in one burst.
+ *
+ * Resolves to { skipped, refreshed, failed }.
+ */
+export async function runWatchlistTick({
+  jitter = jitterMs(),
+  lockTtlMs = refreshIntervalMs() * 0.9,
+} = {}) {
+  // The lease is a little shorter than the interval so the next tick (on
+  // whichever instance) can take it, while other instances' timers within
+  // the same interval find it held and skip
+  if (!(await acquireLock(LOCK_NAME, INSTANCE_ID, lockTtlMs))) {
+    return { skipped: true, refreshed: 0, failed: 0 };
+  }
+
+  const watches = await WatchedCity.find({ paused: false }).lean();
+  const results = await Promise.all(
+    watches.map(async (watch) => {
+      await sleep(Math.random() * jitter);
+      return refreshWatchedCity(watch);
+    })
+  );
+
+  const refreshed = results.filter(Boolean).length;
+  return { skipped: false, refreshed, failed: results.length - refreshed };
+}
+
+/**
+ * Run runWatchlistTick() every WATCHLIST_REFRESH_MINUTES (default 30).
+ * Returns a function that stops the scheduler.
+ */
+export function startWatchlistScheduler() {
+  const every = refreshIntervalMs();
+  if (!every) return () => {};
+
+  const timer = setInterval(async () => {
+    try {
+      const { skipped, refreshed, failed } = await runWatchlistTick();
+      if (!skipped) console.log(`🔁 Watchlist refresh: ${refreshed} ok, ${failed} failed`);
+    } catch (err) {
+      console.error("⚠️ Watchlist refresh failed:", err.message || err);
+    }
+  }, every);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
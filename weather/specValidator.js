@@ -0,0 +1,84 @@
+// src/specValidator.js
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+const SPEC_ID = "openapi.json";
+
+// JSON pointer segment for a key such as "/api/weather/{id}"
+function pointer(key) {
+  return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+// "/api/weather/{id}" -> /^\/api\/weather\/[^/]+$/
+function templateToRegExp(template) {
+  const pattern = template
+    .split(/\{[^}]+\}/)
+    .map((part) => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+    .join("[^/]+");
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Check requests and responses against an OpenAPI document, e.g. the one
+ * /docs/openapi.json serves. Each check returns a list of problems, empty
+ * when the JSON body matches what the spec documents for that operation.
+ * Bodies the spec has no JSON schema for aren't checked.
+ */
+export function createSpecValidator(spec) {
+  const ajv = new Ajv({ strict: false, allErrors: true, validateSchema: false });
+  addFormats(ajv);
+  ajv.addSchema(spec, SPEC_ID);
+
+  // Literal paths win over templated ones (/api/weather/trash over /{id})
+  const templates = Object.keys(spec.paths || {})
+    .map((template) => ({ template, regExp: templateToRegExp(template) }))
+    .sort((a, b) => a.template.split("{").length - b.template.split("{").length);
+
+  const compiled = new Map();
+
+  function operationFor(method, path) {
+    const bare = path.split("?")[0];
+    const match = templates.find(({ regExp }) => regExp.test(bare));
+    const operation = match && spec.paths[match.template][method.toLowerCase()];
+    return operation ? { template: match.template, operation } : null;
+  }
+
+  function check(ref, body) {
+    if (!compiled.has(ref)) compiled.set(ref, ajv.getSchema(ref));
+    const validate = compiled.get(ref);
+    if (validate(body)) return [];
+    return validate.errors.map((error) => `body${error.instancePath} ${error.message}`);
+  }
+
+  return {
+    validateRequest({ method, path, body }) {
+      const found = operationFor(method, path);
+      if (!found) return [`${method.toUpperCase()} ${path} is not in the spec`];
+
+      const { template, operation } = found;
+      if (!operation.requestBody?.content?.["application/json"]?.schema) return [];
+      return check(
+        `${SPEC_ID}#/paths/${pointer(template)}/${method.toLowerCase()}` +
+          "/requestBody/content/application~1json/schema",
+        body
+      );
+    },
+
+    validateResponse({ method, path, status, body }) {
+      const found = operationFor(method, path);
+      if (!found) return [`${method.toUpperCase()} ${path} is not in the spec`];
+
+      const { template, operation } = found;
+      const response = operation.responses?.[status];
+      if (!response) {
+        return [`${status} is not a documented response of ${method.toUpperCase()} ${template}`];
+      }
+      if (!response.content?.["application/json"]?.schema) return [];
+      return check(
+        `${SPEC_ID}#/paths/${pointer(template)}/${method.toLowerCase()}` +
+          `/responses/${status}/content/application~1json/schema`,
+        body
+      );
+    },
+  };
+}
@@ -0,0 +1,65 @@
+// src/stats.js
+
+// Numeric fields summarized in every bucket
+export const STAT_FIELDS = ["temp", "feelsLike", "humidity", "windSpeed"];
+
+// { tempMin: { $min: "$temp" }, tempMax: ..., tempSum: ... } for each field
+function accumulators(source) {
+  const stages = {};
+  for (const field of STAT_FIELDS) {
+    const from = (suffix) => (source ? `$${field}${suffix}` : `$${field}`);
+    stages[`${field}Min`] = { $min: from("Min") };
+    stages[`${field}Max`] = { $max: from("Max") };
+    stages[`${field}Sum`] = { $sum: from("Sum") };
+  }
+  return stages;
+}
+
+/**
+ * Aggregation pipeline over Weather documents matching `filter`, grouped into
+ * hour/day/week buckets of fetchedAt (UTC). Each bucket reports min/max/avg of
+ * STAT_FIELDS and its most frequent condition.
+ */
+export function statsPipeline(filter, bucket) {
+  const start = {
+    $dateTrunc: {
+      date: "$fetchedAt",
+      unit: bucket,
+      ...(bucket === "week" ? { startOfWeek: "monday" } : {}),
+    },
+  };
+
+  const summary = {};
+  for (const field of STAT_FIELDS) {
+    summary[field] = {
+      min: `$${field}Min`,
+      max: `$${field}Max`,
+      avg: { $round: [{ $divide: [`$${field}Sum`, "$count"] }, 2] },
+    };
+  }
+
+  return [
+    { $match: filter },
+    // 1) per bucket + condition, so we can count conditions
+    {
+      $group: {
+        _id: { start, condition: "$condition" },
+        count: { $sum: 1 },
+        ...accumulators(false),
+      },
+    },
+    // 2) most frequent condition first within each bucket (ties by name)
+    { $sort: { "_id.start": 1, count: -1, "_id.condition": 1 } },
+    // 3) fold the conditions back into one document per bucket
+    {
+      $group: {
+        _id: "$_id.start",
+        count: { $sum: "$count" },
+        condition: { $first: "$_id.condition" },
+        ...accumulators(true),
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, start: "$_id", count: 1, condition: 1, ...summary } },
+  ];
+}
@@ -0,0 +1,92 @@
+// src/stream.js
+import { EventEmitter } from "events";
+import { feedEvents } from "./eventFeed.js";
+import { convertRecord } from "./units.js";
+
+// How many recent events each instance keeps for Last-Event-ID resume
+const BUFFER_SIZE = 500;
+const HEARTBEAT_MS = 25 * 1000;
+
+// Event ids are the event's place in the shared feed, the same on every
+// instance. Before the feed starts they are "<epoch>-<n>"; the epoch changes
+// on every restart, so an id from before one never matches.
+const EPOCH = Date.now().toString(36);
+let counter = 0;
+const recent = [];
+const buffered = new EventEmitter();
+buffered.setMaxListeners(0); // one listener per open dashboard
+
+feedEvents.on("event", (event) => {
+  const entry = { id: event.feedId || `${EPOCH}-${++counter}`, event };
+  recent.push(entry);
+  if (recent.length > BUFFER_SIZE) recent.shift();
+  buffered.emit("entry", entry);
+});
+
+// owner null follows every user's records (admins)
+function isFor(owner, entry) {
+  return owner === null || entry.event.owner === owner;
+}
+
+/**
+ * Events for owner after the one with lastEventId. Resolves to null when
+ * lastEventId can't be resumed from (not in this instance's buffer: from
+ * before a restart, already dropped, or not seen here yet) and the client
+ * should reload instead.
+ */
+export function eventsSince(owner, lastEventId) {
+  const at = recent.findIndex((entry) => entry.id === lastEventId);
+  if (at === -1) return null;
+
+  return recent.slice(at + 1).filter((entry) => isFor(owner, entry));
+}
+
+function writeEntry(res, { id, event }, units) {
+  const payload = {
+    type: event.type,
+    id: event.data._id,
+    occurredAt: event.occurredAt,
+    record: convertRecord(event.data, units),
+  };
+  res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Turn res into a Server-Sent Events stream of owner's weather record events
+ * (weather.created, weather.updated, weather.deleted, weather.restored), with
+ * records converted to units; owner null streams everyone's. A reconnecting client's Last-Event-ID is
+ * replayed from the buffer; if that's impossible it gets a "reset" event and
+ * should reload.
+ */
+export function openWeatherStream(req, res, { owner, units }) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let proxies hold events back
+  });
+  res.write("retry: 5000\n\n");
+
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    const missed = eventsSince(owner, lastEventId);
+    if (missed === null) {
+      res.write("event: reset\ndata: {}\n\n");
+    } else {
+      missed.forEach((entry) => writeEntry(res, entry, units));
+    }
+  }
+
+  const onEntry = (entry) => {
+    if (isFor(owner, entry)) writeEntry(res, entry, units);
+  };
+  buffered.on("entry", onEntry);
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    buffered.off("entry", onEntry);
+  });
+}
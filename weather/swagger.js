@@ -1,6 +1,57 @@
 // src/swagger.js
+import { Router } from "express";
 import swaggerJSDoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import {
+  unitsSchema,
+  weatherSchema,
+  weatherPatchSchema,
+  weatherRecordSchema,
+  weatherPageSchema,
+  forecastSchema,
+  revertSchema,
+  citySchema,
+  watchlistSchema,
+  watchlistUpdateSchema,
+  alertRuleSchema,
+  alertRuleUpdateSchema,
+  webhookSchema,
+  webhookUpdateSchema,
+} from "./validation.js";
+import { preferencesSchema, tokenSchema, roleSchema } from "../auth/validation.js";
+
+// JSON Schema for a request body or response, from the zod schema the route
+// validates with. Objects only refuse unknown fields where zod does (.strict()).
+function fromZod(schema) {
+  return zodToJsonSchema(schema, {
+    target: "openApi3",
+    $refStrategy: "none",
+    removeAdditionalStrategy: "strict",
+  });
+}
+
+// Referenced from the route docs as #/components/schemas/<name>
+const schemas = {
+  Units: fromZod(unitsSchema),
+  Weather: fromZod(weatherSchema),
+  // zod's "Nothing to update" refine has no JSON Schema equivalent of its own
+  WeatherPatch: { ...fromZod(weatherPatchSchema), minProperties: 1 },
+  WeatherRecord: fromZod(weatherRecordSchema),
+  WeatherPage: fromZod(weatherPageSchema),
+  Forecast: fromZod(forecastSchema),
+  Revert: fromZod(revertSchema),
+  City: fromZod(citySchema),
+  WatchlistInput: fromZod(watchlistSchema),
+  WatchlistUpdate: fromZod(watchlistUpdateSchema),
+  AlertRuleInput: fromZod(alertRuleSchema),
+  AlertRuleUpdate: fromZod(alertRuleUpdateSchema),
+  WebhookInput: fromZod(webhookSchema),
+  WebhookUpdate: fromZod(webhookUpdateSchema),
+  Preferences: fromZod(preferencesSchema),
+  TokenInput: fromZod(tokenSchema),
+  RoleChange: fromZod(roleSchema),
+};
 
 const options = {
   definition: {
@@ -10,10 +61,36 @@ const options = {
       version: "1.0.0",
       description: "CRUD API over MongoDB weather documents with OpenWeather integration.",
     },
-    servers: [{ url: "http://localhost:3000" }],
+    components: {
+      schemas,
+      securitySchemes: {
+        sessionCookie: { type: "apiKey", in: "cookie", name: "connect.sid" },
+        bearerToken: {
+          type: "http",
+          scheme: "bearer",
+          description: "Personal access token from your profile page (weather API only).",
+        },
+      },
+    },
+    security: [{ sessionCookie: [] }, { bearerToken: [] }],
   },
-    apis: ["weather/routes/*.js"],
+  apis: ["weather/routes/*.js", "auth/routes/*.js"],
 };
 
 export const swaggerSpec = swaggerJSDoc(options);
-export { swaggerUi };
+
+/**
+ * The spec as served to req: its server is whichever host answered, so "Try
+ * it out" and downloaded copies point at this instance (Cloud Run or local).
+ */
+export function specFor(req) {
+  return { ...swaggerSpec, servers: [{ url: `${req.protocol}://${req.get("host")}` }] };
+}
+
+// Mounted at /docs: the Swagger UI, and the spec it loads as /docs/openapi.json
+export const docsRouter = Router();
+
+docsRouter.get("/openapi.json", (req, res) => {
+  res.json(specFor(req));
+});
+docsRouter.use("/", swaggerUi.serve, swaggerUi.setup(null, { swaggerUrl: "/docs/openapi.json" }));
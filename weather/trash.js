@@ -0,0 +1,54 @@
+// src/trash.js
+import { Weather } from "./models/weather.js";
+
+const PURGE_EVERY_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long deleted records stay restorable; TRASH_RETENTION_DAYS=0 keeps them forever
+export function trashRetentionMs() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+  return Number.isFinite(days) && days > 0 ? days * DAY_MS : 0;
+}
+
+// When a record deleted at deletedAt will be purged (null if never)
+export function purgeDate(deletedAt) {
+  const retention = trashRetentionMs();
+  return retention ? new Date(deletedAt.getTime() + retention) : null;
+}
+
+/**
+ * Permanently remove records that have been in the trash for longer than the
+ * retention period. Safe to run on several instances at once.
+ * Resolves to how many were removed.
+ */
+export async function purgeTrash(now = new Date()) {
+  const retention = trashRetentionMs();
+  if (!retention) return 0;
+
+  const { deletedCount } = await Weather.deleteMany({
+    deletedAt: { $lte: new Date(now.getTime() - retention) },
+  });
+  return deletedCount;
+}
+
+/**
+ * Run purgeTrash() now and then hourly. Returns a function that stops it.
+ */
+export function startTrashPurge() {
+  if (!trashRetentionMs()) return () => {};
+
+  const run = async () => {
+    try {
+      const purged = await purgeTrash();
+      if (purged) console.log(`🗑️ Purged ${purged} weather records from the trash`);
+    } catch (err) {
+      console.error("⚠️ Trash purge failed:", err.message || err);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PURGE_EVERY_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,109 @@
+// src/units.js
+
+// Records are always stored in metric (°C, m/s); these are the read-time options
+export const UNIT_SYSTEMS = ["metric", "imperial", "standard"];
+
+export const UNIT_LABELS = {
+  metric: { temp: "°C", windSpeed: "m/s" },
+  imperial: { temp: "°F", windSpeed: "mph" },
+  standard: { temp: "K", windSpeed: "m/s" },
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export function convertTemperature(celsius, units) {
+  if (units === "imperial") return round2((celsius * 9) / 5 + 32);
+  if (units === "standard") return round2(celsius + 273.15);
+  return celsius;
+}
+
+// Inverse of convertTemperature(), for filters given in the caller's units
+export function toCelsius(value, units) {
+  if (units === "imperial") return ((value - 32) * 5) / 9;
+  if (units === "standard") return value - 273.15;
+  return value;
+}
+
+export function convertSpeed(metersPerSecond, units) {
+  if (units === "imperial") return round2(metersPerSecond * 2.236936);
+  return metersPerSecond;
+}
+
+export function toMetersPerSecond(value, units) {
+  if (units === "imperial") return value / 2.236936;
+  return value;
+}
+
+// Which fields carry a unit, and how to convert them
+const CONVERTERS = {
+  temp: convertTemperature,
+  feelsLike: convertTemperature,
+  windSpeed: convertSpeed,
+};
+
+/**
+ * Copy of a (plain) weather record or forecast entry in the requested unit
+ * system, tagged with `units` so clients know how to label it.
+ */
+export function convertRecord(record, units = "metric") {
+  const converted = { ...record, units };
+  for (const [field, convert] of Object.entries(CONVERTERS)) {
+    if (typeof converted[field] === "number") {
+      converted[field] = convert(converted[field], units);
+    }
+  }
+  return converted;
+}
+
+// Inverse converters, for data arriving in the caller's units
+const TO_METRIC = {
+  temp: toCelsius,
+  feelsLike: toCelsius,
+  windSpeed: toMetersPerSecond,
+};
+
+/**
+ * Inverse of convertRecord(): a copy of record (given in units) in metric,
+ * ready to store. The `units` tag is dropped.
+ */
+export function recordToMetric(record, units = "metric") {
+  const { units: _tag, ...converted } = record;
+  for (const [field, convert] of Object.entries(TO_METRIC)) {
+    if (typeof converted[field] === "number") {
+      converted[field] = round2(convert(converted[field], units));
+    }
+  }
+  return converted;
+}
+
+/**
+ * Same as convertRecord() for a stats bucket, where each field is a
+ * { min, max, avg } summary.
+ */
+export function convertStatsBucket(bucket, units = "metric") {
+  const converted = { ...bucket, units };
+  for (const [field, convert] of Object.entries(CONVERTERS)) {
+    if (converted[field]) {
+      const { min, max, avg } = converted[field];
+      converted[field] = {
+        min: min === null ? null : convert(min, units),
+        max: max === null ? null : convert(max, units),
+        avg: avg === null ? null : convert(avg, units),
+      };
+    }
+  }
+  return converted;
+}
+
+/**
+ * Same as convertRecord() for an audit diff ([{ path, from, to }]): the
+ * values of fields that carry a unit are converted, unset ones stay null.
+ */
+export function convertChanges(changes, units = "metric") {
+  return changes.map((change) => {
+    const convert = CONVERTERS[change.path];
+    if (!convert) return change;
+    const value = (v) => (typeof v === "number" ? convert(v, units) : v);
+    return { ...change, from: value(change.from), to: value(change.to) };
+  });
+}
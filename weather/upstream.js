@@ -0,0 +1,93 @@
+// src/upstream.js
+import axios from "axios";
+import createError from "http-errors";
+import { reserveUpstreamCall } from "./usage.js";
+
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 250;
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+// Extra attempts after a transient failure; UPSTREAM_RETRIES=0 tries once
+export function upstreamRetries() {
+  const retries = Number(process.env.UPSTREAM_RETRIES ?? DEFAULT_RETRIES);
+  return Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRIES;
+}
+
+// Network errors, timeouts and 5xx answers may pass; anything else won't change on a retry
+export function isTransient(err) {
+  return Boolean(err.isAxiosError) && (!err.response || err.response.status >= 500);
+}
+
+// "Full jitter": anywhere up to base * 2^attempt, so callers that failed
+// together don't retry together
+export function retryDelay(attempt, random = Math.random) {
+  return Math.floor(random() * RETRY_BASE_MS * 2 ** attempt);
+}
+
+// Retry-After may be seconds or an HTTP date
+function retryAfterSeconds(response) {
+  const header = response?.headers?.["retry-after"];
+  if (header === undefined) return DEFAULT_RETRY_AFTER_SECONDS;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds) && seconds > 0) return Math.ceil(seconds);
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(1, Math.ceil((date - Date.now()) / 1000));
+  return DEFAULT_RETRY_AFTER_SECONDS;
+}
+
+/**
+ * Translate a failed upstream request into the error our API should answer
+ * with: an unknown location is a 404, a rejected API key a 502 and upstream
+ * rate limiting a 503 with Retry-After. Timeouts, network errors and 5xx
+ * answers are 502s marked `outage`, which is what trips the circuit breaker.
+ * Anything that isn't an HTTP error is passed through as is.
+ */
+export function upstreamError(err, { provider, notFound = "Location not found" }) {
+  if (!err.isAxiosError) return err;
+  const status = err.response?.status;
+
+  if (status === 400 || status === 404) return createError(404, notFound);
+  if (status === 401 || status === 403) {
+    return createError(502, `${provider} rejected our API key`, { expose: true });
+  }
+  if (status === 429) {
+    return createError(503, `${provider} is rate limiting us`, {
+      expose: true,
+      headers: { "Retry-After": String(retryAfterSeconds(err.response)) },
+    });
+  }
+
+  let reason = `answered ${status}`;
+  if (!err.response) {
+    const timedOut = err.code === "ECONNABORTED" || err.code === "ETIMEDOUT";
+    reason = timedOut ? "timed out" : `is unreachable (${err.code ?? err.message})`;
+  }
+  return createError(502, `${provider} ${reason}`, { expose: true, outage: true });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * GET a provider's JSON with a timeout, retrying transient failures up to
+ * UPSTREAM_RETRIES times with jittered exponential backoff. Every attempt,
+ * retries included, is counted against the daily budget as a call to
+ * `usage` (the provider's id), so a spent budget stops it with a 503.
+ * Failures are thrown as upstreamError() translates them; notFound is the
+ * message for a location the provider doesn't know.
+ */
+export async function getJSON(url, { params, timeout, provider, usage, notFound }) {
+  const retries = upstreamRetries();
+  for (let attempt = 0; ; attempt++) {
+    await reserveUpstreamCall(usage);
+    try {
+      const { data } = await axios.get(url, { params, timeout });
+      return data;
+    } catch (err) {
+      if (attempt >= retries || !isTransient(err)) {
+        throw upstreamError(err, { provider, notFound });
+      }
+      await sleep(retryDelay(attempt));
+    }
+  }
+}
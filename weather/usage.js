@@ -0,0 +1,103 @@
+// src/usage.js
+import mongoose from "mongoose";
+import createError from "http-errors";
+import { UpstreamUsage } from "./models/upstreamUsage.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upstream calls allowed per UTC day across every instance; UPSTREAM_DAILY_BUDGET=0 is unlimited
+export function dailyBudget() {
+  const calls = Number(process.env.UPSTREAM_DAILY_BUDGET ?? 1000);
+  return Number.isFinite(calls) && calls > 0 ? Math.floor(calls) : 0;
+}
+
+function dayOf(now) {
+  return now.toISOString().slice(0, 10);
+}
+
+function nextReset(now) {
+  return new Date(Date.parse(dayOf(now)) + DAY_MS);
+}
+
+// Counts this instance keeps while MongoDB isn't connected
+let local = { _id: null, calls: 0, providers: {} };
+
+function localDay(day) {
+  if (local._id !== day) local = { _id: day, calls: 0, providers: {} };
+  return local;
+}
+
+const ready = () => mongoose.connection.readyState === 1;
+
+/**
+ * Count one call to provider against today's budget before it is made.
+ * Throws a 503 with Retry-After (until midnight UTC) once the budget is used
+ * up. If MongoDB is down or fails, this instance counts on its own rather
+ * than blocking lookups.
+ */
+export async function reserveUpstreamCall(provider, now = new Date()) {
+  const budget = dailyBudget();
+  const day = dayOf(now);
+  const $inc = { calls: 1, [`providers.${provider}`]: 1 };
+
+  let allowed = true;
+  if (ready()) {
+    try {
+      // Matches only while there is budget left; once it's gone the upsert
+      // collides with today's _id instead of counting another call
+      await UpstreamUsage.updateOne(
+        budget ? { _id: day, calls: { $lt: budget } } : { _id: day },
+        { $inc },
+        { upsert: true }
+      );
+      return;
+    } catch (err) {
+      if (err.code === 11000) allowed = false;
+      else console.warn(`⚠️  Upstream usage count failed: ${err.message}`);
+    }
+  }
+
+  const usage = localDay(day);
+  if (allowed && (!budget || usage.calls < budget)) {
+    usage.calls++;
+    usage.providers[provider] = (usage.providers[provider] ?? 0) + 1;
+    return;
+  }
+
+  const retryAfter = Math.ceil((nextReset(now) - now) / 1000);
+  throw createError(503, "Daily weather lookup budget used up; try again tomorrow", {
+    expose: true,
+    budgetExhausted: true,
+    headers: { "Retry-After": String(retryAfter) },
+  });
+}
+
+/**
+ * Today's upstream usage: { day, calls, budget, remaining, providers, resetsAt }.
+ * budget and remaining are null when there is no budget.
+ */
+export async function upstreamUsage(now = new Date()) {
+  const day = dayOf(now);
+  let usage = localDay(day);
+  if (ready()) {
+    const stored = await UpstreamUsage.findById(day).lean();
+    usage = stored ?? { calls: 0, providers: {} };
+  }
+
+  const budget = dailyBudget() || null;
+  return {
+    day,
+    calls: usage.calls,
+    budget,
+    remaining: budget === null ? null : Math.max(0, budget - usage.calls),
+    providers: { ...usage.providers },
+    resetsAt: nextReset(now),
+  };
+}
+
+/**
+ * Forget this instance's own counts (used by tests).
+ */
+export function resetLocalUsage() {
+  local = { _id: null, calls: 0, providers: {} };
+}
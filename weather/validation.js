@@ -1,13 +1,37 @@
 // src/validation.js
 import { z } from "zod";
+import { UNIT_SYSTEMS } from "./units.js";
+import { ALERT_FIELDS, ALERT_OPERATORS } from "./models/alertRule.js";
+import { WEATHER_EVENT_TYPES } from "./events.js";
+
+// ?units= on read endpoints; stored data is always metric
+export const unitsSchema = z.enum(UNIT_SYSTEMS).default("metric");
+
+// Out-of-range coordinates would only fail later, on the 2dsphere index
+const latitude = z.number().min(-90).max(90);
+const longitude = z.number().min(-180).max(180);
+
+const coordinatesSchema = z.object({
+  lon: longitude,
+  lat: latitude,
+});
+
+// JSON can't carry a Date: accept ISO strings as well as the Dates providers build
+const dateInput = z.preprocess((v) => (typeof v === "string" ? new Date(v) : v), z.date());
+
+// Query strings carry numbers as text. z.coerce would read a blank value as
+// 0, so blank counts as not given and anything else must parse as a number.
+function queryNumber(schema) {
+  return z.preprocess(
+    (v) => (typeof v === "string" ? (v.trim() === "" ? undefined : Number(v)) : v),
+    schema
+  );
+}
 
 export const weatherSchema = z.object({
   city: z.string(),
   country: z.string().min(2), // e.g., "US"
-  coordinates: z.object({
-    lon: z.number(),
-    lat: z.number(),
-  }),
+  coordinates: coordinatesSchema,
   temp: z.number(),
   feelsLike: z.number(),
   humidity: z.number().int(),
@@ -15,5 +39,357 @@ export const weatherSchema = z.object({
   windSpeed: z.number(),
   condition: z.string(),   // e.g., "Clouds"
   description: z.string(), // e.g., "broken clouds"
+  fetchedAt: dateInput,
+  provider: z.string().optional(), // e.g., "openweather"; absent for manual entries
+});
+
+// Body for PATCH /api/weather/:id: any subset of the fields, in metric
+export const weatherPatchSchema = weatherSchema
+  .partial()
+  .strict()
+  .refine((changes) => Object.keys(changes).length > 0, { message: "Nothing to update" });
+
+// One 3-hour slot of a forecast
+export const forecastEntrySchema = z.object({
+  at: z.date(),
+  temp: z.number(),
+  feelsLike: z.number(),
+  humidity: z.number().int(),
+  pressure: z.number().int(),
+  windSpeed: z.number(),
+  condition: z.string(),
+  description: z.string(),
+  pop: z.number().min(0).max(1), // probability of precipitation
+});
+
+export const forecastSchema = z.object({
+  city: z.string(),
+  country: z.string().min(2),
+  coordinates: coordinatesSchema,
+  entries: z.array(forecastEntrySchema).min(1),
   fetchedAt: z.date(),
+  provider: z.string(),
+});
+
+// A weather record as the API returns it: the stored fields, in the ?units=
+// asked for, plus what MongoDB and the API add. Only used to document (and in
+// tests, check) responses.
+export const weatherRecordSchema = weatherSchema.extend({
+  _id: z.string(),
+  owner: z.string(),
+  units: z.enum(UNIT_SYSTEMS),
+  deletedAt: z.date().nullable().optional(), // set while the record is in the trash
+  createdAt: z.date(),
+  updatedAt: z.date(),
+  __v: z.number().int(), // the version in the ETag
+});
+
+// Response of GET /api/weather
+export const weatherPageSchema = z.object({
+  items: z.array(weatherRecordSchema),
+  nextCursor: z
+    .string()
+    .nullable()
+    .describe("Pass as cursor to get the next page; null on the last page."),
+});
+
+// Fields GET /api/weather can sort on; prefix with "-" for descending
+export const SORT_FIELDS = ["fetchedAt", "createdAt", "city", "temp", "humidity", "windSpeed"];
+export const MAX_LIST_LIMIT = 200;
+
+// Query string for GET /api/weather (everything arrives as a string)
+export const listQuerySchema = z
+  .object({
+    city: z.string().trim().min(1).optional(),
+    country: z.string().trim().min(2).toUpperCase().optional(),
+    condition: z.string().trim().min(1).optional(),
+    from: z.coerce.date().optional(), // fetchedAt >= from
+    to: z.coerce.date().optional(),   // fetchedAt <= to
+    minTemp: queryNumber(z.number().optional()),
+    maxTemp: queryNumber(z.number().optional()),
+    sort: z
+      .enum([...SORT_FIELDS, ...SORT_FIELDS.map((field) => `-${field}`)])
+      .default("-fetchedAt"),
+    // A junk limit falls back to the default instead of failing the request
+    limit: z.coerce
+      .number()
+      .int()
+      .min(1)
+      .catch(50)
+      .transform((n) => Math.min(n, MAX_LIST_LIMIT)),
+    cursor: z.string().optional(),
+    units: unitsSchema,
+  })
+  .refine((q) => !q.from || !q.to || q.from <= q.to, {
+    message: "from must be before to",
+    path: ["from"],
+  })
+  .refine(
+    (q) => q.minTemp === undefined || q.maxTemp === undefined || q.minTemp <= q.maxTemp,
+    { message: "minTemp must not exceed maxTemp", path: ["minTemp"] }
+  );
+
+// Query string for GET /api/weather/stats
+export const statsQuerySchema = z
+  .object({
+    city: z.string().trim().min(1),
+    bucket: z.enum(["hour", "day", "week"]).default("day"),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    units: unitsSchema,
+  })
+  .refine((q) => !q.from || !q.to || q.from <= q.to, {
+    message: "from must be before to",
+    path: ["from"],
+  });
+
+
+/**
+ * Where to fetch weather for: a city name, lat/lon, or a zip/postcode plus
+ * country. Normalized to exactly one of { city } | { lat, lon[, name] } |
+ * { zip, country }, falling back to DEFAULT_CITY when nothing is given.
+ */
+export const locationQuerySchema = z
+  .object({
+    city: z.string().trim().min(1).optional(),
+    lat: queryNumber(latitude.optional()),
+    lon: queryNumber(longitude.optional()),
+    name: z.string().trim().min(1).optional(), // display name for a lat/lon lookup
+    zip: z.coerce.string().trim().min(1).optional(),
+    country: z.string().trim().length(2).toUpperCase().optional(),
+  })
+  .superRefine((q, ctx) => {
+    if ((q.lat === undefined) !== (q.lon === undefined)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [q.lat === undefined ? "lat" : "lon"],
+        message: "lat and lon must be given together",
+      });
+    }
+    if (q.zip && !q.country) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["country"],
+        message: "country is required with zip",
+      });
+    }
+  })
+  .transform((q) => {
+    if (q.lat !== undefined) {
+      return q.name ? { lat: q.lat, lon: q.lon, name: q.name } : { lat: q.lat, lon: q.lon };
+    }
+    if (q.zip) return { zip: q.zip, country: q.country };
+    return { city: q.city || process.env.DEFAULT_CITY || "Philadelphia" };
+  });
+
+// Query string for GET /api/weather/near
+export const nearQuerySchema = z.object({
+  lat: queryNumber(latitude),
+  lon: queryNumber(longitude),
+  radiusKm: z.coerce.number().positive().max(20000).default(50),
+  limit: z.coerce
+    .number()
+    .int()
+    .min(1)
+    .catch(50)
+    .transform((n) => Math.min(n, MAX_LIST_LIMIT)),
+  units: unitsSchema,
+});
+
+// Query string for GET /api/weather/trash
+export const trashQuerySchema = z.object({
+  limit: z.coerce
+    .number()
+    .int()
+    .min(1)
+    .catch(50)
+    .transform((n) => Math.min(n, MAX_LIST_LIMIT)),
+  units: unitsSchema,
+});
+
+// Query string for GET /api/weather/:id/history
+export const historyQuerySchema = z.object({
+  limit: z.coerce
+    .number()
+    .int()
+    .min(1)
+    .catch(50)
+    .transform((n) => Math.min(n, MAX_LIST_LIMIT)),
+  units: unitsSchema,
+});
+
+// Body for POST /api/weather/:id/revert
+export const revertSchema = z
+  .object({
+    version: z.number().int().min(0),
+  })
+  .strict();
+
+// Query string for GET /api/cities/search
+export const citySearchSchema = z.object({
+  q: z.string().trim().min(1).max(100),
+  limit: z.coerce.number().int().min(1).max(20).default(8),
+  country: z.string().trim().length(2).toUpperCase().optional(),
+});
+
+// One suggestion from GET /api/cities/search
+export const citySchema = z.object({
+  name: z.string(),
+  country: z.string(),
+  admin: z.string().describe("GeoNames region code, e.g. OR; numeric in some countries."),
+  coordinates: coordinatesSchema,
+  population: z.number().int(),
+  match: z.enum(["prefix", "fuzzy"]),
+});
+
+// Body for POST /api/watchlist (PATCH takes any subset)
+export const watchlistSchema = z
+  .object({
+    city: z.string().trim().min(1).max(100),
+    paused: z.boolean().default(false),
+  })
+  .strict();
+
+export const watchlistUpdateSchema = z
+  .object({
+    city: z.string().trim().min(1).max(100),
+    paused: z.boolean(),
+  })
+  .partial()
+  .strict();
+
+const alertRuleFields = {
+  name: z.string().trim().min(1).max(100),
+  city: z
+    .string()
+    .trim()
+    .min(1)
+    .max(100)
+    .describe("Only records for this city (case-insensitive) are checked."),
+  field: z.enum(ALERT_FIELDS),
+  op: z.enum(ALERT_OPERATORS).describe("condition rules only support == and !=."),
+  value: z
+    .union([z.number(), z.string().trim().min(1)])
+    .describe('A number, or a condition such as "Rain".'),
+  units: z.enum(UNIT_SYSTEMS).describe("Units the value is written in."),
+  cooldownMinutes: z
+    .number()
+    .int()
+    .min(0)
+    .max(7 * 24 * 60)
+    .describe("Minimum time between notifications from this rule (default ALERT_COOLDOWN_MINUTES)."),
+  enabled: z.boolean(),
+};
+
+// condition takes a string and ==/!=; every other field takes a number
+function checkRuleValue(rule, ctx) {
+  if (rule.field === "condition") {
+    if (typeof rule.value !== "string") {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["value"],
+        message: "condition rules compare against a string",
+      });
+    }
+    if (rule.op !== "==" && rule.op !== "!=") {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["op"],
+        message: "condition rules only support == and !=",
+      });
+    }
+  } else if (typeof rule.value !== "number") {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["value"],
+      message: `${rule.field} rules compare against a number`,
+    });
+  }
+}
+
+// Body for POST /api/alerts, e.g. { city: "Phoenix", field: "temp", op: ">", value: 40 }
+export const alertRuleSchema = z
+  .object({
+    ...alertRuleFields,
+    name: alertRuleFields.name.optional(),
+    units: alertRuleFields.units.default("metric"),
+    cooldownMinutes: alertRuleFields.cooldownMinutes.optional(),
+    enabled: alertRuleFields.enabled.default(true),
+  })
+  .strict()
+  .superRefine(checkRuleValue);
+
+// Body for PATCH /api/alerts/:id; checked again with alertRuleSchema once merged
+export const alertRuleUpdateSchema = z.object(alertRuleFields).partial().strict();
+
+// Query string for GET /api/notifications
+export const notificationQuerySchema = z.object({
+  unread: z
+    .enum(["true", "false"])
+    .default("false")
+    .transform((v) => v === "true"),
+  limit: z.coerce
+    .number()
+    .int()
+    .min(1)
+    .catch(50)
+    .transform((n) => Math.min(n, MAX_LIST_LIMIT)),
+});
+
+const webhookFields = {
+  url: z
+    .string()
+    .trim()
+    .url()
+    .refine((url) => /^https?:\/\//i.test(url), "url must use http or https")
+    .describe("http(s) endpoint that receives a POST per event."),
+  events: z
+    .array(z.enum(WEATHER_EVENT_TYPES))
+    .min(1)
+    .transform((events) => [...new Set(events)])
+    .describe("Defaults to all of them."),
+  city: z
+    .string()
+    .trim()
+    .min(1)
+    .max(100)
+    .describe("Only events for records of this city (case-insensitive)."),
+  description: z.string().trim().max(200),
+  active: z.boolean(),
+};
+
+// Body for POST /api/webhooks
+export const webhookSchema = z
+  .object({
+    ...webhookFields,
+    events: webhookFields.events.default([...WEATHER_EVENT_TYPES]),
+    city: webhookFields.city.optional(),
+    description: webhookFields.description.optional(),
+    active: webhookFields.active.default(true),
+  })
+  .strict();
+
+// Body for PATCH /api/webhooks/:id; city: null removes the city filter
+export const webhookUpdateSchema = z
+  .object({ ...webhookFields, city: webhookFields.city.nullable() })
+  .partial()
+  .strict();
+
+// File formats for GET /api/weather/export and POST /api/weather/import
+export const BULK_FORMATS = ["csv", "ndjson", "json"];
+
+// Query string for GET /api/weather/export: the list filters plus a format.
+// cursor/limit are accepted (the list schema parses them) but ignored.
+export const exportQuerySchema = listQuerySchema.and(
+  z.object({ format: z.enum(BULK_FORMATS).default("csv") })
+);
+
+// Query string for POST /api/weather/import
+export const importQuerySchema = z.object({
+  format: z.enum(BULK_FORMATS).optional(), // defaults from Content-Type
+  dryRun: z
+    .enum(["true", "false"])
+    .default("false")
+    .transform((v) => v === "true"),
+  units: unitsSchema, // for rows without their own units column
 });
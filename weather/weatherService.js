@@ -1,30 +1,186 @@
 // src/weatherService.js
-import axios from "axios";
+import createError from "http-errors";
+import * as openWeather from "./providers/openWeather.js";
+import * as openMeteo from "./providers/openMeteo.js";
+import {
+  cacheKey,
+  createResponseCache,
+  createStore,
+} from "./cache/responseCache.js";
+import { createCircuitBreaker } from "./circuitBreaker.js";
+
+// Every provider exposes the same interface:
+//   name                                -> id stored on saved records
+//   isConfigured()                      -> false to skip it (e.g. no API key)
+//   fetchCurrent(query, { timeout })    -> normalized weather object
+//   fetchForecast(query, { timeout })   -> normalized 5-day / 3-hour forecast
+// where query is { city } | { lat, lon, name? } | { zip, country }
+// (see locationQuerySchema).
+const PROVIDERS = {
+  [openWeather.name]: openWeather,
+  [openMeteo.name]: openMeteo,
+};
+
+const DEFAULT_ORDER = "openweather,openmeteo";
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_CACHE_TTL_SECONDS = 600;
+const DEFAULT_CIRCUIT_FAILURES = 5;
+const DEFAULT_CIRCUIT_RESET_SECONDS = 30;
+
+// Upstream responses are cached for WEATHER_CACHE_TTL_SECONDS (0 disables it)
+let responseCache;
+function getCache() {
+  if (!responseCache) {
+    responseCache = createResponseCache({
+      store: createStore(process.env.WEATHER_CACHE_BACKEND || "memory"),
+      ttlMs: () => {
+        const seconds = Number(process.env.WEATHER_CACHE_TTL_SECONDS);
+        return (Number.isFinite(seconds) ? seconds : DEFAULT_CACHE_TTL_SECONDS) * 1000;
+      },
+    });
+  }
+  return responseCache;
+}
+
+/**
+ * Drop every cached upstream response (used by tests and after config changes).
+ */
+export async function clearWeatherCache() {
+  if (responseCache) await responseCache.clear();
+}
+
+// One circuit breaker per provider, so an outage at one doesn't slow down the others
+const breakers = new Map();
+function breakerFor(name) {
+  if (!breakers.has(name)) {
+    const resetSeconds =
+      Number(process.env.CIRCUIT_RESET_SECONDS) || DEFAULT_CIRCUIT_RESET_SECONDS;
+    breakers.set(
+      name,
+      createCircuitBreaker({
+        name,
+        failureThreshold: Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || DEFAULT_CIRCUIT_FAILURES,
+        resetMs: resetSeconds * 1000,
+      })
+    );
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Close every provider's circuit breaker.
+ */
+export function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+/**
+ * Provider priority list, e.g. WEATHER_PROVIDERS="openmeteo,openweather".
+ */
+export function providerOrder() {
+  return (process.env.WEATHER_PROVIDERS || DEFAULT_ORDER)
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// When every provider failed, the most useful answer: a location nobody
+// knows is a 404; providers that are rate limiting us or switched off by
+// their circuit breaker are a 503 with the soonest Retry-After; anything
+// else is a 502.
+function failoverError(errors, failures) {
+  const notFound = errors.find((err) => err.status === 404);
+  if (notFound) return notFound;
+
+  const detail = failures.join("; ");
+  const busy = errors.filter((err) => err.status === 503);
+  if (busy.length) {
+    const retryAfter = Math.min(...busy.map((err) => Number(err.headers["Retry-After"])));
+    return createError(503, `Weather providers are unavailable right now (${detail})`, {
+      expose: true,
+      headers: { "Retry-After": String(retryAfter) },
+    });
+  }
+
+  return createError(502, `No weather provider could answer (${detail})`, { expose: true });
+}
+
+// Call `method` on each configured provider in priority order until one answers.
+// Each HTTP request a provider makes counts against the daily upstream budget
+// (see getJSON); once it is used up the 503 from reserveUpstreamCall() ends the
+// lookup. Providers whose circuit breaker is open are skipped without a call.
+async function withFailover(method, query) {
+  const timeout =
+    Number(process.env.WEATHER_PROVIDER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const failures = [];
+  const errors = [];
+
+  for (const name of providerOrder()) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      failures.push(`${name}: unknown provider`);
+      continue;
+    }
+    if (!provider.isConfigured()) {
+      failures.push(`${name}: not configured`);
+      continue;
+    }
+
+    const breaker = breakerFor(name);
+    if (!breaker.allowsRequest()) {
+      const err = breaker.openError();
+      failures.push(`${name}: ${err.message}`);
+      errors.push(err);
+      continue;
+    }
+
+    try {
+      const normalized = await provider[method](query, { timeout });
+      breaker.succeeded();
+      return { ...normalized, provider: provider.name };
+    } catch (err) {
+      if (err.budgetExhausted) {
+        breaker.released();
+        throw err;
+      }
+      breaker.failed(err);
+      console.warn(`⚠️  Weather provider ${name} failed: ${err.message}`);
+      failures.push(`${name}: ${err.message}`);
+      errors.push(err);
+    }
+  }
+
+  throw failoverError(errors, failures);
+}
+
+// A display name only labels the result, so it stays out of the cached value:
+// nearby coordinates share an entry and each caller's name is put on after
+function named(value, name) {
+  return name ? { ...value, city: name } : value;
+}
+
+/**
+ * Fetch current weather for a city, coordinates or zip code, trying each
+ * configured provider in priority order until one answers. The result is
+ * normalized so the rest of our app uses a consistent shape, and records
+ * which provider produced it.
+ *
+ * Resolves to { data, cache } where cache is "hit" or "miss".
+ */
+export async function fetchWeather({ name, ...query }) {
+  const { value, cache } = await getCache().wrap(cacheKey("current", query), () =>
+    withFailover("fetchCurrent", query)
+  );
+  return { data: named(value, name), cache };
+}
 
 /**
- * Fetch current weather for a city from OpenWeatherMap and normalize fields
- * so the rest of our app uses a consistent shape.
+ * Fetch the 5-day / 3-hour forecast for the same kinds of query, with the
+ * same provider failover, normalization and caching as fetchWeather().
  */
-export async function fetchWeather({ city, apiKey }) {
-  const url = "https://api.openweathermap.org/data/2.5/weather";
-  const params = { q: city, appid: apiKey, units: "metric" };
-
-  const { data } = await axios.get(url, { params });
-
-  return {
-    city: data.name,
-    country: data.sys?.country ?? "NA",
-    coordinates: {
-      lon: data.coord?.lon ?? 0,
-      lat: data.coord?.lat ?? 0,
-    },
-    temp: data.main?.temp ?? 0,
-    feelsLike: data.main?.feels_like ?? 0,
-    humidity: data.main?.humidity ?? 0,
-    pressure: data.main?.pressure ?? 0,
-    windSpeed: data.wind?.speed ?? 0,
-    condition: data.weather?.[0]?.main ?? "Unknown",
-    description: data.weather?.[0]?.description ?? "Unknown",
-    fetchedAt: new Date(),
-  };
+export async function fetchForecast({ name, ...query }) {
+  const { value, cache } = await getCache().wrap(cacheKey("forecast", query), () =>
+    withFailover("fetchForecast", query)
+  );
+  return { data: named(value, name), cache };
 }
@@ -0,0 +1,89 @@
+// src/webhookTargets.js
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import createError from "http-errors";
+
+// Never a webhook target: link-local addresses, which include cloud metadata (169.254.169.254)
+const LINK_LOCAL = new net.BlockList();
+LINK_LOCAL.addSubnet("169.254.0.0", 16, "ipv4");
+LINK_LOCAL.addSubnet("fe80::", 10, "ipv6");
+LINK_LOCAL.addAddress("fd00:ec2::254", "ipv6");
+
+// Our own network: only allowed while developing, so local receivers work
+const INTERNAL = new net.BlockList();
+INTERNAL.addSubnet("0.0.0.0", 8, "ipv4");
+INTERNAL.addSubnet("10.0.0.0", 8, "ipv4");
+INTERNAL.addSubnet("100.64.0.0", 10, "ipv4");
+INTERNAL.addSubnet("127.0.0.0", 8, "ipv4");
+INTERNAL.addSubnet("172.16.0.0", 12, "ipv4");
+INTERNAL.addSubnet("192.168.0.0", 16, "ipv4");
+INTERNAL.addAddress("::", "ipv6");
+INTERNAL.addAddress("::1", "ipv6");
+INTERNAL.addSubnet("fc00::", 7, "ipv6");
+
+function internalAllowed() {
+  return ["development", "test"].includes(process.env.NODE_ENV);
+}
+
+/**
+ * Why webhooks can't be sent to an IP address, or null if they can.
+ * IPv4-mapped IPv6 addresses are judged as the IPv4 address they map.
+ */
+export function blockedAddress(address) {
+  const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+  if (LINK_LOCAL.check(address, type)) return "a link-local or cloud metadata address";
+  if (!internalAllowed() && INTERNAL.check(address, type)) {
+    return "a private or loopback address";
+  }
+  return null;
+}
+
+// "[::1]" -> "::1"; an IP literal host is never looked up
+function hostOf(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+/**
+ * Why a webhook URL's host can't be sent to without looking it up (it is
+ * a blocked IP address), or null. Hostnames are checked as they resolve.
+ */
+export function blockedHost(url) {
+  const host = hostOf(url);
+  return net.isIP(host) ? blockedAddress(host) : null;
+}
+
+/**
+ * Reject (400) a webhook URL whose host is, or currently resolves to, an
+ * address blockedAddress refuses. A host that doesn't resolve yet is let
+ * through: every delivery checks the address it actually connects to.
+ */
+export async function checkWebhookUrl(url) {
+  const host = hostOf(url);
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true }).catch(() => [])).map((a) => a.address);
+
+  for (const address of addresses) {
+    const reason = blockedAddress(address);
+    if (reason) throw createError(400, `Webhook URL host ${host} is ${reason}`);
+  }
+}
+
+// dns.lookup that fails for blocked addresses, so a host can't be pointed elsewhere after the fact
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const found = Array.isArray(address) ? address.map((a) => a.address) : [address];
+    const reason = found.map(blockedAddress).find(Boolean);
+    if (reason) return callback(new Error(`${hostname} resolves to ${reason}`));
+    callback(null, address, family);
+  });
+}
+
+// Agents for delivery requests: connections only go to addresses that pass the check
+export const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup }),
+};
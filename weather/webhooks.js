@@ -0,0 +1,212 @@
+// src/webhooks.js
+import axios from "axios";
+import { createHmac, randomBytes } from "crypto";
+import { Webhook } from "./models/webhook.js";
+import { WebhookDelivery } from "./models/webhookDelivery.js";
+import { normalizeCity } from "./cityKey.js";
+import { weatherEvents } from "./events.js";
+import { blockedHost, webhookAgents } from "./webhookTargets.js";
+
+// How often the retry worker looks for deliveries that are due
+const RETRY_POLL_MS = 15 * 1000;
+// A claimed delivery is left alone by other instances for this long
+const CLAIM_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+function maxAttempts() {
+  return Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+}
+
+function timeoutMs() {
+  return Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+}
+
+export function newWebhookSecret() {
+  return `whsec_${randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Signature receivers check against the X-Weather-Signature header:
+ * "sha256=" + hex HMAC-SHA256 of "<X-Weather-Timestamp>.<raw body>".
+ * Including the timestamp lets receivers reject replays.
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Wait before retry number `attempt` (1-based): WEBHOOK_RETRY_BASE_SECONDS
+ * (default 30) doubled per attempt, capped at an hour.
+ */
+export function backoffMs(attempt) {
+  const base = (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000;
+  return Math.min(base * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Make one signed POST of payload to url. Never throws; resolves to
+ * { ok, statusCode?, error?, durationMs } where ok means a 2xx response.
+ * URLs that are, or resolve to, internal addresses are refused unsent.
+ */
+export async function deliver({ url, secret }, { eventId, eventType, payload }) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+
+  const blocked = blockedHost(url);
+  if (blocked) return { ok: false, error: `Refused: ${blocked}`, durationMs: 0 };
+
+  try {
+    const res = await axios.post(url, body, {
+      ...webhookAgents,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "weather-dashboard-webhooks/1",
+        "X-Weather-Event": eventType,
+        "X-Weather-Delivery": eventId,
+        "X-Weather-Timestamp": timestamp,
+        "X-Weather-Signature": signPayload(secret, timestamp, body),
+      },
+      timeout: timeoutMs(),
+      maxRedirects: 0,
+      // We judge the status ourselves instead of having axios throw
+      validateStatus: () => true,
+    });
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      ok,
+      statusCode: res.status,
+      error: ok ? undefined : `HTTP ${res.status}`,
+      durationMs: Date.now() - started,
+    };
+  } catch (err) {
+    return { ok: false, error: err.message, durationMs: Date.now() - started };
+  }
+}
+
+/**
+ * Attempt a pending delivery once, log the attempt and either finish it or
+ * schedule the next retry. Resolves to the updated delivery.
+ */
+export async function attemptDelivery(delivery, webhook) {
+  const hook = webhook ?? (await Webhook.findById(delivery.webhook));
+  const at = new Date();
+
+  if (!hook) {
+    delivery.attempts.push({ at, error: "Webhook was deleted" });
+    delivery.status = "failed";
+    delivery.nextAttemptAt = undefined;
+    return delivery.save();
+  }
+
+  const { ok, statusCode, error, durationMs } = await deliver(hook, delivery);
+  delivery.attempts.push({ at, statusCode, error, durationMs });
+
+  if (ok) {
+    delivery.status = "succeeded";
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts.length >= maxAttempts()) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(Date.now() + backoffMs(delivery.attempts.length));
+  }
+  return delivery.save();
+}
+
+/**
+ * Fan a weather event out to the owner's active webhooks that subscribe to
+ * its type (and city, if they filter by one), attempting each right away.
+ * Resolves to the deliveries created.
+ */
+export async function dispatchWeatherEvent(event) {
+  const hooks = await Webhook.find({
+    owner: event.owner,
+    active: true,
+    events: event.type,
+    $or: [{ cityKey: null }, { cityKey: normalizeCity(event.data.city) }],
+  });
+
+  return Promise.all(
+    hooks.map(async (hook) => {
+      const delivery = await WebhookDelivery.create({
+        webhook: hook._id,
+        owner: hook.owner,
+        eventId: event.id,
+        eventType: event.type,
+        payload: {
+          id: event.id,
+          type: event.type,
+          occurredAt: event.occurredAt,
+          data: event.data,
+        },
+      });
+      return attemptDelivery(delivery, hook);
+    })
+  );
+}
+
+/**
+ * Send a past delivery's payload again as a new delivery (same event id, so
+ * receivers can de-duplicate). Resolves to the new delivery.
+ */
+export async function redeliver(original, webhook) {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    owner: webhook.owner,
+    eventId: original.eventId,
+    eventType: original.eventType,
+    payload: original.payload,
+    redeliveryOf: original._id,
+  });
+  return attemptDelivery(delivery, webhook);
+}
+
+/**
+ * Attempt every delivery whose retry is due. Each one is claimed first, so
+ * several instances can run this side by side without double-sending.
+ * Resolves to how many deliveries were attempted.
+ */
+export async function retryDueDeliveries(limit = 20) {
+  let attempted = 0;
+  while (attempted < limit) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    attempted += 1;
+  }
+  return attempted;
+}
+
+/**
+ * Deliver weather events to webhooks as they happen and keep retrying the
+ * ones that failed. Returns a function that stops both.
+ */
+export function startWebhookDispatcher() {
+  const onEvent = (event) => {
+    dispatchWeatherEvent(event).catch((err) => {
+      console.error("⚠️ Webhook dispatch failed:", err.message || err);
+    });
+  };
+  weatherEvents.on("event", onEvent);
+
+  const timer = setInterval(() => {
+    retryDueDeliveries().catch((err) => {
+      console.error("⚠️ Webhook retries failed:", err.message || err);
+    });
+  }, RETRY_POLL_MS);
+  timer.unref();
+
+  return () => {
+    weatherEvents.off("event", onEvent);
+    clearInterval(timer);
+  };
+}